@@ -0,0 +1,142 @@
+// lib/activityStore.js
+import { buildActivity, dedupeActivity, mergeTransfers, resolveSource } from './shared';
+import { getRules } from './rules';
+import { getStore, hasPersistentStore } from './store';
+import { newCoverage, mergeCoverage, coverageHasErrors } from './coverage';
+
+// Classified rows are persisted per address with a high-water mark, so repeat queries
+// only page the explorer for what is newer than the last sync and serve any window locally.
+// Records are created only by callers that ask to persist (indexer, admin jobs, snapshot diffs);
+// a public lookup of a wallet nobody stored is built for its window and not kept, so anonymous
+// requests can't grow the store. The same happens everywhere when no persistent store is set up.
+// A record whose JSON would exceed ZEN_ACTIVITY_MAX_BYTES is replaced by a small `tooLarge`
+// marker (the wallet is then rebuilt on every sync) rather than hitting the store's value limit.
+const COLLECTION = 'activity';
+const RECORD_VERSION = 6;
+const FRESH_MS = 30_000;   // skip the incremental fetch if synced this recently
+const OVERLAP_SEC = 600;   // re-read a little before the mark (explorer indexing lag)
+const maxRecordBytes = () => Number(process.env.ZEN_ACTIVITY_MAX_BYTES) || 4_000_000;
+
+const inflight = new Map(); // record key -> Promise<record>
+
+// Explorer records keep the bare address as key; other sources are namespaced
+const recordKey = (addr, source) => source === 'explorer' ? addr : `${source}:${addr}`;
+
+function highWater(rows, fallbackTs) {
+  let ts = fallbackTs, block = 0;
+  for (const r of rows) {
+    const t = Math.floor(Number(r.timeMs || 0) / 1000);
+    if (t > ts) ts = t;
+    if (Number(r.blockNumber || 0) > block) block = Number(r.blockNumber);
+  }
+  return { ts, block };
+}
+
+async function save(store, key, rec) {
+  const bytes = JSON.stringify(rec).length;
+  if (bytes <= maxRecordBytes()) await store.put(COLLECTION, key, rec);
+  else await store.put(COLLECTION, key, { v: RECORD_VERSION, address: rec.address, source: rec.source, tooLarge: true, bytes, syncedAt: rec.syncedAt });
+  return rec;
+}
+
+// -> the synced record, or null when the address has no record and `persist` is off
+async function sync(addr, start, force, source, persist) {
+  const store = getStore();
+  const key = recordKey(addr, source);
+  const fingerprint = getRules().fingerprint;
+  const now = Math.floor(Date.now() / 1000);
+
+  let rec = await store.get(COLLECTION, key);
+  if (!rec && !persist) return null;
+  // Rule or format changes invalidate stored classifications
+  if (rec && (rec.v !== RECORD_VERSION || rec.rules !== fingerprint || rec.tooLarge)) rec = null;
+
+  if (rec && start >= rec.from && !force && Date.now() - rec.syncedAt < FRESH_MS) return rec;
+
+  // A full build that hit fetch errors is redone rather than patched incrementally
+  if (!rec || start < rec.from || coverageHasErrors(rec.coverage)) {
+    const coverage = newCoverage();
+    const transfers = [];
+    const rows = await buildActivity({ address: addr, start, end: now, source, coverage, transfers });
+    rec = {
+      v: RECORD_VERSION, rules: fingerprint, address: addr, source, from: start, hw: highWater(rows, start),
+      syncedAt: Date.now(), coverage, tail: null, rows, transfers: mergeTransfers(transfers)
+    };
+    return save(store, key, rec);
+  }
+
+  const since = Math.max(rec.from, rec.hw.ts - OVERLAP_SEC);
+  const tail = newCoverage();
+  const transfers = [];
+  const fresh = await buildActivity({ address: addr, start: since, end: now, source, coverage: tail, transfers });
+  const rows = dedupeActivity([...fresh, ...rec.rows]);
+  // Keep the old mark after a failed incremental so the next sync re-reads the same range
+  const hw = coverageHasErrors(tail) ? rec.hw : highWater(rows, rec.hw.ts);
+  rec = { ...rec, hw, syncedAt: Date.now(), tail, rows, transfers: mergeTransfers(transfers, rec.transfers) };
+  return save(store, key, rec);
+}
+
+// Unstored lookup: just the window, straight from the source
+async function buildWindow({ addr, start, end, source, coverage, transfers }) {
+  const cov = newCoverage();
+  const moved = [];
+  const rows = await buildActivity({ address: addr, start, end, source, coverage: cov, transfers: moved });
+  if (coverage) Object.assign(coverage, mergeCoverage(cov));
+  if (transfers) transfers.push(...mergeTransfers(moved));
+  return rows;
+}
+
+// Sync (incrementally when possible) and return the classified rows for [start, end]
+// `coverage`, when given, is filled with the completeness report of the stored record;
+// `transfers` (array) receives the window's value movements used for flow accounting.
+// `persist` creates the record if there is none; without it an unstored wallet is built for the window.
+export async function getActivity({ address, start, end, force = false, source = 'explorer', coverage, transfers, persist = false }) {
+  const addr = String(address || '').toLowerCase();
+  const src = resolveSource(source);
+  if (!persist && !hasPersistentStore()) return buildWindow({ addr, start, end, source: src, coverage, transfers });
+  const key = recordKey(addr, src);
+  let p = inflight.get(key);
+  if (!p) {
+    p = sync(addr, start, force, src, persist).finally(() => inflight.delete(key));
+    inflight.set(key, p);
+  }
+  let rec = await p;
+  // A concurrent sync may have covered a later start than this caller needs, or (public caller
+  // first) found no record when this caller wants one
+  if (!rec && persist) rec = await sync(addr, start, force, src, persist);
+  if (!rec) return buildWindow({ addr, start, end, source: src, coverage, transfers });
+  if (start < rec.from) rec = await sync(addr, start, force, src, persist);
+
+  if (coverage) Object.assign(coverage, mergeCoverage(rec.coverage, rec.tail));
+  const lo = start * 1000, hi = end * 1000;
+  if (transfers) transfers.push(...rec.transfers.filter(t => t.timeMs >= lo && t.timeMs <= hi));
+  return rec.rows.filter(r => r.timeMs >= lo && r.timeMs <= hi);
+}
+
+// Stored sync state for an address (no rows), or null if never indexed
+export async function getSyncState(address) {
+  const rec = await getStore().get(COLLECTION, String(address || '').toLowerCase());
+  if (!rec) return null;
+  if (rec.tooLarge) return { address: rec.address, tooLarge: true, bytes: rec.bytes, syncedAt: rec.syncedAt, complete: false, rowCount: 0 };
+  const { rows, transfers, coverage, tail, ...state } = rec;
+  return { ...state, complete: mergeCoverage(coverage, tail).complete, rowCount: rows.length };
+}
+
+// Rows for [start, end] straight from the store, without touching the explorer.
+// Returns null when the address was never synced (or not back to `start`, or is too large to store).
+// `syncedTo` (unix seconds) is how far the record can be trusted: the last sync read up to its own
+// time, minus the explorer indexing lag the next sync re-reads. Callers needing the whole window
+// check `syncedTo >= end`; anything later than `syncedTo` is simply not in `rows` yet.
+export async function readStoredActivity({ address, start, end }) {
+  const rec = await getStore().get(COLLECTION, String(address || '').toLowerCase());
+  if (!rec || rec.tooLarge || rec.v !== RECORD_VERSION || rec.rules !== getRules().fingerprint || start < rec.from) return null;
+  const lo = start * 1000, hi = end * 1000;
+  const inWindow = (r) => r.timeMs >= lo && r.timeMs <= hi;
+  return {
+    syncedAt: rec.syncedAt,
+    syncedTo: Math.max(rec.hw.ts, Math.floor(rec.syncedAt / 1000) - OVERLAP_SEC),
+    coverage: mergeCoverage(rec.coverage, rec.tail),
+    rows: rec.rows.filter(inWindow),
+    transfers: rec.transfers.filter(inWindow)
+  };
+}
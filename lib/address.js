@@ -0,0 +1,32 @@
+// lib/address.js
+// Wallet input checks shared by the pages and the API routes (no Node-only imports).
+// A mixed-case address claims an EIP-55 checksum, so a mismatch means a mistyped character and is
+// rejected; all-lowercase or all-uppercase input carries no checksum and is accepted as-is.
+import { getAddress } from 'viem';
+
+const HEX_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+
+// ZenChain name-service domains, e.g. "alice.ztc" or "sub.alice.zen"
+export function looksLikeName(s) {
+  return /^([a-z0-9_-]+\.)+(ztc|zen)$/i.test(String(s || '').trim());
+}
+
+// Problem with an address string, or null if it is usable
+export function addressError(s) {
+  const a = String(s || '').trim();
+  if (!HEX_ADDRESS.test(a)) return 'not a 0x address (0x followed by 40 hex characters)';
+  const body = a.slice(2);
+  if (body !== body.toLowerCase() && body !== body.toUpperCase() && getAddress(a) !== a) {
+    return 'invalid EIP-55 checksum — a character was probably mistyped';
+  }
+  return null;
+}
+
+export function isValidAddress(s) {
+  return addressError(s) === null;
+}
+
+// EIP-55 form for display and exports
+export function checksummed(s) {
+  return getAddress(String(s).trim().toLowerCase());
+}
@@ -0,0 +1,108 @@
+// lib/botscore.js
+// Heuristic bot score (0-100) for one wallet from its outgoing native txs. Each signal scores 0..1
+// with a short explanation; the total is their weighted sum. Signals with too little data score 0.
+//   interval  metronome-like spacing between txs (low coefficient of variation)
+//   burst     share of txs sent within `burstSec` of the previous one
+//   calldata  one exact calldata repeated over and over
+//   gas       one hardcoded gas limit across different kinds of calls
+//   clock     active around the clock (no daily resting gap)
+
+export const BOT_WEIGHTS = { interval: 25, burst: 20, calldata: 20, gas: 15, clock: 20 };
+export const BOT_LEVELS = [[60, 'high'], [30, 'medium'], [0, 'low']];
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const round2 = (x) => Math.round(x * 100) / 100;
+
+function intervalSignal(times) {
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push((times[i] - times[i - 1]) / 1000);
+  if (gaps.length < 5) return { score: 0, detail: 'not enough txs' };
+  const mean = gaps.reduce((s, g) => s + g, 0) / gaps.length;
+  if (!mean) return { score: 1, detail: 'all txs in the same second' };
+  const sd = Math.sqrt(gaps.reduce((s, g) => s + (g - mean) ** 2, 0) / gaps.length);
+  const cv = sd / mean;
+  // cv <= 0.1 is clockwork, >= 1 is ordinary human irregularity
+  return { score: round2(clamp01((1 - cv) / 0.9)), detail: `${gaps.length} gaps, mean ${Math.round(mean)}s, variation ${round2(cv)}` };
+}
+
+function burstSignal(times, burstSec) {
+  if (times.length < 5) return { score: 0, detail: 'not enough txs', hits: [] };
+  const hits = [];
+  for (let i = 1; i < times.length; i++) if (times[i] - times[i - 1] <= burstSec * 1000) hits.push(i);
+  const share = hits.length / (times.length - 1);
+  return { score: round2(clamp01(share / 0.5)), detail: `${hits.length} of ${times.length - 1} txs within ${burstSec}s of the previous`, hits };
+}
+
+function topShare(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null, n = 0;
+  for (const [v, c] of counts) if (c > n) { best = v; n = c; }
+  return { value: best, count: n, share: values.length ? n / values.length : 0 };
+}
+
+function calldataSignal(rows) {
+  const hashes = rows.map(r => r.inputHash).filter(Boolean);
+  if (hashes.length < 10) return { score: 0, detail: 'fewer than 10 contract calls' };
+  const top = topShare(hashes);
+  // Repeating the same call is normal for a few (daily GM); identical bytes for most of the history isn't
+  return { score: round2(clamp01((top.share - 0.3) / 0.6)), detail: `${top.count} of ${hashes.length} calls carry identical calldata` };
+}
+
+function gasSignal(rows) {
+  const withGas = rows.filter(r => r.gasLimit && r.selector);
+  const selectors = new Set(withGas.map(r => r.selector));
+  if (withGas.length < 10 || selectors.size < 2) return { score: 0, detail: 'not enough varied calls' };
+  const top = topShare(withGas.map(r => r.gasLimit));
+  // Wallet estimates differ per call type; one limit across several kinds of call is hardcoded
+  const kinds = new Set(withGas.filter(r => r.gasLimit === top.value).map(r => r.selector)).size;
+  if (kinds < 2) return { score: 0, detail: `gas limits vary by call (${selectors.size} call types)` };
+  return { score: round2(clamp01((top.share - 0.4) / 0.5)), detail: `gas limit ${top.value} on ${top.count} of ${withGas.length} txs across ${kinds} call types` };
+}
+
+function clockSignal(times) {
+  const days = new Set(times.map(t => Math.floor(t / 86_400_000)));
+  if (times.length < 20 || days.size < 2) return { score: 0, detail: 'not enough days of activity' };
+  const hours = [...new Set(times.map(t => new Date(t).getUTCHours()))].sort((a, b) => a - b);
+  // Longest run of UTC hours (circular) with no tx at all
+  let gap = 24 - hours[hours.length - 1] + hours[0] - 1;
+  for (let i = 1; i < hours.length; i++) gap = Math.max(gap, hours[i] - hours[i - 1] - 1);
+  // A human leaves >= 6 quiet hours; <= 1 means active around the clock
+  return { score: round2(clamp01((6 - gap) / 5)), detail: `active in ${hours.length}/24 UTC hours, longest quiet stretch ${gap}h` };
+}
+
+// activity: classified rows for one wallet. Returns { score, level, txCount, signals, flagged }
+// where flagged are the hashes of burst txs (for highlighting).
+export function computeBotScore(activity, { burstSec = 5 } = {}) {
+  const rows = (activity || [])
+    .filter(r => r.kind === 'native' && r.direction === 'out')
+    .sort((a, b) => a.timeMs - b.timeMs);
+  const times = rows.map(r => r.timeMs);
+
+  const burst = burstSignal(times, burstSec);
+  const parts = {
+    interval: intervalSignal(times),
+    burst,
+    calldata: calldataSignal(rows),
+    gas: gasSignal(rows),
+    clock: clockSignal(times)
+  };
+
+  let score = 0;
+  const signals = Object.entries(parts).map(([key, p]) => {
+    score += p.score * BOT_WEIGHTS[key];
+    return { key, score: p.score, weight: BOT_WEIGHTS[key], detail: p.detail };
+  });
+  score = Math.round(score);
+
+  const flagged = new Set();
+  for (const i of burst.hits) { flagged.add(rows[i].hash); flagged.add(rows[i - 1].hash); }
+
+  return {
+    score,
+    level: BOT_LEVELS.find(([min]) => score >= min)[1],
+    txCount: rows.length,
+    signals,
+    flagged: [...flagged]
+  };
+}
@@ -0,0 +1,165 @@
+// lib/campaigns.js
+import crypto from 'crypto';
+import { getStore } from './store';
+import { getRules } from './rules';
+import { CATEGORIES } from './counts';
+import { resolveTimeZone } from './streaks';
+import { validateEligibility } from './eligibility';
+import { DEFAULT_TIERS, DEFAULT_REWARD_TOKEN, validateTiers } from './rewards';
+
+// Named, versioned campaign definitions (what the admin page used to keep only in React state).
+// Every save writes an immutable version; the head record points at the latest one. Windows are
+// absolute and the classification-rules fingerprint is recorded, so old versions rerun the same way.
+const COLLECTION = 'campaigns';          // id -> head { id, name, version, createdAt, updatedAt }
+const VERSIONS = 'campaign_versions';   // `${id}@${version}` -> full definition
+
+const FIELDS = new Set([
+  'name', 'description', 'window', 'thresholds', 'minTotal', 'minActiveDays', 'minStreak', 'tz',
+  'leniency', 'maxBotScore', 'groupByDiscord', 'participants', 'tiers', 'eligibility', 'reward'
+]);
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+// Human-readable problems with a campaign definition; empty means it can be saved
+export function validateCampaign(c) {
+  const errors = [];
+  if (!c || typeof c !== 'object' || Array.isArray(c)) return ['Campaign must be an object'];
+  for (const k of Object.keys(c)) if (!FIELDS.has(k)) errors.push(`unknown field "${k}"`);
+
+  if (typeof c.name !== 'string' || !c.name.trim()) errors.push('name is required');
+  const w = c.window;
+  if (!w || !Number.isFinite(Number(w.start)) || !Number.isFinite(Number(w.end))) {
+    errors.push('window must have numeric start and end (unix seconds)');
+  } else if (Number(w.start) >= Number(w.end)) {
+    errors.push('window start must be before end');
+  }
+  for (const [cat, v] of Object.entries(c.thresholds || {})) {
+    if (!CATEGORIES.includes(cat)) errors.push(`thresholds: unknown category "${cat}"`);
+    else if (!isNonNegative(v)) errors.push(`thresholds.${cat} must be a non-negative number`);
+  }
+  for (const k of ['minTotal', 'minActiveDays', 'minStreak', 'leniency']) {
+    if (c[k] != null && !isNonNegative(c[k])) errors.push(`${k} must be a non-negative number`);
+  }
+  if (c.maxBotScore != null && !(isNonNegative(c.maxBotScore) && c.maxBotScore <= 100)) errors.push('maxBotScore must be 0-100');
+  if (c.groupByDiscord != null && typeof c.groupByDiscord !== 'boolean') errors.push('groupByDiscord must be a boolean');
+  if (c.tz != null) {
+    try { resolveTimeZone(c.tz); } catch (e) { errors.push(e.message); }
+  }
+  if (c.eligibility != null) {
+    if (typeof c.eligibility !== 'string') errors.push('eligibility must be a string');
+    else validateEligibility(c.eligibility).forEach(e => errors.push(`eligibility ${e}`));
+  }
+  const p = c.participants;
+  if (p != null && (typeof p !== 'object' || (p.sheetUrl != null && typeof p.sheetUrl !== 'string') || (p.csv != null && typeof p.csv !== 'string'))) {
+    errors.push('participants must be { sheetUrl?, csv?, columns? }');
+  } else if (p?.columns != null) {
+    const k = p.columns;
+    const idx = (n) => Number.isInteger(n) && n >= 0;
+    if (typeof k !== 'object' || !idx(k.discord) || !idx(k.wallet) || (k.extras != null && !(Array.isArray(k.extras) && k.extras.every(idx)))) {
+      errors.push('participants.columns must be { header, discord, wallet, extras: [] } with column indexes');
+    }
+  }
+  const r = c.reward;
+  if (r != null) {
+    if (typeof r !== 'object' || Array.isArray(r)) errors.push('reward must be { symbol, decimals, address? }');
+    else if (r.address != null && !/^0x[a-fA-F0-9]{40}$/.test(String(r.address))) errors.push('reward.address must be a token address (or null for native ZTC)');
+  }
+  if (c.tiers != null) validateTiers(c.tiers, { ...DEFAULT_REWARD_TOKEN, ...(r || {}) }).forEach(e => errors.push(e));
+  return errors;
+}
+
+// Fill defaults so every stored version is complete on its own
+function normalize(c) {
+  const thresholds = {};
+  CATEGORIES.forEach(cat => (thresholds[cat] = Number(c.thresholds?.[cat] || 0)));
+  return {
+    name: c.name.trim(),
+    description: String(c.description || ''),
+    window: { start: Math.floor(Number(c.window.start)), end: Math.floor(Number(c.window.end)) },
+    thresholds,
+    minTotal: Number(c.minTotal || 0),
+    minActiveDays: Number(c.minActiveDays || 0),
+    minStreak: Number(c.minStreak || 0),
+    tz: c.tz || 'UTC',
+    leniency: Number(c.leniency || 0),
+    maxBotScore: c.maxBotScore == null ? 100 : Number(c.maxBotScore),
+    groupByDiscord: c.groupByDiscord !== false,
+    eligibility: String(c.eligibility || ''),
+    reward: {
+      symbol: String(c.reward?.symbol || DEFAULT_REWARD_TOKEN.symbol),
+      decimals: Number(c.reward?.decimals ?? DEFAULT_REWARD_TOKEN.decimals),
+      address: c.reward?.address ? String(c.reward.address).toLowerCase() : null
+    },
+    participants: {
+      sheetUrl: String(c.participants?.sheetUrl || ''),
+      csv: String(c.participants?.csv || ''),
+      // Column mapping of the import step; null = guessed from the header
+      columns: c.participants?.columns
+        ? { header: !!c.participants.columns.header, discord: c.participants.columns.discord, wallet: c.participants.columns.wallet, extras: c.participants.columns.extras || [] }
+        : null
+    },
+    tiers: (c.tiers || DEFAULT_TIERS).map(t => ({ ...t, name: t.name.trim(), maxMissed: Number(t.maxMissed) }))
+  };
+}
+
+function slug(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'campaign';
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+async function writeVersion(head, definition, extra = {}) {
+  const store = getStore();
+  const version = {
+    ...definition,
+    id: head.id,
+    version: head.version,
+    savedAt: head.updatedAt,
+    rulesFingerprint: getRules().fingerprint,
+    ...extra
+  };
+  await store.put(VERSIONS, `${head.id}@${head.version}`, version);
+  await store.put(COLLECTION, head.id, head);
+  return version;
+}
+
+export async function listCampaigns() {
+  const store = getStore();
+  const heads = (await Promise.all((await store.list(COLLECTION)).map(k => store.get(COLLECTION, k)))).filter(Boolean);
+  return heads.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Latest version, or a specific one; null when unknown
+export async function getCampaign(id, version) {
+  const store = getStore();
+  const head = await store.get(COLLECTION, String(id));
+  if (!head) return null;
+  const v = version == null ? head.version : Math.floor(Number(version));
+  const doc = await store.get(VERSIONS, `${head.id}@${v}`);
+  if (!doc) return null;
+  return { ...doc, latestVersion: head.version };
+}
+
+// Callers validate first (validateCampaign)
+export async function createCampaign(input, extra = {}) {
+  const definition = normalize(input);
+  const now = Date.now();
+  const head = { id: slug(definition.name), name: definition.name, version: 1, createdAt: now, updatedAt: now };
+  return writeVersion(head, definition, extra);
+}
+
+// New version on top of the latest; earlier versions are left untouched
+export async function updateCampaign(id, input) {
+  const store = getStore();
+  const head = await store.get(COLLECTION, String(id));
+  if (!head) return null;
+  const definition = normalize(input);
+  const next = { ...head, name: definition.name, version: head.version + 1, updatedAt: Date.now() };
+  return writeVersion(next, definition);
+}
+
+// Copy of a version (latest by default) as a new campaign
+export async function cloneCampaign(id, { version, name } = {}) {
+  const src = await getCampaign(id, version);
+  if (!src) return null;
+  const { id: _id, version: v, savedAt, rulesFingerprint, latestVersion, clonedFrom, ...definition } = src;
+  return createCampaign({ ...definition, name: name || `${src.name} (copy)` }, { clonedFrom: { id: src.id, version: v } });
+}
@@ -0,0 +1,14 @@
+// lib/chain.js
+import { createPublicClient, http } from 'viem';
+
+// Explorer + RPC (the explorer API and RPC can be pointed elsewhere, e.g. local stand-ins in tests)
+export const EXPLORER_BASE = 'https://zentrace.io';
+export const API_BASE = process.env.ZEN_EXPLORER_API_URL || `${EXPLORER_BASE}/api`;
+export const RPC = process.env.ZEN_RPC_URL || 'https://zenchain-testnet.api.onfinality.io/public';
+export const CHAIN_ID = Number(process.env.ZEN_CHAIN_ID || 8408); // ZenChain testnet
+// ENS-style registry of the ZenChain name service (.ztc / .zen). There is no default: name resolution
+// stays off until it is set, and the wallet page says so
+export const NS_REGISTRY = process.env.ZEN_NS_REGISTRY || '';
+
+// viem client
+export const client = createPublicClient({ transport: http(RPC) });
@@ -0,0 +1,43 @@
+// lib/counts.js
+// Shared by the admin page (browser) and server routes: keep free of Node-only imports.
+import { activeDaySets } from './streaks';
+
+// Prize categories (cco merged into cc, ci ignored; approve is display-only on main site)
+export const CATEGORIES = [
+  'stake',
+  'native_send',
+  'nft_mint',
+  'domain_mint',
+  'gm',
+  'cc',
+  'swap',
+  'add_liquidity',
+  'remove_liquidity',
+  'bridge',
+];
+
+// Merge 'cco' -> 'cc', ignore 'ci'
+export function canonicalizeCategory(c) {
+  if (c === 'cco') return 'cc';
+  if (c === 'ci') return null;
+  return c;
+}
+
+// Count per category from activity (OUTGOING external native only, exclude fails)
+// This matches the main site's KPIs logic coming from buildStats.
+// `days` = active day keys in tz, so groups of wallets can union them before computing streaks.
+export function computeCounts(activity, { tz = 'UTC' } = {}) {
+  const extOut = (Array.isArray(activity) ? activity : [])
+    .filter(r => r.kind === 'native' && r.direction === 'out' && r.category !== 'fail');
+  const counts = {};
+  CATEGORIES.forEach(c => (counts[c] = 0));
+  for (const r of extOut) {
+    const c0 = canonicalizeCategory(r.category);
+    if (!c0) continue; // ignore ci/null
+    if (counts[c0] == null) counts[c0] = 0;
+    counts[c0] += 1;
+  }
+  const total = extOut.length; // total = only outgoing external native
+  const days = [...activeDaySets(extOut, tz).all].sort();
+  return { counts, total, days };
+}
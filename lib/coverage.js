@@ -0,0 +1,71 @@
+// lib/coverage.js
+// Completeness report for a built activity set. Shared by the API and the pages (no Node-only imports).
+//   feeds:     per explorer action { pages, reachedStart, capped, errors[], unsupported?, limits? }
+//              limits: what the source can't see by design (RPC), reported without making it partial
+//   hydration: externals rebuilt from other feeds { requested, dropped (over cap), failed }
+//   receipts:  lookups for mint/deploy/native_send promotion { requested, skipped (over cap), failed }
+
+export function newCoverage() {
+  return {
+    complete: true,
+    feeds: {},
+    hydration: { requested: 0, dropped: 0, failed: 0 },
+    receipts: { requested: 0, skipped: 0, failed: 0 }
+  };
+}
+
+// Feeds a source cannot serve at all (`unsupported`) are reported but don't make a result partial
+export function finalizeCoverage(c) {
+  const feedsOk = Object.values(c.feeds).every(f => f.unsupported || (f.reachedStart && !f.errors?.length));
+  c.complete = feedsOk &&
+    !c.hydration.dropped && !c.hydration.failed &&
+    !c.receipts.skipped && !c.receipts.failed;
+  return c;
+}
+
+// Combine reports (successive syncs of one wallet, or several wallets)
+export function mergeCoverage(...list) {
+  const out = newCoverage();
+  for (const c of list) {
+    if (!c) continue;
+    for (const [k, f] of Object.entries(c.feeds || {})) {
+      const o = out.feeds[k] || (out.feeds[k] = { pages: 0, reachedStart: true, capped: false, errors: [] });
+      o.pages += Number(f.pages || 0);
+      o.reachedStart = o.reachedStart && !!f.reachedStart;
+      o.capped = o.capped || !!f.capped;
+      o.errors.push(...(f.errors || []));
+      if (f.unsupported) o.unsupported = true;
+      if (f.limits?.length) o.limits = [...new Set([...(o.limits || []), ...f.limits])];
+    }
+    for (const k of Object.keys(out.hydration)) out.hydration[k] += Number(c.hydration?.[k] || 0);
+    for (const k of Object.keys(out.receipts)) out.receipts[k] += Number(c.receipts?.[k] || 0);
+  }
+  return finalizeCoverage(out);
+}
+
+// True when any feed hit a fetch error (worth retrying), as opposed to deterministic caps
+export function coverageHasErrors(c) {
+  return Object.values(c?.feeds || {}).some(f => f.errors?.length);
+}
+
+// Known blind spots of the source, e.g. "txlist: incoming plain ZTC transfers are not visible over RPC"
+export function coverageLimits(c) {
+  return [...new Set(Object.entries(c?.feeds || {}).flatMap(([k, f]) => (f.limits || []).map(l => `${k}: ${l}`)))];
+}
+
+// Short human-readable reasons a report is partial (empty when complete)
+export function describeCoverage(c) {
+  if (!c) return [];
+  const out = [];
+  for (const [k, f] of Object.entries(c.feeds || {})) {
+    if (f.unsupported) out.push(`${k}: not available from this source`);
+    else if (f.errors?.length) out.push(`${k}: ${f.errors.length} fetch error(s) after ${f.pages} page(s)`);
+    else if (f.capped) out.push(`${k}: page cap hit after ${f.pages} page(s)`);
+    else if (!f.reachedStart) out.push(`${k}: window start not reached`);
+  }
+  if (c.hydration?.dropped) out.push(`${c.hydration.dropped} tx(s) not hydrated (cap)`);
+  if (c.hydration?.failed) out.push(`${c.hydration.failed} tx(s) failed to hydrate`);
+  if (c.receipts?.skipped) out.push(`${c.receipts.skipped} receipt(s) skipped (cap)`);
+  if (c.receipts?.failed) out.push(`${c.receipts.failed} receipt(s) failed`);
+  return out;
+}
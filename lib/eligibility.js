@@ -0,0 +1,239 @@
+// lib/eligibility.js
+// Small rule language for campaign eligibility, evaluated the same way by the admin page and the
+// server (no Node-only imports). One rule per line, optionally named; each failing rule is a missed part.
+//
+//   gm >= 3
+//   defi: swap >= 5 or add_liquidity >= 5
+//   variety: any(3, gm >= 1, swap >= 1, stake >= 1, nft_mint >= 1, cc >= 1)
+//   points: gm + 2 * cap(swap, 10) + 3 * min(stake, 5) >= 20
+//   # comments and blank lines are ignored
+//
+// Variables: the prize categories, total, active_days, streak (longest). Numbers, + - * /,
+// comparisons (>= > <= < == !=), and / or / not, parentheses, and the functions
+//   min(a, b, ...)  max(a, b, ...)  cap(x, n)  count(cond, ...)  any(n, cond, ...)  all(cond, ...)
+import { CATEGORIES } from './counts';
+
+export const ELIGIBILITY_VARIABLES = [...CATEGORIES, 'total', 'active_days', 'streak'];
+const KEYWORDS = new Set(['and', 'or', 'not']);
+const FUNCTIONS = {
+  min: { args: 'num', min: 1, type: 'num' },
+  max: { args: 'num', min: 1, type: 'num' },
+  cap: { args: 'num', min: 2, max: 2, type: 'num' },
+  count: { args: 'bool', min: 1, type: 'num' },
+  any: { args: 'num,bool', min: 2, type: 'bool' },
+  all: { args: 'bool', min: 1, type: 'bool' }
+};
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|==|!=|&&|\|\||[-+*/(),<>!]))/y;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`unexpected "${src.slice(pos).trim()[0]}" at column ${pos + 1}`);
+    pos = re.lastIndex;
+    if (m[1] != null) tokens.push({ t: 'num', v: Number(m[1]) });
+    else if (m[2] != null) {
+      const w = m[2].toLowerCase();
+      tokens.push(KEYWORDS.has(w) ? { t: 'op', v: w } : { t: 'id', v: w });
+    } else {
+      // C-style spellings are accepted as aliases
+      const op = { '&&': 'and', '||': 'or', '!': 'not' }[m[3]] || m[3];
+      tokens.push({ t: 'op', v: op });
+    }
+  }
+  return tokens;
+}
+
+// Recursive descent; every node carries its type ('num' | 'bool') so mistakes fail at parse time
+function parseExpression(src) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.t === 'op' && peek().v === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`expected "${v}"${peek() ? ` but found "${peek().v}"` : ' at end'}`);
+    i++;
+  };
+  const need = (node, type, what) => {
+    if (node.type !== type) throw new Error(`${what} must be ${type === 'num' ? 'a number' : 'a condition'}`);
+    return node;
+  };
+
+  function orExpr() {
+    let left = andExpr();
+    while (isOp('or')) {
+      i++;
+      left = { k: 'or', a: need(left, 'bool', '"or" operand'), b: need(andExpr(), 'bool', '"or" operand'), type: 'bool' };
+    }
+    return left;
+  }
+  function andExpr() {
+    let left = notExpr();
+    while (isOp('and')) {
+      i++;
+      left = { k: 'and', a: need(left, 'bool', '"and" operand'), b: need(notExpr(), 'bool', '"and" operand'), type: 'bool' };
+    }
+    return left;
+  }
+  function notExpr() {
+    if (isOp('not')) { i++; return { k: 'not', a: need(notExpr(), 'bool', '"not" operand'), type: 'bool' }; }
+    return cmpExpr();
+  }
+  function cmpExpr() {
+    const left = sumExpr();
+    const op = peek();
+    if (op?.t === 'op' && ['>=', '>', '<=', '<', '==', '!='].includes(op.v)) {
+      i++;
+      return { k: 'cmp', op: op.v, a: need(left, 'num', 'comparison operand'), b: need(sumExpr(), 'num', 'comparison operand'), type: 'bool' };
+    }
+    return left;
+  }
+  function sumExpr() {
+    let left = termExpr();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[i++].v;
+      left = { k: 'arith', op, a: need(left, 'num', `"${op}" operand`), b: need(termExpr(), 'num', `"${op}" operand`), type: 'num' };
+    }
+    return left;
+  }
+  function termExpr() {
+    let left = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[i++].v;
+      left = { k: 'arith', op, a: need(left, 'num', `"${op}" operand`), b: need(unary(), 'num', `"${op}" operand`), type: 'num' };
+    }
+    return left;
+  }
+  function unary() {
+    const tok = peek();
+    if (!tok) throw new Error('unexpected end of rule');
+    if (tok.t === 'num') { i++; return { k: 'num', v: tok.v, type: 'num' }; }
+    if (isOp('-')) { i++; return { k: 'arith', op: '-', a: { k: 'num', v: 0, type: 'num' }, b: need(unary(), 'num', 'negation'), type: 'num' }; }
+    if (isOp('(')) {
+      i++;
+      const inner = orExpr();
+      expect(')');
+      return inner;
+    }
+    if (tok.t === 'id') {
+      i++;
+      if (isOp('(')) return call(tok.v);
+      if (tok.v === 'cco') return { k: 'var', v: 'cc', type: 'num' }; // same merge as computeCounts
+      if (!ELIGIBILITY_VARIABLES.includes(tok.v)) throw new Error(`unknown variable "${tok.v}"`);
+      return { k: 'var', v: tok.v, type: 'num' };
+    }
+    throw new Error(`unexpected "${tok.v}"`);
+  }
+  function call(name) {
+    const fn = FUNCTIONS[name];
+    if (!fn) throw new Error(`unknown function "${name}"`);
+    expect('(');
+    const args = [];
+    if (!isOp(')')) {
+      args.push(orExpr());
+      while (isOp(',')) { i++; args.push(orExpr()); }
+    }
+    expect(')');
+    if (args.length < fn.min || (fn.max && args.length > fn.max)) throw new Error(`${name}() takes ${fn.max === fn.min ? fn.min : `at least ${fn.min}`} argument(s)`);
+    args.forEach((a, n) => {
+      const type = fn.args === 'num,bool' ? (n === 0 ? 'num' : 'bool') : fn.args;
+      need(a, type, `${name}() argument ${n + 1}`);
+    });
+    return { k: 'call', fn: name, args, type: fn.type };
+  }
+
+  const node = orExpr();
+  if (i < tokens.length) throw new Error(`unexpected "${tokens[i].v}"`);
+  return node;
+}
+
+// src: the whole program. Returns { rules: [{ name, src, ast }], errors: ['line N: ...'] }
+export function parseEligibility(src) {
+  const rules = [];
+  const errors = [];
+  const names = new Set();
+  String(src || '').split(/\r?\n/).forEach((raw, n) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const m = line.match(/^([A-Za-z_][A-Za-z0-9_ -]*?)\s*:\s*(.+)$/);
+    const name = m ? m[1].trim() : `rule ${rules.length + 1}`;
+    const expr = m ? m[2] : line;
+    try {
+      const ast = parseExpression(expr);
+      if (ast.type !== 'bool') throw new Error('a rule must be a condition (e.g. "swap >= 5")');
+      if (names.has(name)) throw new Error(`duplicate rule name "${name}"`);
+      names.add(name);
+      rules.push({ name, src: expr.trim(), ast });
+    } catch (e) {
+      errors.push(`line ${n + 1}: ${e.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+export function validateEligibility(src) {
+  return parseEligibility(src).errors;
+}
+
+// Single expressions outside a program: a condition (tier criteria) or a number (pro-rata weights)
+export function parseCondition(src) {
+  const ast = parseExpression(String(src || ''));
+  if (ast.type !== 'bool') throw new Error('must be a condition (e.g. "total >= 50")');
+  return ast;
+}
+export function parseValue(src) {
+  const ast = parseExpression(String(src || ''));
+  if (ast.type !== 'num') throw new Error('must be a number (e.g. "total" or "gm + 2 * swap")');
+  return ast;
+}
+
+function evalNode(node, vars) {
+  switch (node.k) {
+    case 'num': return node.v;
+    case 'var': return Number(vars[node.v] || 0);
+    case 'not': return !evalNode(node.a, vars);
+    case 'and': return evalNode(node.a, vars) && evalNode(node.b, vars);
+    case 'or': return evalNode(node.a, vars) || evalNode(node.b, vars);
+    case 'arith': {
+      const a = evalNode(node.a, vars), b = evalNode(node.b, vars);
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      return b === 0 ? 0 : a / b;
+    }
+    case 'cmp': {
+      const a = evalNode(node.a, vars), b = evalNode(node.b, vars);
+      return { '>=': a >= b, '>': a > b, '<=': a <= b, '<': a < b, '==': a === b, '!=': a !== b }[node.op];
+    }
+    case 'call': {
+      const vals = node.args.map(x => evalNode(x, vars));
+      if (node.fn === 'min') return Math.min(...vals);
+      if (node.fn === 'max') return Math.max(...vals);
+      if (node.fn === 'cap') return Math.min(vals[0], vals[1]);
+      if (node.fn === 'count') return vals.filter(Boolean).length;
+      if (node.fn === 'all') return vals.every(Boolean);
+      return vals.slice(1).filter(Boolean).length >= vals[0]; // any(n, ...)
+    }
+    default: throw new Error(`bad node ${node.k}`);
+  }
+}
+
+// Variables for one participant (counts are already summed across a Discord's wallets)
+export function eligibilityVars({ counts, total, activeDays, longestStreak }) {
+  const vars = { total: Number(total || 0), active_days: Number(activeDays || 0), streak: Number(longestStreak || 0) };
+  for (const c of CATEGORIES) vars[c] = Number(counts?.[c] || 0);
+  return vars;
+}
+
+export function evaluateExpression(ast, vars) {
+  return evalNode(ast, vars);
+}
+
+// program: parseEligibility output (or source text). -> [{ name, src, pass }]
+export function evaluateEligibility(program, vars) {
+  const { rules } = typeof program === 'string' ? parseEligibility(program) : program;
+  return rules.map(r => ({ name: r.name, src: r.src, pass: !!evalNode(r.ast, vars) }));
+}
@@ -0,0 +1,101 @@
+// lib/explain.js
+// Per-transaction explanation of a participant's counts, for answering disputes: which txs counted,
+// which classification rule fired, and why the rest didn't count. No Node-only imports.
+import { CATEGORIES, canonicalizeCategory } from './counts';
+
+// Row `reason` codes set during classification (lib/shared.js)
+export const REASON_LABELS = {
+  failed: 'failed tx',
+  contract: 'contract list',
+  feed_mint: 'feed mint',
+  selector: 'selector',
+  function_name: 'function name',
+  deploy_hint: 'deploy detection (internals)',
+  receipt_mint: 'receipt promotion (mint)',
+  receipt_deploy: 'deploy detection (receipt)',
+  receipt_bridge: 'receipt promotion (bridge event)',
+  receipt_send: 'receipt promotion (plain send)',
+  bridge_credit: 'bridge credit',
+  unmatched: 'no rule matched'
+};
+
+// Why a row doesn't count toward a prize category; null when it does.
+// Same rules as computeCounts: outgoing external native txs that didn't fail.
+export function exclusionOf(r) {
+  if (r.kind !== 'native') return r.kind === 'internal' ? 'non-native (internal transfer)' : 'non-native (token transfer)';
+  if (r.direction !== 'out') return 'incoming';
+  if (r.category === 'fail') return 'failed';
+  const c = canonicalizeCategory(r.category);
+  if (!c) return `ignored category "${r.category}" (total only)`;
+  if (!CATEGORIES.includes(c)) return `"${c}" is not a prize category (total only)`;
+  return null;
+}
+
+// rows: classified activity for one wallet -> one entry per row, oldest first
+export function explainActivity(rows, wallet) {
+  return (rows || [])
+    .slice()
+    .sort((a, b) => a.timeMs - b.timeMs)
+    .map(r => ({
+      wallet,
+      hash: r.hash,
+      timeMs: r.timeMs,
+      kind: r.kind,
+      direction: r.direction,
+      category: canonicalizeCategory(r.category) ?? r.category,
+      inTotal: r.kind === 'native' && r.direction === 'out' && r.category !== 'fail',
+      excluded: exclusionOf(r),
+      reason: r.kind === 'native' ? r.reason || null : null,
+      reasonDetail: r.kind === 'native' ? r.reasonDetail || '' : ''
+    }));
+}
+
+const shortHash = (h) => `${String(h).slice(0, 10)}…${String(h).slice(-6)}`;
+const isoMinute = (ms) => new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+
+// Plain-text report to paste into a Discord ticket.
+// entries: explainActivity output across the participant's wallets; outcome: the admin row
+export function disputeReport({ discord, window, tz, wallets, entries, outcome }) {
+  const lines = [];
+  lines.push(`**Activity report: ${discord}**`);
+  lines.push(`Window: ${isoMinute(window.start * 1000)} → ${isoMinute(window.end * 1000)} UTC (days cut in ${tz || 'UTC'})`);
+  lines.push(`Wallets: ${wallets.join(', ')}`);
+  if (outcome) {
+    const counts = CATEGORIES.filter(c => outcome.counts?.[c]).map(c => `${c} ${outcome.counts[c]}`).join(' • ') || 'none';
+    lines.push(`Counts: ${counts} | total ${outcome.total || 0} | active days ${outcome.activeDays || 0}, longest streak ${outcome.longestStreak || 0}`);
+    if (outcome.disqualified) lines.push(`Result: disqualified (${outcome.disqualified}${outcome.botScore != null ? `, bot score ${outcome.botScore}` : ''})`);
+    else lines.push(`Result: missed ${outcome.missedParts ?? '?'} part(s)${outcome.missedCats?.length ? ` (${outcome.missedCats.join(', ')})` : ''}`);
+  }
+
+  const counted = entries.filter(e => !e.excluded);
+  const totalOnly = entries.filter(e => e.inTotal && e.excluded);
+  const failed = entries.filter(e => e.excluded === 'failed' && e.kind === 'native' && e.direction === 'out');
+  const rule = (e) => {
+    if (!e.reason) return '';
+    const label = REASON_LABELS[e.reason] || e.reason;
+    return e.reasonDetail && e.reasonDetail !== label ? `${label}: ${e.reasonDetail}` : label;
+  };
+
+  lines.push('');
+  lines.push(`Counted (${counted.length}):`);
+  lines.push('```');
+  for (const e of counted) lines.push(`${isoMinute(e.timeMs)}  ${shortHash(e.hash)}  ${e.category.padEnd(16)} ${rule(e)}`);
+  if (!counted.length) lines.push('(none)');
+  lines.push('```');
+  if (totalOnly.length) {
+    lines.push(`Counted toward total only (${totalOnly.length}):`);
+    lines.push('```');
+    for (const e of totalOnly) lines.push(`${isoMinute(e.timeMs)}  ${shortHash(e.hash)}  ${e.category.padEnd(16)} ${rule(e)}`);
+    lines.push('```');
+  }
+  if (failed.length) {
+    lines.push(`Not counted, failed (${failed.length}):`);
+    lines.push('```');
+    for (const e of failed) lines.push(`${isoMinute(e.timeMs)}  ${shortHash(e.hash)}`);
+    lines.push('```');
+  }
+  const incoming = entries.filter(e => e.excluded === 'incoming').length;
+  const nonNative = entries.filter(e => e.kind !== 'native').length;
+  if (incoming || nonNative) lines.push(`Not counted: ${incoming} incoming tx(s), ${nonNative} internal/token transfer(s). Only outgoing transactions sent by the wallet count.`);
+  return lines.join('\n');
+}
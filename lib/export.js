@@ -0,0 +1,117 @@
+// lib/export.js
+// Activity rows as downloadable CSV / JSON / NDJSON (the wallet report's Export button and
+// /api/activity?format=...). Only serialization is streamed: the caller has already built the whole
+// window's rows in memory. Output is written to the response in batches, honoring backpressure, so
+// the serialized file is never one giant string, and writing stops as soon as the client goes away.
+// Because the rows are in memory anyway, an export is capped at EXPORT_MAX_ROWS rows (after the
+// category/direction filters); larger ones are refused with 413 and must be split into shorter windows.
+
+export const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  json: { type: 'application/json; charset=utf-8', ext: 'json' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' }
+};
+
+// Column order of the CSV; also the key order of JSON/NDJSON records
+export const EXPORT_FIELDS = [
+  'wallet', 'hash', 'block', 'time_iso', 'time_epoch',
+  'kind', 'standard', 'category', 'direction', 'from', 'to',
+  'value', 'amount', 'symbol', 'token_id', 'contract',
+  'bridge_direction', 'bridge_amount', 'bridge_symbol',
+  'fee', 'gas_used', 'self_transfer'
+];
+
+const BATCH = 500; // rows per write
+export const EXPORT_MAX_ROWS = 100_000;
+
+// `category=stake,swap` / `direction=out` (comma lists, 'all' or empty = no filter), like the table filters
+export function parseExportFilters(q) {
+  const list = (v) => {
+    const xs = String(v || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    return xs.length && !xs.includes('all') ? new Set(xs) : null;
+  };
+  return { category: list(q?.category), direction: list(q?.direction) };
+}
+
+export function filterRows(rows, { category, direction }) {
+  return rows.filter(r =>
+    (!category || category.has(r.category || 'other')) &&
+    (!direction || direction.has(r.direction || '')));
+}
+
+// Activity row -> flat export record (every field present, '' when it doesn't apply)
+export function exportRecord(r, wallet) {
+  const ms = Number(r.timeMs || 0);
+  return {
+    wallet: r.wallet || wallet || '',
+    hash: r.hash || '',
+    block: r.blockNumber || '',
+    time_iso: ms ? new Date(ms).toISOString() : '',
+    time_epoch: ms ? Math.floor(ms / 1000) : '',
+    kind: r.kind || '',
+    standard: r.standard || '',
+    category: r.category || 'other',
+    direction: r.direction || '',
+    from: r.from || '',
+    to: r.to || '',
+    value: r.kind === 'native' || r.kind === 'internal' ? (r.value ?? '0') : '',
+    amount: r.standard === 'erc20' ? (r.amount ?? '0') : '',
+    symbol: r.kind === 'token' ? (r.symbol || '') : (r.kind ? 'ZTC' : ''),
+    token_id: r.tokenId ?? '',
+    contract: r.contract || '',
+    bridge_direction: r.bridgeDirection || '',
+    bridge_amount: r.bridgeAmount ?? '',
+    bridge_symbol: r.bridgeSymbol || '',
+    fee: r.fee || '',
+    gas_used: r.gasUsed || '',
+    self_transfer: r.selfTransfer ? true : ''
+  };
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// -> false once the response is closed (client aborted), so the caller stops serializing
+async function write(res, chunk) {
+  if (res.destroyed || res.writableEnded) return false;
+  if (res.write(chunk)) return true;
+  return new Promise((resolve) => {
+    const done = (ok) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(ok);
+    };
+    const onDrain = done(true);
+    const onClose = done(false);
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+    res.once('error', onClose);
+  });
+}
+
+// Stream `rows` to `res` as csv | json | ndjson. `meta` heads the JSON document
+// ({ ..., rows: [...] }); CSV and NDJSON are rows only. Headers are set here.
+export async function streamExport(res, { format, rows, meta = {}, filename, wallet }) {
+  const f = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', f.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${f.ext}"`);
+  res.status(200);
+
+  let head = '';
+  if (format === 'csv') head = EXPORT_FIELDS.join(',') + '\n';
+  if (format === 'json') head = JSON.stringify({ ...meta, count: rows.length }).slice(0, -1) + ',"rows":[';
+  if (head && !(await write(res, head))) return;
+  for (let i = 0; i < rows.length; i += BATCH) {
+    const recs = rows.slice(i, i + BATCH).map(r => exportRecord(r, wallet));
+    let chunk;
+    if (format === 'csv') chunk = recs.map(o => EXPORT_FIELDS.map(k => csvCell(o[k])).join(',')).join('\n') + '\n';
+    else if (format === 'ndjson') chunk = recs.map(o => JSON.stringify(o)).join('\n') + '\n';
+    else chunk = (i ? ',' : '') + recs.map(o => JSON.stringify(o)).join(',');
+    if (!(await write(res, chunk))) return;
+  }
+  if (format === 'json' && !(await write(res, ']}'))) return;
+  res.end();
+}
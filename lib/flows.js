@@ -0,0 +1,97 @@
+// lib/flows.js
+import { formatUnits } from './shared';
+
+// Per-asset inbound/outbound/net totals and top counterparties from transfer rows
+// (see transferRows in shared.js). All sums are BigInt on raw units; formatted only at the end.
+const NATIVE = 'ZTC';
+const TOP_COUNTERPARTIES = 10;
+
+function emptyTotals() {
+  return { inRaw: 0n, outRaw: 0n, inCount: 0, outCount: 0 };
+}
+
+function formatTotals(t, decimals) {
+  return {
+    in: formatUnits(t.inRaw, decimals),
+    out: formatUnits(t.outRaw, decimals),
+    net: formatUnits(t.inRaw - t.outRaw, decimals),
+    inRaw: t.inRaw.toString(),
+    outRaw: t.outRaw.toString(),
+    netRaw: (t.inRaw - t.outRaw).toString(),
+    inCount: t.inCount,
+    outCount: t.outCount
+  };
+}
+
+function add(t, direction, raw) {
+  if (direction === 'in') { t.inRaw += raw; t.inCount += 1; }
+  else { t.outRaw += raw; t.outCount += 1; }
+}
+
+export function computeFlows(transfers) {
+  const native = { external: emptyTotals(), internal: emptyTotals() };
+  const tokens = new Map();         // contract -> { contract, symbol, decimals, totals }
+  const counterparties = new Map(); // asset -> Map(address -> totals)
+
+  for (const t of transfers || []) {
+    if (t.direction === 'self') continue; // moves nothing in or out of the wallet
+    let raw;
+    try { raw = BigInt(t.raw || 0); } catch { continue; }
+    if (raw <= 0n) continue;
+
+    let asset;
+    if (t.kind === 'erc20') {
+      asset = t.contract;
+      if (!tokens.has(asset)) tokens.set(asset, { contract: asset, symbol: t.symbol, decimals: t.decimals, totals: emptyTotals() });
+      add(tokens.get(asset).totals, t.direction, raw);
+    } else {
+      asset = NATIVE;
+      add(t.kind === 'internal' ? native.internal : native.external, t.direction, raw);
+    }
+
+    const other = t.direction === 'in' ? t.from : t.to;
+    if (!other) continue;
+    if (!counterparties.has(asset)) counterparties.set(asset, new Map());
+    const byAddr = counterparties.get(asset);
+    if (!byAddr.has(other)) byAddr.set(other, emptyTotals());
+    add(byAddr.get(other), t.direction, raw);
+  }
+
+  const nativeAll = {
+    inRaw: native.external.inRaw + native.internal.inRaw,
+    outRaw: native.external.outRaw + native.internal.outRaw,
+    inCount: native.external.inCount + native.internal.inCount,
+    outCount: native.external.outCount + native.internal.outCount
+  };
+  const decimalsOf = (asset) => asset === NATIVE ? 18 : tokens.get(asset)?.decimals ?? 18;
+
+  const top = {};
+  for (const [asset, byAddr] of counterparties) {
+    top[asset] = [...byAddr.entries()]
+      .sort((a, b) => {
+        const va = a[1].inRaw + a[1].outRaw, vb = b[1].inRaw + b[1].outRaw;
+        return va === vb ? 0 : (vb > va ? 1 : -1);
+      })
+      .slice(0, TOP_COUNTERPARTIES)
+      .map(([address, t]) => ({
+        address,
+        ...formatTotals(t, decimalsOf(asset)),
+        volume: formatUnits(t.inRaw + t.outRaw, decimalsOf(asset))
+      }));
+  }
+
+  return {
+    native: {
+      symbol: NATIVE,
+      ...formatTotals(nativeAll, 18),
+      external: formatTotals(native.external, 18),
+      internal: formatTotals(native.internal, 18)
+    },
+    // Most active tokens first
+    tokens: [...tokens.values()]
+      .sort((a, b) => (b.totals.inCount + b.totals.outCount) - (a.totals.inCount + a.totals.outCount))
+      .map(x => ({ contract: x.contract, symbol: x.symbol, decimals: x.decimals, ...formatTotals(x.totals, x.decimals) })),
+    // Keyed by 'ZTC' or token contract
+    counterparties: top
+  };
+}
@@ -0,0 +1,121 @@
+// lib/indexer.js
+import { getActivity, getSyncState } from './activityStore';
+import { getStore } from './store';
+
+// Background ingestion for watched wallets (campaign participants).
+// Each run syncs the wallets that are due, within a time budget, and persists per-wallet state
+// so the next run (cron tick) resumes where this one stopped. Sync cursors live in the activity store.
+const COLLECTION = 'watch';
+const DEFAULT_LOOKBACK_SEC = 30 * 24 * 60 * 60;
+const MIN_INTERVAL_MS = 5 * 60_000;   // don't resync a healthy wallet more often than this
+const MAX_BACKOFF_MS = 60 * 60_000;
+
+const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test(String(a || ''));
+
+// Add wallets (optionally with labels such as Discord names). `from` = earliest timestamp to keep indexed.
+export async function watchAddresses(entries, { from } = {}) {
+  const store = getStore();
+  const now = Math.floor(Date.now() / 1000);
+  const start = from != null && from !== '' && Number.isFinite(Number(from)) ? Math.floor(Number(from)) : now - DEFAULT_LOOKBACK_SEC;
+  let added = 0;
+  for (const e of entries || []) {
+    const address = String(typeof e === 'string' ? e : e?.wallet || e?.address || '').toLowerCase();
+    if (!isAddr(address)) continue;
+    const label = typeof e === 'string' ? '' : String(e?.discord || e?.label || '');
+    const cur = await store.get(COLLECTION, address);
+    const labels = new Set(cur?.labels || []);
+    if (label) labels.add(label);
+    await store.put(COLLECTION, address, {
+      address,
+      labels: [...labels],
+      from: cur ? Math.min(cur.from, start) : start,
+      addedAt: cur?.addedAt || Date.now(),
+      status: cur && cur.from <= start ? cur.status : 'pending',
+      error: cur?.error || null,
+      failures: cur?.failures || 0,
+      lastRunAt: cur?.lastRunAt || 0,
+      lastSuccessAt: cur?.lastSuccessAt || 0,
+      nextRunAt: cur && cur.from <= start ? cur.nextRunAt : 0
+    });
+    if (!cur) added += 1;
+  }
+  return { added };
+}
+
+export async function unwatchAddresses(addresses) {
+  const store = getStore();
+  for (const a of addresses || []) await store.delete(COLLECTION, String(a || '').toLowerCase());
+}
+
+async function listWatched() {
+  const store = getStore();
+  const keys = await store.list(COLLECTION);
+  return (await Promise.all(keys.map(k => store.get(COLLECTION, k)))).filter(Boolean);
+}
+
+// Sync due wallets until the time budget runs out. Safe to call repeatedly (cron, admin button).
+export async function runIndexer({ budgetMs = 45_000, concurrency = 3 } = {}) {
+  const store = getStore();
+  const startedAt = Date.now();
+  const due = (await listWatched())
+    .filter(w => (w.nextRunAt || 0) <= startedAt)
+    .sort((a, b) => (a.lastRunAt || 0) - (b.lastRunAt || 0)); // never-run and stalest first
+
+  const summary = { due: due.length, synced: 0, failed: 0, skipped: 0 };
+  let i = 0;
+  async function worker() {
+    while (i < due.length) {
+      if (Date.now() - startedAt > budgetMs) { summary.skipped = due.length - i; return; }
+      const w = due[i++];
+      const now = Date.now();
+      try {
+        const coverage = {};
+        await getActivity({ address: w.address, start: w.from, end: Math.floor(now / 1000), force: true, coverage, persist: true });
+        // 'partial' = synced, but some feed was truncated or failed; the next tick retries it
+        Object.assign(w, { status: coverage.complete ? 'ok' : 'partial', error: null, failures: 0, lastSuccessAt: Date.now(), nextRunAt: now + MIN_INTERVAL_MS });
+        summary.synced += 1;
+      } catch (e) {
+        const failures = (w.failures || 0) + 1;
+        Object.assign(w, {
+          status: 'error',
+          error: e.message || String(e),
+          failures,
+          nextRunAt: now + Math.min(MAX_BACKOFF_MS, 60_000 * 2 ** (failures - 1))
+        });
+        summary.failed += 1;
+      }
+      w.lastRunAt = now;
+      await store.put(COLLECTION, w.address, w);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  return { ...summary, tookMs: Date.now() - startedAt };
+}
+
+// Per-wallet status; lagSec = age of the last successful sync, headLagSec = age of the newest indexed tx
+export async function indexerStatus() {
+  const now = Date.now();
+  const wallets = await Promise.all((await listWatched()).map(async (w) => {
+    const sync = await getSyncState(w.address);
+    return {
+      ...w,
+      syncedAt: sync?.syncedAt || null,
+      rowCount: sync?.rowCount ?? 0,
+      tooLarge: !!sync?.tooLarge, // over ZEN_ACTIVITY_MAX_BYTES: synced, but rebuilt every time
+      highWater: sync?.hw || null,
+      lagSec: sync?.syncedAt ? Math.round((now - sync.syncedAt) / 1000) : null,
+      headLagSec: sync?.hw?.ts ? Math.round(now / 1000 - sync.hw.ts) : null
+    };
+  }));
+  const lag = (w) => w.lagSec ?? Number.MAX_SAFE_INTEGER; // never synced sorts first
+  wallets.sort((a, b) => lag(b) - lag(a));
+  return {
+    total: wallets.length,
+    ok: wallets.filter(w => w.status === 'ok').length,
+    partial: wallets.filter(w => w.status === 'partial').length,
+    errors: wallets.filter(w => w.status === 'error').length,
+    pending: wallets.filter(w => w.status === 'pending').length,
+    tooLarge: wallets.filter(w => w.tooLarge).length,
+    wallets
+  };
+}
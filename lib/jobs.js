@@ -0,0 +1,256 @@
+// lib/jobs.js
+import crypto from 'crypto';
+import { getStore } from './store';
+import { getActivity, readStoredActivity } from './activityStore';
+import { computeCounts } from './counts';
+import { computeBotScore } from './botscore';
+import { resolveTimeZone } from './streaks';
+import { getRules } from './rules';
+
+// Admin batch runs processed on the server. A job holds the participant list, the window and one
+// entry per unique wallet. Work happens in time-boxed slices (each poll of the job, plus the cron
+// tick), so closing the admin tab or a function timeout only pauses it. Failed wallets retry with
+// backoff; results are kept per wallet, so a cancelled or half-done job still has partial results.
+const COLLECTION = 'jobs';
+const ROWS = 'jobRows'; // "<job id>:<wallet>" -> the rows that wallet's counts were computed from
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 5_000;
+const LEASE_MS = 30_000;       // one slice at a time per job; renewed with every write
+const CLAIM_MS = 10 * 60_000;  // a wallet claimed longer ago than this was abandoned (slice died)
+const MAX_CONCURRENCY = 12;
+const ACTIVE = new Set(['queued', 'running']);
+
+const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test(String(a || ''));
+
+// Extra import columns (e.g. Twitter handle, referral code) ride along as strings for the exports
+const cleanParticipants = (list) => (Array.isArray(list) ? list : []).map(p => {
+  const out = { discord: String(p?.discord || '').trim(), wallet: String(p?.wallet || '').trim().toLowerCase() };
+  if (p?.extra && typeof p.extra === 'object') out.extra = Object.fromEntries(Object.entries(p.extra).map(([k, v]) => [String(k), String(v ?? '')]));
+  return out;
+});
+
+// Human-readable problems with a job request; empty means it can be queued
+export function validateJob({ participants, config } = {}) {
+  const errors = [];
+  if (!Array.isArray(participants) || !participants.length) errors.push('participants must be a non-empty array');
+  cleanParticipants(participants).forEach((p, i) => {
+    if (!p.discord) errors.push(`participants[${i}].discord is required`);
+    if (!isAddr(p.wallet)) errors.push(`participants[${i}].wallet is not a valid address`);
+  });
+  const start = Number(config?.window?.start), end = Number(config?.window?.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) errors.push('config.window must have numeric start < end');
+  try { resolveTimeZone(config?.tz); } catch (e) { errors.push(`config.tz: ${e.message}`); }
+  return errors;
+}
+
+// participants: [{ discord, wallet }]; config: { window: { start, end }, tz, concurrency }
+export async function createJob({ participants, config }) {
+  const list = cleanParticipants(participants);
+  const start = Math.floor(Number(config.window.start)), end = Math.floor(Number(config.window.end));
+
+  const wallets = {};
+  for (const { wallet } of list) wallets[wallet] = { status: 'pending', attempts: 0, nextAttemptAt: 0, claimedAt: null, error: null, result: null };
+  const now = Date.now();
+  const job = {
+    id: `job-${now.toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    lease: null,
+    leaseUntil: 0,
+    config: {
+      window: { start, end },
+      tz: resolveTimeZone(config?.tz),
+      rulesFingerprint: getRules().fingerprint, // classification the counted rows were built with
+      concurrency: Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(Number(config?.concurrency) || 3)))
+    },
+    participants: list,
+    wallets
+  };
+  await getStore().put(COLLECTION, job.id, job);
+  return job;
+}
+
+export async function getJob(id) {
+  return getStore().get(COLLECTION, String(id));
+}
+
+// What the job's results were counted from (drill-downs, snapshot evidence): the run's window and tz,
+// and per wallet { complete, rows }. Wallets not in the job or not counted yet are left out.
+// Null when the job doesn't exist.
+export async function getJobRows(id, wallets) {
+  const job = await getJob(id);
+  if (!job) return null;
+  const store = getStore();
+  const out = {};
+  for (const wallet of wallets) {
+    const address = String(wallet || '').toLowerCase();
+    const w = job.wallets[address];
+    const rows = w?.status === 'ok' ? await store.get(ROWS, `${job.id}:${address}`) : null;
+    if (rows) out[address] = { complete: w.result?.complete !== false, rows };
+  }
+  return { id: job.id, window: job.config.window, tz: job.config.tz, rulesFingerprint: job.config.rulesFingerprint, wallets: out };
+}
+
+export function jobProgress(job) {
+  const all = Object.values(job.wallets);
+  const count = (s) => all.filter(w => w.status === s).length;
+  return {
+    total: all.length,
+    done: count('ok') + count('error'),
+    ok: count('ok'),
+    partial: all.filter(w => w.status === 'ok' && w.result?.complete === false).length,
+    failed: count('error'),
+    pending: count('pending'),
+    running: count('running'),
+    retrying: all.filter(w => w.status === 'pending' && w.attempts > 0).length
+  };
+}
+
+// Pending wallets whose backoff is over, and claims abandoned by a slice that died mid-wallet
+function claimable(w, now) {
+  if (w.status === 'pending') return (w.nextAttemptAt || 0) <= now;
+  return w.status === 'running' && now - (w.claimedAt || 0) > CLAIM_MS;
+}
+
+// -> fields to merge into the wallet entry (result on success, error/backoff on failure)
+async function processWallet(job, address, attempts) {
+  const { start, end } = job.config.window;
+  try {
+    // Wallets the background indexer already covers completely (through the window's end) are read
+    // without touching the explorer; otherwise getActivity syncs whatever is missing
+    const stored = await readStoredActivity({ address, start, end });
+    const useStored = stored?.coverage.complete && stored.syncedTo >= end;
+    const coverage = useStored ? stored.coverage : {};
+    const rows = useStored ? stored.rows : await getActivity({ address, start, end, coverage, persist: true });
+    const { counts, total, days } = computeCounts(rows, { tz: job.config.tz });
+    await getStore().put(ROWS, `${job.id}:${address}`, rows);
+    return {
+      status: 'ok',
+      error: null,
+      result: { counts, total, days, botScore: computeBotScore(rows).score, complete: coverage.complete !== false }
+    };
+  } catch (e) {
+    const error = e.message || String(e);
+    if (attempts >= MAX_ATTEMPTS) return { status: 'error', error };
+    return { status: 'pending', error, nextAttemptAt: Date.now() + BASE_BACKOFF_MS * 2 ** (attempts - 1) };
+  }
+}
+
+// Work on the job until the budget runs out; returns the job as stored afterwards.
+// Every change is a store.update() of just the fields this slice owns, so a cancel, a resume or
+// another slice writing at the same time isn't overwritten. Each wallet is claimed (`running`)
+// before it is processed, so a slice that starts after this one's lease lapsed (a long
+// getActivity) skips it; the lease is renewed with every write.
+export async function runJobSlice(id, { budgetMs = 8_000 } = {}) {
+  const store = getStore();
+  const slice = crypto.randomBytes(4).toString('hex');
+  const startedAt = Date.now();
+  let job = await store.update(COLLECTION, String(id), (cur) => {
+    if (!cur || !ACTIVE.has(cur.status) || (cur.leaseUntil || 0) > startedAt) return undefined; // another slice is running
+    return { ...cur, status: 'running', lease: slice, leaseUntil: startedAt + LEASE_MS, updatedAt: startedAt };
+  });
+  if (!job || job.lease !== slice || job.status !== 'running') return job;
+
+  const renewed = (cur, now) => (cur.status === 'running' ? { leaseUntil: now + LEASE_MS } : {});
+  async function claim() {
+    let picked = null;
+    const now = Date.now();
+    const next = await store.update(COLLECTION, job.id, (cur) => {
+      picked = null;
+      if (!cur || cur.status !== 'running') return undefined;
+      const address = Object.keys(cur.wallets).find(a => claimable(cur.wallets[a], now));
+      if (!address) return undefined;
+      const w = cur.wallets[address];
+      picked = { address, claimedAt: now, attempts: w.attempts + 1 };
+      return {
+        ...cur, ...renewed(cur, now), updatedAt: now,
+        wallets: { ...cur.wallets, [address]: { ...w, status: 'running', claimedAt: now, attempts: picked.attempts } }
+      };
+    });
+    if (next) job = next;
+    return picked;
+  }
+  async function finish({ address, claimedAt }, patch) {
+    const now = Date.now();
+    const next = await store.update(COLLECTION, job.id, (cur) => {
+      const w = cur?.wallets[address];
+      // Reclaimed by another slice or reset by a resume while we worked: that run owns it now
+      if (!w || w.status !== 'running' || w.claimedAt !== claimedAt) return undefined;
+      return {
+        ...cur, ...renewed(cur, now), updatedAt: now,
+        wallets: { ...cur.wallets, [address]: { ...w, ...patch, claimedAt: null } }
+      };
+    });
+    if (next) job = next;
+  }
+
+  async function worker() {
+    while (job.status === 'running' && Date.now() - startedAt <= budgetMs) {
+      const picked = await claim();
+      if (!picked) return;
+      await finish(picked, await processWallet(job, picked.address, picked.attempts));
+    }
+  }
+  await Promise.all(Array.from({ length: job.config.concurrency }, worker));
+
+  const endedAt = Date.now();
+  return store.update(COLLECTION, job.id, (cur) => {
+    if (!cur) return undefined;
+    const next = { ...cur, updatedAt: endedAt };
+    if (cur.lease === slice) next.leaseUntil = 0;
+    const open = Object.values(cur.wallets).some(w => w.status === 'pending' || w.status === 'running');
+    if (cur.status === 'running' && !open) Object.assign(next, { status: 'done', finishedAt: endedAt });
+    return next;
+  });
+}
+
+export async function cancelJob(id) {
+  return getStore().update(COLLECTION, String(id), (cur) => {
+    if (!cur || !ACTIVE.has(cur.status)) return undefined;
+    const now = Date.now();
+    return { ...cur, status: 'cancelled', finishedAt: now, updatedAt: now };
+  });
+}
+
+// Back to the queue; with retryFailed, wallets that ran out of attempts or came back partial
+// are queued again with a fresh set of attempts. The lease is left alone: if a slice is still
+// working, it keeps going and the next poll after it picks the job up again.
+export async function resumeJob(id, { retryFailed = false } = {}) {
+  return getStore().update(COLLECTION, String(id), (cur) => {
+    if (!cur) return undefined;
+    const wallets = { ...cur.wallets };
+    for (const [a, w] of Object.entries(wallets)) {
+      const failed = w.status === 'error' || (w.status === 'ok' && w.result?.complete === false);
+      if (retryFailed && failed) wallets[a] = { ...w, status: 'pending', attempts: 0, nextAttemptAt: 0 };
+    }
+    const next = { ...cur, wallets, updatedAt: Date.now() };
+    const open = Object.values(wallets).some(w => w.status === 'pending' || w.status === 'running');
+    if (open && cur.status !== 'running') Object.assign(next, { status: 'queued', finishedAt: null });
+    return next;
+  });
+}
+
+export async function listJobs({ limit = 20 } = {}) {
+  const store = getStore();
+  const jobs = (await Promise.all((await store.list(COLLECTION)).map(k => store.get(COLLECTION, k)))).filter(Boolean);
+  return jobs
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(j => ({ id: j.id, status: j.status, createdAt: j.createdAt, updatedAt: j.updatedAt, window: j.config.window, progress: jobProgress(j) }));
+}
+
+// Cron: advance every active job a little
+export async function runActiveJobs({ budgetMs = 20_000 } = {}) {
+  const startedAt = Date.now();
+  const active = (await listJobs({ limit: 100 })).filter(j => ACTIVE.has(j.status));
+  let advanced = 0;
+  for (const j of active) {
+    const left = budgetMs - (Date.now() - startedAt);
+    if (left <= 1_000) break;
+    await runJobSlice(j.id, { budgetMs: left });
+    advanced += 1;
+  }
+  return { active: active.length, advanced };
+}
@@ -0,0 +1,104 @@
+// lib/names.js
+import { parseAbi, zeroAddress } from 'viem';
+import { namehash, normalize } from 'viem/ens';
+import { client, NS_REGISTRY } from './chain';
+import { addressError, looksLikeName } from './address';
+
+// ZenChain name service reads through the viem client. The registry follows the ENS layout:
+// registry.resolver(node) -> resolver; resolver.addr(node) for names, and resolver.name(node) on
+// "<hex>.addr.reverse" for an address's primary name (only trusted if it resolves back).
+const REGISTRY_ABI = parseAbi(['function resolver(bytes32 node) view returns (address)']);
+const RESOLVER_ABI = parseAbi([
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)'
+]);
+const TTL_MS = 10 * 60_000;
+const MAX_LOOKUPS = 50; // per request
+
+const NAME_CACHE = globalThis.__ZEN_NAME_CACHE__ || new Map(); // 'n:<name>' | 'a:<address>' -> { val, exp }
+globalThis.__ZEN_NAME_CACHE__ = NAME_CACHE;
+
+async function cached(key, fn) {
+  const e = NAME_CACHE.get(key);
+  if (e && Date.now() < e.exp) return e.val;
+  const val = await fn();
+  NAME_CACHE.set(key, { val, exp: Date.now() + TTL_MS });
+  return val;
+}
+
+export function namesEnabled() {
+  return !addressError(NS_REGISTRY);
+}
+
+async function resolverOf(node) {
+  const r = await client.readContract({ address: NS_REGISTRY, abi: REGISTRY_ABI, functionName: 'resolver', args: [node] });
+  return r && r !== zeroAddress ? r : null;
+}
+
+// "alice.ztc" -> lowercased address, or null if the name has no address record
+export async function resolveName(name) {
+  if (!namesEnabled()) throw new Error('Name resolution is not configured (set ZEN_NS_REGISTRY)');
+  const n = normalize(String(name || '').trim());
+  return cached(`n:${n}`, async () => {
+    const node = namehash(n);
+    const resolver = await resolverOf(node);
+    if (!resolver) return null;
+    const a = await client.readContract({ address: resolver, abi: RESOLVER_ABI, functionName: 'addr', args: [node] });
+    return a && a !== zeroAddress ? a.toLowerCase() : null;
+  });
+}
+
+// Primary name of an address, or null (no reverse record, or it doesn't resolve back)
+export async function lookupAddress(address) {
+  if (!namesEnabled()) return null;
+  const a = String(address || '').toLowerCase();
+  return cached(`a:${a}`, async () => {
+    const node = namehash(`${a.slice(2)}.addr.reverse`);
+    const resolver = await resolverOf(node);
+    if (!resolver) return null;
+    const name = await client.readContract({ address: resolver, abi: RESOLVER_ABI, functionName: 'name', args: [node] }).catch(() => '');
+    if (!name) return null;
+    return (await resolveName(name).catch(() => null)) === a ? name : null;
+  });
+}
+
+// address -> name|null for a batch (one failing lookup doesn't sink the rest)
+export async function lookupAddresses(addresses) {
+  const list = [...new Set((addresses || []).map(a => String(a || '').toLowerCase()).filter(a => !addressError(a)))].slice(0, MAX_LOOKUPS);
+  const out = {};
+  await Promise.all(list.map(async a => { out[a] = await lookupAddress(a).catch(() => null); }));
+  return out;
+}
+
+// The `address` query param of the public routes: a checksum-valid address or a name-service domain.
+// Returns { address (lowercased), name } or { error } for a 400; RPC failures throw.
+export async function resolveAddressParam(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return { error: 'Please provide a wallet address (0x...) or a .ztc/.zen name' };
+  if (looksLikeName(s)) {
+    if (!namesEnabled()) return { error: 'Name resolution is not configured on this server; paste the 0x address' };
+    let name;
+    try { name = normalize(s); } catch { return { error: `"${s}" is not a valid name` }; }
+    const address = await resolveName(name);
+    if (!address) return { error: `${name} does not resolve to an address` };
+    return { address, name };
+  }
+  const err = addressError(s);
+  if (err) return { error: `Invalid wallet address: ${err}` };
+  return { address: s.toLowerCase(), name: null };
+}
+
+// `addresses=a,b,alice.ztc` (or the single `address=`) -> { wallets: [{ address, name }] } or { error }.
+// Duplicates (also via a name) are dropped; at most `max` wallets.
+export async function resolveWalletsParam(q, { max = 10 } = {}) {
+  const raw = q?.addresses != null ? String(q.addresses).split(',').map(s => s.trim()).filter(Boolean) : [q?.address];
+  if (raw.length > max) return { error: `At most ${max} wallets per request` };
+  const wallets = [];
+  for (const s of raw) {
+    const { address, name, error } = await resolveAddressParam(s);
+    if (error) return { error: raw.length > 1 ? `${s}: ${error}` : error };
+    if (!wallets.some(w => w.address === address)) wallets.push({ address, name });
+  }
+  if (!wallets.length) return { error: 'Please provide a wallet address (0x...) or a .ztc/.zen name' };
+  return { wallets };
+}
@@ -0,0 +1,147 @@
+// lib/participants.js
+// Participant list parsing, shared by the admin page and the indexer routes.
+// Import runs in three steps: text -> rows (RFC 4180 CSV), a column mapping (guessed, editable in
+// the admin page), then rows -> participants plus a validation report of everything left out.
+import { addressError } from './address';
+
+// Convert Google Sheet link to CSV export
+export function toCsvUrl(input) {
+  try {
+    const url = new URL(input);
+    const m = url.pathname.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    if (m) {
+      const id = m[1];
+      const gid = url.searchParams.get('gid') || '0';
+      return `https://docs.google.com/spreadsheets/d/${id}/export?format=csv&gid=${gid}`;
+    }
+  } catch {}
+  return input;
+}
+
+// Comma unless the first line has more semicolons or tabs (spreadsheet exports in some locales)
+export function detectDelimiter(text) {
+  const first = String(text || '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const n = (ch) => first.split(ch).length - 1;
+  return [',', ';', '\t'].reduce((best, ch) => (n(ch) > n(best) ? ch : best), ',');
+}
+
+// RFC 4180: quoted fields may hold delimiters, line breaks and "" escapes. Blank lines are dropped.
+export function parseCsvRows(text, { delimiter } = {}) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const d = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [], field = '', quoted = false, i = 0;
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.some(c => c.trim() !== '')) rows.push(row);
+    row = [];
+  };
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field.trim() === '') { field = ''; quoted = true; }
+    else if (ch === d) endField();
+    else if (ch === '\r' && src[i + 1] === '\n') { endRow(); i++; }
+    else if (ch === '\n' || ch === '\r') endRow();
+    else field += ch;
+    i++;
+  }
+  if (field !== '' || row.length) endRow();
+  return rows.map(r => r.map(c => c.trim()));
+}
+
+// Rows back to CSV text, quoting only where needed (used for spreadsheet uploads)
+export function rowsToCsv(rows) {
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(r => r.map(cell).join(',')).join('\n');
+}
+
+const isWallet = (s) => /^0x[a-fA-F0-9]{40}$/.test(String(s || '').trim());
+// A Discord ID that went through a spreadsheet number cell ("1.23456789012346E+17"): its digits are gone
+const isMangledNumber = (s) => /^[+-]?\d+(\.\d+)?e[+-]?\d+$/i.test(String(s || '').trim());
+
+// Column mapping guessed from the first row: { header, discord, wallet, extras: [index] }
+// Without a recognizable header, the wallet column is the first one holding an address.
+export function guessColumns(rows) {
+  const first = (rows[0] || []).map(h => h.toLowerCase());
+  const header = first.some(h => /discord|username|wallet|address/.test(h)) && !first.some(isWallet);
+  let discord = header ? first.findIndex(h => /discord|username/.test(h)) : -1;
+  let wallet = header ? first.findIndex(h => /wallet|address/.test(h)) : (rows[0] || []).findIndex(isWallet);
+  if (wallet === -1) wallet = 1;
+  if (discord === -1) discord = wallet === 0 ? 1 : 0;
+  const extras = header ? first.map((h, i) => i).filter(i => i !== discord && i !== wallet && first[i]) : [];
+  return { header, discord, wallet, extras };
+}
+
+// Extra column names as they appear in exports
+export function columnNames(rows, columns) {
+  const width = Math.max(0, ...rows.slice(0, 50).map(r => r.length));
+  return Array.from({ length: width }, (_, i) => (columns?.header && rows[0]?.[i]) || `column ${i + 1}`);
+}
+
+// rows + mapping -> { participants: [{ discord, wallet, extra }], report }
+// report: { rows, imported, skipped: [{ row, reason }], checksum: [{ row, wallet }],
+//           conflicts: [{ wallet, discords, rows }] }  (row numbers are 1-based, header included)
+export function importParticipants(rows, columns = guessColumns(rows)) {
+  const names = columnNames(rows, columns);
+  const extras = (columns.extras || []).filter(i => i !== columns.discord && i !== columns.wallet);
+  const participants = [];
+  const skipped = [];
+  const checksum = [];
+  const seen = new Set();
+  const claims = new Map(); // wallet -> Map(discord -> [row])
+
+  const body = columns.header ? rows.slice(1) : rows;
+  body.forEach((cols, k) => {
+    const row = k + (columns.header ? 2 : 1);
+    const discord = String(cols[columns.discord] || '').trim();
+    const raw = String(cols[columns.wallet] || '').trim();
+    if (!discord) { skipped.push({ row, reason: 'missing Discord name' }); return; }
+    if (isMangledNumber(discord)) {
+      skipped.push({ row, reason: `Discord ID stored as a number lost its digits ("${discord}"); format the column as text and import again` });
+      return;
+    }
+    if (!raw) { skipped.push({ row, reason: 'missing wallet' }); return; }
+    if (!isWallet(raw)) { skipped.push({ row, reason: `not a wallet address: "${raw.slice(0, 50)}"` }); return; }
+    // Mixed case means the sheet claims an EIP-55 checksum; a mismatch is usually a typo
+    if (addressError(raw)) {
+      checksum.push({ row, wallet: raw });
+      skipped.push({ row, reason: `checksum mismatch: ${raw}` });
+      return;
+    }
+    const wallet = raw.toLowerCase();
+    const key = `${discord}\u0000${wallet}`;
+    if (seen.has(key)) { skipped.push({ row, reason: `duplicate of an earlier row (${discord}, ${wallet})` }); return; }
+    seen.add(key);
+
+    const byDiscord = claims.get(wallet) || new Map();
+    byDiscord.set(discord, [...(byDiscord.get(discord) || []), row]);
+    claims.set(wallet, byDiscord);
+
+    const extra = {};
+    for (const i of extras) if (cols[i]) extra[names[i]] = cols[i];
+    participants.push(extras.length ? { discord, wallet, extra } : { discord, wallet });
+  });
+
+  const conflicts = [...claims.entries()]
+    .filter(([, m]) => m.size > 1)
+    .map(([wallet, m]) => ({ wallet, discords: [...m.keys()], rows: [...m.values()].flat().sort((a, b) => a - b) }));
+  return { participants, report: { rows: body.length, imported: participants.length, skipped, checksum, conflicts } };
+}
+
+// CSV text -> [{ discord, wallet, extra? }]; columns default to the guessed mapping
+export function parseCsv(text, columns) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) return [];
+  return importParticipants(rows, columns || guessColumns(rows)).participants;
+}
@@ -0,0 +1,202 @@
+// lib/payouts.js
+import { encodeFunctionData, parseAbi, isAddress, getAddress, formatUnits } from 'viem';
+import { CHAIN_ID } from './chain';
+import { fetchPagedAccount, fetchInternalsByTxHash } from './shared';
+
+// Unsigned payout transactions for a winners list, and a later check that every winner was paid.
+//   direct     one tx per recipient: native value transfer, or ERC-20 transfer(to, amount)
+//   multisend  Disperse-style contract: disperseEther(recipients, values) with the total as value,
+//              or approve + disperseToken(token, recipients, values). Batches are cut so each tx's
+//              estimated gas stays under gasLimit.
+// Output is plain { to, value, data, gas } txs for an offline signer plus Safe Transaction Builder batches.
+
+const ERC20_ABI = parseAbi([
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]);
+const DISPERSE_ABI = parseAbi([
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+]);
+
+// Conservative per-tx estimates (fresh recipient accounts cost the most); no RPC needed to build
+const GAS = {
+  native: 21_000n,
+  erc20: 65_000n,
+  approve: 60_000n,
+  multisendBase: 60_000n,
+  multisendNative: 36_000n,  // per recipient
+  multisendToken: 40_000n    // per recipient
+};
+export const DEFAULT_GAS_LIMIT = 8_000_000;
+export const PAYOUT_MODES = ['direct', 'multisend'];
+
+// Recipients as [{ address, amount }] with amount in wei; duplicates are summed. Throws on bad input.
+export function normalizeRecipients(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('recipients must be a non-empty array');
+  const byAddress = new Map();
+  list.forEach((r, i) => {
+    if (!isAddress(String(r?.address || ''))) throw new Error(`recipients[${i}]: invalid address "${r?.address}"`);
+    const s = String(r.amount ?? '').trim();
+    if (!/^\d+$/.test(s)) throw new Error(`recipients[${i}]: amount must be an integer in wei`);
+    const address = getAddress(r.address);
+    byAddress.set(address, (byAddress.get(address) || 0n) + BigInt(s));
+  });
+  return [...byAddress.entries()].filter(([, amount]) => amount > 0n).map(([address, amount]) => ({ address, amount }));
+}
+
+function chunkByGas(recipients, base, per, gasLimit, maxPerTx) {
+  const fit = Number((BigInt(gasLimit) - base) / per);
+  const size = Math.max(1, Math.min(fit, maxPerTx || Infinity));
+  const chunks = [];
+  for (let i = 0; i < recipients.length; i += size) chunks.push(recipients.slice(i, i + size));
+  return chunks;
+}
+
+const txOut = (to, value, data, gas, recipients) => ({
+  chainId: CHAIN_ID,
+  to,
+  value: value.toString(),
+  data,
+  gas: gas.toString(),
+  recipients: recipients.length,
+  total: recipients.reduce((s, r) => s + r.amount, 0n).toString()
+});
+
+// opts: { recipients, token: { address?, decimals, symbol }, mode, multisend, gasLimit, maxPerTx, from, name }
+export function buildPayouts(opts) {
+  const recipients = normalizeRecipients(opts.recipients);
+  const mode = opts.mode || 'direct';
+  if (!PAYOUT_MODES.includes(mode)) throw new Error(`mode must be one of ${PAYOUT_MODES.join(', ')}`);
+  const tokenAddress = opts.token?.address ? String(opts.token.address) : null;
+  if (tokenAddress && !isAddress(tokenAddress)) throw new Error('token.address is not a valid address');
+  const token = tokenAddress ? getAddress(tokenAddress) : null;
+  const gasLimit = Number(opts.gasLimit || DEFAULT_GAS_LIMIT);
+  if (!Number.isFinite(gasLimit) || gasLimit < 100_000) throw new Error('gasLimit must be at least 100000');
+
+  const total = recipients.reduce((s, r) => s + r.amount, 0n);
+  const txs = [];
+  if (mode === 'direct') {
+    for (const r of recipients) {
+      if (token) txs.push(txOut(token, 0n, encodeFunctionData({ abi: ERC20_ABI, functionName: 'transfer', args: [r.address, r.amount] }), GAS.erc20, [r]));
+      else txs.push(txOut(r.address, r.amount, '0x', GAS.native, [r]));
+    }
+  } else {
+    if (!isAddress(String(opts.multisend || ''))) throw new Error('multisend contract address is required for multisend mode');
+    const multisend = getAddress(opts.multisend);
+    const per = token ? GAS.multisendToken : GAS.multisendNative;
+    // The approval covers every batch, so it goes first and only once
+    if (token) txs.push(txOut(token, 0n, encodeFunctionData({ abi: ERC20_ABI, functionName: 'approve', args: [multisend, total] }), GAS.approve, []));
+    for (const chunk of chunkByGas(recipients, GAS.multisendBase, per, gasLimit, Number(opts.maxPerTx) || 0)) {
+      const addrs = chunk.map(r => r.address), values = chunk.map(r => r.amount);
+      const gas = GAS.multisendBase + per * BigInt(chunk.length);
+      const sum = chunk.reduce((s, r) => s + r.amount, 0n);
+      if (token) txs.push(txOut(multisend, 0n, encodeFunctionData({ abi: DISPERSE_ABI, functionName: 'disperseToken', args: [token, addrs, values] }), gas, chunk));
+      else txs.push(txOut(multisend, sum, encodeFunctionData({ abi: DISPERSE_ABI, functionName: 'disperseEther', args: [addrs, values] }), gas, chunk));
+    }
+  }
+
+  const decimals = Number(opts.token?.decimals ?? 18);
+  const symbol = opts.token?.symbol || (token ? 'TOKEN' : 'ZTC');
+  const name = String(opts.name || 'ZenStats payout');
+  const createdAt = Date.now();
+  return {
+    chainId: CHAIN_ID,
+    mode,
+    token: { address: token, symbol, decimals },
+    multisend: mode === 'multisend' ? getAddress(opts.multisend) : null,
+    from: opts.from && isAddress(String(opts.from)) ? getAddress(opts.from) : null,
+    recipients: recipients.map(r => ({ address: r.address, amount: r.amount.toString() })),
+    total: total.toString(),
+    totalFormatted: `${formatUnits(total, decimals)} ${symbol}`,
+    transactions: txs,
+    // Safe Transaction Builder import files, one per gas batch (a Safe executes a batch as one tx)
+    safe: safeBatches(txs, mode, { gasLimit }).map((transactions, i, all) => ({
+      version: '1.0',
+      chainId: String(CHAIN_ID),
+      createdAt,
+      meta: {
+        name: all.length > 1 ? `${name} (${i + 1}/${all.length})` : name,
+        description: `${transactions.length} transaction(s), ${symbol}`,
+        txBuilderVersion: '1.16.5',
+        createdFromSafeAddress: opts.from && isAddress(String(opts.from)) ? getAddress(opts.from) : ''
+      },
+      transactions: transactions.map(t => ({ to: t.to, value: t.value, data: t.data, contractMethod: null, contractInputsValues: null }))
+    }))
+  };
+}
+
+// Direct transfers are grouped into Safe batches under the same gas budget; multisend txs are already batches
+function safeBatches(txs, mode, { gasLimit = DEFAULT_GAS_LIMIT } = {}) {
+  if (mode === 'multisend') {
+    // approve rides along with the first disperse call
+    const [first, ...rest] = txs;
+    if (first && first.recipients === 0 && rest.length) return [[first, rest[0]], ...rest.slice(1).map(t => [t])];
+    return txs.map(t => [t]);
+  }
+  const batches = [];
+  let cur = [], gas = 0n;
+  for (const t of txs) {
+    if (cur.length && gas + BigInt(t.gas) > BigInt(gasLimit)) { batches.push(cur); cur = []; gas = 0n; }
+    cur.push(t);
+    gas += BigInt(t.gas);
+  }
+  if (cur.length) batches.push(cur);
+  return batches;
+}
+
+// Received amounts per recipient from the payer's transactions since `since` (unix seconds), via the
+// explorer feeds: native sends (txlist), native multisend legs (internal txs of the payer's txs to
+// the multisend contract) and token transfers (tokentx).
+export async function verifyPayouts({ payer, recipients, token, multisend, since, until }) {
+  if (!isAddress(String(payer || ''))) throw new Error('payer must be a valid address');
+  const expected = normalizeRecipients(recipients);
+  const range = { startTs: Math.floor(Number(since || 0)), endTs: Math.floor(Number(until || Date.now() / 1000)) };
+  const from = payer.toLowerCase();
+  const tokenLower = token?.address ? String(token.address).toLowerCase() : null;
+  const multisendLower = multisend ? String(multisend).toLowerCase() : null;
+  const received = new Map(); // lowercased recipient -> { amount, txs }
+  const credit = (to, amount, hash) => {
+    const k = String(to || '').toLowerCase();
+    const e = received.get(k) || { amount: 0n, txs: new Set() };
+    e.amount += BigInt(amount || 0);
+    e.txs.add(String(hash || '').toLowerCase());
+    received.set(k, e);
+  };
+  const ok = (t) => String(t.isError ?? '0') !== '1' && String(t.txreceipt_status ?? '1') !== '0';
+
+  const coverage = {};
+  if (tokenLower) {
+    const transfers = await fetchPagedAccount('tokentx', from, range, { coverage });
+    for (const t of transfers) {
+      if (String(t.contractAddress || '').toLowerCase() !== tokenLower) continue;
+      if (String(t.from || '').toLowerCase() !== from) continue;
+      credit(t.to, t.value, t.hash);
+    }
+  } else {
+    const txs = (await fetchPagedAccount('txlist', from, range, { coverage })).filter(t => String(t.from || '').toLowerCase() === from && ok(t));
+    for (const t of txs) {
+      const to = String(t.to || '').toLowerCase();
+      if (multisendLower && to === multisendLower) {
+        for (const it of await fetchInternalsByTxHash(t.hash)) {
+          if (String(it.from || '').toLowerCase() === multisendLower && String(it.isError ?? '0') !== '1') credit(it.to, it.value, t.hash);
+        }
+      } else {
+        credit(to, t.value, t.hash);
+      }
+    }
+  }
+
+  const rows = expected.map(r => {
+    const got = received.get(r.address.toLowerCase());
+    const amount = got?.amount || 0n;
+    const status = amount === 0n ? 'missing' : amount < r.amount ? 'short' : amount > r.amount ? 'over' : 'paid';
+    return { address: r.address, expected: r.amount.toString(), received: amount.toString(), status, txs: got ? [...got.txs] : [] };
+  });
+  const count = (s) => rows.filter(r => r.status === s).length;
+  return {
+    complete: !coverage.capped && !(coverage.errors || []).length,
+    summary: { paid: count('paid'), short: count('short'), over: count('over'), missing: count('missing') },
+    rows
+  };
+}
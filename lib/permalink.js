@@ -0,0 +1,88 @@
+// lib/permalink.js
+// Wallet report state <-> the index page's URL query, so a report can be shared as a link.
+// Defaults are left out of the URL to keep links short. Browser-safe: used by the page, its
+// getServerSideProps (share-card meta) and /api/og.
+
+export const REPORT_DEFAULTS = {
+  address: '',      // one wallet or a comma-separated portfolio (addresses or .ztc/.zen names)
+  period: '24h',
+  start: null,      // unix seconds, period=custom only
+  end: null,
+  source: 'explorer',
+  tz: '',           // '' = the viewer's own timezone
+  excludeSelf: true,
+  cat: 'all',
+  dir: 'out',
+  sort: 'time.desc',
+  page: 1
+};
+
+const PERIODS = ['24h', '7d', '30d', 'all', 'custom'];
+const SOURCES = ['explorer', 'rpc'];
+const DIRS = ['out', 'in', 'all'];
+const SORTS = ['time.desc', 'time.asc', 'value.desc', 'value.asc'];
+
+const one = (v) => (Array.isArray(v) ? v[0] : v);
+const pick = (v, allowed, fallback) => (allowed.includes(v) ? v : fallback);
+const secs = (v) => (/^\d{1,12}$/.test(String(v ?? '')) ? Number(v) : null);
+
+// router.query (or a plain object of strings) -> report state; unknown values fall back to defaults
+export function parseReportQuery(q = {}) {
+  const d = REPORT_DEFAULTS;
+  const get = (k) => (one(q[k]) == null ? '' : String(one(q[k])).trim());
+  const address = get('address').split(/[\s,]+/).filter(Boolean).join(',');
+  let period = pick(get('period'), PERIODS, d.period);
+  const start = secs(get('start'));
+  const end = secs(get('end'));
+  if (period === 'custom' && (start == null || end == null || start >= end)) period = d.period;
+  const page = Math.max(1, Math.floor(Number(get('page')) || 1));
+  return {
+    address,
+    period,
+    start: period === 'custom' ? start : null,
+    end: period === 'custom' ? end : null,
+    source: pick(get('source'), SOURCES, d.source),
+    tz: get('tz').slice(0, 64),
+    excludeSelf: get('excludeSelf') !== '0',
+    cat: /^[a-z_]{1,32}$/.test(get('cat')) ? get('cat') : d.cat,
+    dir: pick(get('dir'), DIRS, d.dir),
+    sort: pick(get('sort'), SORTS, d.sort),
+    page
+  };
+}
+
+// report state -> query object for the page URL (defaults omitted)
+export function reportQuery(state) {
+  const d = REPORT_DEFAULTS;
+  const q = {};
+  if (!state.address) return q;
+  q.address = state.address;
+  if (state.period !== d.period) q.period = state.period;
+  if (state.period === 'custom') { q.start = String(state.start); q.end = String(state.end); }
+  if (state.source !== d.source) q.source = state.source;
+  if (state.tz) q.tz = state.tz;
+  if (!state.excludeSelf && state.address.includes(',')) q.excludeSelf = '0';
+  if (state.cat !== d.cat) q.cat = state.cat;
+  if (state.dir !== d.dir) q.dir = state.dir;
+  if (state.sort !== d.sort) q.sort = state.sort;
+  if (state.page > 1) q.page = String(state.page);
+  return q;
+}
+
+// report state -> query string of the API routes (stats/activity/flows/timeseries) it stands for
+export function apiQuery(state) {
+  const list = state.address.split(',').filter(Boolean);
+  let qs = list.length > 1
+    ? `addresses=${list.map(encodeURIComponent).join(',')}${state.excludeSelf ? '&excludeSelf=1' : ''}`
+    : `address=${encodeURIComponent(list[0] || '')}`;
+  qs += state.period === 'custom' ? `&start=${state.start}&end=${state.end}` : `&period=${state.period}`;
+  if (state.source !== REPORT_DEFAULTS.source) qs += `&source=${state.source}`;
+  if (state.tz) qs += `&tz=${encodeURIComponent(state.tz)}`;
+  return qs;
+}
+
+// query string of a page URL, e.g. for a share link or the og:image URL
+export function toSearch(q) {
+  const s = new URLSearchParams(q).toString();
+  return s ? `?${s}` : '';
+}
@@ -0,0 +1,62 @@
+// lib/portfolio.js
+import { getActivity, readStoredActivity } from './activityStore';
+import { mergeCoverage } from './coverage';
+
+// Several wallets of one user read as a single portfolio. Rows keep the wallet they came from;
+// native transfers between the portfolio's own wallets are marked `selfTransfer`, and with
+// excludeSelf the outgoing leg no longer counts as a native send (shuffling funds isn't activity).
+export const MAX_WALLETS = 10;
+
+const flagged = (v) => ['1', 'true', 'yes'].includes(String(v || '').toLowerCase());
+export const excludeSelfParam = (q) => flagged(q?.excludeSelf);
+
+// Rows that count toward KPIs, counts and charts
+export function countedRows(rows, { excludeSelf = false } = {}) {
+  if (!excludeSelf) return rows;
+  return rows.filter(r => !(r.selfTransfer && r.direction === 'out' && r.category === 'native_send'));
+}
+
+// -> { rows, transfers, coverage, wallets: [{ address, rows, coverage }] }
+// A single wallet comes back untouched (no wallet tags), so the one-address responses don't change.
+// `storedOnly` reads what the store already holds (explorer records) and never syncs: the result then
+// carries `syncedTo`, the earliest of the wallets' sync marks, and is null if any wallet isn't stored.
+export async function getPortfolioActivity({ addresses, start, end, force = false, source, withTransfers = false, storedOnly = false }) {
+  const own = new Set(addresses);
+  const multi = addresses.length > 1;
+  const wallets = await Promise.all(addresses.map(async (address) => {
+    let coverage = {};
+    let transfers = withTransfers ? [] : undefined;
+    let rows, syncedTo;
+    if (storedOnly) {
+      const stored = source === 'explorer' ? await readStoredActivity({ address, start, end }) : null;
+      if (!stored) return null;
+      ({ rows, coverage, syncedTo } = stored);
+      if (withTransfers) transfers = stored.transfers;
+    } else {
+      rows = await getActivity({ address, start, end, force, source, coverage, transfers });
+    }
+    if (!multi) return { address, rows, coverage, syncedTo, transfers: transfers || [] };
+    const other = (r) => String((r.direction === 'out' ? r.to : r.from) || '').toLowerCase();
+    return {
+      address,
+      coverage,
+      syncedTo,
+      rows: rows.map(r => ({ ...r, wallet: address, selfTransfer: r.kind === 'native' && own.has(other(r)) && other(r) !== address })),
+      transfers: (transfers || []).map(t => ({ ...t, wallet: address, selfTransfer: own.has(String((t.direction === 'out' ? t.to : t.from) || '').toLowerCase()) }))
+    };
+  }));
+  if (wallets.includes(null)) return null;
+  return {
+    ...(storedOnly ? { syncedTo: Math.min(...wallets.map(w => w.syncedTo)) } : {}),
+    rows: wallets.flatMap(w => w.rows),
+    transfers: wallets.flatMap(w => w.transfers),
+    coverage: multi ? mergeCoverage(...wallets.map(w => w.coverage)) : wallets[0].coverage,
+    wallets
+  };
+}
+
+// Identity fields of a response: { address, name } for one wallet, { addresses, names } for several
+export function walletFields(wallets, { excludeSelf = false } = {}) {
+  if (wallets.length === 1) return { address: wallets[0].address, name: wallets[0].name };
+  return { addresses: wallets.map(w => w.address), names: Object.fromEntries(wallets.map(w => [w.address, w.name])), excludeSelf };
+}
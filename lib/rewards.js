@@ -0,0 +1,160 @@
+// lib/rewards.js
+// Campaign tiers and reward allocation. Shared by the admin page and server routes (no Node-only imports).
+// A participant lands in the first tier whose criteria it meets: at most `maxMissed` missed parts and,
+// optionally, a `rule` condition in the eligibility language. Each tier splits its pool:
+//   equal     pool / winners
+//   pro_rata  pool by each winner's `weightBy` value (eligibility-language number, e.g. "total")
+//   fixed     `amount` per winner (the pool, if set, must cover it)
+// Amounts are integers in the token's smallest unit (wei), split with largest-remainder rounding
+// so a tier's payouts add up to its pool exactly.
+import { parseUnits, formatUnits } from 'viem';
+import { parseCondition, parseValue, evaluateExpression, eligibilityVars } from './eligibility';
+
+export const ALLOCATIONS = ['equal', 'pro_rata', 'fixed'];
+export const DEFAULT_REWARD_TOKEN = { symbol: 'ZTC', decimals: 18, address: null }; // address null = native
+
+// Default tiers mirror the old admin tabs: completed all, missed 1/2/3 parts, no rewards
+export const DEFAULT_TIERS = [
+  { name: 'Completed all', maxMissed: 0 },
+  { name: 'Missed 1 part', maxMissed: 1 },
+  { name: 'Missed 2 parts', maxMissed: 2 },
+  { name: 'Missed 3 parts', maxMissed: 3 }
+];
+
+const WEIGHT_SCALE = 1_000_000; // pro-rata weights are fractional numbers; six decimals is plenty
+
+function toWei(v, decimals) {
+  const s = String(v ?? '').trim();
+  if (!/^\d+(\.\d+)?$/.test(s)) throw new Error(`"${v}" is not a non-negative decimal amount`);
+  if ((s.split('.')[1] || '').length > decimals) throw new Error(`"${v}" has more than ${decimals} decimals`);
+  return parseUnits(s, decimals);
+}
+
+export function formatAmount(wei, decimals = 18) {
+  return formatUnits(BigInt(wei), decimals);
+}
+
+// Human-readable problems with tier definitions; empty means usable
+export function validateTiers(tiers, token = DEFAULT_REWARD_TOKEN) {
+  const errors = [];
+  if (!Array.isArray(tiers) || !tiers.length) return ['tiers must be a non-empty array'];
+  const decimals = Number(token?.decimals ?? 18);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) errors.push('token decimals must be an integer 0-36');
+  const names = new Set();
+  tiers.forEach((t, i) => {
+    const at = `tiers[${i}]`;
+    if (!t || typeof t.name !== 'string' || !t.name.trim()) { errors.push(`${at}.name is required`); return; }
+    if (names.has(t.name.trim())) errors.push(`${at}: duplicate tier name "${t.name}"`);
+    names.add(t.name.trim());
+    if (!(typeof t.maxMissed === 'number' && Number.isFinite(t.maxMissed) && t.maxMissed >= 0)) errors.push(`${at}.maxMissed must be a non-negative number`);
+    if (t.rule) {
+      try { parseCondition(t.rule); } catch (e) { errors.push(`${at}.rule ${e.message}`); }
+    }
+    const allocation = t.allocation || 'equal';
+    if (!ALLOCATIONS.includes(allocation)) errors.push(`${at}.allocation must be one of ${ALLOCATIONS.join(', ')}`);
+    const dec = Number.isInteger(decimals) ? decimals : 18;
+    for (const k of ['pool', 'amount']) {
+      if (t[k] == null || t[k] === '') continue;
+      try { toWei(t[k], dec); } catch (e) { errors.push(`${at}.${k} ${e.message}`); }
+    }
+    if (allocation === 'fixed' && (t.amount == null || t.amount === '')) errors.push(`${at}.amount is required for fixed allocation`);
+    if (allocation === 'pro_rata') {
+      try { parseValue(t.weightBy || 'total'); } catch (e) { errors.push(`${at}.weightBy ${e.message}`); }
+    }
+  });
+  return errors;
+}
+
+// Compiled criteria, so a run parses each expression once
+export function compileTiers(tiers) {
+  return tiers.map(t => ({
+    ...t,
+    allocation: t.allocation || 'equal',
+    ruleAst: t.rule ? parseCondition(t.rule) : null,
+    weightAst: (t.allocation || 'equal') === 'pro_rata' ? parseValue(t.weightBy || 'total') : null
+  }));
+}
+
+// Index of the first tier the participant qualifies for, or -1.
+// p: an admin result row ({ counts, total, activeDays, longestStreak, missedParts, disqualified })
+export function tierOf(p, compiled) {
+  if (p.disqualified) return -1;
+  const vars = eligibilityVars(p);
+  return compiled.findIndex(t =>
+    Number(p.missedParts ?? Infinity) <= t.maxMissed &&
+    (!t.ruleAst || evaluateExpression(t.ruleAst, vars)));
+}
+
+// Split `pool` over integer weights; remainders go to the largest fractional parts, ties by position
+function splitLargestRemainder(pool, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0n);
+  if (sum === 0n) return weights.map(() => 0n);
+  const shares = weights.map(w => (pool * w) / sum);
+  let left = pool - shares.reduce((s, x) => s + x, 0n);
+  const order = weights
+    .map((w, i) => ({ i, rem: (pool * w) % sum }))
+    .sort((a, b) => (a.rem === b.rem ? a.i - b.i : a.rem > b.rem ? -1 : 1));
+  for (const { i } of order) {
+    if (left <= 0n) break;
+    shares[i] += 1n;
+    left -= 1n;
+  }
+  return shares;
+}
+
+// groups: array (per tier) of result rows. Returns per-tier payouts with amounts in wei (as strings)
+// plus errors (e.g. a fixed tier over its pool, or a pro-rata tier whose weights are all 0).
+export function allocateRewards(groups, compiled, token = DEFAULT_REWARD_TOKEN) {
+  const decimals = Number(token?.decimals ?? 18);
+  const errors = [];
+  const tiers = compiled.map((t, idx) => {
+    const winners = groups[idx] || [];
+    const hasPool = t.pool != null && t.pool !== '';
+    const pool = hasPool ? toWei(t.pool, decimals) : 0n;
+    let amounts;
+    if (t.allocation === 'fixed') {
+      const each = toWei(t.amount, decimals);
+      amounts = winners.map(() => each);
+      const need = each * BigInt(winners.length);
+      if (hasPool && need > pool) errors.push(`${t.name}: ${winners.length} × ${formatAmount(each, decimals)} = ${formatAmount(need, decimals)} exceeds the pool of ${t.pool}`);
+    } else if (t.allocation === 'pro_rata') {
+      const weights = winners.map(p => {
+        const w = Number(evaluateExpression(t.weightAst, eligibilityVars(p)));
+        return BigInt(Math.max(0, Math.round((Number.isFinite(w) ? w : 0) * WEIGHT_SCALE)));
+      });
+      amounts = splitLargestRemainder(pool, weights);
+      if (pool > 0n && winners.length && weights.every(w => w === 0n)) {
+        errors.push(`${t.name}: every winner's weight (${t.weightBy || 'total'}) is 0, so the pool of ${t.pool} can't be split`);
+      }
+    } else {
+      amounts = splitLargestRemainder(pool, winners.map(() => 1n));
+    }
+    const total = amounts.reduce((s, x) => s + x, 0n);
+    return {
+      name: t.name,
+      allocation: t.allocation,
+      pool: pool.toString(),
+      total: total.toString(),
+      payouts: winners.map((p, i) => ({ discord: p.discord, wallet: (p.wallets || [])[0] || null, amount: amounts[i].toString() }))
+    };
+  });
+  const total = tiers.reduce((s, t) => s + BigInt(t.total), 0n);
+  return { token: { ...DEFAULT_REWARD_TOKEN, ...token, decimals }, tiers, total: total.toString(), errors };
+}
+
+// Batch-airdrop rows: one per address (a Discord's first wallet), amounts in wei, zero amounts dropped
+export function airdropRows(allocation) {
+  const byAddress = new Map();
+  for (const t of allocation.tiers) {
+    for (const p of t.payouts) {
+      if (!p.wallet || BigInt(p.amount) === 0n) continue;
+      const a = p.wallet.toLowerCase();
+      byAddress.set(a, (byAddress.get(a) || 0n) + BigInt(p.amount));
+    }
+  }
+  return [...byAddress.entries()].map(([address, amount]) => ({ address, amount: amount.toString() }));
+}
+
+export function airdropCsv(allocation) {
+  return ['address,amount', ...airdropRows(allocation).map(r => `${r.address},${r.amount}`)].join('\n');
+}
@@ -0,0 +1,299 @@
+// lib/rpcSource.js
+import { decodeAbiParameters, keccak256, toBytes, numberToHex, hexToBigInt, hexToNumber, pad } from 'viem';
+import { client } from './chain';
+
+// Alternative data source: rebuilds the explorer's account feeds (txlist, tokentx, tokennfttx,
+// token1155tx) straight from the RPC, using eth_getLogs over block ranges. Rows are shaped like
+// zentrace (Etherscan-style) rows so buildActivity can consume either source.
+// Limits, reported per feed in coverage `limits` (they don't make a result partial):
+//  - Txs the wallet sent are all found, log or not (GM calls, deploys, plain sends): the account
+//    nonce is bisected over the range, so the cost grows with the wallet's tx count, not the window.
+//    This reads historical state, so the RPC must keep it (an archive node for old windows).
+//  - Plain ZTC the wallet *received* emits no log. It is only found in the newest
+//    ZEN_RPC_SCAN_BLOCKS blocks (default 0 = off), each scanned with a full-transaction
+//    eth_getBlock. Incremental syncs scan from the last sync onward, so a small value suffices there.
+//  - Internal transfers need tracing, which the public RPC lacks: txlistinternal is empty.
+export const RPC_SCAN_BLOCKS = Math.max(0, Math.floor(Number(process.env.ZEN_RPC_SCAN_BLOCKS) || 0));
+
+const topic = (sig) => keccak256(toBytes(sig)).toLowerCase();
+const TOPIC_TRANSFER      = topic('Transfer(address,address,uint256)');
+const TOPIC_APPROVAL      = topic('Approval(address,address,uint256)');
+const TOPIC_APPROVAL_ALL  = topic('ApprovalForAll(address,address,bool)');
+const TOPIC_1155_SINGLE   = topic('TransferSingle(address,address,address,uint256,uint256)');
+const TOPIC_1155_BATCH    = topic('TransferBatch(address,address,address,uint256[],uint256[])');
+
+const ERC20_META_ABI = [
+  { type: 'function', name: 'symbol',   stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { type: 'function', name: 'name',     stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { type: 'function', name: 'decimals', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint8' }] }
+];
+
+const blockTsCache = new Map(); // blockNumber -> timestamp (sec)
+const tokenMetaCache = new Map(); // contractLower -> Promise<{ symbol, name, decimals }>
+
+function pLimit(n) {
+  let active = 0;
+  const q = [];
+  const runNext = () => { active--; if (q.length) q.shift()(); };
+  return (fn) => new Promise((resolve, reject) => {
+    const run = () => {
+      active++;
+      fn().then(v => { resolve(v); runNext(); }).catch(e => { reject(e); runNext(); });
+    };
+    if (active < n) run(); else q.push(run);
+  });
+}
+
+const addrTopic = (a) => pad(a, { size: 32 }).toLowerCase();
+const addrFromTopic = (t) => (t && t.length >= 66) ? ('0x' + t.slice(26)).toLowerCase() : null;
+
+async function blockTimestamp(n) {
+  if (blockTsCache.has(n)) return blockTsCache.get(n);
+  const b = await client.getBlock({ blockNumber: BigInt(n) });
+  const ts = Number(b.timestamp);
+  blockTsCache.set(n, ts);
+  return ts;
+}
+
+// First block with timestamp >= ts (binary search; ~log2(head) RPC calls, cached)
+async function blockAtOrAfter(ts, head) {
+  let lo = 0, hi = head;
+  if (await blockTimestamp(hi) < ts) return head + 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await blockTimestamp(mid) < ts) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+async function blockRange(startTs, endTs) {
+  const head = Number(await client.getBlockNumber());
+  const fromBlock = startTs > 0 ? await blockAtOrAfter(startTs, head) : 0;
+  const next = await blockAtOrAfter(endTs + 1, head);
+  return { fromBlock, toBlock: Math.min(head, next - 1) };
+}
+
+// eth_getLogs in fixed-size chunks (public RPCs cap the range per call); each chunk counts as a page
+async function getLogsChunked(topics, { fromBlock, toBlock }, opts) {
+  const out = [];
+  for (let lo = fromBlock; lo <= toBlock; lo += opts.logChunk) {
+    const hi = Math.min(toBlock, lo + opts.logChunk - 1);
+    const logs = await client.request({
+      method: 'eth_getLogs',
+      params: [{ fromBlock: numberToHex(lo), toBlock: numberToHex(hi), topics }]
+    });
+    opts.coverage.pages += 1;
+    out.push(...(logs || []));
+  }
+  return out;
+}
+
+function tokenMeta(contract) {
+  const c = String(contract || '').toLowerCase();
+  if (!tokenMetaCache.has(c)) {
+    tokenMetaCache.set(c, (async () => {
+      const read = (functionName) => client.readContract({ address: c, abi: ERC20_META_ABI, functionName }).catch(() => null);
+      const [symbol, name, decimals] = await Promise.all([read('symbol'), read('name'), read('decimals')]);
+      return { symbol: String(symbol || ''), name: String(name || ''), decimals: decimals == null ? '' : String(decimals) };
+    })());
+  }
+  return tokenMetaCache.get(c);
+}
+
+async function withTimestamps(logs, concurrency) {
+  const limit = pLimit(concurrency);
+  const blocks = [...new Set(logs.map(l => hexToNumber(l.blockNumber)))];
+  await Promise.all(blocks.map(n => limit(() => blockTimestamp(n))));
+  return logs.map(l => ({ ...l, _block: hexToNumber(l.blockNumber), _ts: blockTsCache.get(hexToNumber(l.blockNumber)) }));
+}
+
+// Logs where `user` sits in topic position `pos` (1-based) for each of the given event topics
+async function userLogs(eventTopics, positions, user, range, opts) {
+  const t = addrTopic(user);
+  const all = [];
+  for (const pos of positions) {
+    const topics = [eventTopics];
+    for (let i = 1; i < pos; i++) topics.push(null);
+    topics.push(t);
+    all.push(...await getLogsChunked(topics, range, opts));
+  }
+  const seen = new Set();
+  return all.filter(l => {
+    const k = `${l.transactionHash}:${l.logIndex}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+async function tokenTransfers(standard, user, range, opts) {
+  const logs = await withTimestamps(await userLogs([TOPIC_TRANSFER], [1, 2], user, range, opts), opts.concurrency);
+  const rows = [];
+  for (const l of logs) {
+    const is721 = (l.topics || []).length === 4;
+    if ((standard === 'erc721') !== is721) continue;
+    const meta = await tokenMeta(l.address);
+    rows.push({
+      hash: l.transactionHash,
+      blockNumber: String(l._block),
+      timeStamp: String(l._ts),
+      logIndex: String(hexToNumber(l.logIndex)),
+      from: addrFromTopic(l.topics[1]),
+      to: addrFromTopic(l.topics[2]),
+      contractAddress: String(l.address).toLowerCase(),
+      tokenSymbol: meta.symbol,
+      tokenName: meta.name,
+      ...(is721
+        ? { tokenID: hexToBigInt(l.topics[3]).toString() }
+        : { value: hexToBigInt(l.data === '0x' ? '0x0' : l.data).toString(), tokenDecimal: meta.decimals || '18' })
+    });
+  }
+  return rows;
+}
+
+async function token1155Transfers(user, range, opts) {
+  const logs = await withTimestamps(await userLogs([TOPIC_1155_SINGLE, TOPIC_1155_BATCH], [2, 3], user, range, opts), opts.concurrency);
+  const rows = [];
+  for (const l of logs) {
+    const meta = await tokenMeta(l.address);
+    const base = {
+      hash: l.transactionHash,
+      blockNumber: String(l._block),
+      timeStamp: String(l._ts),
+      logIndex: String(hexToNumber(l.logIndex)),
+      from: addrFromTopic(l.topics[2]),
+      to: addrFromTopic(l.topics[3]),
+      contractAddress: String(l.address).toLowerCase(),
+      tokenSymbol: meta.symbol,
+      tokenName: meta.name
+    };
+    if (String(l.topics[0]).toLowerCase() === TOPIC_1155_SINGLE) {
+      const [id, value] = decodeAbiParameters([{ type: 'uint256' }, { type: 'uint256' }], l.data);
+      rows.push({ ...base, tokenID: id.toString(), tokenValue: value.toString() });
+    } else {
+      const [ids, values] = decodeAbiParameters([{ type: 'uint256[]' }, { type: 'uint256[]' }], l.data);
+      ids.forEach((id, i) => rows.push({ ...base, tokenID: id.toString(), tokenValue: String(values[i] ?? '') }));
+    }
+  }
+  return rows;
+}
+
+// Blocks in [range] holding a tx sent by `user`: the account nonce only moves in those, so bisect
+// on eth_getTransactionCount and descend only into halves where it changed
+async function sentBlocks(user, range, opts, limit) {
+  const nonceAt = (n) => (n < 0 ? Promise.resolve(0) : limit(async () => {
+    opts.coverage.pages += 1;
+    return client.getTransactionCount({ address: user, blockNumber: BigInt(n) });
+  }));
+  const blocks = [];
+  // nonce after block `lo` is nLo, after block `hi` is nHi; find the blocks in (lo, hi]
+  async function split(lo, hi, nLo, nHi) {
+    if (nHi === nLo) return;
+    if (hi - lo === 1) { blocks.push(hi); return; }
+    const mid = Math.floor((lo + hi) / 2);
+    const nMid = await nonceAt(mid);
+    await Promise.all([split(lo, mid, nLo, nMid), split(mid, hi, nMid, nHi)]);
+  }
+  const [first, last] = await Promise.all([nonceAt(range.fromBlock - 1), nonceAt(range.toBlock)]);
+  await split(range.fromBlock - 1, range.toBlock, first, last);
+  return blocks;
+}
+
+// External txs: everything the user sent (nonce bisection), every tx hash seen in the user's logs
+// (transfers either way, approvals as owner) and, optionally, a scan of the newest blocks for
+// plain native transfers the user received.
+async function externalTxs(user, range, opts) {
+  const hashes = new Set();
+  const logs = await userLogs([TOPIC_TRANSFER, TOPIC_APPROVAL, TOPIC_APPROVAL_ALL], [1, 2], user, range, opts);
+  for (const l of logs) hashes.add(String(l.transactionHash).toLowerCase());
+
+  const limit = pLimit(opts.concurrency);
+  const scanned = [];
+  const scanFrom = Math.max(range.fromBlock, range.toBlock - opts.scanBlocks + 1);
+  if (scanFrom > range.fromBlock) {
+    opts.coverage.limits.push(opts.scanBlocks
+      ? `incoming plain ZTC transfers only seen in the newest ${opts.scanBlocks} blocks (ZEN_RPC_SCAN_BLOCKS)`
+      : 'incoming plain ZTC transfers are not visible over RPC (set ZEN_RPC_SCAN_BLOCKS to scan recent blocks)');
+  }
+  const fullBlock = async (n) => {
+    const b = await client.getBlock({ blockNumber: BigInt(n), includeTransactions: true });
+    blockTsCache.set(n, Number(b.timestamp));
+    for (const tx of b.transactions || []) {
+      const from = String(tx.from || '').toLowerCase();
+      const to = String(tx.to || '').toLowerCase();
+      if (from === user || to === user) scanned.push(tx);
+    }
+  };
+  const blockNums = new Set(await sentBlocks(user, range, opts, limit));
+  for (let n = range.toBlock; n >= scanFrom; n--) blockNums.add(n);
+  await Promise.all([...blockNums].map(n => limit(() => fullBlock(n))));
+
+  const txByHash = new Map(scanned.map(tx => [String(tx.hash).toLowerCase(), tx]));
+  await Promise.all([...hashes].filter(h => !txByHash.has(h)).map(h => limit(async () => {
+    const tx = await client.getTransaction({ hash: h });
+    if (tx) txByHash.set(h, tx);
+  })));
+
+  const rows = [];
+  await Promise.all([...txByHash.values()].map(tx => limit(async () => {
+    const from = String(tx.from || '').toLowerCase();
+    const to = tx.to ? String(tx.to).toLowerCase() : '';
+    if (from !== user && to !== user) return; // log hit where the user was only a token counterparty
+    const rcpt = await client.getTransactionReceipt({ hash: tx.hash });
+    const block = Number(tx.blockNumber);
+    const ok = rcpt?.status === 'success';
+    rows.push({
+      hash: String(tx.hash).toLowerCase(),
+      blockNumber: String(block),
+      timeStamp: String(await blockTimestamp(block)),
+      from,
+      to,
+      value: (tx.value ?? 0n).toString(),
+      input: tx.input || '0x',
+      functionName: '',
+      contractAddress: rcpt?.contractAddress ? String(rcpt.contractAddress).toLowerCase() : '',
+      gas: String(tx.gas ?? ''),
+      gasPrice: String(tx.gasPrice ?? ''),
+      gasUsed: String(rcpt?.gasUsed ?? ''),
+      isError: ok ? '0' : '1',
+      txreceipt_status: ok ? '1' : '0'
+    });
+  })));
+  return rows;
+}
+
+// Same contract as fetchPagedAccount: explorer-shaped rows in [startTs, endTs], newest first.
+// RPC failures are recorded in opts.coverage (like explorer page errors) rather than thrown.
+export async function fetchPagedAccountRpc(action, address, { startTs, endTs }, opts = {}) {
+  const user = String(address || '').toLowerCase();
+  const cov = Object.assign(opts.coverage || {}, { pages: 0, reachedStart: true, capped: false, errors: [], limits: [] });
+  const o = {
+    logChunk: opts.logChunk ?? 5000,
+    scanBlocks: opts.scanBlocks ?? RPC_SCAN_BLOCKS,
+    concurrency: opts.concurrency ?? 8,
+    coverage: cov
+  };
+  if (action === 'txlistinternal') {
+    cov.unsupported = true; // needs debug/trace APIs
+    return [];
+  }
+
+  let rows;
+  try {
+    const range = await blockRange(startTs, endTs);
+    if (range.toBlock < range.fromBlock) return [];
+    if (action === 'txlist') rows = await externalTxs(user, range, o);
+    else if (action === 'tokentx') rows = await tokenTransfers('erc20', user, range, o);
+    else if (action === 'tokennfttx') rows = await tokenTransfers('erc721', user, range, o);
+    else if (action === 'token1155tx') rows = await token1155Transfers(user, range, o);
+    else throw new Error(`Unsupported RPC action: ${action}`);
+  } catch (e) {
+    cov.errors.push(e.shortMessage || e.message || String(e));
+    cov.reachedStart = false;
+    return [];
+  }
+
+  return rows
+    .filter(x => Number(x.timeStamp) >= startTs && Number(x.timeStamp) <= endTs)
+    .sort((a, b) => Number(b.blockNumber) - Number(a.blockNumber));
+}
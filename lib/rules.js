@@ -0,0 +1,372 @@
+// lib/rules.js
+import fs from 'fs';
+import { keccak256, toBytes } from 'viem';
+
+// Declarative classification rules.
+// Each rule names a category and how to recognise it:
+//   priority       higher wins, both for first-pass matching order and for dedupe across feeds
+//   contracts      `to` addresses that always map to this category (checked before selectors)
+//   selectors      function signatures ('stake(uint256)') or raw 4-byte ids ('0x84a3bb6b')
+//   functionNames  regex sources tested against the explorer's lowercased functionName
+//   topics         event signatures or raw 32-byte topics (receipt evidence)
+//   quick          when false, selectors/functionNames are only used as receipt-promotion hints
+//   requireContracts  when true, the rule is inactive (matches nothing) until `contracts` is non-empty;
+//                  for categories whose selectors and events are too generic to trust on their own
+// Categories without matchers (fail, other, ...) still need a rule so their priority is known.
+export const DEFAULT_RULES = [
+  { category: 'fail', priority: 125 },
+  {
+    category: 'domain_mint',
+    priority: 120,
+    quick: false,
+    // Optional allow-list for domain registrars (empty by default; add known registrars if you have them)
+    contracts: [],
+    selectors: [
+      'registerDomains(string[],address,uint256)',
+      'registerDomains(string[],address)',
+      'registerDomain(string,address,uint256)',
+      'registerDomain(string,address)',
+      'register(string,address,uint256)',
+      'register(bytes32,address,uint256)',
+      'registerWithConfig(string,address,uint256,address,address)',
+      'registerWithConfig(bytes32,address,uint256,address,address)',
+      'registerName(string,address,uint256)'
+    ],
+    functionNames: ['register.*(domain|name)', '(domain|name).*register', 'zns'],
+    topics: [
+      'NameRegistered(bytes32,address,uint256)',
+      'NameRegistered(string,address,uint256)',
+      'NameRegistered(bytes32,address,uint256,uint256)',
+      'NameRegistered(string,address,uint256,uint256)',
+      'DomainRegistered(address,string,uint256)',
+      'DomainRegistered(address,string,uint256,uint256)',
+      'NewOwner(bytes32,bytes32,address)',
+      'SubnodeCreated(bytes32,bytes32,address)'
+    ]
+  },
+  {
+    category: 'cc',
+    priority: 115,
+    contracts: ['0x2f96d7dd813b8e17071188791b78ea3fab5c109c']
+  },
+  {
+    category: 'cco',
+    priority: 112,
+    contracts: ['0x016ef0f56d7344d0e55f6bc2a20618e02dae8be0']
+  },
+  {
+    // Above stake: bridge withdrawals would otherwise match stake's 'withdraw' pattern.
+    // Outgoing = leaving the testnet; incoming credits from these contracts = arriving on it.
+    category: 'bridge',
+    priority: 108,
+    // The standard bridge selectors and events below are shared by many unrelated contracts, so the
+    // category stays off until the ZenChain bridge contracts are configured via ZEN_RULES_JSON /
+    // ZEN_RULES_FILE (override this rule with its `contracts`). Selectors and events then count
+    // alongside those contracts, e.g. for routers that call into the bridge.
+    requireContracts: true,
+    contracts: [],
+    selectors: [
+      'bridgeETH(uint32,bytes)',
+      'bridgeETHTo(address,uint32,bytes)',
+      'bridgeERC20(address,address,uint256,uint32,bytes)',
+      'bridgeERC20To(address,address,address,uint256,uint32,bytes)',
+      'depositETH(uint32,bytes)',
+      'depositETHTo(address,uint32,bytes)',
+      'depositERC20(address,address,uint256,uint32,bytes)',
+      'depositERC20To(address,address,address,uint256,uint32,bytes)',
+      'withdraw(address,uint256,uint32,bytes)',
+      'withdrawTo(address,address,uint256,uint32,bytes)',
+      'finalizeBridgeETH(address,address,uint256,bytes)',
+      'finalizeBridgeERC20(address,address,address,address,uint256,bytes)',
+      'transferTokens(address,uint256,uint16,bytes32,uint256,uint32)',
+      'sendToL1(address,bytes)'
+    ],
+    functionNames: ['bridge', 'crosschain', 'deposit(eth|erc20)', 'withdrawto', 'sendtol1'],
+    topics: [
+      'ETHBridgeInitiated(address,address,uint256,bytes)',
+      'ETHBridgeFinalized(address,address,uint256,bytes)',
+      'ERC20BridgeInitiated(address,address,address,address,uint256,bytes)',
+      'ERC20BridgeFinalized(address,address,address,address,uint256,bytes)',
+      'DepositInitiated(address,address,address,address,uint256,bytes)',
+      'DepositFinalized(address,address,address,address,uint256,bytes)',
+      'WithdrawalInitiated(address,address,address,address,uint256,bytes)',
+      'WithdrawalFinalized(address,address,address,address,uint256,bytes)'
+    ]
+  },
+  {
+    category: 'stake',
+    priority: 105,
+    selectors: [
+      'stake(uint256)', 'stake(uint256,address)',
+      'stakeFor(address,uint256)',
+      'deposit(uint256)', 'deposit(uint256,address)', 'deposit()',
+      'delegate(address,uint256)', 'delegate(uint256)',
+      'bond(uint256)', 'bondExtra(uint256)', 'bondExtra()', 'bondMore(uint256)',
+      'nominate(address[])', 'unbond(uint256)',
+      'withdrawUnbonded(uint32)', 'restake(uint256)', 'redelegate(address,uint256)',
+      'unstake(uint256)'
+    ],
+    functionNames: ['bond', 'stake', 'delegate', 'nominate', 'withdraw']
+  },
+  {
+    category: 'swap',
+    priority: 104,
+    selectors: [
+      'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+      'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)',
+      'swapExactETHForTokens(uint256,address[],address,uint256)',
+      'swapETHForExactTokens(uint256,address[],address,uint256)',
+      'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+      'swapTokensForExactETH(uint256,uint256,address[],address,uint256)',
+      'swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+      'swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)',
+      'swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+      'exactInput(bytes)',
+      'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+      'exactOutput(bytes)',
+      'exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'
+    ],
+    functionNames: ['swap', 'exactinput', 'exactoutput'],
+    topics: [
+      'Swap(address,uint256,uint256,uint256,uint256,address)',
+      'Swap(address,address,int256,int256,uint160,uint128,int24)'
+    ]
+  },
+  {
+    // Do NOT match generic "mint" here (avoids false positives vs NFT mints)
+    category: 'add_liquidity',
+    priority: 103,
+    selectors: [
+      'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+      'addLiquidityETH(address,uint256,uint256,uint256,address,uint256)'
+    ],
+    functionNames: ['addliquidity'],
+    topics: [
+      'Mint(address,uint256,uint256)',
+      'Mint(address,uint256,int24,int24,uint128,uint256,uint256)',
+      'IncreaseLiquidity(uint256,uint128,uint256,uint256)'
+    ]
+  },
+  {
+    category: 'remove_liquidity',
+    priority: 103,
+    selectors: [
+      'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+      'removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+      'removeLiquidityWithPermit(address,address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)',
+      'removeLiquidityETHWithPermit(address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)',
+      'removeLiquidityETHSupportingFeeOnTransferTokens(address,uint256,uint256,uint256,address,uint256)',
+      'removeLiquidityETHWithPermitSupportingFeeOnTransferTokens(address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)'
+    ],
+    functionNames: ['removeliquidity', 'decreaseliquidity'],
+    topics: [
+      'Burn(address,uint256,uint256,address)',
+      'DecreaseLiquidity(uint256,uint128,uint256,uint256)'
+    ]
+  },
+  {
+    category: 'gm',
+    priority: 100,
+    contracts: [
+      '0xf617d89a811a39f06f5271f89db346a0ae297f71',
+      '0x1290b4f2a419a316467b580a088453a233e9adcc'
+    ],
+    selectors: ['sayGM()', 'gm()', '0x84a3bb6b'],
+    functionNames: ['saygm', '^gm$']
+  },
+  { category: 'native_send', priority: 95 },
+  {
+    category: 'approve',
+    priority: 93,
+    selectors: [
+      'approve(address,uint256)',
+      'increaseAllowance(address,uint256)',
+      'decreaseAllowance(address,uint256)',
+      'setApprovalForAll(address,bool)'
+    ],
+    functionNames: ['^approve$', 'allowance', 'approval'],
+    topics: [
+      'Approval(address,address,uint256)',
+      'ApprovalForAll(address,address,bool)'
+    ]
+  },
+  {
+    // NFT mint selectors (721/721A/1155 common names); confirmed via receipts, never quick
+    category: 'nft_mint',
+    priority: 90,
+    quick: false,
+    selectors: [
+      'mint()',
+      'mint(uint256)',
+      'mint(address)',
+      'mint(address,uint256)',
+      'mintTo(address,uint256)',
+      'safeMint(address)',
+      'safeMint(address,uint256)',
+      'publicMint(uint256)',
+      'batchMint(address,uint256)',
+      'batchMint(address,uint256[])',
+      'claim()',
+      'claim(uint256)',
+      'claim(address,uint256)'
+    ],
+    functionNames: ['mint', 'claim']
+  },
+  { category: 'other', priority: 80 }
+];
+
+// Categories the classifier assigns by itself; every rule set must define them
+const BUILTIN_CATEGORIES = ['fail', 'other', 'native_send', 'nft_mint', 'domain_mint', 'cc', 'bridge'];
+const RULE_KEYS = new Set(['category', 'priority', 'contracts', 'selectors', 'functionNames', 'topics', 'quick', 'requireContracts']);
+
+const toSelector = (s) => /^0x[0-9a-fA-F]{8}$/.test(s) ? s.toLowerCase() : '0x' + keccak256(toBytes(s)).slice(2, 10);
+const toTopic = (s) => /^0x[0-9a-fA-F]{64}$/.test(s) ? s.toLowerCase() : keccak256(toBytes(s)).toLowerCase();
+const isSignature = (s) => /^[A-Za-z_$][\w$]*\(.*\)$/.test(s);
+
+// Returns a list of human-readable problems; empty means the rule set is usable
+export function validateRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules)) return ['Rules must be an array'];
+
+  const categories = new Map();   // category -> index
+  const contractOwner = new Map(); // contractLower -> category
+  const selectorOwner = new Map(); // selector -> category
+
+  rules.forEach((r, i) => {
+    const at = `rule[${i}]${r?.category ? ` (${r.category})` : ''}`;
+    if (!r || typeof r !== 'object' || Array.isArray(r)) { errors.push(`${at}: must be an object`); return; }
+
+    for (const k of Object.keys(r)) {
+      if (!RULE_KEYS.has(k)) errors.push(`${at}: unknown key "${k}"`);
+    }
+    if (typeof r.category !== 'string' || !/^[a-z][a-z0-9_]*$/.test(r.category)) {
+      errors.push(`${at}: category must be snake_case`);
+    } else if (categories.has(r.category)) {
+      errors.push(`${at}: duplicate category (also rule[${categories.get(r.category)}])`);
+    } else {
+      categories.set(r.category, i);
+    }
+    if (typeof r.priority !== 'number' || !Number.isFinite(r.priority)) {
+      errors.push(`${at}: priority must be a number`);
+    }
+    if (r.quick != null && typeof r.quick !== 'boolean') errors.push(`${at}: quick must be a boolean`);
+    if (r.requireContracts != null && typeof r.requireContracts !== 'boolean') errors.push(`${at}: requireContracts must be a boolean`);
+
+    for (const key of ['contracts', 'selectors', 'functionNames', 'topics']) {
+      if (r[key] == null) continue;
+      if (!Array.isArray(r[key]) || r[key].some(x => typeof x !== 'string')) {
+        errors.push(`${at}: ${key} must be an array of strings`);
+      }
+    }
+
+    for (const c of Array.isArray(r.contracts) ? r.contracts : []) {
+      if (typeof c !== 'string') continue;
+      if (!/^0x[0-9a-fA-F]{40}$/.test(c)) { errors.push(`${at}: invalid contract ${c}`); continue; }
+      const k = c.toLowerCase();
+      const owner = contractOwner.get(k);
+      if (owner && owner !== r.category) errors.push(`${at}: contract ${k} already claimed by ${owner}`);
+      else contractOwner.set(k, r.category);
+    }
+    for (const s of Array.isArray(r.selectors) ? r.selectors : []) {
+      if (typeof s !== 'string') continue;
+      if (!/^0x[0-9a-fA-F]{8}$/.test(s) && !isSignature(s)) { errors.push(`${at}: invalid selector ${s}`); continue; }
+      const k = toSelector(s);
+      const owner = selectorOwner.get(k);
+      if (owner && owner !== r.category) errors.push(`${at}: selector ${s} (${k}) already claimed by ${owner}`);
+      else selectorOwner.set(k, r.category);
+    }
+    for (const p of Array.isArray(r.functionNames) ? r.functionNames : []) {
+      if (typeof p !== 'string') continue;
+      try { new RegExp(p); } catch { errors.push(`${at}: invalid functionNames pattern ${p}`); }
+    }
+    for (const t of Array.isArray(r.topics) ? r.topics : []) {
+      if (typeof t !== 'string') continue;
+      if (!/^0x[0-9a-fA-F]{64}$/.test(t) && !isSignature(t)) errors.push(`${at}: invalid topic ${t}`);
+    }
+  });
+
+  for (const c of BUILTIN_CATEGORIES) {
+    if (!categories.has(c)) errors.push(`missing required category "${c}"`);
+  }
+  return errors;
+}
+
+// Overrides replace the default rule with the same category; new categories are appended
+export function mergeRules(base, overrides) {
+  const out = [...base];
+  for (const r of overrides || []) {
+    const i = out.findIndex(x => x.category === r?.category);
+    if (i >= 0) out[i] = r; else out.push(r);
+  }
+  return out;
+}
+
+// Turn validated rules into lookup structures used by the classifier
+export function compileRules(rules) {
+  const errors = validateRules(rules);
+  if (errors.length) throw new Error(`Invalid classification rules: ${errors.join('; ')}`);
+
+  const compiled = rules.map((r, order) => {
+    const inactive = r.requireContracts === true && !(r.contracts || []).length;
+    const list = (key) => (inactive ? [] : r[key] || []);
+    return {
+      category: r.category,
+      priority: r.priority,
+      quick: r.quick !== false,
+      inactive,
+      order,
+      contracts: new Set((r.contracts || []).map(c => c.toLowerCase())),
+      selectors: new Set(list('selectors').map(toSelector)),
+      functionNames: list('functionNames').map(p => new RegExp(p)),
+      topics: new Set(list('topics').map(toTopic))
+    };
+  });
+  // Highest priority first; ties keep declaration order
+  compiled.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+
+  const byCategory = new Map(compiled.map(r => [r.category, r]));
+  const contractCategory = new Map();
+  for (const r of compiled) for (const c of r.contracts) contractCategory.set(c, r.category);
+  const quickRules = compiled.filter(r => r.quick && (r.selectors.size || r.functionNames.length));
+
+  return {
+    rules: compiled,
+    // Changes whenever the rule set does; stored classifications carry it to detect staleness
+    fingerprint: keccak256(toBytes(JSON.stringify(rules))).slice(0, 18),
+    byCategory,
+    contractCategory,
+    quickRules,
+    // Categories switched off by requireContracts (nothing is classified as them)
+    inactive: compiled.filter(r => r.inactive).map(r => r.category),
+    priorityOf: (category) => byCategory.get(category)?.priority ?? 50,
+    // True when the tx selector or function name matches the category's rule
+    matchesCall: (category, sig, fn) => {
+      const r = byCategory.get(category);
+      if (!r) return false;
+      if (r.selectors.has(sig)) return true;
+      return !!fn && r.functionNames.some(re => re.test(fn));
+    },
+    hasTopic: (category, t0) => !!byCategory.get(category)?.topics.has(String(t0 || '').toLowerCase()),
+    hasContract: (category, addr) => !!byCategory.get(category)?.contracts.has(String(addr || '').toLowerCase())
+  };
+}
+
+// Overrides come from ZEN_RULES_JSON (inline) or ZEN_RULES_FILE (path to a JSON array)
+function readOverrides() {
+  const inline = process.env.ZEN_RULES_JSON;
+  if (inline) return JSON.parse(inline);
+  const file = process.env.ZEN_RULES_FILE;
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return [];
+}
+
+// Raw (uncompiled) rule set currently in effect
+export function activeRules() {
+  return mergeRules(DEFAULT_RULES, readOverrides());
+}
+
+let registry = null;
+export function getRules() {
+  if (!registry) registry = compileRules(activeRules());
+  return registry;
+}
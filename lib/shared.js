@@ -1,22 +1,18 @@
 // lib/shared.js
 import {
-  createPublicClient,
-  http,
   keccak256,
   toBytes
 } from 'viem';
-
-// Explorer + RPC
-const EXPLORER_BASE = 'https://zentrace.io';
-const API_BASE = `${EXPLORER_BASE}/api`;
-const RPC = 'https://zenchain-testnet.api.onfinality.io/public';
-
-// viem client
-const client = createPublicClient({ transport: http(RPC) });
+import { getRules } from './rules';
+import { API_BASE, client } from './chain';
+import { fetchPagedAccountRpc } from './rpcSource';
+import { newCoverage, finalizeCoverage } from './coverage';
+import { computeStreaks } from './streaks';
 
 // Caches
 const receiptCache = new Map(); // txHashLower -> receipt
 const metaCache    = new Map(); // nftContractLower -> { symbol, name }
+const MAX_CACHED_RECEIPTS = 20000; // long-lived instances would otherwise grow without bound
 
 // Helpers
 function buildUrl(params) {
@@ -45,7 +41,6 @@ async function getJSONRetry(url, retries = 2, baseDelay = 150) {
   throw lastErr || new Error('getJSON failed');
 }
 
-const toLowerSet = (arr) => new Set(arr.map(s => String(s || '').toLowerCase()));
 const inputSig = (tx) => String(tx?.input ?? tx?.methodId ?? '0x').slice(0, 10).toLowerCase();
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 function uniqueBy(arr, keyFn) {
@@ -84,7 +79,9 @@ export function parseRange(q) {
 }
 
 // Explorer paging (dynamic expansion + retries to reduce flicker)
+// opts.coverage (optional object) receives { pages, reachedStart, capped, errors } for completeness reporting
 export async function fetchPagedAccount(action, address, { startTs, endTs }, opts = {}) {
+  const cov = Object.assign(opts.coverage || {}, { pages: 0, reachedStart: false, capped: false, errors: [] });
   let pageSize = opts.pageSize ?? 100;
   let maxPages = opts.maxPages ?? 20;          // starting budget
   const absMaxPages = opts.absMaxPages ?? 300; // hard cap
@@ -98,18 +95,21 @@ export async function fetchPagedAccount(action, address, { startTs, endTs }, opt
       if (dynamic && maxPages < absMaxPages) {
         maxPages = Math.min(absMaxPages, maxPages + 20);
       } else {
+        cov.capped = true;
         break;
       }
     }
     const url = buildUrl({ module: 'account', action, address, page, offset: pageSize, sort: 'desc' });
     let j;
-    try { j = await getJSONRetry(url, 2, 180); } catch { break; }
+    try { j = await getJSONRetry(url, 2, 180); }
+    catch (e) { cov.errors.push(`page ${page}: ${e.message || e}`); break; }
+    cov.pages += 1;
     const arr = Array.isArray(j?.result) ? j.result : [];
-    if (!arr.length) break;
+    if (!arr.length) { cov.reachedStart = true; break; }
     out.push(...arr);
 
     const oldestOnPage = Math.min(...arr.map(x => Number(x.timeStamp || 0)));
-    if (oldestOnPage <= startTs || arr.length < pageSize) break;
+    if (oldestOnPage <= startTs || arr.length < pageSize) { cov.reachedStart = true; break; }
 
     page += 1;
   }
@@ -117,7 +117,27 @@ export async function fetchPagedAccount(action, address, { startTs, endTs }, opt
     const ts = Number(x.timeStamp || 0);
     return ts >= startTs && ts <= endTs;
   });
-  return uniqueBy(filtered, x => String(x.hash || x.transactionHash || '').toLowerCase());
+  // Externals are one per hash; other feeds can hold several entries per tx (e.g. both legs of a swap)
+  if (action === 'txlist') return uniqueBy(filtered, x => String(x.hash || x.transactionHash || '').toLowerCase());
+  return uniqueBy(filtered, feedEntryKey);
+}
+
+function feedEntryKey(x) {
+  return [
+    x.hash || x.transactionHash, x.logIndex ?? '', x.traceId ?? '', x.from, x.to,
+    x.contractAddress, x.tokenID ?? '', x.value ?? x.tokenValue ?? ''
+  ].map(v => String(v || '').toLowerCase()).join(':');
+}
+
+// History backends sharing the fetchPagedAccount contract (explorer-shaped rows, newest first)
+const DATA_SOURCES = {
+  explorer: fetchPagedAccount,
+  rpc: fetchPagedAccountRpc
+};
+export function resolveSource(name) {
+  const key = String(name || 'explorer').toLowerCase();
+  if (!DATA_SOURCES[key]) throw new Error(`Unknown data source: ${name} (use ${Object.keys(DATA_SOURCES).join(' or ')})`);
+  return key;
 }
 
 // Formatting
@@ -137,24 +157,8 @@ export function formatUnits(raw, decimals) {
 
 // Constants
 const ZERO = '0x0000000000000000000000000000000000000000';
-const CCO_TARGET = '0x016ef0f56d7344d0e55f6bc2a20618e02dae8be0'.toLowerCase();
-
-// Overrides (lowercased)
-const GM_CONTRACTS = toLowerSet([
-  '0xf617d89a811a39f06f5271f89db346a0ae297f71',
-  '0x1290b4f2a419a316467b580a088453a233e9adcc',
-]);
-const CC_CONTRACTS = toLowerSet([
-  '0x2f96d7dd813b8e17071188791b78ea3fab5c109c'
-]);
-
-// Optional allow-list for domain registrars (empty by default; add known registrars if you have them)
-const DOMAIN_CONTRACTS = toLowerSet([
-  // '0xRegistrar1...', '0xRegistrar2...'
-]);
-
-// Signatures/topics
-const sel = (sig) => '0x' + keccak256(toBytes(sig)).slice(2, 10);
+
+// Signatures/topics (category selectors, contracts and topics live in lib/rules.js)
 const topic = (sig) => keccak256(toBytes(sig));
 const addrFromTopic = (t) => (t && t.length >= 66) ? ('0x' + t.slice(26)).toLowerCase() : null;
 
@@ -162,107 +166,8 @@ const TOPIC_ERC721_TRANSFER = topic('Transfer(address,address,uint256)');
 const TOPIC_ERC1155_SINGLE  = topic('TransferSingle(address,address,address,uint256,uint256)');
 const TOPIC_ERC1155_BATCH   = topic('TransferBatch(address,address,address,uint256[],uint256[])');
 
-const TOPIC_ERC20_APPROVAL       = topic('Approval(address,address,uint256)');
-const TOPIC_ERC721_APPROVAL      = topic('Approval(address,address,uint256)');
-const TOPIC_ERC1155_APPROVAL_ALL = topic('ApprovalForAll(address,address,bool)');
-
-// DEX topics/selectors (kept for future use)
-const TOPIC_UNIV2_SWAP = topic('Swap(address,uint256,uint256,uint256,uint256,address)');
-const TOPIC_UNIV2_MINT = topic('Mint(address,uint256,uint256)');
-const TOPIC_UNIV2_BURN = topic('Burn(address,uint256,uint256,address)');
-const TOPIC_UNIV3_SWAP = topic('Swap(address,address,int256,int256,uint160,uint128,int24)');
-const TOPIC_UNIV3_MINT         = topic('Mint(address,uint256,int24,int24,uint128,uint256,uint256)');
-const TOPIC_UNIV3_INCREASE_LIQ = topic('IncreaseLiquidity(uint256,uint128,uint256,uint256)');
-const TOPIC_UNIV3_DECREASE_LIQ = topic('DecreaseLiquidity(uint256,uint128,uint256,uint256)');
-
-const DOMAIN_TOPICS = new Set([
-  topic('NameRegistered(bytes32,address,uint256)'),
-  topic('NameRegistered(string,address,uint256)'),
-  topic('NameRegistered(bytes32,address,uint256,uint256)'),
-  topic('NameRegistered(string,address,uint256,uint256)'),
-  topic('DomainRegistered(address,string,uint256)'),
-  topic('DomainRegistered(address,string,uint256,uint256)'),
-  topic('NewOwner(bytes32,bytes32,address)'),
-  topic('SubnodeCreated(bytes32,bytes32,address)')
-]);
-const DOMAIN_SELECTORS = new Set([
-  sel('registerDomains(string[],address,uint256)'),
-  sel('registerDomains(string[],address)'),
-  sel('registerDomain(string,address,uint256)'),
-  sel('registerDomain(string,address)'),
-  sel('register(string,address,uint256)'),
-  sel('register(bytes32,address,uint256)'),
-  sel('registerWithConfig(string,address,uint256,address,address)'),
-  sel('registerWithConfig(bytes32,address,uint256,address,address)'),
-  sel('registerName(string,address,uint256)')
-]);
-
-const GM_SELECTORS = new Set([ sel('sayGM()'), sel('gm()'), '0x84a3bb6b' ]);
-
-const STAKE_SELECTORS = new Set([
-  sel('stake(uint256)'), sel('stake(uint256,address)'),
-  sel('stakeFor(address,uint256)'),
-  sel('deposit(uint256)'), sel('deposit(uint256,address)'), sel('deposit()'),
-  sel('delegate(address,uint256)'), sel('delegate(uint256)'),
-  sel('bond(uint256)'), sel('bondExtra(uint256)'), sel('bondExtra()'), sel('bondMore(uint256)'),
-  sel('nominate(address[])'), sel('unbond(uint256)'),
-  sel('withdrawUnbonded(uint32)'), sel('restake(uint256)'), sel('redelegate(address,uint256)'),
-  sel('unstake(uint256)')
-]);
-
-const SWAP_SELECTORS = new Set([
-  sel('swapExactTokensForTokens(uint256,uint256,address[],address,uint256)'),
-  sel('swapTokensForExactTokens(uint256,uint256,address[],address,uint256)'),
-  sel('swapExactETHForTokens(uint256,address[],address,uint256)'),
-  sel('swapETHForExactTokens(uint256,address[],address,uint256)'),
-  sel('swapExactTokensForETH(uint256,uint256,address[],address,uint256)'),
-  sel('swapTokensForExactETH(uint256,uint256,address[],address,uint256)'),
-  sel('swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)'),
-  sel('swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)'),
-  sel('swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)'),
-  sel('exactInput(bytes)'),
-  sel('exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'),
-  sel('exactOutput(bytes)'),
-  sel('exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'),
-]);
-
-const ADD_LIQ_SELECTORS = new Set([
-  sel('addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)'),
-  sel('addLiquidityETH(address,uint256,uint256,uint256,address,uint256)'),
-]);
-const REM_LIQ_SELECTORS = new Set([
-  sel('removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)'),
-  sel('removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)'),
-  sel('removeLiquidityWithPermit(address,address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)'),
-  sel('removeLiquidityETHWithPermit(address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)'),
-  sel('removeLiquidityETHSupportingFeeOnTransferTokens(address,uint256,uint256,uint256,address,uint256)'),
-  sel('removeLiquidityETHWithPermitSupportingFeeOnTransferTokens(address,uint256,uint256,uint256,address,uint256,bool,uint8,bytes32,bytes32)'),
-]);
-
-const APPROVE_SELECTORS = new Set([
-  sel('approve(address,uint256)'),
-  sel('increaseAllowance(address,uint256)'),
-  sel('decreaseAllowance(address,uint256)'),
-  sel('setApprovalForAll(address,bool)'),
-  sel('approve(address,uint256)'),
-]);
-
-// NFT mint selectors (721/721A/1155 common names)
-const NFT_MINT_SELECTORS = new Set([
-  sel('mint()'),
-  sel('mint(uint256)'),
-  sel('mint(address)'),
-  sel('mint(address,uint256)'),
-  sel('mintTo(address,uint256)'),
-  sel('safeMint(address)'),
-  sel('safeMint(address,uint256)'),
-  sel('publicMint(uint256)'),
-  sel('batchMint(address,uint256)'),
-  sel('batchMint(address,uint256[])'),
-  sel('claim()'),
-  sel('claim(uint256)'),
-  sel('claim(address,uint256)'),
-]);
+// Function-name hints that make a weak row worth a receipt lookup for mint promotion
+const MINT_HINT_RE = /mint|claim|register|domain|name|zns|ens/;
 
 // ERC-721 meta
 const ERC721_ABI = [
@@ -281,6 +186,7 @@ async function getReceiptsSelective(hashes, concurrency = 10, retries = 2) {
     for (let i=0;i<=retries;i++){
       try {
         const rec = await client.getTransactionReceipt({ hash: k });
+        if (receiptCache.size >= MAX_CACHED_RECEIPTS) receiptCache.delete(receiptCache.keys().next().value);
         receiptCache.set(k, rec);
         out.set(k, rec);
         return;
@@ -385,18 +291,13 @@ const looksLikeDomainText = (s) => {
 };
 
 function isDomainBySigOrEvent(tx, rcpt) {
-  const to = (tx?.to || '').toLowerCase();
-  if (DOMAIN_CONTRACTS.has(to)) return true;
+  const rules = getRules();
+  if (rules.hasContract('domain_mint', tx?.to)) return true;
 
-  const sig = inputSig(tx);
   const fn = String(tx.functionName || '').toLowerCase();
-  if (fn && (fn.includes('registerdomains') || fn.includes('registerdomain') ||
-             (fn.includes('register') && (fn.includes('domain') || fn.includes('name'))) ||
-             fn.includes('zns'))) return true;
-  if (DOMAIN_SELECTORS.has(sig)) return true;
+  if (rules.matchesCall('domain_mint', inputSig(tx), fn)) return true;
   for (const lg of rcpt?.logs || []) {
-    const t0 = (lg.topics?.[0] || '').toLowerCase();
-    if (DOMAIN_TOPICS.has(t0)) return true;
+    if (rules.hasTopic('domain_mint', lg.topics?.[0])) return true;
   }
   return false;
 }
@@ -418,55 +319,39 @@ function mintedContractsForUser(rcpt, user) {
   return set;
 }
 
-// Quick classifiers (selector/name only, no receipt)
-function isStakeQuick(tx) {
-  const sig = inputSig(tx);
-  const fn = String(tx.functionName || '').toLowerCase();
-  if (fn && (fn.includes('bond') || fn.includes('stake') || fn.includes('delegate') ||
-             fn.includes('nominate') || fn.includes('unbond') ||
-             fn.includes('withdraw') || fn.includes('restake') || fn.includes('redelegate') ||
-             fn.includes('unstake')))
-    return true;
-  return STAKE_SELECTORS.has(sig);
-}
-function isGMQuick(tx) {
-  const sig = inputSig(tx);
-  const fn = String(tx.functionName || '').toLowerCase();
-  if (fn && (fn.includes('saygm') || fn === 'gm')) return true;
-  return GM_SELECTORS.has(sig);
-}
-function isSwapQuick(tx) {
+// Quick classifier (selector/name only, no receipt): first matching rule by priority.
+// Returns { category, reason, reasonDetail } so the row can say which of the two matched.
+function classifyQuick(tx, rules) {
   const sig = inputSig(tx);
   const fn = String(tx.functionName || '').toLowerCase();
-  if (fn.includes('swap') || fn.includes('exactinput') || fn.includes('exactoutput')) return true;
-  return SWAP_SELECTORS.has(sig);
-}
-function isAddLiquidityQuick(tx) {
-  // Important fix: do NOT consider generic "mint" as add liquidity (avoids false positives vs NFT mints)
-  const sig = inputSig(tx);
-  const fn = String(tx.functionName || '').toLowerCase();
-  if (fn.includes('addliquidity')) return true;
-  return ADD_LIQ_SELECTORS.has(sig);
-}
-function isRemoveLiquidityQuick(tx) {
-  const sig = inputSig(tx);
-  const fn = String(tx.functionName || '').toLowerCase();
-  if (fn.includes('removeliquidity') || fn.includes('decreaseliquidity')) return true;
-  return REM_LIQ_SELECTORS.has(sig);
-}
-function isApproveQuick(tx) {
-  const sig = inputSig(tx);
-  const fn = String(tx.functionName || '').toLowerCase();
-  if (fn === 'approve' || fn.includes('allowance') || fn.includes('approval')) return true;
-  return APPROVE_SELECTORS.has(sig);
+  for (const r of rules.quickRules) {
+    if (!rules.matchesCall(r.category, sig, fn)) continue;
+    if (r.selectors.has(sig)) return { category: r.category, reason: 'selector', reasonDetail: `selector ${sig} is a ${r.category} rule` };
+    return { category: r.category, reason: 'function_name', reasonDetail: `function name "${fn.split('(')[0]}" matches the ${r.category} rule` };
+  }
+  return null;
 }
-function isCCO(tx) {
-  const to = (tx.to || '').toLowerCase();
-  return to === CCO_TARGET;
+
+// Why a native row has its category (shown in the admin dispute drill-down)
+function setReason(row, reason, reasonDetail) {
+  row.reason = reason;
+  row.reasonDetail = reasonDetail;
 }
 
 // Hydrate helpers (build externals for hashes only seen in other feeds)
-async function hydrateMissingExternalsFromInternals({ internalsFeed, externals, address, limit = 300 }) {
+function noteHydration(coverage, wanted, attempted, fetched) {
+  if (!coverage) return;
+  coverage.hydration.requested += wanted;
+  coverage.hydration.dropped += wanted - attempted;
+  coverage.hydration.failed += fetched.filter(x => !x).length;
+}
+function noteReceipts(coverage, targets, rcpts, skipped = 0) {
+  if (!coverage) return;
+  coverage.receipts.requested += targets.length;
+  coverage.receipts.skipped += skipped;
+  coverage.receipts.failed += targets.filter(h => !rcpts.has(h)).length;
+}
+async function hydrateMissingExternalsFromInternals({ internalsFeed, externals, address, limit = 300, coverage }) {
   const extSet = new Set((externals || []).map(t => String(t.hash || '').toLowerCase()));
   const intByHash = new Map();
   for (const it of internalsFeed || []) {
@@ -474,7 +359,8 @@ async function hydrateMissingExternalsFromInternals({ internalsFeed, externals,
     if (!h) continue;
     intByHash.set(h, it);
   }
-  const missing = [...intByHash.keys()].filter(h => !extSet.has(h)).slice(0, limit);
+  const allMissing = [...intByHash.keys()].filter(h => !extSet.has(h));
+  const missing = allMissing.slice(0, limit);
   if (!missing.length) return externals;
 
   const limitRun = pLimit(8);
@@ -492,13 +378,16 @@ async function hydrateMissingExternalsFromInternals({ internalsFeed, externals,
         to: tx.to ? String(tx.to).toLowerCase() : null,
         value: (typeof tx.value === 'bigint') ? tx.value.toString() : String(tx.value || '0'),
         input: tx.input || '0x',
+        gas: String(tx.gas ?? ''),
+        gasPrice: String(tx.gasPrice ?? ''),
         functionName: '' // selector will still work
       };
     } catch { return null; }
   })));
+  noteHydration(coverage, allMissing.length, missing.length, fetched);
   return [...externals, ...fetched.filter(Boolean)];
 }
-async function hydrateMissingExternalsFromTokenFeeds({ token20, token721, token1155, externals, limit = 600 }) {
+async function hydrateMissingExternalsFromTokenFeeds({ token20, token721, token1155, externals, limit = 600, coverage }) {
   const extSet = new Set((externals || []).map(t => String(t.hash || '').toLowerCase()));
   const tsMap = new Map();
   for (const e of token20 || []) {
@@ -519,7 +408,8 @@ async function hydrateMissingExternalsFromTokenFeeds({ token20, token721, token1
       if (!tsMap.has(h) || t < tsMap.get(h)) tsMap.set(h, t);
     }
   }
-  const missing = [...tsMap.keys()].slice(0, limit);
+  const allMissing = [...tsMap.keys()];
+  const missing = allMissing.slice(0, limit);
   if (!missing.length) return externals;
 
   const limitRun = pLimit(8);
@@ -536,16 +426,20 @@ async function hydrateMissingExternalsFromTokenFeeds({ token20, token721, token1
         to: tx.to ? String(tx.to).toLowerCase() : null,
         value: (typeof tx.value === 'bigint') ? tx.value.toString() : String(tx.value || '0'),
         input: tx.input || '0x',
+        gas: String(tx.gas ?? ''),
+        gasPrice: String(tx.gasPrice ?? ''),
         functionName: ''
       };
     } catch { return null; }
   })));
+  noteHydration(coverage, allMissing.length, missing.length, fetched);
   return [...externals, ...fetched.filter(Boolean)];
 }
 
 // Promote NFT/domain mints onto native rows using receipts (bounded & cached)
-async function promoteMintCategoriesWithReceipts({ externals, nativeRows, address }) {
+async function promoteMintCategoriesWithReceipts({ externals, nativeRows, address, coverage }) {
   const user = String(address || '').toLowerCase();
+  const rules = getRules();
 
   // Index native rows and externals by hash
   const rowByHash = new Map(nativeRows.map(r => [String(r.hash || '').toLowerCase(), r]));
@@ -565,12 +459,10 @@ async function promoteMintCategoriesWithReceipts({ externals, nativeRows, addres
     const fn = String(t.functionName || '').toLowerCase();
     const sig = inputSig(t);
     const looksLikeMint =
-      NFT_MINT_SELECTORS.has(sig) ||
-      DOMAIN_SELECTORS.has(sig) ||
-      fn.includes('mint') || fn.includes('claim') ||
-      fn.includes('register') || fn.includes('domain') ||
-      fn.includes('name') || fn.includes('zns') || fn.includes('ens') ||
-      DOMAIN_CONTRACTS.has(String(t.to || '').toLowerCase());
+      rules.matchesCall('nft_mint', sig) ||
+      rules.matchesCall('domain_mint', sig) ||
+      MINT_HINT_RE.test(fn) ||
+      rules.hasContract('domain_mint', t.to);
 
     if (looksLikeMint || r.category === 'other') {
       candidates.push(h);
@@ -583,6 +475,7 @@ async function promoteMintCategoriesWithReceipts({ externals, nativeRows, addres
   if (!targets.length) return;
 
   const rcpts = await getReceiptsSelective(targets, 12, 2);
+  noteReceipts(coverage, targets, rcpts, candidates.length - targets.length);
 
   // Collect contracts to read metadata for domain hinting
   const mintedContracts = new Set();
@@ -610,7 +503,7 @@ async function promoteMintCategoriesWithReceipts({ externals, nativeRows, addres
     let isDomain = isDomainBySigOrEvent(tx, rcp);
     if (!isDomain) {
       for (const c of mintedHere) {
-        if (DOMAIN_CONTRACTS.has(c)) { isDomain = true; break; }
+        if (rules.hasContract('domain_mint', c)) { isDomain = true; break; }
         const meta = metaByAddr.get(c) || {};
         if (looksLikeDomainText(meta.symbol) || looksLikeDomainText(meta.name)) { isDomain = true; break; }
       }
@@ -618,12 +511,13 @@ async function promoteMintCategoriesWithReceipts({ externals, nativeRows, addres
 
     if (row.category === 'other' || row.category === 'approve' || row.category === 'native_send') {
       row.category = isDomain ? 'domain_mint' : 'nft_mint';
+      setReason(row, 'receipt_mint', `receipt shows a ${isDomain ? 'domain' : 'NFT'} minted to the wallet (${[...mintedHere].join(', ')})`);
     }
   }
 }
 
 // Promote contract creation (deploy) using receipts (robust vs explorer hints)
-async function promoteDeploysWithReceipts({ externals, nativeRows, address, internalsByHash }) {
+async function promoteDeploysWithReceipts({ externals, nativeRows, address, internalsByHash, coverage }) {
   const user = String(address || '').toLowerCase();
   const rowByHash = new Map(nativeRows.map(r => [String(r.hash || '').toLowerCase(), r]));
   const extByHash = new Map((externals || []).map(t => [String(t.hash || '').toLowerCase(), t]));
@@ -663,6 +557,7 @@ async function promoteDeploysWithReceipts({ externals, nativeRows, address, inte
 
   if (!candidates.length) return;
   const rcpts = await getReceiptsSelective(candidates, 12, 2);
+  noteReceipts(coverage, candidates, rcpts);
 
   for (const h of candidates) {
     const row = rowByHash.get(h);
@@ -673,26 +568,171 @@ async function promoteDeploysWithReceipts({ externals, nativeRows, address, inte
     const created = String(rcp.contractAddress || '').toLowerCase();
     if (!isFailed(rcp) && created && created !== ZERO.toLowerCase() && row.from === user) {
       row.category = 'cc'; // treat as deploy
+      setReason(row, 'receipt_deploy', `receipt shows contract ${created} created`);
+    }
+  }
+}
+
+// Promote bridge deposits/withdrawals using bridge event topics (receipts mostly cached by the mint pass)
+async function promoteBridgesWithReceipts({ externals, nativeRows, coverage }) {
+  const rules = getRules();
+  if (!rules.byCategory.get('bridge')?.topics.size) return;
+  const rowByHash = new Map(nativeRows.map(r => [String(r.hash || '').toLowerCase(), r]));
+
+  // Outgoing calls the user made, and incoming finalizations a relayer sent to a known bridge
+  // contract; other incoming txs (airdrops, transfers from anyone) aren't worth a receipt each
+  const candidates = [];
+  for (const t of externals || []) {
+    const h = String(t.hash || '').toLowerCase();
+    const r = rowByHash.get(h);
+    if (!r || r.category !== 'other' || isFailedByTxlist(t)) continue;
+    if (r.direction !== 'out' && !rules.hasContract('bridge', t.to)) continue;
+    candidates.push(h);
+  }
+
+  const MAX_RECEIPTS = 350;
+  const targets = candidates.slice(0, MAX_RECEIPTS);
+  if (!targets.length) return;
+  const rcpts = await getReceiptsSelective(targets, 12, 2);
+  noteReceipts(coverage, targets, rcpts, candidates.length - targets.length);
+
+  for (const h of targets) {
+    const rcp = rcpts.get(h);
+    if (!rcp || isFailed(rcp)) continue;
+    if ((rcp.logs || []).some(lg => rules.hasTopic('bridge', lg.topics?.[0]))) {
+      const row = rowByHash.get(h);
+      row.category = 'bridge';
+      setReason(row, 'receipt_bridge', 'receipt has a bridge event');
     }
   }
 }
 
+// Direction and amount for bridge activity. Credits paid out by a bridge contract
+// (internal value or token transfer) mark their tx as an incoming bridge too.
+function annotateBridges({ nativeRows, internalRows, token20 }) {
+  const rules = getRules();
+  const fromBridge = (r) => r.direction === 'in' && rules.hasContract('bridge', r.from);
+  const credits = [...internalRows, ...token20].filter(fromBridge);
+  const creditHashes = new Set(credits.map(r => String(r.hash || '').toLowerCase()));
+  for (const r of credits) r.category = 'bridge';
+
+  const tokensByHash = new Map();
+  for (const t of token20) {
+    const h = String(t.hash || '').toLowerCase();
+    tokensByHash.set(h, [...(tokensByHash.get(h) || []), t]);
+  }
+  const setAmount = (row) => {
+    const h = String(row.hash || '').toLowerCase();
+    const tok = (tokensByHash.get(h) || []).find(t => t.direction === row.direction);
+    if (Number(row.value || 0) > 0 || !tok) { row.bridgeAmount = row.value ?? '0'; row.bridgeSymbol = 'ZTC'; }
+    else { row.bridgeAmount = tok.amount; row.bridgeSymbol = tok.symbol; }
+  };
+
+  for (const r of nativeRows) {
+    const h = String(r.hash || '').toLowerCase();
+    if (r.category === 'other' && creditHashes.has(h)) {
+      r.category = 'bridge';
+      setReason(r, 'bridge_credit', 'a bridge contract credited the wallet in this tx');
+    }
+    if (r.category !== 'bridge') continue;
+    r.bridgeDirection = r.direction === 'out' ? 'from_testnet' : 'to_testnet';
+    setAmount(r);
+  }
+  for (const r of credits) {
+    r.bridgeDirection = 'to_testnet';
+    r.bridgeAmount = r.kind === 'internal' ? r.value : r.amount;
+    r.bridgeSymbol = r.kind === 'internal' ? 'ZTC' : r.symbol;
+  }
+}
+
+// Fee fields for a native row: txlist values, refined by an already-cached receipt (no extra fetch)
+function gasFields(t, rcpt) {
+  const gasUsed = String(rcpt?.gasUsed ?? t?.gasUsed ?? '');
+  const gasPrice = String(t?.gasPrice ?? '');
+  const effectiveGasPrice = String(rcpt?.effectiveGasPrice ?? t?.effectiveGasPrice ?? '');
+  let feeRaw = '';
+  try {
+    const price = effectiveGasPrice || gasPrice;
+    if (gasUsed && price) feeRaw = (BigInt(gasUsed) * BigInt(price)).toString();
+  } catch {}
+  return { gasUsed, gasPrice, effectiveGasPrice, feeRaw, fee: feeRaw ? formatUnits(feeRaw, 18) : '' };
+}
+
+// Value movements for flow accounting, kept before the per-hash dedupe:
+// successful native value the wallet sent/received, internal credits/debits and every ERC-20 leg
+function transferRows({ externals, internalsFeed, erc20, address }) {
+  const nonZero = (v) => { try { return BigInt(v || 0) !== 0n; } catch { return false; } };
+  const base = (x, kind) => {
+    const from = String(x.from || '').toLowerCase();
+    const to = String(x.to || '').toLowerCase();
+    return {
+      kind,
+      hash: x.hash || x.transactionHash,
+      blockNumber: Number(x.blockNumber || 0),
+      timeMs: Number(x.timeStamp) * 1000,
+      from,
+      to,
+      direction: from === address && to === address ? 'self' : (from === address ? 'out' : 'in')
+    };
+  };
+  const out = [];
+  for (const t of externals || []) {
+    const from = String(t.from || '').toLowerCase(), to = String(t.to || '').toLowerCase();
+    if ((from !== address && to !== address) || isFailedByTxlist(t) || !nonZero(t.value)) continue;
+    out.push({ ...base(t, 'native'), raw: String(t.value) });
+  }
+  for (const it of internalsFeed || []) {
+    if (String(it.isError || '0') === '1' || !nonZero(it.value)) continue;
+    out.push({ ...base(it, 'internal'), traceId: it.traceId ?? undefined, raw: String(it.value) });
+  }
+  for (const e of erc20 || []) {
+    out.push({
+      ...base(e, 'erc20'),
+      logIndex: e.logIndex ?? undefined,
+      contract: String(e.contractAddress || '').toLowerCase(),
+      symbol: e.tokenSymbol || 'TOKEN',
+      decimals: Number(e.tokenDecimal || 18),
+      raw: String(e.value || '0')
+    });
+  }
+  return out;
+}
+
+export function transferKey(t) {
+  return [t.kind, t.hash, t.logIndex ?? t.traceId ?? '', t.from, t.to, t.contract || '', t.raw]
+    .map(v => String(v ?? '').toLowerCase()).join(':');
+}
+
+// Union of transfer lists (e.g. stored + incremental), newest first
+export function mergeTransfers(...lists) {
+  return uniqueBy(lists.flat(), transferKey).sort((a, b) => b.timeMs - a.timeMs);
+}
+
 // Core: build activity (fast path first, receipts for mint/deploy/native_send confirmations)
-export async function buildActivity({ address, start, end }) {
+// `coverage` (optional, from newCoverage()) is filled with what was fetched, capped or failed.
+// `transfers` (optional array) receives the raw value movements, see transferRows.
+export async function buildActivity({ address, start, end, source = 'explorer', coverage, transfers }) {
   const addr = address.toLowerCase();
+  const rules = getRules();
+  const fetchFeed = DATA_SOURCES[resolveSource(source)];
+  const cov = Object.assign(coverage || {}, newCoverage());
+  const feed = (action) => fetchFeed(action, addr, { startTs: start, endTs: end }, { coverage: (cov.feeds[action] = {}) });
 
   // Feeds
-  let externals = await fetchPagedAccount('txlist', addr, { startTs: start, endTs: end });
+  let externals = await feed('txlist');
   const [internalsFeed, erc20, erc721, erc1155] = await Promise.all([
-    fetchPagedAccount('txlistinternal', addr, { startTs: start, endTs: end }),
-    fetchPagedAccount('tokentx', addr, { startTs: start, endTs: end }),
-    fetchPagedAccount('tokennfttx', addr, { startTs: start, endTs: end }),
-    fetchPagedAccount('token1155tx', addr, { startTs: start, endTs: end }).catch(() => []),
+    feed('txlistinternal'),
+    feed('tokentx'),
+    feed('tokennfttx'),
+    feed('token1155tx').catch((e) => {
+      cov.feeds.token1155tx.errors = [...(cov.feeds.token1155tx.errors || []), e.message || String(e)];
+      return [];
+    }),
   ]);
 
   // Hydrate missing externals (fast, capped)
-  externals = await hydrateMissingExternalsFromInternals({ internalsFeed, externals, address: addr, limit: 300 });
-  externals = await hydrateMissingExternalsFromTokenFeeds({ token20: erc20, token721: erc721, token1155: erc1155, externals, limit: 600 });
+  externals = await hydrateMissingExternalsFromInternals({ internalsFeed, externals, address: addr, limit: 300, coverage: cov });
+  externals = await hydrateMissingExternalsFromTokenFeeds({ token20: erc20, token721: erc721, token1155: erc1155, externals, limit: 600, coverage: cov });
 
   // Domain & NFT mints from feeds (no receipts needed)
   const domainTxFromFeed = new Set(
@@ -727,37 +767,28 @@ export async function buildActivity({ address, start, end }) {
     const txhashLower = String(t.hash || '').toLowerCase();
 
     let category = 'other';
+    let reason = 'unmatched', reasonDetail = 'no rule matched';
     let toOverride = null;
 
     if (isFailedByTxlist(t)) {
       category = 'fail';
-    } else if (CC_CONTRACTS.has(toLower)) {
-      category = 'cc';
-    } else if (isCCO(t)) {
-      category = 'cco';
-    } else if (GM_CONTRACTS.has(toLower)) {
-      category = 'gm';
-    } else if (DOMAIN_CONTRACTS.has(toLower)) {
-      category = 'domain_mint'; // registrar allow-list hint
+      reason = 'failed'; reasonDetail = 'explorer marks the tx as reverted';
+    } else if (rules.contractCategory.has(toLower)) {
+      category = rules.contractCategory.get(toLower); // contract allow-lists win over selectors
+      reason = 'contract'; reasonDetail = `${toLower} is on the ${category} contract list`;
+    } else if (domainTxFromFeed.has(txhashLower)) {
+      category = 'domain_mint';
+      reason = 'feed_mint'; reasonDetail = 'token feed shows a domain NFT minted to the wallet';
+    } else if (nftMintFromFeed.has(txhashLower)) {
+      category = 'nft_mint';
+      reason = 'feed_mint'; reasonDetail = 'token feed shows an NFT minted to the wallet';
     } else {
-      if (domainTxFromFeed.has(txhashLower)) {
-        category = 'domain_mint';
-      } else if (nftMintFromFeed.has(txhashLower)) {
-        category = 'nft_mint';
-      } else if (isStakeQuick(t)) {
-        category = 'stake';
-      } else if (isSwapQuick(t)) {
-        category = 'swap';
-      } else if (isAddLiquidityQuick(t)) {
-        category = 'add_liquidity';
-      } else if (isRemoveLiquidityQuick(t)) {
-        category = 'remove_liquidity';
-      } else if (isGMQuick(t)) {
-        category = 'gm';
-      } else if (isApproveQuick(t)) {
-        category = 'approve';
+      const quick = classifyQuick(t, rules);
+      if (quick) {
+        ({ category, reason, reasonDetail } = quick);
       } else if (isNativeSendCandidate(t, addr)) {
         nativeConfirmSet.add(txhashLower); // confirm later via receipt
+        reasonDetail = 'looks like a plain transfer, but no receipt confirmed it';
       } else {
         // contract creation (heuristic via internals)
         const list = internalsByHash.get(txhashLower) || [];
@@ -767,7 +798,10 @@ export async function buildActivity({ address, start, end }) {
           const created = (i.contractAddress || '').toLowerCase();
           return (typ === 'create' || typ === 'create2' || created) && fromLower === addr;
         });
-        if (hintedCreation) category = 'cc';
+        if (hintedCreation) {
+          category = 'cc';
+          reason = 'deploy_hint'; reasonDetail = 'internal trace shows a contract creation';
+        }
       }
     }
 
@@ -781,19 +815,29 @@ export async function buildActivity({ address, start, end }) {
       direction: ((t.from || '').toLowerCase() === addr) ? 'out' : 'in',
       value: formatUnits(t.value || '0', 18),
       valueNorm: Number(formatUnits(t.value || '0', 18)),
-      category
+      // Call shape for bot scoring: selector, short calldata fingerprint, gas limit
+      selector: emptyInput(t.input) ? null : inputSig(t),
+      inputHash: emptyInput(t.input) ? null : keccak256(t.input).slice(0, 18),
+      gasLimit: String(t.gas ?? ''),
+      category,
+      reason,
+      reasonDetail
     });
   }
 
   // Promote NFT/domain mints onto the native row (fallback when feeds miss them)
-  await promoteMintCategoriesWithReceipts({ externals, nativeRows, address: addr });
+  await promoteMintCategoriesWithReceipts({ externals, nativeRows, address: addr, coverage: cov });
 
   // Promote deploys (contract creation) onto native row
-  await promoteDeploysWithReceipts({ externals, nativeRows, address: addr, internalsByHash });
+  await promoteDeploysWithReceipts({ externals, nativeRows, address: addr, internalsByHash, coverage: cov });
+
+  // Promote bridge transfers from their event topics
+  await promoteBridgesWithReceipts({ externals, nativeRows, coverage: cov });
 
   // Confirm potential native sends: fetch receipts only for those hashes
   if (nativeConfirmSet.size > 0) {
     const rcpts = await getReceiptsSelective([...nativeConfirmSet]);
+    noteReceipts(cov, [...nativeConfirmSet], rcpts);
     const mapByHash = new Map(nativeRows.map(r => [String(r.hash || '').toLowerCase(), r]));
     for (const h of nativeConfirmSet) {
       const rcp = rcpts.get(h);
@@ -803,6 +847,7 @@ export async function buildActivity({ address, start, end }) {
         // Only set to native_send if still not identified as something else
         if (row.category === 'other' || row.category === 'approve') {
           row.category = 'native_send';
+          setReason(row, 'receipt_send', 'receipt succeeded with no logs (plain transfer)');
         }
       }
     }
@@ -860,26 +905,27 @@ export async function buildActivity({ address, start, end }) {
     };
   });
 
+  annotateBridges({ nativeRows, internalRows, token20 });
+
+  // Gas/fee data (receipts were cached by the promotion passes above)
+  const extByHash = new Map((externals || []).map(t => [String(t.hash || '').toLowerCase(), t]));
+  for (const r of nativeRows) {
+    const h = String(r.hash || '').toLowerCase();
+    Object.assign(r, gasFields(extByHash.get(h), receiptCache.get(h)));
+  }
+  if (transfers) transfers.push(...transferRows({ externals, internalsFeed, erc20, address: addr }));
+
+  finalizeCoverage(cov);
+
   // Merge + dedupe with priority
-  const all = [...nativeRows, ...internalRows, ...token20, ...token721];
+  return dedupeActivity([...nativeRows, ...internalRows, ...token20, ...token721]);
+}
+
+// Keep one row per tx hash (highest priority wins), newest first
+export function dedupeActivity(rows) {
+  const rules = getRules();
   const prio = (r) => {
-    if (r.kind === 'native') {
-      const c = r.category;
-      if (c === 'fail')             return 125;
-      if (c === 'domain_mint')      return 120;
-      if (c === 'cc')               return 115;
-      if (c === 'cco')              return 112;
-      if (c === 'stake')            return 105;
-      if (c === 'swap')             return 104;
-      if (c === 'add_liquidity')    return 103;
-      if (c === 'remove_liquidity') return 103;
-      if (c === 'gm')               return 100;
-      if (c === 'native_send')      return 95;
-      if (c === 'approve')          return 93;
-      if (c === 'nft_mint')         return 90;
-      if (c === 'other')            return 80;
-      return 50;
-    }
+    if (r.kind === 'native') return rules.priorityOf(r.category);
     if (r.kind === 'token') {
       // token nft_mint stays below native mint; avoids hiding native row
       return (r.category === 'nft_mint') ? 85 : 20;
@@ -888,23 +934,74 @@ export async function buildActivity({ address, start, end }) {
     return 0;
   };
   const best = new Map();
-  for (const r of all) {
+  for (const r of rows) {
     const h = String(r.hash || '').toLowerCase();
     if (!h) continue;
     const cur = best.get(h);
     if (!cur || prio(r) > prio(cur)) best.set(h, r);
   }
-  const activity = [...best.values()].sort((a, b) => b.timeMs - a.timeMs);
-  return activity;
+  return [...best.values()].sort((a, b) => b.timeMs - a.timeMs);
 }
 
-// Stats derived from activity (OUTGOING externals only)
-export async function buildStats({ address, start, end }) {
-  const activity = await buildActivity({ address, start, end });
+// Fees the wallet paid (outgoing natives, fails included). Sums are BigInt wei.
+export function computeGasStats(activity, { top = 5 } = {}) {
+  const paid = activity.filter(r => r.kind === 'native' && r.direction === 'out' && r.feeRaw);
+  const fmt = (x) => formatUnits(x, 18);
+  let total = 0n, wasted = 0n, wastedCount = 0;
+  const byCat = new Map(); // category -> { count, sum }
+  const byDay = new Map(); // YYYY-MM-DD (UTC) -> { count, sum }
+  for (const r of paid) {
+    const fee = BigInt(r.feeRaw);
+    total += fee;
+    if (r.category === 'fail') { wasted += fee; wastedCount += 1; }
+    else {
+      const c = byCat.get(r.category) || { count: 0, sum: 0n };
+      c.count += 1; c.sum += fee;
+      byCat.set(r.category, c);
+    }
+    const day = new Date(r.timeMs).toISOString().slice(0, 10);
+    const d = byDay.get(day) || { count: 0, sum: 0n };
+    d.count += 1; d.sum += fee;
+    byDay.set(day, d);
+  }
+  return {
+    txCount: paid.length,
+    totalFee: fmt(total),
+    totalFeeRaw: total.toString(),
+    avgFee: paid.length ? fmt(total / BigInt(paid.length)) : '0',
+    wasted: { count: wastedCount, fee: fmt(wasted), feeRaw: wasted.toString() },
+    byCategory: Object.fromEntries([...byCat.entries()]
+      .sort((a, b) => (b[1].sum > a[1].sum ? 1 : b[1].sum < a[1].sum ? -1 : 0))
+      .map(([cat, c]) => [cat, { count: c.count, total: fmt(c.sum), avg: fmt(c.sum / BigInt(c.count)) }])),
+    byDay: [...byDay.entries()].sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([day, d]) => ({ day, count: d.count, fee: fmt(d.sum) })),
+    mostExpensive: [...paid]
+      .sort((a, b) => { const x = BigInt(a.feeRaw), y = BigInt(b.feeRaw); return y > x ? 1 : y < x ? -1 : 0; })
+      .slice(0, top)
+      .map(r => ({ hash: r.hash, category: r.category, timeMs: r.timeMs, fee: r.fee, gasUsed: r.gasUsed }))
+  };
+}
+
+// Bridged amount per symbol
+function bridgeVolume(rows) {
+  const out = {};
+  for (const r of rows) {
+    const sym = r.bridgeSymbol || 'ZTC';
+    out[sym] = (out[sym] || 0) + Number(r.bridgeAmount || 0);
+  }
+  return out;
+}
+
+// Stats derived from activity (OUTGOING externals only). Days for streaks are cut in `tz`;
+// the current streak is measured at asOfMs (the window end).
+export function computeStats(activity, { tz = 'UTC', asOfMs } = {}) {
   const extOut = activity.filter(r => r.kind === 'native' && r.direction === 'out' && r.category !== 'fail');
 
   const countCat = (name) => extOut.filter(r => r.category === name).length;
   const ccBoth = extOut.filter(r => r.category === 'cc' || r.category === 'cco').length;
+  // Incoming bridge credits are tracked separately; they are not actions the wallet took
+  const bridgeIn = activity.filter(r => r.category === 'bridge' && r.bridgeDirection === 'to_testnet');
+  const streaks = computeStreaks(activity, { tz, asOfMs });
 
   return {
     stakeActions:          countCat('stake'),
@@ -917,7 +1014,18 @@ export async function buildStats({ address, start, end }) {
     addLiquidityCount:     countCat('add_liquidity'),
     removeLiquidityCount:  countCat('remove_liquidity'),
     approveCount:          countCat('approve'),
+    bridgeCount:           countCat('bridge'),
+    bridgeIn:              bridgeIn.length,
+    bridgeVolume:          { from_testnet: bridgeVolume(extOut.filter(r => r.category === 'bridge')), to_testnet: bridgeVolume(bridgeIn) },
     totalExternalOut:      extOut.length,
-    bridged: 'coming_soon'
+    activeDays:            streaks.activeDays,
+    longestStreak:         streaks.longestStreak,
+    currentStreak:         streaks.currentStreak,
+    streaks,
+    gas:                   computeGasStats(activity)
   };
-}
\ No newline at end of file
+}
+
+export async function buildStats({ address, start, end, source }) {
+  return computeStats(await buildActivity({ address, start, end, source }));
+}
@@ -0,0 +1,139 @@
+// lib/snapshots.js
+import crypto from 'crypto';
+import { getStore } from './store';
+import { computeCounts } from './counts';
+
+// Frozen results of a finalized run. A snapshot keeps the config it was run with, the outcome per
+// participant and, per wallet, a hash of the classified activity plus the counted txs, so a later
+// rerun can show exactly which txs changed. Snapshots are content-addressed and never rewritten:
+// the hash covers what was decided (config, participants, winners, rewards, evidence), not when it
+// was finalized or what it was called, so finalizing the same results again returns the first one.
+const COLLECTION = 'snapshots';
+
+// JSON with sorted object keys, so equal content always hashes the same
+export function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// Only what classification decides; gas and value fields don't change an outcome
+function rowKey(r) {
+  return [r.kind, String(r.hash || '').toLowerCase(), r.direction, r.category, r.timeMs];
+}
+
+export function activityHash(rows) {
+  const keys = (rows || []).map(rowKey).sort((a, b) => (a.join('|') < b.join('|') ? -1 : a.join('|') > b.join('|') ? 1 : 0));
+  return sha256(canonicalJson(keys));
+}
+
+// Per-wallet evidence: hash of all rows, counts, and the counted txs as [hash, category]
+export function walletEvidence(rows, { tz = 'UTC' } = {}) {
+  const { counts, total, days } = computeCounts(rows, { tz });
+  const counted = (rows || [])
+    .filter(r => r.kind === 'native' && r.direction === 'out' && r.category !== 'fail')
+    .map(r => [String(r.hash || '').toLowerCase(), r.category])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return { activityHash: activityHash(rows), rowCount: (rows || []).length, counts, total, activeDays: days.length, counted };
+}
+
+const HASH_VERSION = 2; // v1 (no hashVersion field) also hashed createdAt and name
+
+function contentHash(doc) {
+  const { id, contentHash: _h, ...body } = doc;
+  if (doc.hashVersion !== HASH_VERSION) return sha256(canonicalJson(body));
+  const { createdAt: _c, name: _n, ...content } = body;
+  return sha256(canonicalJson(content));
+}
+
+// input: { name, campaign, config, participants, winners, rewards }; wallets: Map(wallet -> rows)
+export function buildSnapshot(input, wallets) {
+  const tz = input.config?.tz || 'UTC';
+  const evidence = {};
+  for (const w of [...wallets.keys()].sort()) evidence[w] = walletEvidence(wallets.get(w), { tz });
+  const doc = {
+    name: String(input.name || ''),
+    campaign: input.campaign || null,
+    createdAt: Date.now(),
+    config: input.config,
+    participants: input.participants,
+    winners: input.winners,
+    rewards: input.rewards || null,
+    wallets: evidence,
+    hashVersion: HASH_VERSION
+  };
+  doc.contentHash = contentHash(doc);
+  doc.id = `snap-${doc.contentHash.slice(0, 16)}`;
+  return doc;
+}
+
+// Write once: an existing id (same content finalized again) is returned as-is instead of being overwritten
+export async function saveSnapshot(doc) {
+  const store = getStore();
+  const existing = await store.get(COLLECTION, doc.id);
+  if (existing) return { snapshot: existing, created: false };
+  await store.put(COLLECTION, doc.id, doc);
+  return { snapshot: doc, created: true };
+}
+
+// Stored document plus whether it still matches its content hash
+export async function getSnapshot(id) {
+  const doc = await getStore().get(COLLECTION, String(id));
+  if (!doc) return null;
+  return { ...doc, verified: contentHash(doc) === doc.contentHash };
+}
+
+export function summarizeSnapshot(s) {
+  const winners = Object.values(s.winners || {}).reduce((n, list) => n + list.length, 0);
+  return {
+    id: s.id,
+    name: s.name,
+    campaign: s.campaign,
+    createdAt: s.createdAt,
+    contentHash: s.contentHash,
+    window: s.config?.window,
+    participants: (s.participants || []).length,
+    wallets: Object.keys(s.wallets || {}).length,
+    winners
+  };
+}
+
+export async function listSnapshots() {
+  const store = getStore();
+  const docs = (await Promise.all((await store.list(COLLECTION)).map(k => store.get(COLLECTION, k)))).filter(Boolean);
+  return docs.map(summarizeSnapshot).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Frozen evidence vs the wallet's activity now: count deltas and the txs behind them
+export function diffWallet(frozen, rows, { tz = 'UTC' } = {}) {
+  const now = walletEvidence(rows, { tz });
+  if (now.activityHash === frozen.activityHash) return { changed: false };
+
+  const deltas = {};
+  for (const c of new Set([...Object.keys(frozen.counts || {}), ...Object.keys(now.counts)])) {
+    const before = frozen.counts?.[c] || 0, after = now.counts[c] || 0;
+    if (before !== after) deltas[c] = { before, after };
+  }
+  const was = new Map(frozen.counted || []);
+  const is = new Map(now.counted);
+  const added = [], removed = [], recategorized = [];
+  for (const [h, cat] of is) {
+    if (!was.has(h)) added.push({ hash: h, category: cat });
+    else if (was.get(h) !== cat) recategorized.push({ hash: h, before: was.get(h), after: cat });
+  }
+  for (const [h, cat] of was) if (!is.has(h)) removed.push({ hash: h, category: cat });
+
+  return {
+    changed: true,
+    total: { before: frozen.total, after: now.total },
+    rowCount: { before: frozen.rowCount, after: now.rowCount },
+    deltas,
+    added,
+    removed,
+    recategorized
+  };
+}
@@ -0,0 +1,134 @@
+// lib/spreadsheet.js
+// First sheet of an .xlsx or .ods upload as rows of strings, in the browser (no dependencies):
+// both formats are ZIP archives of XML, unpacked with DecompressionStream and read with DOMParser.
+// Browser-only; the server never sees the binary file, only the CSV the admin page derives from it.
+
+const MAX_REPEAT = 1000; // ODS compresses trailing blank cells/rows into huge repeat counts
+
+// ZIP central directory -> Map(name -> { method, compressedSize, offset })
+function zipEntries(buf) {
+  const view = new DataView(buf);
+  let eocd = -1;
+  for (let i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 65_557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a valid .xlsx/.ods file (no ZIP directory)');
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const dec = new TextDecoder();
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true), extraLen = view.getUint16(p + 30, true), commentLen = view.getUint16(p + 32, true);
+    const offset = view.getUint32(p + 42, true);
+    const name = dec.decode(new Uint8Array(buf, p + 46, nameLen));
+    entries.set(name, { method, compressedSize, offset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+async function readEntry(buf, entries, name) {
+  const e = entries.get(name);
+  if (!e) return null;
+  const view = new DataView(buf);
+  const start = e.offset + 30 + view.getUint16(e.offset + 26, true) + view.getUint16(e.offset + 28, true);
+  const data = new Uint8Array(buf, start, e.compressedSize);
+  if (e.method === 0) return new TextDecoder().decode(data);
+  if (e.method !== 8) throw new Error(`Unsupported ZIP compression method ${e.method}`);
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack spreadsheets; export the sheet as CSV instead');
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+const xml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+const byLocal = (node, name) => [...node.getElementsByTagName('*')].filter(el => el.localName === name);
+const children = (node, name) => [...node.children].filter(el => el.localName === name);
+
+// 'AB12' -> 27
+function columnIndex(ref) {
+  const letters = String(ref || '').replace(/\d+$/, '').toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Numeric cells keep the text the file holds, except integers past 2^53: a spreadsheet number can't
+// hold those exactly (an 18-digit Discord ID typed into a number cell has already lost its last
+// digits), so they come back in E notation and the import rejects them instead of using wrong digits.
+function numberText(v) {
+  if (/^-?\d+$/.test(v) && Math.abs(Number(v)) > Number.MAX_SAFE_INTEGER) return Number(v).toExponential().toUpperCase();
+  return v;
+}
+
+async function readXlsx(buf, entries) {
+  const shared = [];
+  const sst = await readEntry(buf, entries, 'xl/sharedStrings.xml');
+  if (sst) {
+    for (const si of byLocal(xml(sst), 'si')) shared.push(byLocal(si, 't').map(t => t.textContent).join(''));
+  }
+  // First sheet in workbook order, resolved through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const wb = await readEntry(buf, entries, 'xl/workbook.xml');
+  const rels = await readEntry(buf, entries, 'xl/_rels/workbook.xml.rels');
+  if (wb && rels) {
+    const sheet = byLocal(xml(wb), 'sheet')[0];
+    const rid = sheet && [...sheet.attributes].find(a => a.localName === 'id')?.value;
+    const rel = byLocal(xml(rels), 'Relationship').find(r => r.getAttribute('Id') === rid);
+    const target = rel?.getAttribute('Target');
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const sheetXml = await readEntry(buf, entries, sheetPath);
+  if (!sheetXml) throw new Error('Workbook has no readable sheet');
+
+  const rows = [];
+  for (const r of byLocal(xml(sheetXml), 'row')) {
+    const out = [];
+    for (const c of children(r, 'c')) {
+      const i = c.getAttribute('r') ? columnIndex(c.getAttribute('r')) : out.length;
+      const t = c.getAttribute('t');
+      const v = children(c, 'v')[0]?.textContent ?? '';
+      let val;
+      if (t === 's') val = shared[Number(v)] ?? '';
+      else if (t === 'inlineStr') val = byLocal(c, 't').map(x => x.textContent).join('');
+      else if (t === 'b') val = v === '1' ? 'TRUE' : 'FALSE';
+      else if (t === 'str' || t === 'e') val = v;
+      else val = numberText(v);
+      out[i] = val;
+    }
+    rows.push(Array.from(out, x => String(x ?? '').trim()));
+  }
+  return rows;
+}
+
+async function readOds(buf, entries) {
+  const content = await readEntry(buf, entries, 'content.xml');
+  if (!content) throw new Error('Not a valid .ods file (no content.xml)');
+  const table = byLocal(xml(content), 'table')[0];
+  if (!table) throw new Error('Spreadsheet has no sheet');
+  const attr = (el, name) => [...el.attributes].find(a => a.localName === name)?.value;
+  const rows = [];
+  for (const r of byLocal(table, 'table-row')) {
+    const out = [];
+    for (const c of [...r.children].filter(el => el.localName === 'table-cell' || el.localName === 'covered-table-cell')) {
+      const text = children(c, 'p').map(p => p.textContent).join('\n').trim();
+      const repeat = Math.min(Number(attr(c, 'number-columns-repeated') || 1), MAX_REPEAT);
+      for (let k = 0; k < repeat; k++) out.push(text);
+    }
+    const repeat = out.some(Boolean) ? Math.min(Number(attr(r, 'number-rows-repeated') || 1), MAX_REPEAT) : 1;
+    for (let k = 0; k < repeat; k++) rows.push([...out]);
+  }
+  return rows;
+}
+
+// File (from an <input type="file">) -> rows of the first sheet, blank rows dropped
+export async function readSpreadsheet(file) {
+  const buf = await file.arrayBuffer();
+  const entries = zipEntries(buf);
+  const rows = entries.has('content.xml') && !entries.has('xl/workbook.xml') ? await readOds(buf, entries) : await readXlsx(buf, entries);
+  return rows
+    .map(r => { while (r.length && !r[r.length - 1]) r.pop(); return r; })
+    .filter(r => r.some(Boolean));
+}
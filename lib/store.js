@@ -0,0 +1,198 @@
+// lib/store.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Pluggable document store: collections of JSON values addressed by key.
+// Adapters expose async get/put/delete/list, plus update(c, key, fn) for read-modify-write that
+// can't lose a concurrent writer's changes (fn may run more than once, so keep it side-effect free).
+//   ZEN_STORE=kv | file | memory   (default: kv when KV credentials are set, else file)
+//   kv:   Redis over the Upstash REST API (Vercel KV, Upstash). Shared by every serverless instance;
+//         this is the adapter for Vercel. ZEN_KV_URL / ZEN_KV_TOKEN, or the KV_REST_API_* /
+//         UPSTASH_REDIS_REST_* variables those integrations set. Values are capped by the plan's
+//         request size; activity records over ZEN_ACTIVITY_MAX_BYTES aren't stored (lib/activityStore).
+//   file: JSON files under ZEN_STORE_DIR (a mounted volume; one server or a shared disk).
+//         Without ZEN_STORE_DIR it falls back to the OS temp dir, which on serverless hosts is
+//         per-instance and wiped on cold start, so production refuses that unless
+//         ZEN_STORE_ALLOW_TMP=1 says losing the data is acceptable.
+//   memory: per-process, for local experiments.
+// Without any of this in production, hasPersistentStore() is false: public wallet lookups still work
+// (built per request, see lib/activityStore), while the indexer, jobs, campaigns and snapshots throw.
+
+// Serializes read-modify-write per key within this process (file and memory adapters)
+function keyLock() {
+  const tails = new Map();
+  return async (k, fn) => {
+    const prev = tails.get(k) || Promise.resolve();
+    let release;
+    const tail = prev.then(() => new Promise(r => { release = r; }));
+    tails.set(k, tail);
+    await prev;
+    try { return await fn(); }
+    finally {
+      release();
+      if (tails.get(k) === tail) tails.delete(k);
+    }
+  };
+}
+
+// update() for adapters whose writers all live in this process
+function lockedUpdate(adapter) {
+  const lock = keyLock();
+  return (c, key, fn) => lock(`${c}\u0000${key}`, async () => {
+    const cur = await adapter.get(c, key);
+    const next = await fn(cur);
+    if (next === undefined) return cur;
+    await adapter.put(c, key, next);
+    return next;
+  });
+}
+
+function memoryAdapter() {
+  const cols = new Map(); // collection -> Map(key -> json string)
+  const col = (c) => {
+    if (!cols.has(c)) cols.set(c, new Map());
+    return cols.get(c);
+  };
+  const adapter = {
+    name: 'memory',
+    async get(c, key) {
+      const v = col(c).get(key);
+      return v == null ? null : JSON.parse(v);
+    },
+    async put(c, key, value) { col(c).set(key, JSON.stringify(value)); },
+    async delete(c, key) { col(c).delete(key); },
+    async list(c) { return [...col(c).keys()]; }
+  };
+  adapter.update = lockedUpdate(adapter);
+  return adapter;
+}
+
+function fileAdapter(dir) {
+  const fileFor = (c, key) => path.join(dir, c, encodeURIComponent(key) + '.json');
+  const adapter = {
+    name: 'file',
+    async get(c, key) {
+      try { return JSON.parse(await fs.promises.readFile(fileFor(c, key), 'utf8')); }
+      catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async put(c, key, value) {
+      const f = fileFor(c, key);
+      await fs.promises.mkdir(path.dirname(f), { recursive: true });
+      // write-then-rename so readers never see a half-written file
+      const tmp = `${f}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value));
+      await fs.promises.rename(tmp, f);
+    },
+    async delete(c, key) {
+      try { await fs.promises.unlink(fileFor(c, key)); }
+      catch (e) { if (e.code !== 'ENOENT') throw e; }
+    },
+    async list(c) {
+      try {
+        const names = await fs.promises.readdir(path.join(dir, c));
+        return names.filter(n => n.endsWith('.json')).map(n => decodeURIComponent(n.slice(0, -5)));
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+    }
+  };
+  adapter.update = lockedUpdate(adapter);
+  return adapter;
+}
+
+// Documents as Redis strings under "<prefix>:doc:<collection>:<key>", with a set per collection
+// ("<prefix>:keys:<collection>") for list(). Writes are Lua scripts so the document and the key set
+// change together; update() is compare-and-set on the previous value, retried on conflict.
+const KV_PUT = "redis.call('SET', KEYS[1], ARGV[1]) redis.call('SADD', KEYS[2], ARGV[2]) return 1";
+const KV_DELETE = "redis.call('DEL', KEYS[1]) redis.call('SREM', KEYS[2], ARGV[1]) return 1";
+const KV_CAS = "if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end " +
+  "redis.call('SET', KEYS[1], ARGV[2]) redis.call('SADD', KEYS[2], ARGV[3]) return 1";
+const KV_CAS_ATTEMPTS = 20;
+
+function kvAdapter({ url, token, prefix }) {
+  const doc = (c, key) => `${prefix}:doc:${c}:${key}`;
+  const keys = (c) => `${prefix}:keys:${c}`;
+  async function cmd(...args) {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      cache: 'no-store'
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || j.error) throw new Error(`KV ${args[0]} failed: ${j.error || `HTTP ${r.status}`}`);
+    return j.result;
+  }
+  return {
+    name: 'kv',
+    async get(c, key) {
+      const raw = await cmd('GET', doc(c, key));
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async put(c, key, value) { await cmd('EVAL', KV_PUT, 2, doc(c, key), keys(c), JSON.stringify(value), key); },
+    async delete(c, key) { await cmd('EVAL', KV_DELETE, 2, doc(c, key), keys(c), key); },
+    async list(c) { return (await cmd('SMEMBERS', keys(c))) || []; },
+    async update(c, key, fn) {
+      for (let i = 0; i < KV_CAS_ATTEMPTS; i++) {
+        const raw = await cmd('GET', doc(c, key));
+        const cur = raw == null ? null : JSON.parse(raw);
+        const next = await fn(cur);
+        if (next === undefined) return cur;
+        if (await cmd('EVAL', KV_CAS, 2, doc(c, key), keys(c), raw ?? '', JSON.stringify(next), key)) return next;
+        await new Promise(r => setTimeout(r, Math.random() * 25 * (i + 1))); // spread out the retries
+      }
+      throw new Error(`KV update of ${c}/${key} kept conflicting with other writers`);
+    }
+  };
+}
+
+function kvConfig() {
+  const env = process.env;
+  const url = env.ZEN_KV_URL || env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL || '';
+  const token = env.ZEN_KV_TOKEN || env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN || '';
+  return url && token ? { url: url.replace(/\/+$/, ''), token, prefix: env.ZEN_KV_PREFIX || 'zenstats' } : null;
+}
+
+// The file adapter would have to use the temp dir, and this is production without the opt-in
+function tmpFallbackRefused() {
+  const allowTmp = ['1', 'true', 'yes'].includes(String(process.env.ZEN_STORE_ALLOW_TMP || '').toLowerCase());
+  return process.env.NODE_ENV === 'production' && !allowTmp && !process.env.ZEN_STORE_DIR;
+}
+
+const adapterKind = () => String(process.env.ZEN_STORE || (kvConfig() ? 'kv' : 'file')).toLowerCase();
+
+// False when getStore() would refuse the temp-dir fallback
+export function hasPersistentStore() {
+  return !!globalThis.__ZEN_STORE__ || adapterKind() !== 'file' || !tmpFallbackRefused();
+}
+
+function fileDir() {
+  if (process.env.ZEN_STORE_DIR) return process.env.ZEN_STORE_DIR;
+  if (tmpFallbackRefused()) {
+    throw new Error('No persistent store configured: set KV credentials (ZEN_STORE=kv) or ZEN_STORE_DIR on a mounted volume. ' +
+      'ZEN_STORE_ALLOW_TMP=1 accepts a per-instance temp dir that loses watch lists, campaigns, snapshots and jobs.');
+  }
+  return path.join(os.tmpdir(), 'zenstats-store');
+}
+
+// One adapter per serverless instance
+export function getStore() {
+  if (globalThis.__ZEN_STORE__) return globalThis.__ZEN_STORE__;
+  const kv = kvConfig();
+  const kind = adapterKind();
+  let store;
+  if (kind === 'memory') store = memoryAdapter();
+  else if (kind === 'file') store = fileAdapter(fileDir());
+  else if (kind === 'kv') {
+    if (!kv) throw new Error('ZEN_STORE=kv needs ZEN_KV_URL and ZEN_KV_TOKEN (or KV_REST_API_URL / KV_REST_API_TOKEN)');
+    store = kvAdapter(kv);
+  }
+  else throw new Error(`Unknown ZEN_STORE adapter: ${kind}`);
+  globalThis.__ZEN_STORE__ = store;
+  return store;
+}
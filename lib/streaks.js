@@ -0,0 +1,73 @@
+// lib/streaks.js
+// Active days and streaks from activity timestamps, with days cut in a chosen IANA timezone.
+// Shared by the pages and the API (no Node-only imports).
+
+const formatters = new Map(); // tz -> Intl.DateTimeFormat
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Throws on an unknown zone; empty means UTC
+export function resolveTimeZone(tz) {
+  const zone = String(tz || 'UTC');
+  try { new Intl.DateTimeFormat('en-US', { timeZone: zone }); }
+  catch { throw new Error(`Unknown timezone: ${tz}`); }
+  return zone;
+}
+
+// 'YYYY-MM-DD' of ms in tz
+export function dayKey(ms, tz = 'UTC') {
+  let f = formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
+    formatters.set(tz, f);
+  }
+  return f.format(new Date(ms));
+}
+
+const dayIndex = (key) => Math.round(Date.parse(`${key}T00:00:00Z`) / DAY_MS);
+
+// Days the wallet acted on: outgoing externals that didn't fail (same rows as the KPIs)
+export function activeDaySets(activity, tz = 'UTC') {
+  const all = new Set();
+  const byCategory = new Map();
+  for (const r of activity || []) {
+    if (r.kind !== 'native' || r.direction !== 'out' || r.category === 'fail') continue;
+    const d = dayKey(r.timeMs, tz);
+    all.add(d);
+    if (!byCategory.has(r.category)) byCategory.set(r.category, new Set());
+    byCategory.get(r.category).add(d);
+  }
+  return { all, byCategory };
+}
+
+// days: iterable of day keys. The current streak ends on asOfDay, or the day before
+// (today isn't over yet); otherwise it is 0.
+export function streakStats(days, { asOfDay } = {}) {
+  const idx = [...new Set(days || [])].map(dayIndex).sort((a, b) => a - b);
+  if (!idx.length) return { activeDays: 0, longestStreak: 0, currentStreak: 0, firstDay: null, lastDay: null };
+
+  let longest = 1, run = 1;
+  for (let i = 1; i < idx.length; i++) {
+    run = idx[i] === idx[i - 1] + 1 ? run + 1 : 1;
+    if (run > longest) longest = run;
+  }
+  const last = idx[idx.length - 1];
+  const asOf = asOfDay ? dayIndex(asOfDay) : last;
+  let current = 0;
+  if (last === asOf || last === asOf - 1) {
+    current = 1;
+    for (let i = idx.length - 1; i > 0 && idx[i - 1] === idx[i] - 1; i--) current += 1;
+  }
+  const key = (i) => new Date(i * DAY_MS).toISOString().slice(0, 10);
+  return { activeDays: idx.length, longestStreak: longest, currentStreak: current, firstDay: key(idx[0]), lastDay: key(last) };
+}
+
+// Overall and per-category streaks; asOfMs is usually the window end
+export function computeStreaks(activity, { tz = 'UTC', asOfMs = Date.now() } = {}) {
+  const { all, byCategory } = activeDaySets(activity, tz);
+  const asOfDay = dayKey(asOfMs, tz);
+  return {
+    tz,
+    ...streakStats(all, { asOfDay }),
+    byCategory: Object.fromEntries([...byCategory.entries()].map(([c, set]) => [c, streakStats(set, { asOfDay })]))
+  };
+}
@@ -0,0 +1,158 @@
+// lib/sybil.js
+// Multi-wallet clustering across the participants of one run. Wallets are linked when they
+//   funded      each other (native or internal transfer between two participants)
+//   funder      received ZTC from the same outside EOA
+//   sweep       plain native sends (native_send) to the same outside address
+//   lockstep    sent transactions within a few seconds of each other again and again
+// Linked wallets are merged with union-find. Outside addresses touching too many participants
+// (faucets, exchanges, distributors) are treated as hubs and don't link anyone.
+
+export const DEFAULT_SYBIL_OPTIONS = {
+  maxFanout: 20,        // an outside funder/destination above this many participants is a hub
+  lockstepSec: 60,      // two txs this close count as a lockstep match
+  minLockstep: 5,       // matches needed ...
+  minLockstepRatio: 0.5 // ... and this share of the less active wallet's txs
+};
+const BUSY_SLOT = 50; // ignore time slots where this many wallets acted (network-wide bursts)
+
+function unionFind(items) {
+  const parent = new Map(items.map(x => [x, x]));
+  const find = (x) => {
+    while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); }
+    return x;
+  };
+  return { find, union: (a, b) => { const ra = find(a), rb = find(b); if (ra !== rb) parent.set(ra, rb); } };
+}
+
+// Outside address -> set of participants, minus hubs
+function sharedCounterparties(pairs, maxFanout, hubs, type) {
+  const byOther = new Map();
+  for (const [wallet, other] of pairs) {
+    if (!byOther.has(other)) byOther.set(other, new Set());
+    byOther.get(other).add(wallet);
+  }
+  const out = [];
+  for (const [other, set] of byOther) {
+    if (set.size < 2) continue;
+    if (set.size > maxFanout) { hubs.push({ address: other, type, participants: set.size }); continue; }
+    out.push({ via: other, wallets: [...set] });
+  }
+  return out;
+}
+
+function lockstepPairs(outTimes, opts) {
+  const slot = opts.lockstepSec;
+  const slots = new Map(); // slot index -> Set(wallet)
+  for (const [w, times] of outTimes) {
+    for (const t of times) {
+      const k = Math.floor(t / slot);
+      if (!slots.has(k)) slots.set(k, new Set());
+      slots.get(k).add(w);
+    }
+  }
+  // Candidate pairs share a slot (or the next one, for matches across a boundary)
+  const candidates = new Set();
+  for (const [k, set] of slots) {
+    const group = new Set([...set, ...(slots.get(k + 1) || [])]);
+    if (group.size > BUSY_SLOT) continue;
+    const list = [...group].sort();
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) candidates.add(`${list[i]}|${list[j]}`);
+    }
+  }
+
+  const out = [];
+  for (const key of candidates) {
+    const [a, b] = key.split('|');
+    const ta = outTimes.get(a), tb = outTimes.get(b);
+    // Two-pointer walk over sorted times: txs of `a` with a tx of `b` within the slot width
+    let j = 0, matches = 0;
+    for (const t of ta) {
+      while (j < tb.length && tb[j] < t - slot) j++;
+      if (j < tb.length && Math.abs(tb[j] - t) <= slot) matches++;
+    }
+    const ratio = matches / Math.min(ta.length, tb.length);
+    if (matches >= opts.minLockstep && ratio >= opts.minLockstepRatio) {
+      out.push({ a, b, matches, ratio: Math.round(ratio * 100) / 100 });
+    }
+  }
+  return out;
+}
+
+// data: Map(walletLower -> { rows, transfers }) for the run's window
+export function clusterWallets(data, options = {}) {
+  const opts = { ...DEFAULT_SYBIL_OPTIONS, ...options };
+  const wallets = [...data.keys()];
+  const participants = new Set(wallets);
+  const uf = unionFind(wallets);
+  const signals = [];
+  const hubs = [];
+
+  const funderPairs = [], sweepPairs = [];
+  const funded = new Map(); // "a|b" -> count
+  const outTimes = new Map();
+  for (const [w, { rows = [], transfers = [] }] of data) {
+    const sends = new Set(rows.filter(r => r.kind === 'native' && r.category === 'native_send').map(r => String(r.hash).toLowerCase()));
+    for (const t of transfers) {
+      if (t.kind !== 'native' && t.kind !== 'internal') continue;
+      const other = t.direction === 'in' ? t.from : t.to;
+      if (!other || other === w) continue;
+      if (participants.has(other)) {
+        // Seen from both sides; key by sender so each transfer counts once
+        if (t.direction === 'out') {
+          const k = `${w}|${other}`;
+          funded.set(k, (funded.get(k) || 0) + 1);
+        }
+        continue;
+      }
+      // Native tx senders are EOAs; internal credits usually come from contracts (routers, bridges)
+      if (t.kind === 'native' && t.direction === 'in') funderPairs.push([w, other]);
+      if (t.kind === 'native' && t.direction === 'out' && sends.has(String(t.hash).toLowerCase())) sweepPairs.push([w, other]);
+    }
+    outTimes.set(w, rows
+      .filter(r => r.kind === 'native' && r.direction === 'out')
+      .map(r => Math.floor(r.timeMs / 1000))
+      .sort((a, b) => a - b));
+  }
+
+  for (const [k, count] of funded) {
+    const [a, b] = k.split('|');
+    signals.push({ type: 'funded', wallets: [a, b], detail: `${a} sent ${count} transfer(s) to ${b}` });
+    uf.union(a, b);
+  }
+  for (const { via, wallets: ws } of sharedCounterparties(funderPairs, opts.maxFanout, hubs, 'funder')) {
+    signals.push({ type: 'funder', wallets: ws, via, detail: `${ws.length} wallets funded by ${via}` });
+    ws.slice(1).forEach(w => uf.union(ws[0], w));
+  }
+  for (const { via, wallets: ws } of sharedCounterparties(sweepPairs, opts.maxFanout, hubs, 'sweep')) {
+    signals.push({ type: 'sweep', wallets: ws, via, detail: `${ws.length} wallets sent ZTC to ${via}` });
+    ws.slice(1).forEach(w => uf.union(ws[0], w));
+  }
+  for (const p of lockstepPairs(outTimes, opts)) {
+    signals.push({ type: 'lockstep', wallets: [p.a, p.b], detail: `${p.matches} txs within ${opts.lockstepSec}s (${Math.round(p.ratio * 100)}%)` });
+    uf.union(p.a, p.b);
+  }
+
+  // Group by root; only multi-wallet clusters are reported
+  const groups = new Map();
+  for (const w of wallets) {
+    const r = uf.find(w);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(w);
+  }
+  const clusters = [...groups.values()]
+    .filter(ws => ws.length > 1)
+    .sort((a, b) => b.length - a.length)
+    .map((ws, i) => {
+      const set = new Set(ws);
+      return {
+        id: `C${i + 1}`,
+        wallets: ws.sort(),
+        signals: signals.filter(s => s.wallets.some(w => set.has(w)))
+      };
+    });
+
+  const byWallet = {};
+  for (const c of clusters) for (const w of c.wallets) byWallet[w] = c.id;
+  return { options: opts, clusters, byWallet, hubs };
+}
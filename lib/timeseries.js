@@ -0,0 +1,87 @@
+// lib/timeseries.js
+// Per-bucket activity counts (category x direction) from classified rows. Buckets follow the wall
+// clock of an IANA timezone (UTC by default) and are contiguous, so empty buckets (gaps) are part of
+// the series; a bucket's `start` is the unix second it begins in that zone. Token and internal rows
+// without a category of their own are left out (they'd otherwise all pile up as "other").
+// No Node-only imports.
+
+export const BUCKETS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60
+};
+export const MAX_BUCKETS = 2000;
+
+const WEEK_OFFSET = 4 * 24 * 60 * 60; // the epoch was a Thursday; weeks start on Monday
+const OFFSET_STEP = 15 * 60; // zone offsets only change on quarter hours
+
+const partFormatters = new Map(); // tz -> Intl.DateTimeFormat
+const offsets = new Map(); // `${tz}:${quarter hour}` -> seconds
+
+// Seconds to add to a unix time to get the wall clock of tz at that moment
+function offsetOf(ts, tz) {
+  if (tz === 'UTC') return 0;
+  const key = `${tz}:${Math.floor(ts / OFFSET_STEP)}`;
+  let off = offsets.get(key);
+  if (off == null) {
+    let f = partFormatters.get(tz);
+    if (!f) {
+      f = new Intl.DateTimeFormat('en-US', { timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' });
+      partFormatters.set(tz, f);
+    }
+    const p = Object.fromEntries(f.formatToParts(new Date(ts * 1000)).map(x => [x.type, Number(x.value)]));
+    off = (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ts / 60) * 60_000) / 1000;
+    if (offsets.size > 10_000) offsets.clear();
+    offsets.set(key, off);
+  }
+  return off;
+}
+
+// Wall-clock seconds in tz -> unix seconds (the first matching moment around DST changes)
+function fromWall(wall, tz) {
+  const guess = wall - offsetOf(wall, tz);
+  return wall - offsetOf(guess, tz);
+}
+
+// Start (unix seconds) of the bucket containing ts
+export function bucketStart(ts, bucket) {
+  const size = BUCKETS[bucket];
+  if (bucket === 'week') return Math.floor((ts - WEEK_OFFSET) / size) * size + WEEK_OFFSET;
+  return Math.floor(ts / size) * size;
+}
+
+export function resolveBucket(name) {
+  const key = String(name || 'day').toLowerCase();
+  if (!BUCKETS[key]) throw new Error(`Unknown bucket: ${name} (use ${Object.keys(BUCKETS).join(', ')})`);
+  return key;
+}
+
+// rows: classified activity (already through countedRows); [start, end] in unix seconds; tz resolved
+export function buildTimeseries(rows, { start, end, bucket = 'day', tz = 'UTC' }) {
+  const size = BUCKETS[resolveBucket(bucket)];
+  const inWindow = (rows || []).filter(r => r.category && r.timeMs >= start * 1000 && r.timeMs <= end * 1000);
+  if (!inWindow.length) return { bucket, tz, categories: [], buckets: [] };
+
+  // Bucketing happens on the zone's wall clock, where every day is 24h long
+  const wall = (ts) => ts + offsetOf(ts, tz);
+  // Open-ended windows (period=all) start at the first activity instead of the epoch
+  const earliest = Math.min(...inWindow.map(r => Math.floor(r.timeMs / 1000)));
+  const from = bucketStart(wall(Math.max(start, earliest)), bucket);
+  const to = bucketStart(wall(end), bucket);
+  const n = Math.floor((to - from) / size) + 1;
+  if (n > MAX_BUCKETS) throw new Error(`Too many ${bucket} buckets (${n}); pick a coarser bucket or a shorter window`);
+
+  const buckets = Array.from({ length: n }, (_, i) => ({ start: fromWall(from + i * size, tz), in: {}, out: {}, total: 0 }));
+  const categories = new Set();
+  for (const r of inWindow) {
+    const i = Math.floor((bucketStart(wall(Math.floor(r.timeMs / 1000)), bucket) - from) / size);
+    const b = buckets[i];
+    if (!b) continue;
+    const cat = r.category;
+    const dir = r.direction === 'in' ? 'in' : 'out';
+    b[dir][cat] = (b[dir][cat] || 0) + 1;
+    b.total += 1;
+    categories.add(cat);
+  }
+  return { bucket, tz, categories: [...categories].sort(), buckets };
+}
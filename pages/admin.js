@@ -1,102 +1,20 @@
 // pages/admin.js
 import Head from 'next/head';
 import { useEffect, useMemo, useRef, useState } from 'react';
+import { CATEGORIES } from '../lib/counts';
+import { toCsvUrl, parseCsvRows, rowsToCsv, guessColumns, columnNames, importParticipants } from '../lib/participants';
+import { readSpreadsheet } from '../lib/spreadsheet';
+import { dayKey, resolveTimeZone, streakStats } from '../lib/streaks';
+import { explainActivity, disputeReport, REASON_LABELS } from '../lib/explain';
+import { parseEligibility, evaluateEligibility, eligibilityVars } from '../lib/eligibility';
+import { DEFAULT_TIERS, DEFAULT_REWARD_TOKEN, ALLOCATIONS, validateTiers, compileTiers, tierOf, allocateRewards, airdropCsv, airdropRows, formatAmount } from '../lib/rewards';
 
-// Prize categories (cco merged into cc, ci ignored; approve is display-only on main site)
-const CATEGORIES = [
-  'stake',
-  'native_send',
-  'nft_mint',
-  'domain_mint',
-  'gm',
-  'cc',
-  'swap',
-  'add_liquidity',
-  'remove_liquidity',
-];
-
-// Convert Google Sheet link to CSV export
-function toCsvUrl(input) {
-  try {
-    const url = new URL(input);
-    const m = url.pathname.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    if (m) {
-      const id = m[1];
-      const gid = url.searchParams.get('gid') || '0';
-      return `https://docs.google.com/spreadsheets/d/${id}/export?format=csv&gid=${gid}`;
-    }
-  } catch {}
-  return input;
-}
-
-// CSV parser: columns for discord + wallet/address; header optional
-function parseCsv(text) {
-  const lines = String(text || '').replace(/\r/g, '').split('\n').map(l => l.trim()).filter(Boolean);
-  if (!lines.length) return [];
-  const header = lines[0].split(',').map(s => s.trim().toLowerCase());
-  const hasHeader = header.some(h => /discord|username|wallet|address/.test(h));
-  let idxDiscord = hasHeader ? header.findIndex(h => /discord|username/.test(h)) : 0;
-  let idxWallet  = hasHeader ? header.findIndex(h => /wallet|address/.test(h))  : 1;
-  if (idxDiscord === -1) idxDiscord = 0;
-  if (idxWallet  === -1) idxWallet  = 1;
-
-  const out = [];
-  for (let i = hasHeader ? 1 : 0; i < lines.length; i++) {
-    const cols = lines[i].split(',').map(s => s.trim());
-    const discord = cols[idxDiscord] || '';
-    const wallet  = (cols[idxWallet] || '').toLowerCase();
-    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) continue;
-    if (!discord) continue;
-    out.push({ discord, wallet });
-  }
-  return out;
-}
-
-// Concurrency limiter
-function pLimit(concurrency) {
-  let active = 0;
-  const q = [];
-  const next = () => {
-    active--;
-    if (q.length) q.shift()();
-  };
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      const run = () => {
-        active++;
-        fn().then((v) => { resolve(v); next(); }).catch((e) => { reject(e); next(); });
-      };
-      if (active < concurrency) run();
-      else q.push(run);
-    });
-}
-
-// Merge 'cco' -> 'cc', ignore 'ci'
-function canonicalizeCategory(c) {
-  if (c === 'cco') return 'cc';
-  if (c === 'ci') return null;
-  return c;
-}
+// Last admin job id, so a reload can pick the run back up
+const JOB_KEY = 'zenstats:adminJob';
+const JOB_POLL_MS = 1500;
 
-// Count per category from activity (OUTGOING external native only, exclude fails)
-// This matches the main site's KPIs logic coming from buildStats.
-function computeCounts(activity) {
-  const extOut = (Array.isArray(activity) ? activity : [])
-    .filter(r => r.kind === 'native' && r.direction === 'out' && r.category !== 'fail');
-  const counts = {};
-  CATEGORIES.forEach(c => (counts[c] = 0));
-  for (const r of extOut) {
-    const c0 = canonicalizeCategory(r.category);
-    if (!c0) continue; // ignore ci/null
-    if (counts[c0] == null) counts[c0] = 0;
-    counts[c0] += 1;
-  }
-  const total = extOut.length; // total = only outgoing external native
-  return { counts, total };
-}
-
-// Build raw deficits (no leniency) for categories+total
-function buildDeficits(counts, thresholds, minTotal, totalCount) {
+// Build raw deficits (no leniency) for categories+total (+ active days / streak)
+function buildDeficits(counts, thresholds, minTotal, totalCount, dayRules, dayStats) {
   const parts = [];
 
   // Category parts
@@ -116,17 +34,32 @@ function buildDeficits(counts, thresholds, minTotal, totalCount) {
     }
   }
 
+  // Day-based parts: like total, never covered by leniency
+  const dMin = Number(dayRules?.minActiveDays || 0);
+  if (dMin > 0 && Number(dayStats?.activeDays || 0) < dMin) {
+    parts.push({ cat: 'active_days', need: dMin - Number(dayStats?.activeDays || 0), isTotal: true, used: 0 });
+  }
+  const sMin = Number(dayRules?.minStreak || 0);
+  if (sMin > 0 && Number(dayStats?.longestStreak || 0) < sMin) {
+    parts.push({ cat: 'streak', need: sMin - Number(dayStats?.longestStreak || 0), isTotal: true, used: 0 });
+  }
+
   return parts;
 }
 
-// Apply leniency only to categories (not total)
-function evaluateParticipant(counts, thresholds, minTotal, totalCount, leniencyN) {
-  const pre = buildDeficits(counts, thresholds, minTotal, totalCount);
-  const preMissedCats = pre.map(d => d.cat);
+// Apply leniency only to categories (not total). Eligibility rules (lib/eligibility) are extra
+// parts: each failing rule is a missed part that leniency can't cover.
+function evaluateParticipant(counts, thresholds, minTotal, totalCount, leniencyN, dayRules, dayStats, program) {
+  const pre = buildDeficits(counts, thresholds, minTotal, totalCount, dayRules, dayStats);
+  const rules = program?.rules.length
+    ? evaluateEligibility(program, eligibilityVars({ counts, total: totalCount, ...dayStats }))
+    : [];
+  const failedRules = rules.filter(r => !r.pass).map(r => `rule:${r.name}`);
+  const preMissedCats = [...pre.map(d => d.cat), ...failedRules];
   const preMissed = preMissedCats.length;
 
   const catDeficits = pre.filter(d => !d.isTotal).sort((a, b) => a.need - b.need);
-  const totalDeficit = pre.find(d => d.isTotal);
+  const strictDeficits = pre.filter(d => d.isTotal);
 
   let remaining = Math.max(0, Number(leniencyN || 0));
   for (const d of catDeficits) {
@@ -140,7 +73,8 @@ function evaluateParticipant(counts, thresholds, minTotal, totalCount, leniencyN
 
   const missedCatsAfter = [
     ...catDeficits.filter(d => d.need > 0).map(d => d.cat),
-    ...(totalDeficit && totalDeficit.need > 0 ? ['total'] : []),
+    ...strictDeficits.filter(d => d.need > 0).map(d => d.cat),
+    ...failedRules,
   ];
   const missedAfter = missedCatsAfter.length;
 
@@ -149,7 +83,8 @@ function evaluateParticipant(counts, thresholds, minTotal, totalCount, leniencyN
     preMissedCats,
     missedAfter,
     missedCatsAfter,
-    leniencyUsed
+    leniencyUsed,
+    rules
   };
 }
 
@@ -157,6 +92,10 @@ export default function Admin() {
   // Data source
   const [sheetUrl, setSheetUrl] = useState('');
   const [csvText, setCsvText] = useState('');
+  const [columns, setColumns] = useState(null); // column mapping of the import; null = guessed from the header
+  const csvRows = useMemo(() => parseCsvRows(csvText), [csvText]);
+  const importColumns = useMemo(() => columns || guessColumns(csvRows), [columns, csvRows]);
+  const imported = useMemo(() => importParticipants(csvRows, importColumns), [csvRows, importColumns]); // { participants, report }
   const [loadingSheet, setLoadingSheet] = useState(false);
 
   // Date range
@@ -173,20 +112,64 @@ export default function Admin() {
     return t;
   });
   const [minTotal, setMinTotal] = useState(0); // total = OUTGOING externals only
+  const [minActiveDays, setMinActiveDays] = useState(0); // distinct days with an outgoing tx
+  const [minStreak, setMinStreak] = useState(0); // longest run of consecutive active days
+  const [tz, setTz] = useState('UTC'); // timezone days are cut in
   const [leniency, setLeniency] = useState(0);
+  const [maxBotScore, setMaxBotScore] = useState(100); // disqualify above this bot score (100 = off)
   const [groupByDiscord, setGroupByDiscord] = useState(true);
+  const [eligibility, setEligibility] = useState(''); // extra rules, one per line (lib/eligibility)
+  const eligibilityProgram = useMemo(() => parseEligibility(eligibility), [eligibility]);
+  const [tiers, setTiers] = useState(DEFAULT_TIERS); // first matching tier wins (lib/rewards)
+  const [rewardToken, setRewardToken] = useState(DEFAULT_REWARD_TOKEN); // { symbol, decimals, address }
+  const tierErrors = useMemo(() => validateTiers(tiers, rewardToken), [tiers, rewardToken]);
   const [showOnlyWinners, setShowOnlyWinners] = useState(true);
-  const [concurrency, setConcurrency] = useState(6); // higher default for speed
+  const [concurrency, setConcurrency] = useState(6); // wallets the server job checks in parallel
 
   // Results
   const [status, setStatus] = useState('');
   const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [jobId, setJobId] = useState(''); // server-side job of the current/last run
   const [results, setResults] = useState([]); // annotated rows
-  const [winnersByGroup, setWinnersByGroup] = useState({ 0: [], 1: [], 2: [], 3: [] });
+  const [resultsRun, setResultsRun] = useState(null); // { jobId, window, tz, config, campaign } the results were computed with
+  const [winnersByGroup, setWinnersByGroup] = useState([]); // per tier of the last run
+  const [allocation, setAllocation] = useState(null); // allocateRewards output for the last run
+
+  // Payouts for the last allocation: unsigned txs, then a check that everyone was paid
+  const [payoutMode, setPayoutMode] = useState('multisend'); // direct | multisend
+  const [multisendAddr, setMultisendAddr] = useState(''); // Disperse-compatible contract
+  const [payoutGasLimit, setPayoutGasLimit] = useState(8000000); // per tx
+  const [payer, setPayer] = useState(''); // EOA or Safe sending the rewards
+  const [payoutSince, setPayoutSince] = useState(''); // datetime-local; verification looks from here on
+  const [payout, setPayout] = useState(null);
+  const [payoutCheck, setPayoutCheck] = useState(null);
   const [winTab, setWinTab] = useState(0);
   const abortRef = useRef({ aborted: false });
+  const [sybil, setSybil] = useState(null); // { clusters, byWallet, hubs, discordsOf } or { error } for the last run
+  const [indexer, setIndexer] = useState(null); // { total, ok, errors, pending, wallets }
+
+  // Saved campaigns: the definition loaded into the form, if any
+  const [campaigns, setCampaigns] = useState([]); // heads { id, name, version, updatedAt }
+  const [campaignId, setCampaignId] = useState('');
+  const [campaignVersion, setCampaignVersion] = useState(''); // '' = latest
+  const [campaign, setCampaign] = useState(null); // loaded version (id, version, tiers, rulesFingerprint, ...)
+  const [campaignName, setCampaignName] = useState('');
+  const [rulesFingerprint, setRulesFingerprint] = useState(null);
+  const [inactiveCategories, setInactiveCategories] = useState([]); // rules waiting for their contracts (count nothing)
+  const [pendingRun, setPendingRun] = useState(false);
+
+  // Finalized snapshots and the one being inspected
+  const [snapshots, setSnapshots] = useState([]); // summaries
+  const [snapshotId, setSnapshotId] = useState('');
+  const [snapshot, setSnapshot] = useState(null); // full frozen document
+  const [snapshotDiff, setSnapshotDiff] = useState(null); // a fresh run of the frozen window vs the snapshot
+
+  // Dispute drill-down for one participant row
+  const [drill, setDrill] = useState(null); // { row, window, tz, entries, loading, error }
+  const [drillShowAll, setDrillShowAll] = useState(false); // include incoming and non-native rows
 
   useEffect(() => {
+    try { setJobId(localStorage.getItem(JOB_KEY) || ''); } catch {}
     return () => { abortRef.current.aborted = true; };
   }, []);
 
@@ -212,6 +195,7 @@ export default function Admin() {
       const text = await r.text();
       if (!r.ok) throw new Error(text || 'Failed to fetch sheet');
       setCsvText(text);
+      setColumns(null);
     } catch (e) {
       alert(e.message || String(e));
     } finally {
@@ -219,59 +203,163 @@ export default function Admin() {
     }
   }
 
-  // SPEED: deduplicate wallet fetches. Each unique wallet is fetched once, then we aggregate by Discord.
+  // CSV as text; XLSX/ODS are read in the browser and converted to CSV so campaigns store one format
+  async function uploadParticipants(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = /\.(xlsx|ods)$/i.test(file.name) ? rowsToCsv(await readSpreadsheet(file)) : await file.text();
+      setCsvText(text);
+      setColumns(null);
+    } catch (err) {
+      alert(err.message || String(err));
+    }
+  }
+
+  function setColumn(patch) {
+    setColumns({ ...importColumns, ...patch });
+  }
+
+  // Config problems that would make the run's results meaningless; alerts and returns false
+  function checkRunConfig() {
+    try { resolveTimeZone(tz); } catch (e) { alert(e.message); return false; }
+    if (eligibilityProgram.errors.length) { alert(`Fix the eligibility rules:\n${eligibilityProgram.errors.join('\n')}`); return false; }
+    if (tierErrors.length) { alert(`Fix the tiers:\n${tierErrors.join('\n')}`); return false; }
+    return true;
+  }
+
+  // Wallets are processed server-side as a job (lib/jobs): each unique wallet once, with retries.
+  // The page only polls it, so a closed tab or a slow wallet doesn't lose the run.
   async function run() {
     try {
       if (!windowParams) { alert('Pick a valid date range'); return; }
-      const rawList = parseCsv(csvText);
+      if (!checkRunConfig()) return;
+      const rawList = imported.participants;
       if (!rawList.length) { alert('No valid (discord, wallet) rows found in CSV'); return; }
+      const { skipped, conflicts } = imported.report;
+      if ((skipped.length || conflicts.length) && !confirm(`${skipped.length} row(s) skipped and ${conflicts.length} wallet(s) claimed by several Discords — see the import report. Run anyway?`)) return;
+
+      setStatus('Queuing job…');
+      setProgress({ done: 0, total: 0 });
+      setResults([]);
+      setResultsRun(null);
+      setWinnersByGroup([]);
+      setAllocation(null);
+      setPayout(null);
+      setPayoutCheck(null);
+
+      const r = await fetch('/api/admin/jobs', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ participants: rawList, config: { window: windowParams, tz, concurrency } })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error([j.error || 'Could not start the job', ...(j.errors || [])].join('\n'));
+      setJobId(j.id);
+      try { localStorage.setItem(JOB_KEY, j.id); } catch {}
+      await followJob(j.id);
+    } catch (e) {
+      console.error(e);
+      alert(e.message || String(e));
+      setStatus('');
+    }
+  }
+
+  // Poll until the job finishes (or is cancelled), then evaluate its results
+  async function followJob(id) {
+    abortRef.current.aborted = false;
+    while (!abortRef.current.aborted) {
+      const r = await fetch(`/api/admin/jobs/${encodeURIComponent(id)}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Job status unavailable');
+      const { job, progress: p } = j;
+      setProgress({ done: p.done, total: p.total });
+      if (job.status === 'done') { await finishRun(job); return; }
+      if (job.status === 'cancelled') {
+        setStatus(`Cancelled. ${p.done} of ${p.total} wallets processed — Resume to continue.`);
+        return;
+      }
+      setStatus(`Querying wallets on the server (deduplicated)…${p.retrying ? ` ${p.retrying} retrying.` : ''}${p.failed ? ` ${p.failed} failed.` : ''}`);
+      await new Promise(res => setTimeout(res, JOB_POLL_MS));
+    }
+  }
+
+  // Continue the last job (e.g. after a cancel or a closed tab) with the window it was started with
+  async function resumeRun() {
+    try {
+      if (!jobId) return;
+      if (!checkRunConfig()) return;
+      setStatus('Resuming job…');
+      const r = await fetch(`/api/admin/jobs/${encodeURIComponent(jobId)}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ action: 'resume' })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Could not resume the job');
+      const { window: w, tz: jobTz } = j.job.config;
+      setPeriod('custom');
+      setStart(toLocalDT(w.start));
+      setEnd(toLocalDT(w.end));
+      setTz(jobTz);
+      await followJob(jobId);
+    } catch (e) {
+      console.error(e);
+      alert(e.message || String(e));
+      setStatus('');
+    }
+  }
+
+  // Aggregate a finished job by Discord, then apply thresholds, leniency, rules and tiers
+  async function finishRun(job) {
+    try {
+      const compiledTiers = compileTiers(tiers);
+      const rawList = job.participants;
+      const { window: win, tz: runTz } = job.config;
 
       // Build discord -> wallets map and unique wallet list
       const discToWallets = new Map();
+      const extraOf = new Map(); // discord -> extra import columns (first non-empty value per column)
       for (const row of rawList) {
-        const d = row.discord.trim();
-        const w = row.wallet.toLowerCase();
-        if (!discToWallets.has(d)) discToWallets.set(d, new Set());
-        discToWallets.get(d).add(w);
+        if (!discToWallets.has(row.discord)) discToWallets.set(row.discord, new Set());
+        discToWallets.get(row.discord).add(row.wallet);
+        extraOf.set(row.discord, { ...row.extra, ...extraOf.get(row.discord) });
       }
-      const uniqueWallets = [...new Set(rawList.map(r => r.wallet.toLowerCase()))];
-
-      setStatus('Querying wallets (deduplicated)…');
-      setProgress({ done: 0, total: uniqueWallets.length });
-      setResults([]);
-      setWinnersByGroup({ 0: [], 1: [], 2: [], 3: [] });
-      abortRef.current.aborted = false;
-
-      const limit = pLimit(Math.max(1, Number(concurrency) || 6));
-
-      // Fetch each unique wallet once via /api/activity to mirror main page logic
-      const walletResults = new Map(); // wallet -> { counts, total }
-      const tasks = uniqueWallets.map((wallet) =>
-        limit(async () => {
-          if (abortRef.current.aborted) return null;
-          const qs = `start=${windowParams.start}&end=${windowParams.end}`;
-          const url = `/api/activity?address=${encodeURIComponent(wallet)}&${qs}`;
-          const r = await fetch(url);
-          const j = await r.json();
-          if (!r.ok) throw new Error(j?.error || 'activity failed');
-
-          // Compute counts exactly as main page KPIs do (OUTGOING external native only)
-          const { counts, total } = computeCounts(j.activity || []);
-          return { wallet, counts, total };
-        }).then((res) => {
-          setProgress(p => ({ done: p.done + 1, total: p.total }));
-          if (res) walletResults.set(res.wallet, res);
-          return res;
-        }).catch((e) => {
-          // Continue other tasks even if one fails
-          console.error('wallet failed', wallet, e);
-          setProgress(p => ({ done: p.done + 1, total: p.total }));
-          return null;
-        })
-      );
+      const uniqueWallets = Object.keys(job.wallets);
+      const walletResults = new Map(); // wallet -> { counts, total, days, botScore, complete, error }
+      for (const [wallet, w] of Object.entries(job.wallets)) {
+        if (w.status === 'ok') walletResults.set(wallet, { wallet, ...w.result });
+        else walletResults.set(wallet, { wallet, counts: {}, total: 0, error: w.error || 'not processed' });
+      }
+      // Fetch outcome per wallet, shown as badges: ok, partial (explorer data truncated) or error
+      const statusOf = (w) => {
+        const r = walletResults.get(w);
+        if (!r || r.error) return { wallet: w, status: 'error', error: r?.error || 'not processed' };
+        return { wallet: w, status: r.complete === false ? 'partial' : 'ok' };
+      };
 
-      await Promise.all(tasks);
-      if (abortRef.current.aborted) { setStatus('Cancelled.'); return; }
+      // Multi-wallet clusters across everyone in this run (reads the activity the run just synced)
+      let clusterOf = {};
+      try {
+        const r = await fetch('/api/admin/sybil', {
+          method: 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({ wallets: uniqueWallets, start: win.start, end: win.end })
+        });
+        const j = await r.json();
+        if (!r.ok) throw new Error(j.error || 'clustering failed');
+        clusterOf = j.byWallet || {};
+        const discordsOf = {};
+        for (const { discord, wallet } of rawList) {
+          const w = wallet.toLowerCase();
+          discordsOf[w] = [...new Set([...(discordsOf[w] || []), discord])];
+        }
+        setSybil({ ...j, discordsOf });
+      } catch (e) {
+        console.error('sybil clustering unavailable', e);
+        setSybil({ error: e.message || String(e) });
+      }
 
       // Aggregate by Discord (sum across that Discord's wallets), or keep per wallet if grouping=off
       let grouped = [];
@@ -280,10 +368,14 @@ export default function Admin() {
           const counts = {};
           CATEGORIES.forEach(c => (counts[c] = 0));
           let total = 0;
+          const days = new Set(); // union: a day counts if any of the Discord's wallets was active
+          let botScore = 0; // worst wallet
 
           for (const w of ws) {
             const r = walletResults.get(w);
             if (!r) continue;
+            (r.days || []).forEach(d => days.add(d));
+            botScore = Math.max(botScore, Number(r.botScore || 0));
             total += Number(r.total || 0);
             for (const c of Object.keys(r.counts || {})) {
               counts[c] = (Number(counts[c] || 0) + Number(r.counts[c] || 0));
@@ -292,39 +384,87 @@ export default function Admin() {
 
           grouped.push({
             discord,
+            wallets: ws,
             counts,
             total,
+            days: [...days],
+            botScore,
+            walletStatus: [...ws].map(statusOf),
+            extra: extraOf.get(discord),
           });
         }
       } else {
         // one row per wallet (Discord shown; wallets column not displayed)
-        grouped = rawList.map(({ discord, wallet }) => {
+        grouped = rawList.map(({ discord, wallet, extra }) => {
           const r = walletResults.get(wallet.toLowerCase()) || { counts: {}, total: 0 };
-          return { discord, counts: r.counts || {}, total: r.total || 0 };
+          return { discord, wallets: [wallet.toLowerCase()], counts: r.counts || {}, total: r.total || 0, days: r.days || [], botScore: Number(r.botScore || 0), walletStatus: [statusOf(wallet.toLowerCase())], extra: extra || {} };
         });
       }
 
-      // Evaluate with leniency
-      const groups = { 0: [], 1: [], 2: [], 3: [] };
-      const annotated = grouped.map(r => {
-        const ev = evaluateParticipant(r.counts, thresholds, minTotal, r.total, leniency);
+      // Evaluate with leniency, then place each participant in its tier
+      const groups = compiledTiers.map(() => []);
+      const asOfDay = dayKey(win.end * 1000, runTz);
+      const dayRules = { minActiveDays, minStreak };
+      const annotated = grouped.map(({ days, wallets, ...r }) => {
+        const { activeDays, longestStreak } = streakStats(days, { asOfDay });
+        const ev = evaluateParticipant(r.counts, thresholds, minTotal, r.total, leniency, dayRules, { activeDays, longestStreak }, eligibilityProgram);
         const out = {
           ...r,
+          wallets: [...wallets],
+          partial: r.walletStatus.some(x => x.status === 'partial'),
+          walletErrors: r.walletStatus.filter(x => x.status === 'error'),
+          clusters: [...new Set(wallets.map(w => clusterOf[w]).filter(Boolean))],
+          activeDays,
+          longestStreak,
           leniencyUsed: ev.leniencyUsed,
           preMissed: ev.preMissed,
           preMissedCats: ev.preMissedCats,
           missedParts: ev.missedAfter,
-          missedCats: ev.missedCatsAfter
+          missedCats: ev.missedCatsAfter,
+          rules: ev.rules
         };
-        if (out.missedParts <= 3) groups[out.missedParts].push(out);
+        // Bot filter disqualifies regardless of missed parts
+        out.disqualified = Number(maxBotScore) < 100 && out.botScore > Number(maxBotScore) ? 'bot' : null;
+        // A failed wallet counts as zero, so its participant is held out of every tier until retried
+        const ti = out.walletErrors.length ? -1 : tierOf(out, compiledTiers);
+        out.tier = ti >= 0 ? compiledTiers[ti].name : null;
+        if (ti >= 0) groups[ti].push(out);
         return out;
       });
 
+      // Rewards per tier (wei strings), copied onto the rows for the table and CSV
+      const alloc = allocateRewards(groups, compiledTiers, rewardToken);
+      alloc.tiers.forEach((t, ti) => t.payouts.forEach((p, i) => { groups[ti][i].reward = p.amount; }));
+
       setResults(annotated);
+      // What these results were evaluated with; finalizing freezes this, not the form as edited since
+      setResultsRun({
+        jobId: job.id,
+        window: win,
+        tz: runTz,
+        campaign: campaign ? { id: campaign.id, version: campaign.version } : null,
+        config: {
+          thresholds,
+          minTotal: Number(minTotal) || 0,
+          minActiveDays: Number(minActiveDays) || 0,
+          minStreak: Number(minStreak) || 0,
+          leniency: Number(leniency) || 0,
+          maxBotScore: Number(maxBotScore),
+          groupByDiscord,
+          eligibility,
+          tiers,
+          reward: rewardToken
+        }
+      });
       setWinnersByGroup(groups);
+      setAllocation(alloc);
+      setWinTab(0);
 
-      const totals = Object.values(groups).reduce((s, arr) => s + arr.length, 0);
-      setStatus(`Done. Processed ${grouped.length} ${groupByDiscord ? 'participants' : 'rows'} (unique wallets: ${uniqueWallets.length}). Winners: ${totals} (0-miss: ${groups[0].length}, 1-miss: ${groups[1].length}, 2-miss: ${groups[2].length}, 3-miss: ${groups[3].length}).`);
+      const totals = groups.reduce((s, arr) => s + arr.length, 0);
+      const partialCount = annotated.filter(r => r.partial).length;
+      const errorCount = annotated.filter(r => r.walletErrors.length).length;
+      const botCount = annotated.filter(r => r.disqualified === 'bot').length;
+      setStatus(`Done. Processed ${grouped.length} ${groupByDiscord ? 'participants' : 'rows'} (unique wallets: ${uniqueWallets.length}). Winners: ${totals} (${compiledTiers.map((t, i) => `${t.name}: ${groups[i].length}`).join(', ')}).${alloc.errors.length ? ` Reward problems: ${alloc.errors.join('; ')}.` : ''}${botCount ? ` ${botCount} disqualified as bots.` : ''}${partialCount ? ` ${partialCount} with partial data — rerun before disqualifying.` : ''}${errorCount ? ` ${errorCount} held back by failed wallets — Retry failed before publishing.` : ''}`);
     } catch (e) {
       console.error(e);
       alert(e.message || String(e));
@@ -332,19 +472,463 @@ export default function Admin() {
     }
   }
 
-  function cancelRun() {
+  // Background indexer: watch the pasted participants so later runs read precomputed counts
+  async function refreshIndexer() {
+    try {
+      const r = await fetch('/api/admin/indexer');
+      const j = await r.json();
+      if (r.ok) setIndexer(j);
+    } catch {}
+  }
+
+  async function watchParticipants() {
+    try {
+      if (!windowParams) { alert('Pick a valid date range'); return; }
+      const r = await fetch('/api/admin/indexer', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ action: 'watch', csv: csvText, columns: importColumns, from: windowParams.start })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'watch failed');
+      setStatus(`Indexer: ${j.added} new wallet(s) watched.`);
+      refreshIndexer();
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  useEffect(() => { refreshIndexer(); }, []);
+
+  // Campaigns: load / save a version / clone
+  async function refreshCampaigns() {
+    try {
+      const r = await fetch('/api/admin/campaigns');
+      const j = await r.json();
+      if (r.ok) setCampaigns(j.campaigns || []);
+    } catch {}
+    try {
+      const r = await fetch('/api/admin/rules');
+      const j = await r.json();
+      if (r.ok) {
+        setRulesFingerprint(j.fingerprint || null);
+        setInactiveCategories(j.inactive || []);
+      }
+    } catch {}
+  }
+
+  // unix seconds -> datetime-local value in the browser's zone
+  const toLocalDT = (ts) => {
+    const d = new Date(ts * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  };
+
+  function applyCampaign(c) {
+    setCampaign(c);
+    setCampaignName(c.name);
+    setPeriod('custom');
+    setStart(toLocalDT(c.window.start));
+    setEnd(toLocalDT(c.window.end));
+    setThresholds(prev => {
+      const t = { ...prev };
+      CATEGORIES.forEach(cat => (t[cat] = Number(c.thresholds?.[cat] || 0)));
+      return t;
+    });
+    setMinTotal(c.minTotal || 0);
+    setMinActiveDays(c.minActiveDays || 0);
+    setMinStreak(c.minStreak || 0);
+    setTz(c.tz || 'UTC');
+    setLeniency(c.leniency || 0);
+    setMaxBotScore(c.maxBotScore ?? 100);
+    setGroupByDiscord(c.groupByDiscord !== false);
+    setEligibility(c.eligibility || '');
+    setTiers(c.tiers?.length ? c.tiers : DEFAULT_TIERS);
+    setRewardToken({ ...DEFAULT_REWARD_TOKEN, ...(c.reward || {}) });
+    setSheetUrl(c.participants?.sheetUrl || '');
+    setCsvText(c.participants?.csv || '');
+    setColumns(c.participants?.columns || null);
+  }
+
+  async function loadCampaign(andRun) {
+    try {
+      if (!campaignId) { alert('Pick a campaign'); return; }
+      const qs = campaignVersion ? `?version=${encodeURIComponent(campaignVersion)}` : '';
+      const r = await fetch(`/api/admin/campaigns/${encodeURIComponent(campaignId)}${qs}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'load failed');
+      applyCampaign(j.campaign);
+      setStatus(`Loaded ${j.campaign.name} v${j.campaign.version}${j.campaign.version < j.campaign.latestVersion ? ` (latest is v${j.campaign.latestVersion})` : ''}.`);
+      if (andRun) setPendingRun(true);
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  // Run only after the loaded definition has been rendered into state
+  useEffect(() => {
+    if (!pendingRun) return;
+    setPendingRun(false);
+    run();
+  }, [pendingRun]);
+
+  function campaignFromForm() {
+    const def = {
+      name: campaignName.trim(),
+      window: windowParams || undefined,
+      thresholds,
+      minTotal: Number(minTotal) || 0,
+      minActiveDays: Number(minActiveDays) || 0,
+      minStreak: Number(minStreak) || 0,
+      tz,
+      leniency: Number(leniency) || 0,
+      maxBotScore: Number(maxBotScore),
+      groupByDiscord,
+      eligibility,
+      tiers,
+      reward: rewardToken,
+      participants: { sheetUrl, csv: csvText, columns }
+    };
+    if (campaign) def.description = campaign.description || '';
+    return def;
+  }
+
+  // asNew: POST a new campaign; otherwise PUT a new version of the loaded one
+  async function saveCampaign(asNew) {
+    try {
+      const r = await fetch(asNew ? '/api/admin/campaigns' : `/api/admin/campaigns/${encodeURIComponent(campaign.id)}`, {
+        method: asNew ? 'POST' : 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ campaign: campaignFromForm() })
+      });
+      const j = await r.json();
+      if (r.status === 422) { alert(`Campaign not saved:\n${(j.errors || []).join('\n')}`); return; }
+      if (!r.ok) throw new Error(j.error || 'save failed');
+      setCampaign(j.campaign);
+      setCampaignId(j.campaign.id);
+      setCampaignVersion('');
+      setStatus(`Saved ${j.campaign.name} v${j.campaign.version}.`);
+      refreshCampaigns();
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  async function cloneCampaign() {
+    try {
+      if (!campaignId) { alert('Pick a campaign'); return; }
+      const r = await fetch(`/api/admin/campaigns/${encodeURIComponent(campaignId)}/clone`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ version: campaignVersion || undefined })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'clone failed');
+      applyCampaign(j.campaign);
+      setCampaignId(j.campaign.id);
+      setCampaignVersion('');
+      setStatus(`Cloned into ${j.campaign.name}.`);
+      refreshCampaigns();
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  useEffect(() => { refreshCampaigns(); }, []);
+
+  // Snapshots: freeze the current results; inspect and diff earlier ones
+  async function refreshSnapshots() {
+    try {
+      const r = await fetch('/api/admin/snapshots');
+      const j = await r.json();
+      if (r.ok) setSnapshots(j.snapshots || []);
+    } catch {}
+  }
+
+  async function finalizeRun() {
+    try {
+      if (!results.length || !resultsRun) return;
+      const failed = results.filter(r => r.walletErrors?.length).length;
+      if (failed) { alert(`${failed} participant(s) have wallets that failed to load. Retry failed wallets before finalizing.`); return; }
+      const partial = results.filter(r => r.partial).length;
+      if (partial && !confirm(`${partial} participant(s) have partial data. Finalize anyway?`)) return;
+      if (!partial && !confirm('Freeze these results as an immutable snapshot?')) return;
+      setStatus('Finalizing…');
+      const r = await fetch('/api/admin/snapshots', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          name: campaignName.trim() || `Run ${new Date().toLocaleString()}`,
+          campaign: resultsRun.campaign,
+          jobId: resultsRun.jobId,
+          config: { ...resultsRun.config, window: resultsRun.window, tz: resultsRun.tz },
+          participants: results.map(r => ({
+            discord: r.discord,
+            wallets: r.wallets,
+            counts: r.counts,
+            total: r.total,
+            activeDays: r.activeDays,
+            longestStreak: r.longestStreak,
+            botScore: r.botScore,
+            leniencyUsed: r.leniencyUsed,
+            missedParts: r.missedParts,
+            missedCats: r.missedCats,
+            rules: r.rules,
+            tier: r.tier,
+            reward: r.reward || '0',
+            disqualified: r.disqualified,
+            partial: r.partial,
+            walletStatus: r.walletStatus,
+            extra: r.extra
+          })),
+          winners: Object.fromEntries((allocation?.tiers || []).map((t, i) => [t.name, (winnersByGroup[i] || []).map(r => r.discord)])),
+          rewards: allocation
+        })
+      });
+      const j = await r.json();
+      if (r.status === 409) throw new Error(`${j.error}:\n${(j.missing || []).join('\n')}`);
+      if (!r.ok) throw new Error(j.error || 'finalize failed');
+      setStatus(j.created ? `Finalized as ${j.snapshot.id} (sha256 ${j.snapshot.contentHash}).` : `Identical snapshot already exists: ${j.snapshot.id}.`);
+      setSnapshotId(j.snapshot.id);
+      refreshSnapshots();
+    } catch (e) {
+      setStatus('');
+      alert(e.message || String(e));
+    }
+  }
+
+  async function openSnapshot(withDiff) {
+    try {
+      if (!snapshotId) { alert('Pick a snapshot'); return; }
+      const id = encodeURIComponent(snapshotId);
+      const r = await fetch(`/api/admin/snapshots/${id}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'load failed');
+      setSnapshot(j.snapshot);
+      setSnapshotDiff(null);
+      if (!withDiff) return;
+      const d = await fetch(`/api/admin/snapshots/${id}/diff`);
+      const dj = await d.json();
+      if (!d.ok) throw new Error(dj.error || 'diff failed');
+      setSnapshotDiff(dj);
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  useEffect(() => { refreshSnapshots(); }, []);
+
+  // Drill-down: every tx of the participant's wallets with its category, rule and exclusion.
+  // Explained from the rows the job counted, in the run's window and timezone (not the form's)
+  async function openDrilldown(row) {
+    if (!resultsRun) return;
+    const { jobId: runJobId, window: win, tz: runTz } = resultsRun;
+    setDrill({ row, window: win, tz: runTz, entries: [], loading: true, error: null });
+    try {
+      const lists = await Promise.all((row.wallets || []).map(async (wallet) => {
+        const r = await fetch(`/api/admin/jobs/${encodeURIComponent(runJobId)}/rows?wallet=${encodeURIComponent(wallet)}`);
+        const j = await r.json();
+        if (!r.ok) throw new Error(`${wallet}: ${j?.error || 'rows unavailable'}`);
+        return explainActivity(j.rows || [], wallet);
+      }));
+      const entries = lists.flat().sort((a, b) => a.timeMs - b.timeMs);
+      setDrill(d => (d?.row === row ? { ...d, entries, loading: false } : d));
+    } catch (e) {
+      setDrill(d => (d?.row === row ? { ...d, loading: false, error: e.message || String(e) } : d));
+    }
+  }
+
+  function drillReport() {
+    return disputeReport({
+      discord: drill.row.discord,
+      window: drill.window,
+      tz: drill.tz,
+      wallets: drill.row.wallets || [],
+      entries: drill.entries,
+      outcome: drill.row
+    });
+  }
+
+  async function copyDrillReport() {
+    try {
+      await navigator.clipboard.writeText(drillReport());
+      setStatus(`Report for ${drill.row.discord} copied.`);
+    } catch {
+      alert('Clipboard unavailable; use Download instead');
+    }
+  }
+
+  function downloadDrillReport() {
+    const blob = new Blob([drillReport()], { type: 'text/plain;charset=utf-8' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `zenstats-report-${String(drill.row.discord).replace(/[^a-z0-9_-]+/gi, '_')}-${Date.now()}.txt`;
+    a.click();
+  }
+
+  // Outcome changes between the inspected snapshot and the results on screen, by Discord/row
+  const outcomeChanges = useMemo(() => {
+    if (!snapshot || !results.length) return null;
+    const outcome = (p) => (p.disqualified ? `disqualified (${p.disqualified})` : p.tier ? `${p.tier}${p.reward && p.reward !== '0' ? ` (${p.reward} wei)` : ''}` : 'not a winner');
+    const now = new Map(results.map(r => [r.discord, r]));
+    const out = [];
+    for (const p of snapshot.participants || []) {
+      const r = now.get(p.discord);
+      if (!r) { out.push({ discord: p.discord, before: outcome(p), after: 'not in this run' }); continue; }
+      now.delete(p.discord);
+      if (outcome(p) !== outcome(r) || p.total !== r.total) {
+        out.push({ discord: p.discord, before: `${outcome(p)} • ${p.total} txs`, after: `${outcome(r)} • ${r.total} txs` });
+      }
+    }
+    for (const r of now.values()) out.push({ discord: r.discord, before: 'not in snapshot', after: outcome(r) });
+    return out;
+  }, [snapshot, results]);
+
+  // Stops polling and the server-side job; wallets already processed are kept for a resume
+  async function cancelRun() {
     abortRef.current.aborted = true;
+    if (!jobId) return;
     setStatus('Cancelling…');
+    try {
+      const r = await fetch(`/api/admin/jobs/${encodeURIComponent(jobId)}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ action: 'cancel' })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Cancel failed');
+      const p = j.progress;
+      setStatus(j.job.status === 'cancelled' ? `Cancelled. ${p.done} of ${p.total} wallets processed — Resume to continue.` : '');
+    } catch (e) {
+      setStatus(e.message || String(e));
+    }
+  }
+
+  // Wallets of the last run that failed or came back partial
+  const retryableWallets = useMemo(() => {
+    const set = new Set();
+    for (const r of results) for (const x of r.walletStatus || []) if (x.status !== 'ok') set.add(x.wallet);
+    return [...set];
+  }, [results]);
+
+  // Re-run only the failed/partial wallets of the last job, then re-evaluate everyone
+  async function retryFailed() {
+    try {
+      if (!jobId || !retryableWallets.length) return;
+      if (!checkRunConfig()) return;
+      setStatus(`Retrying ${retryableWallets.length} wallet(s)…`);
+      const r = await fetch(`/api/admin/jobs/${encodeURIComponent(jobId)}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ action: 'resume', retryFailed: true })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Could not retry the job');
+      await followJob(jobId);
+    } catch (e) {
+      console.error(e);
+      alert(e.message || String(e));
+      setStatus('');
+    }
+  }
+
+  // Batch airdrop file: address, amount in wei (sums a wallet's rewards across tiers)
+  function downloadAirdrop() {
+    if (!allocation) return;
+    if (allocation.errors.length && !confirm(`Reward problems:\n${allocation.errors.join('\n')}\n\nDownload anyway?`)) return;
+    const failed = results.filter(r => r.walletErrors?.length).length;
+    if (failed && !confirm(`${failed} participant(s) were held back because wallets failed to load. Download anyway?`)) return;
+    const blob = new Blob([airdropCsv(allocation)], { type: 'text/csv;charset=utf-8' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `zenstats-airdrop-${allocation.token.symbol}-${Date.now()}.csv`;
+    a.click();
+  }
+
+  function downloadJson(obj, filename) {
+    const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+  }
+
+  async function buildPayout() {
+    try {
+      if (!allocation) return;
+      if (allocation.errors.length && !confirm(`Reward problems:\n${allocation.errors.join('\n')}\n\nBuild anyway?`)) return;
+      const r = await fetch('/api/admin/payouts', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          recipients: airdropRows(allocation),
+          token: allocation.token,
+          mode: payoutMode,
+          multisend: multisendAddr.trim() || undefined,
+          gasLimit: Number(payoutGasLimit) || undefined,
+          from: payer.trim() || undefined,
+          name: campaignName.trim() || 'ZenStats payout'
+        })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'build failed');
+      setPayout(j);
+      setPayoutCheck(null);
+      if (!payoutSince) {
+        const d = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        setPayoutSince(`${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`);
+      }
+    } catch (e) {
+      alert(e.message || String(e));
+    }
+  }
+
+  async function verifyPayout() {
+    try {
+      if (!payout) return;
+      if (!payer.trim()) { alert('Enter the payer address'); return; }
+      if (!payoutSince) { alert('Pick when the payout was sent'); return; }
+      setPayoutCheck({ loading: true });
+      const r = await fetch('/api/admin/payouts/verify', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          payer: payer.trim(),
+          recipients: payout.recipients,
+          token: payout.token,
+          multisend: payout.multisend,
+          since: parseLocalDT(payoutSince)
+        })
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'verify failed');
+      setPayoutCheck(j);
+    } catch (e) {
+      setPayoutCheck(null);
+      alert(e.message || String(e));
+    }
+  }
+
+  function updateTier(i, patch) {
+    setTiers(prev => prev.map((t, k) => (k === i ? { ...t, ...patch } : t)));
   }
 
   function downloadCsv(rows) {
     if (!rows.length) return;
+    const extraCols = [...new Set(rows.flatMap(r => Object.keys(r.extra || {})))]; // carried from the import
+    const q = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
     const header = [
       'discord', 'total_outgoing',
       ...CATEGORIES,
+      'active_days', 'longest_streak',
       'leniency_used',
       'pre_missed_parts', 'pre_missed_list',
-      'missed_parts', 'missed_list'
+      'missed_parts', 'missed_list',
+      'partial', 'wallet_errors', 'sybil_clusters',
+      'bot_score', 'disqualified', 'rules_failed',
+      'tier', 'reward_wei',
+      ...extraCols.map(q)
     ];
     const lines = [header.join(',')];
     for (const r of rows) {
@@ -353,11 +937,22 @@ export default function Admin() {
         r.total
       ];
       for (const c of CATEGORIES) arr.push(r.counts?.[c] || 0);
+      arr.push(r.activeDays || 0);
+      arr.push(r.longestStreak || 0);
       arr.push(r.leniencyUsed || 0);
       arr.push(r.preMissed || 0);
       arr.push(`"${(r.preMissedCats || []).join('|').replace(/"/g,'""')}"`);
       arr.push(r.missedParts ?? '');
       arr.push(`"${(r.missedCats || []).join('|').replace(/"/g,'""')}"`);
+      arr.push(r.partial ? 1 : 0);
+      arr.push(`"${(r.walletErrors || []).map(x => `${x.wallet}: ${x.error}`).join('|').replace(/"/g,'""')}"`);
+      arr.push(`"${(r.clusters || []).join('|')}"`);
+      arr.push(r.botScore ?? 0);
+      arr.push(r.disqualified || '');
+      arr.push(`"${(r.rules || []).filter(x => !x.pass).map(x => x.name).join('|').replace(/"/g,'""')}"`);
+      arr.push(`"${String(r.tier || '').replace(/"/g,'""')}"`);
+      arr.push(r.reward || 0);
+      for (const c of extraCols) arr.push(q(r.extra?.[c]));
       lines.push(arr.join(','));
     }
     const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' });
@@ -385,8 +980,81 @@ export default function Admin() {
       </header>
 
       <main className="max-w-6xl mx-auto p-4">
-        {/* Participants */}
+        {/* Campaign */}
         <section className="glass rounded-xl p-4 border border-slate-800">
+          <h2 className="text-lg font-semibold mb-3">Campaign</h2>
+          <div className="grid gap-3">
+            <div className="flex flex-col md:flex-row gap-3 items-stretch md:items-end flex-wrap">
+              <div className="flex-1 min-w-[220px]">
+                <label className="text-sm text-slate-300">Saved campaigns</label>
+                <select
+                  value={campaignId}
+                  onChange={e=>{ setCampaignId(e.target.value); setCampaignVersion(''); }}
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                >
+                  <option value="">— pick a campaign —</option>
+                  {campaigns.map(c => (
+                    <option key={c.id} value={c.id}>{c.name} (v{c.version})</option>
+                  ))}
+                </select>
+              </div>
+              <div className="min-w-[120px]">
+                <label className="text-sm text-slate-300">Version</label>
+                <select
+                  value={campaignVersion}
+                  onChange={e=>setCampaignVersion(e.target.value)}
+                  disabled={!campaignId}
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                >
+                  <option value="">latest</option>
+                  {Array.from({ length: campaigns.find(c => c.id === campaignId)?.version || 0 }, (_, i) => i + 1).reverse().map(v => (
+                    <option key={v} value={v}>v{v}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2 flex-wrap">
+                <button onClick={()=>loadCampaign(false)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[44px]">Load</button>
+                <button onClick={()=>loadCampaign(true)} className="px-3 py-2 rounded bg-emerald-700 hover:bg-emerald-600 min-h-[44px]">Load &amp; run</button>
+                <button onClick={cloneCampaign} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[44px]">Clone</button>
+              </div>
+            </div>
+            <div className="flex flex-col md:flex-row gap-3 items-stretch md:items-end">
+              <div className="flex-1">
+                <label className="text-sm text-slate-300">Name</label>
+                <input
+                  value={campaignName}
+                  onChange={e=>setCampaignName(e.target.value)}
+                  placeholder="e.g. Week 12 activity awards"
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 outline-none focus:ring-2 focus:ring-emerald-400 min-h-[44px]"
+                />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={()=>saveCampaign(false)}
+                  disabled={!campaign}
+                  className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-50 min-h-[44px]"
+                  title="Save the form as a new version of the loaded campaign"
+                >
+                  Save new version
+                </button>
+                <button onClick={()=>saveCampaign(true)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[44px]">Save as new</button>
+              </div>
+            </div>
+            {campaign && (
+              <p className="text-xs text-slate-400">
+                Loaded <span className="text-slate-200">{campaign.name}</span> v{campaign.version}
+                {campaign.savedAt ? ` • saved ${new Date(campaign.savedAt).toLocaleString()}` : ''}
+                {campaign.clonedFrom ? ` • cloned from ${campaign.clonedFrom.id} v${campaign.clonedFrom.version}` : ''}
+                {rulesFingerprint && campaign.rulesFingerprint && campaign.rulesFingerprint !== rulesFingerprint && (
+                  <span className="text-amber-300"> • classification rules changed since this version was saved; counts may differ</span>
+                )}
+              </p>
+            )}
+          </div>
+        </section>
+
+        {/* Participants */}
+        <section className="mt-6 glass rounded-xl p-4 border border-slate-800">
           <h2 className="text-lg font-semibold mb-3">Participants</h2>
           <div className="grid gap-3">
             <div className="flex flex-col md:flex-row gap-3 items-stretch md:items-end">
@@ -412,7 +1080,13 @@ export default function Admin() {
             </div>
 
             <div>
-              <label className="text-sm text-slate-300">Or paste CSV (discord,wallet)</label>
+              <div className="flex items-end justify-between gap-3 flex-wrap">
+                <label className="text-sm text-slate-300">Or paste CSV (discord,wallet, plus any extra columns)</label>
+                <label className="text-sm text-slate-300 cursor-pointer px-3 py-1.5 rounded bg-slate-800 hover:bg-slate-700">
+                  Upload CSV / XLSX / ODS
+                  <input type="file" accept=".csv,.tsv,.txt,.xlsx,.ods" onChange={uploadParticipants} className="hidden" />
+                </label>
+              </div>
               <textarea
                 value={csvText}
                 onChange={e=>setCsvText(e.target.value)}
@@ -421,6 +1095,86 @@ export default function Admin() {
                 className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700"
               />
             </div>
+
+            {/* Column mapping + import report */}
+            {csvRows.length > 0 && (
+              <div className="grid gap-2 text-sm">
+                <div className="flex items-center gap-3 flex-wrap">
+                  <label className="inline-flex items-center gap-2">
+                    <input type="checkbox" checked={!!importColumns.header} onChange={e=>setColumn({ header: e.target.checked })} />
+                    First row is a header
+                  </label>
+                  {[['discord', 'Discord column'], ['wallet', 'Wallet column']].map(([key, label]) => (
+                    <label key={key} className="inline-flex items-center gap-2">
+                      {label}
+                      <select
+                        value={importColumns[key]}
+                        onChange={e=>setColumn({ [key]: Number(e.target.value) })}
+                        className="px-2 py-1 rounded bg-slate-900 border border-slate-700"
+                      >
+                        {columnNames(csvRows, importColumns).map((name, i) => <option key={i} value={i}>{name}</option>)}
+                      </select>
+                    </label>
+                  ))}
+                  {columns && (
+                    <button onClick={()=>setColumns(null)} className="text-xs text-slate-400 hover:underline">reset to guessed</button>
+                  )}
+                </div>
+                {columnNames(csvRows, importColumns).length > 2 && (
+                  <div className="flex items-center gap-3 flex-wrap text-slate-300">
+                    <span>Keep in exports:</span>
+                    {columnNames(csvRows, importColumns).map((name, i) => (i === importColumns.discord || i === importColumns.wallet) ? null : (
+                      <label key={i} className="inline-flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={(importColumns.extras || []).includes(i)}
+                          onChange={e=>setColumn({ extras: e.target.checked ? [...(importColumns.extras || []), i].sort((x, y) => x - y) : (importColumns.extras || []).filter(x => x !== i) })}
+                        />
+                        {name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <p className={imported.report.skipped.length || imported.report.conflicts.length ? 'text-amber-300' : 'text-slate-300'}>
+                  Import: {imported.report.imported} of {imported.report.rows} row(s) imported
+                  {imported.report.skipped.length ? ` • ${imported.report.skipped.length} skipped` : ''}
+                  {imported.report.checksum.length ? ` • ${imported.report.checksum.length} checksum-invalid` : ''}
+                  {imported.report.conflicts.length ? ` • ${imported.report.conflicts.length} wallet(s) claimed by several Discords` : ''}
+                </p>
+                {(imported.report.skipped.length > 0 || imported.report.conflicts.length > 0) && (
+                  <details className="rounded-lg border border-slate-800 bg-slate-900/40 p-2">
+                    <summary className="cursor-pointer text-slate-300">Validation report</summary>
+                    <ul className="mt-2 max-h-60 overflow-y-auto text-xs text-slate-300 space-y-0.5">
+                      {imported.report.skipped.map((x, i) => (
+                        <li key={`s${i}`}>Row {x.row}: {x.reason}</li>
+                      ))}
+                      {imported.report.conflicts.map(x => (
+                        <li key={x.wallet} className="text-rose-300">
+                          <span className="font-mono">{x.wallet}</span> claimed by {x.discords.join(', ')} (rows {x.rows.join(', ')})
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            )}
+
+            <div className="flex items-center gap-3 flex-wrap text-sm">
+              <button
+                onClick={watchParticipants}
+                className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]"
+                title="Index these wallets in the background so Run reads precomputed counts"
+              >
+                Watch these wallets
+              </button>
+              {indexer && (
+                <span className="text-slate-300">
+                  Indexer: {indexer.total} watched • {indexer.ok} synced • {indexer.pending} pending • {indexer.partial || 0} partial • {indexer.errors} errors
+                  {indexer.tooLarge ? ` • ${indexer.tooLarge} too large to store` : ''}
+                  {indexer.wallets?.[0]?.lagSec != null ? ` • max lag ${Math.round(indexer.wallets[0].lagSec / 60)} min` : ''}
+                </span>
+              )}
+            </div>
           </div>
         </section>
 
@@ -467,6 +1221,51 @@ export default function Admin() {
                 />
               </div>
 
+              <div className="min-w-[140px]">
+                <label className="text-sm text-slate-300">Min active days</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={minActiveDays}
+                  onChange={e=>setMinActiveDays(Number(e.target.value))}
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                />
+              </div>
+
+              <div className="min-w-[140px]">
+                <label className="text-sm text-slate-300">Min streak (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={minStreak}
+                  onChange={e=>setMinStreak(Number(e.target.value))}
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                />
+              </div>
+
+              <div className="min-w-[160px]">
+                <label className="text-sm text-slate-300">Day timezone</label>
+                <input
+                  value={tz}
+                  onChange={e=>setTz(e.target.value.trim())}
+                  placeholder="UTC"
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                  title="IANA zone used to cut days for active days/streaks, e.g. UTC or Europe/Berlin"
+                />
+              </div>
+
+              <div className="min-w-[140px]">
+                <label className="text-sm text-slate-300">Max bot score</label>
+                <input
+                  type="number"
+                  min="0" max="100"
+                  value={maxBotScore}
+                  onChange={e=>setMaxBotScore(Number(e.target.value))}
+                  className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                  title="Disqualify participants whose worst wallet scores above this (0-100; 100 disables the filter)"
+                />
+              </div>
+
               <div className="min-w-[180px]">
                 <label className="text-sm text-slate-300">Leniency (ignore up to N tx)</label>
                 <input
@@ -487,7 +1286,7 @@ export default function Admin() {
                   value={concurrency}
                   onChange={e=>setConcurrency(Number(e.target.value))}
                   className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
-                  title="How many wallets to check in parallel (higher = faster; 5–8 recommended)"
+                  title="How many wallets the server job checks in parallel (higher = faster; 5–8 recommended)"
                 />
               </div>
             </div>
@@ -507,6 +1306,121 @@ export default function Admin() {
                 </div>
               ))}
             </div>
+            {inactiveCategories.filter(cat => Number(thresholds[cat] || 0) > 0).map(cat => (
+              <div key={cat} className="text-sm text-amber-300">
+                Min {cat.replace('_',' ')} is {thresholds[cat]}, but the {cat} rule is inactive until its contracts are configured (ZEN_RULES_JSON / ZEN_RULES_FILE),
+                so no wallet gets any {cat} count and this minimum can only be met through leniency.
+              </div>
+            ))}
+
+            {/* Eligibility rules: extra parts on top of the minimums above */}
+            <div>
+              <label className="text-sm text-slate-300">Eligibility rules (optional, one per line; each failing rule is a missed part, not covered by leniency)</label>
+              <textarea
+                value={eligibility}
+                onChange={e=>setEligibility(e.target.value)}
+                rows={4}
+                spellCheck={false}
+                placeholder={`defi: swap >= 5 or add_liquidity >= 5\nvariety: any(3, gm >= 1, swap >= 1, stake >= 1, nft_mint >= 1, cc >= 1)\npoints: gm + 2 * cap(swap, 10) + 3 * min(stake, 5) >= 20`}
+                className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 font-mono text-sm"
+              />
+              <p className="mt-1 text-xs text-slate-400">
+                Variables: categories above, total, active_days, streak. Functions: min, max, cap(x, n), count(cond, …), any(n, cond, …), all(cond, …). Operators: + - * /, &gt;= &gt; &lt;= &lt; == !=, and, or, not.
+              </p>
+              {eligibilityProgram.errors.length > 0 ? (
+                <ul className="mt-1 text-xs text-rose-300">
+                  {eligibilityProgram.errors.map((e, i) => <li key={i}>{e}</li>)}
+                </ul>
+              ) : eligibilityProgram.rules.length > 0 && (
+                <p className="mt-1 text-xs text-emerald-300">
+                  {eligibilityProgram.rules.length} rule(s): {eligibilityProgram.rules.map(r => r.name).join(', ')}
+                </p>
+              )}
+            </div>
+
+            {/* Tiers and rewards: first tier a participant qualifies for wins */}
+            <div>
+              <div className="flex items-end gap-3 flex-wrap">
+                <label className="text-sm text-slate-300">Tiers &amp; rewards</label>
+                <div className="ml-auto flex items-end gap-2 text-sm">
+                  <label className="text-xs text-slate-300">Token
+                    <input
+                      value={rewardToken.symbol}
+                      onChange={e=>setRewardToken(t => ({ ...t, symbol: e.target.value }))}
+                      className="ml-1 w-20 px-2 py-1 rounded bg-slate-900 border border-slate-700"
+                    />
+                  </label>
+                  <label className="text-xs text-slate-300">Decimals
+                    <input
+                      type="number"
+                      min="0"
+                      max="36"
+                      value={rewardToken.decimals}
+                      onChange={e=>setRewardToken(t => ({ ...t, decimals: Number(e.target.value) }))}
+                      className="ml-1 w-16 px-2 py-1 rounded bg-slate-900 border border-slate-700"
+                    />
+                  </label>
+                  <label className="text-xs text-slate-300">Address
+                    <input
+                      value={rewardToken.address || ''}
+                      onChange={e=>setRewardToken(t => ({ ...t, address: e.target.value.trim() || null }))}
+                      placeholder="empty = native ZTC"
+                      className="ml-1 w-48 px-2 py-1 rounded bg-slate-900 border border-slate-700 font-mono"
+                    />
+                  </label>
+                </div>
+              </div>
+              <div className="mt-1 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="text-slate-400 text-xs">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Name</th>
+                      <th className="px-2 py-1 text-left">Max missed</th>
+                      <th className="px-2 py-1 text-left">Extra rule (optional)</th>
+                      <th className="px-2 py-1 text-left">Allocation</th>
+                      <th className="px-2 py-1 text-left">Pool</th>
+                      <th className="px-2 py-1 text-left">Per winner / weight by</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tiers.map((t, i) => (
+                      <tr key={i}>
+                        <td className="px-2 py-1"><input value={t.name} onChange={e=>updateTier(i, { name: e.target.value })} className="w-40 px-2 py-1 rounded bg-slate-900 border border-slate-700" /></td>
+                        <td className="px-2 py-1"><input type="number" min="0" value={t.maxMissed} onChange={e=>updateTier(i, { maxMissed: Number(e.target.value) })} className="w-20 px-2 py-1 rounded bg-slate-900 border border-slate-700" /></td>
+                        <td className="px-2 py-1"><input value={t.rule || ''} onChange={e=>updateTier(i, { rule: e.target.value })} placeholder="total >= 50" className="w-48 px-2 py-1 rounded bg-slate-900 border border-slate-700 font-mono" /></td>
+                        <td className="px-2 py-1">
+                          <select value={t.allocation || 'equal'} onChange={e=>updateTier(i, { allocation: e.target.value })} className="px-2 py-1 rounded bg-slate-900 border border-slate-700">
+                            {ALLOCATIONS.map(a => <option key={a} value={a}>{a.replace('_', '-')}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1"><input value={t.pool || ''} onChange={e=>updateTier(i, { pool: e.target.value })} placeholder="0" className="w-28 px-2 py-1 rounded bg-slate-900 border border-slate-700" /></td>
+                        <td className="px-2 py-1">
+                          {(t.allocation || 'equal') === 'fixed' ? (
+                            <input value={t.amount || ''} onChange={e=>updateTier(i, { amount: e.target.value })} placeholder="amount" className="w-28 px-2 py-1 rounded bg-slate-900 border border-slate-700" />
+                          ) : (t.allocation === 'pro_rata') ? (
+                            <input value={t.weightBy || ''} onChange={e=>updateTier(i, { weightBy: e.target.value })} placeholder="total" className="w-40 px-2 py-1 rounded bg-slate-900 border border-slate-700 font-mono" />
+                          ) : <span className="text-xs text-slate-500">split equally</span>}
+                        </td>
+                        <td className="px-2 py-1">
+                          <button onClick={() => setTiers(prev => prev.filter((_, k) => k !== i))} disabled={tiers.length <= 1} className="px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-50">✕</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="mt-1 flex items-center gap-3 flex-wrap">
+                <button
+                  onClick={() => setTiers(prev => [...prev, { name: `Tier ${prev.length + 1}`, maxMissed: 0, allocation: 'equal', pool: '' }])}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                >
+                  Add tier
+                </button>
+                <button onClick={() => setTiers(DEFAULT_TIERS)} className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm">Reset to missed 0–3</button>
+                {tierErrors.length > 0 && <span className="text-xs text-rose-300">{tierErrors.join(' • ')}</span>}
+              </div>
+            </div>
 
             <div className="flex items-center gap-4 flex-wrap">
               <label className="inline-flex items-center gap-2 text-sm">
@@ -531,6 +1445,14 @@ export default function Admin() {
                 >
                   Cancel
                 </button>
+                <button
+                  onClick={resumeRun}
+                  disabled={!jobId}
+                  className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-50 min-h-[44px]"
+                  title="Continue the last run's server job (after a cancel or a closed tab) and show its results"
+                >
+                  Resume
+                </button>
               </div>
             </div>
 
@@ -547,15 +1469,10 @@ export default function Admin() {
               {showOnlyWinners ? 'Winners' : 'All Participants'}
             </h2>
 
-            {/* Tabs: missed parts AFTER leniency (total counts as part; not lenient) */}
+            {/* Tabs: one per tier of the last run (missed parts are counted AFTER leniency) */}
             {showOnlyWinners && (
               <div className="flex items-center gap-2 flex-wrap">
-                {[
-                  { k: 0, label: 'Completed all' },
-                  { k: 1, label: 'Missed 1 part' },
-                  { k: 2, label: 'Missed 2 parts' },
-                  { k: 3, label: 'Missed 3 parts' },
-                ].map(tab => (
+                {(allocation?.tiers || tiers).map((t, k) => ({ k, label: t.name, total: allocation?.tiers[k]?.total })).map(tab => (
                   <button
                     key={tab.k}
                     onClick={() => setWinTab(tab.k)}
@@ -564,6 +1481,7 @@ export default function Admin() {
                     }`}
                   >
                     {tab.label} ({(winnersByGroup[tab.k] || []).length})
+                    {tab.total && tab.total !== '0' ? ` • ${formatAmount(tab.total, allocation.token.decimals)} ${allocation.token.symbol}` : ''}
                   </button>
                 ))}
               </div>
@@ -576,6 +1494,32 @@ export default function Admin() {
             >
               Download CSV
             </button>
+            {retryableWallets.length > 0 && (
+              <button
+                onClick={retryFailed}
+                disabled={!jobId}
+                className="px-3 py-2 rounded bg-rose-800 hover:bg-rose-700 disabled:opacity-50 min-h-[40px]"
+                title="Re-run only the wallets that failed or returned partial data, then re-evaluate"
+              >
+                Retry failed ({retryableWallets.length})
+              </button>
+            )}
+            <button
+              onClick={downloadAirdrop}
+              disabled={!allocation || allocation.total === '0'}
+              className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-50 min-h-[40px]"
+              title="address,amount (wei) for every rewarded winner, all tiers"
+            >
+              Airdrop CSV
+            </button>
+            <button
+              onClick={finalizeRun}
+              disabled={!results.length}
+              className="px-3 py-2 rounded bg-emerald-700 hover:bg-emerald-600 disabled:opacity-50 min-h-[40px]"
+              title="Freeze these results, the config and per-wallet activity hashes as an immutable snapshot"
+            >
+              Finalize
+            </button>
           </div>
 
           {!rowsToShow.length ? (
@@ -590,20 +1534,76 @@ export default function Admin() {
                     {CATEGORIES.map(c => (
                       <th key={c} className="px-3 py-2 text-left">{c.replace('_',' ')}</th>
                     ))}
+                    <th className="px-3 py-2 text-left">Active days</th>
+                    <th className="px-3 py-2 text-left">Streak</th>
+                    <th className="px-3 py-2 text-left">Bot score</th>
                     <th className="px-3 py-2 text-left">Leniency used</th>
                     <th className="px-3 py-2 text-left">Missed parts</th>
+                    {rowsToShow.some(r => r.rules?.length) && <th className="px-3 py-2 text-left">Rules</th>}
+                    {allocation && allocation.total !== '0' && <th className="px-3 py-2 text-left">Reward ({allocation.token.symbol})</th>}
                   </tr>
                 </thead>
                 <tbody>
                   {rowsToShow.map((r, i) => (
                     <tr key={i} className="border-b border-slate-800">
-                      <td className="px-3 py-2">{r.discord}</td>
+                      <td className="px-3 py-2">
+                        <button
+                          onClick={() => openDrilldown(r)}
+                          className="text-left hover:underline hover:text-emerald-300"
+                          title="Show which transactions counted and why"
+                        >
+                          {r.discord}
+                        </button>
+                        {r.partial && (
+                          <span
+                            className="ml-2 px-1.5 py-0.5 rounded text-xs bg-amber-500/20 text-amber-300 border border-amber-600/40"
+                            title="Explorer data was truncated or failed for at least one wallet; counts may be low"
+                          >partial</span>
+                        )}
+                        {r.walletErrors?.length > 0 && (
+                          <span
+                            className="ml-2 px-1.5 py-0.5 rounded text-xs bg-rose-600/30 text-rose-200 border border-rose-500/60"
+                            title={`Failed to load — counts are missing and the participant is held out of every tier:\n${r.walletErrors.map(x => `${x.wallet}: ${x.error}`).join('\n')}`}
+                          >error{r.walletErrors.length > 1 ? ` ×${r.walletErrors.length}` : ''}</span>
+                        )}
+                        {(r.clusters || []).map(c => (
+                          <span
+                            key={c}
+                            className="ml-2 px-1.5 py-0.5 rounded text-xs bg-rose-500/20 text-rose-300 border border-rose-600/40"
+                            title="Linked to other participants' wallets — see Sybil clusters"
+                          >{c}</span>
+                        ))}
+                      </td>
                       <td className="px-3 py-2">{r.total}</td>
                       {CATEGORIES.map(c => (
                         <td key={c} className="px-3 py-2">{r.counts?.[c] || 0}</td>
                       ))}
+                      <td className="px-3 py-2">{r.activeDays || 0}</td>
+                      <td className="px-3 py-2">{r.longestStreak || 0}</td>
+                      <td className={`px-3 py-2 ${r.disqualified === 'bot' ? 'text-rose-300' : ''}`}>{r.botScore ?? 0}</td>
                       <td className={`px-3 py-2 ${Number(r.leniencyUsed || 0) > 0 ? 'text-emerald-300' : ''}`}>{r.leniencyUsed || 0}</td>
                       <td className="px-3 py-2">{r.missedParts ?? ''}</td>
+                      {rowsToShow.some(x => x.rules?.length) && (
+                        <td className="px-3 py-2">
+                          <div className="flex flex-wrap gap-1">
+                            {(r.rules || []).map(x => (
+                              <span
+                                key={x.name}
+                                title={x.src}
+                                className={`px-1.5 py-0.5 rounded text-xs border ${x.pass ? 'bg-emerald-500/20 text-emerald-300 border-emerald-600/40' : 'bg-rose-500/20 text-rose-300 border-rose-600/40'}`}
+                              >
+                                {x.pass ? '✓' : '✗'} {x.name}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      )}
+                      {allocation && allocation.total !== '0' && (
+                        <td className="px-3 py-2" title={r.reward ? `${r.reward} wei` : ''}>
+                          {r.reward ? formatAmount(r.reward, allocation.token.decimals) : '-'}
+                          {r.tier && !showOnlyWinners ? <div className="text-xs text-slate-400">{r.tier}</div> : null}
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -612,6 +1612,274 @@ export default function Admin() {
           )}
         </section>
 
+        {/* Payouts: unsigned transactions for the rewards above, and a later paid/unpaid check */}
+        {allocation && allocation.total !== '0' && (
+          <section className="mt-6 glass rounded-xl p-4 border border-slate-800">
+            <h2 className="text-lg font-semibold">Payouts</h2>
+            <p className="mt-1 text-sm text-slate-400">
+              {airdropRows(allocation).length} recipient(s) • {formatAmount(allocation.total, allocation.token.decimals)} {allocation.token.symbol}
+              {allocation.token.address ? ` (${allocation.token.address})` : ' (native)'}
+            </p>
+            <div className="mt-3 flex flex-col md:flex-row gap-3 md:items-end flex-wrap">
+              <div>
+                <label className="text-sm text-slate-300">Mode</label>
+                <select value={payoutMode} onChange={e=>setPayoutMode(e.target.value)} className="mt-1 block px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]">
+                  <option value="multisend">Multisend contract</option>
+                  <option value="direct">One tx per winner</option>
+                </select>
+              </div>
+              {payoutMode === 'multisend' && (
+                <div className="flex-1 min-w-[240px]">
+                  <label className="text-sm text-slate-300">Multisend (Disperse) contract</label>
+                  <input value={multisendAddr} onChange={e=>setMultisendAddr(e.target.value)} placeholder="0x…" className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 font-mono min-h-[44px]" />
+                </div>
+              )}
+              <div>
+                <label className="text-sm text-slate-300">Gas limit per tx</label>
+                <input type="number" min="100000" step="100000" value={payoutGasLimit} onChange={e=>setPayoutGasLimit(e.target.value)} className="mt-1 block w-36 px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]" />
+              </div>
+              <div className="flex-1 min-w-[240px]">
+                <label className="text-sm text-slate-300">Payer (EOA or Safe)</label>
+                <input value={payer} onChange={e=>setPayer(e.target.value)} placeholder="0x…" className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 font-mono min-h-[44px]" />
+              </div>
+              <button onClick={buildPayout} className="px-4 py-2 rounded-lg bg-emerald-700 hover:bg-emerald-600 min-h-[44px]">Build transactions</button>
+            </div>
+
+            {payout && (
+              <div className="mt-3 grid gap-2 text-sm">
+                <p className="text-slate-300">
+                  {payout.transactions.length} unsigned tx(s) on chain {payout.chainId} • {payout.totalFormatted}
+                  {' '}• est. gas {payout.transactions.reduce((s, t) => s + Number(t.gas), 0).toLocaleString()}
+                </p>
+                <div className="flex gap-2 flex-wrap">
+                  <button onClick={() => downloadJson(payout, `zenstats-payout-${Date.now()}.json`)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]">Download txs JSON</button>
+                  {payout.safe.map((batch, i) => (
+                    <button
+                      key={i}
+                      onClick={() => downloadJson(batch, `zenstats-safe-batch-${i + 1}-of-${payout.safe.length}.json`)}
+                      className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]"
+                    >
+                      Safe batch {i + 1}/{payout.safe.length}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-2 items-end flex-wrap">
+                  <div>
+                    <label className="text-xs text-slate-300">Sent after</label>
+                    <input type="datetime-local" value={payoutSince} onChange={e=>setPayoutSince(e.target.value)} className="mt-1 block px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]" />
+                  </div>
+                  <button onClick={verifyPayout} disabled={payoutCheck?.loading} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]">
+                    {payoutCheck?.loading ? 'Checking…' : 'Verify payouts'}
+                  </button>
+                </div>
+                {payoutCheck && !payoutCheck.loading && (
+                  <div>
+                    <p className={payoutCheck.summary.paid === payoutCheck.rows.length ? 'text-emerald-300' : 'text-amber-300'}>
+                      {payoutCheck.summary.paid} paid • {payoutCheck.summary.short} short • {payoutCheck.summary.over} over • {payoutCheck.summary.missing} missing
+                      {!payoutCheck.complete ? ' • explorer data incomplete, recheck later' : ''}
+                    </p>
+                    {payoutCheck.rows.some(r => r.status !== 'paid') && (
+                      <ul className="mt-1 text-xs font-mono text-slate-300">
+                        {payoutCheck.rows.filter(r => r.status !== 'paid').map(r => (
+                          <li key={r.address}>{r.status}: {r.address} expected {formatAmount(r.expected, payout.token.decimals)}, received {formatAmount(r.received, payout.token.decimals)}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Dispute drill-down: the transactions behind one participant's counts */}
+        {drill && (
+          <section className="mt-6 glass rounded-xl p-4 border border-slate-800">
+            <div className="flex items-center justify-between gap-3 flex-wrap">
+              <h2 className="text-lg font-semibold">Transactions: {drill.row.discord}</h2>
+              <div className="flex items-center gap-2 flex-wrap text-sm">
+                <label className="inline-flex items-center gap-2">
+                  <input type="checkbox" checked={drillShowAll} onChange={e=>setDrillShowAll(e.target.checked)} />
+                  <span>Show incoming &amp; non-native</span>
+                </label>
+                <button onClick={copyDrillReport} disabled={drill.loading || !!drill.error} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]">Copy report</button>
+                <button onClick={downloadDrillReport} disabled={drill.loading || !!drill.error} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]">Download report</button>
+                <button onClick={() => setDrill(null)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]">Close</button>
+              </div>
+            </div>
+            <p className="mt-1 text-sm text-slate-400">
+              {(drill.row.wallets || []).length} wallet(s) • {drill.entries.filter(e => !e.excluded).length} counted
+              {' '}• {drill.entries.filter(e => e.inTotal && e.excluded).length} total only
+              {' '}• {drill.entries.filter(e => e.kind === 'native' && e.direction === 'out' && e.excluded === 'failed').length} failed
+            </p>
+            {drill.loading ? (
+              <p className="mt-3 text-slate-300">Loading…</p>
+            ) : drill.error ? (
+              <p className="mt-3 text-rose-300">{drill.error}</p>
+            ) : (
+              <div className="mt-3 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="text-slate-400">
+                    <tr className="border-b border-slate-800">
+                      <th className="px-3 py-2 text-left">Time</th>
+                      <th className="px-3 py-2 text-left">Tx</th>
+                      <th className="px-3 py-2 text-left">Wallet</th>
+                      <th className="px-3 py-2 text-left">Category</th>
+                      <th className="px-3 py-2 text-left">Rule</th>
+                      <th className="px-3 py-2 text-left">Counted</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {drill.entries
+                      .filter(e => drillShowAll || (e.kind === 'native' && e.direction === 'out'))
+                      .map((e, i) => (
+                        <tr key={`${e.hash}-${e.kind}-${i}`} className="border-b border-slate-800">
+                          <td className="px-3 py-2 whitespace-nowrap">{new Date(e.timeMs).toLocaleString()}</td>
+                          <td className="px-3 py-2 font-mono">
+                            <a className="text-emerald-300 hover:underline" href={'https://zentrace.io/tx/' + e.hash} target="_blank" rel="noreferrer">{String(e.hash).slice(0, 10)}…</a>
+                          </td>
+                          <td className="px-3 py-2 font-mono text-slate-400">{e.wallet.slice(0, 8)}…</td>
+                          <td className="px-3 py-2">{e.category}</td>
+                          <td className="px-3 py-2 text-slate-300" title={e.reasonDetail}>
+                            {e.reason ? REASON_LABELS[e.reason] || e.reason : '-'}
+                            {e.reasonDetail ? <div className="text-xs text-slate-500">{e.reasonDetail}</div> : null}
+                          </td>
+                          <td className={`px-3 py-2 ${e.excluded ? 'text-slate-400' : 'text-emerald-300'}`}>{e.excluded ? `no: ${e.excluded}` : 'yes'}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Sybil clusters: wallets linked by funding, shared funders/destinations or lockstep timing */}
+        {sybil && (
+          <section className="mt-6 glass rounded-xl p-4 border border-slate-800">
+            <h2 className="text-lg font-semibold">Sybil clusters</h2>
+            {!sybil.error && (
+              <p className="mt-1 text-sm text-slate-400">
+                {sybil.clusters.length} cluster(s) across {sybil.analyzed} analyzed wallet(s)
+                {sybil.missing?.length ? ` • ${sybil.missing.length} not synced through the window end (not checked)` : ''}
+                {sybil.hubs?.length ? ` • ${sybil.hubs.length} hub address(es) ignored (>${sybil.options.maxFanout} participants)` : ''}
+              </p>
+            )}
+            {sybil.error ? (
+              <p className="mt-3 text-amber-300">Sybil check failed, so clusters are unknown (not absent): {sybil.error}</p>
+            ) : !sybil.clusters.length ? (
+              <p className="mt-3 text-slate-300">No linked wallets found.</p>
+            ) : (
+              <div className="mt-3 grid gap-3">
+                {sybil.clusters.map(c => (
+                  <div key={c.id} className="rounded-lg border border-slate-800 p-3">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="px-1.5 py-0.5 rounded text-xs bg-rose-500/20 text-rose-300 border border-rose-600/40">{c.id}</span>
+                      <span className="text-sm text-slate-300">{c.wallets.length} wallets</span>
+                      <span className="text-sm text-slate-400">
+                        Discord: {[...new Set(c.wallets.flatMap(w => sybil.discordsOf?.[w] || []))].join(', ') || '-'}
+                      </span>
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2 text-xs font-mono text-slate-300">
+                      {c.wallets.map(w => (
+                        <a key={w} className="text-emerald-300 hover:underline" href={'https://zentrace.io/address/' + w} target="_blank" rel="noreferrer">{w}</a>
+                      ))}
+                    </div>
+                    <ul className="mt-2 list-disc pl-5 text-xs text-slate-400">
+                      {c.signals.map((sg, i) => <li key={i}><span className="text-slate-300">{sg.type}</span>: {sg.detail}</li>)}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Snapshots: finalized runs, and what changed since */}
+        <section className="mt-6 glass rounded-xl p-4 border border-slate-800">
+          <h2 className="text-lg font-semibold mb-3">Snapshots</h2>
+          <div className="flex flex-col md:flex-row gap-3 items-stretch md:items-end">
+            <div className="flex-1">
+              <label className="text-sm text-slate-300">Finalized runs</label>
+              <select
+                value={snapshotId}
+                onChange={e=>setSnapshotId(e.target.value)}
+                className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+              >
+                <option value="">— pick a snapshot —</option>
+                {snapshots.map(sn => (
+                  <option key={sn.id} value={sn.id}>
+                    {sn.name} • {new Date(sn.createdAt).toLocaleString()} • {sn.winners} winner(s)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex gap-2">
+              <button onClick={()=>openSnapshot(false)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[44px]">Open</button>
+              <button onClick={()=>openSnapshot(true)} className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[44px]" title="Compare the snapshot with the wallets' activity now">Diff vs now</button>
+            </div>
+          </div>
+
+          {snapshot && (
+            <div className="mt-3 grid gap-3 text-sm">
+              <div className="text-slate-300">
+                <span className="font-semibold">{snapshot.name}</span>
+                {' '}• {new Date(snapshot.config.window.start * 1000).toLocaleString()} → {new Date(snapshot.config.window.end * 1000).toLocaleString()} ({snapshot.config.tz})
+                {snapshot.campaign ? ` • campaign ${snapshot.campaign.id} v${snapshot.campaign.version}` : ''}
+                {' '}• {snapshot.participants.length} participant(s) • {Object.keys(snapshot.wallets).length} wallet(s)
+                <div className="mt-1 text-xs font-mono text-slate-400 break-all">
+                  sha256 {snapshot.contentHash}{' '}
+                  {snapshot.verified
+                    ? <span className="px-1.5 py-0.5 rounded bg-emerald-500/20 text-emerald-300 border border-emerald-600/40">verified</span>
+                    : <span className="px-1.5 py-0.5 rounded bg-rose-500/20 text-rose-300 border border-rose-600/40">hash mismatch</span>}
+                </div>
+              </div>
+
+              {outcomeChanges && (
+                <div>
+                  <h3 className="font-semibold">Outcome vs current results</h3>
+                  {!outcomeChanges.length ? (
+                    <p className="text-slate-400">Same outcome for everyone.</p>
+                  ) : (
+                    <ul className="mt-1 list-disc pl-5 text-slate-300">
+                      {outcomeChanges.map(c => <li key={c.discord}><span className="text-slate-100">{c.discord}</span>: {c.before} → {c.after}</li>)}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {snapshotDiff && (
+                <div>
+                  <h3 className="font-semibold">Activity now vs snapshot</h3>
+                  <p className="text-slate-400">
+                    {snapshotDiff.unchanged} unchanged • {snapshotDiff.changed.length} changed
+                    {snapshotDiff.partial.length ? ` • ${snapshotDiff.partial.length} on partial data` : ''}
+                    {snapshotDiff.failed.length ? ` • ${snapshotDiff.failed.length} failed (${snapshotDiff.failed.map(f => f.wallet).join(', ')})` : ''}
+                    {snapshotDiff.pending.length ? ` • ${snapshotDiff.pending.length} not compared yet (Diff again to continue)` : ''}
+                    {snapshotDiff.rulesChanged ? ' • classification rules changed since finalizing' : ''}
+                  </p>
+                  {snapshotDiff.changed.map(d => (
+                    <div key={d.wallet} className="mt-2 rounded-lg border border-slate-800 p-3">
+                      <a className="font-mono text-emerald-300 hover:underline" href={'https://zentrace.io/address/' + d.wallet} target="_blank" rel="noreferrer">{d.wallet}</a>
+                      <span className="ml-2 text-slate-400">total {d.total.before} → {d.total.after}</span>
+                      {Object.keys(d.deltas).length > 0 && (
+                        <div className="mt-1 text-xs text-slate-300">
+                          {Object.entries(d.deltas).map(([c, v]) => `${c}: ${v.before} → ${v.after}`).join(' • ')}
+                        </div>
+                      )}
+                      <ul className="mt-1 text-xs font-mono text-slate-400">
+                        {d.added.map(x => <li key={'a' + x.hash}>+ {x.hash} ({x.category})</li>)}
+                        {d.removed.map(x => <li key={'r' + x.hash}>- {x.hash} ({x.category})</li>)}
+                        {d.recategorized.map(x => <li key={'c' + x.hash}>~ {x.hash} ({x.before} → {x.after})</li>)}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+
         <footer className="text-slate-400 text-sm mt-8 pb-safe">
           Notes: totals and category counts use ONLY outgoing external native tx (matches main page). Wallets are fetched once (dedup) for speed; winners table shows only Discord per your request.
         </footer>
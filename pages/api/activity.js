@@ -1,12 +1,19 @@
 // pages/api/activity.js
-import { parseRange, buildActivity } from '../../lib/shared';
+import { parseRange, resolveSource } from '../../lib/shared';
+import { resolveWalletsParam } from '../../lib/names';
+import { MAX_WALLETS, getPortfolioActivity, countedRows, excludeSelfParam, walletFields } from '../../lib/portfolio';
+import { EXPORT_FORMATS, EXPORT_MAX_ROWS, parseExportFilters, filterRows, streamExport } from '../../lib/export';
+
+// Exports of all-time windows can be large. The rows are built in memory first; only their
+// serialization is streamed (lib/export), and exports past EXPORT_MAX_ROWS rows are refused
+export const config = { api: { responseLimit: false } };
 
 // Ephemeral in-memory cache per serverless instance (helps Admin batching)
 const ACTIVITY_CACHE = globalThis.__ZEN_ACTIVITY_CACHE__ || new Map();
 globalThis.__ZEN_ACTIVITY_CACHE__ = ACTIVITY_CACHE;
 
-function cacheKey(address, start, end) {
-  return `${address.toLowerCase()}::${start}::${end}`;
+function cacheKey(address, start, end, source, excludeSelf) {
+  return `${source}::${address.toLowerCase()}::${start}::${end}${excludeSelf ? '::xself' : ''}`;
 }
 function cacheGet(map, key) {
   const e = map.get(key);
@@ -18,51 +25,95 @@ function cacheSet(map, key, val, ttlMs) {
   map.set(key, { val, exp: Date.now() + ttlMs });
 }
 
+// ?format=csv|json|ndjson: the rows (filtered by ?category= / ?direction=) as a download
+async function sendExport(req, res, payload, { wallets, excludeSelf }) {
+  const { category, direction } = parseExportFilters(req.query);
+  const rows = filterRows(payload.activity, { category, direction });
+  const { start, end } = payload.window;
+  if (rows.length > EXPORT_MAX_ROWS) {
+    return res.status(413).json({
+      error: `Export has ${rows.length} rows; the limit is ${EXPORT_MAX_ROWS}. Export a shorter window or narrow the category/direction filters.`,
+      rows: rows.length,
+      maxRows: EXPORT_MAX_ROWS
+    });
+  }
+  const who = wallets.length > 1 ? `${wallets.length}-wallets` : wallets[0].address;
+  res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+  return streamExport(res, {
+    format: String(req.query.format).toLowerCase(),
+    rows,
+    wallet: wallets.length === 1 ? wallets[0].address : '',
+    filename: `zenstats-${who}-${start}-${end}`,
+    meta: {
+      ...walletFields(wallets, { excludeSelf }),
+      window: { start, end, startIso: new Date(start * 1000).toISOString(), endIso: new Date(end * 1000).toISOString() },
+      source: payload.source,
+      filters: { category: category ? [...category] : 'all', direction: direction ? [...direction] : 'all' },
+      coverage: payload.coverage,
+      exportedAt: new Date().toISOString()
+    }
+  });
+}
+
 export default async function handler(req, res) {
   try {
-    const address = String(req.query.address || '').trim();
-    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({ error: 'Please provide a valid wallet address (0x...)' });
-    }
+    const { wallets, error } = await resolveWalletsParam(req.query, { max: MAX_WALLETS });
+    if (error) return res.status(400).json({ error });
+    const addresses = wallets.map(w => w.address);
+    const excludeSelf = excludeSelfParam(req.query);
     const { start, end } = parseRange(req.query);
+    let source;
+    try { source = resolveSource(req.query.source); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+
+    const format = req.query.format == null ? null : String(req.query.format).toLowerCase();
+    if (format && !EXPORT_FORMATS[format]) return res.status(400).json({ error: 'format must be csv, json or ndjson' });
 
     const force = String(req.query.force || '').toLowerCase() === '1';
-    const key = cacheKey(address, start, end);
+    const key = cacheKey(addresses.join('+'), start, end, source, excludeSelf);
 
     if (!force) {
       const cached = cacheGet(ACTIVITY_CACHE, key);
       if (cached) {
+        if (format) return sendExport(req, res, cached, { wallets, excludeSelf });
         res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
-        return res.json(cached);
+        return res.json({ ...cached, ...walletFields(wallets, { excludeSelf }) });
       }
     }
 
-    const activity = await buildActivity({ address, start, end });
+    // Several wallets: rows carry `wallet`; transfers between them are flagged `selfTransfer`
+    const { rows: activity, coverage } = await getPortfolioActivity({ addresses, start, end, force, source });
 
     // Original behavior: count only OUTGOING external (native) tx
-    const external = activity.filter(r => r.kind === 'native');
+    const external = countedRows(activity, { excludeSelf }).filter(r => r.kind === 'native');
     const externalOut = external.filter(r => r.direction === 'out');
     const externalIn  = external.filter(r => r.direction === 'in');
 
     const payload = {
-      address: address.toLowerCase(),
+      ...walletFields(wallets, { excludeSelf }),
       window: { start, end },
+      source,
       count: externalOut.length,       // main count = OUTGOING external only
       breakdown: {
         externalOut: externalOut.length,
         externalIn: externalIn.length,
         externalAll: external.length,
-        allUniqueRows: activity.length
+        allUniqueRows: activity.length,
+        ...(addresses.length > 1 ? { selfTransfers: activity.filter(r => r.selfTransfer && r.direction === 'out').length } : {})
       },
+      coverage,
       activity
     };
 
     // short-lived cache to smooth bursts (Admin tool)
-    cacheSet(ACTIVITY_CACHE, key, payload, 45_000);
+    // partial results get a shorter life so a retry can fill the gaps
+    cacheSet(ACTIVITY_CACHE, key, payload, coverage.complete ? 45_000 : 10_000);
+    if (format) return sendExport(req, res, payload, { wallets, excludeSelf });
 
     res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
     return res.json(payload);
   } catch (e) {
+    if (res.headersSent) return res.end(); // failed mid-export
     return res.status(500).json({ error: e.message || String(e) });
   }
 }
\ No newline at end of file
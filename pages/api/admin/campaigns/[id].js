@@ -0,0 +1,26 @@
+// pages/api/admin/campaigns/[id].js
+import { getCampaign, updateCampaign, validateCampaign } from '../../../../lib/campaigns';
+
+// GET ?version=N -> that version (latest by default)
+// PUT { campaign } -> saves a new version; earlier versions stay as they were
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const id = String(req.query.id || '');
+    if (req.method === 'GET') {
+      const campaign = await getCampaign(id, req.query.version);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      return res.json({ campaign });
+    }
+    if (req.method !== 'PUT') return res.status(405).json({ error: 'Method not allowed' });
+
+    const input = req.body?.campaign;
+    const errors = validateCampaign(input);
+    if (errors.length) return res.status(422).json({ error: 'Invalid campaign', errors });
+    const campaign = await updateCampaign(id, input);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    return res.json({ campaign });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
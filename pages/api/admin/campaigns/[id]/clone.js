@@ -0,0 +1,16 @@
+// pages/api/admin/campaigns/[id]/clone.js
+import { cloneCampaign } from '../../../../../lib/campaigns';
+
+// POST { version?, name? } -> new campaign copied from that version (latest by default)
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    const { version, name } = req.body || {};
+    const campaign = await cloneCampaign(String(req.query.id || ''), { version, name });
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    return res.status(201).json({ campaign });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,19 @@
+// pages/api/admin/campaigns/index.js
+import { listCampaigns, createCampaign, validateCampaign } from '../../../../lib/campaigns';
+
+// GET: campaign heads (latest version info), newest first
+// POST { campaign } -> creates version 1
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method === 'GET') return res.json({ campaigns: await listCampaigns() });
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const input = req.body?.campaign;
+    const errors = validateCampaign(input);
+    if (errors.length) return res.status(422).json({ error: 'Invalid campaign', errors });
+    return res.status(201).json({ campaign: await createCampaign(input) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,33 @@
+// pages/api/admin/counts.js
+import { readStoredActivity } from '../../../lib/activityStore';
+import { computeCounts } from '../../../lib/counts';
+import { resolveTimeZone } from '../../../lib/streaks';
+import { computeBotScore } from '../../../lib/botscore';
+
+// POST { wallets: [...], start, end, tz } -> precomputed counts for wallets the indexer already covers.
+// Wallets not in the store, or not synced through `end`, come back in `missing` so the caller can fetch them live.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    const { wallets, start, end } = req.body || {};
+    let tz;
+    try { tz = resolveTimeZone(req.body?.tz); }
+    catch (err) { return res.status(400).json({ error: err.message }); }
+    if (!Array.isArray(wallets)) return res.status(400).json({ error: 'Body must include wallets: [...]' });
+    const s = Math.floor(Number(start)), e = Math.floor(Number(end));
+    if (!Number.isFinite(s) || !Number.isFinite(e)) return res.status(400).json({ error: 'Invalid start/end' });
+
+    const out = {};
+    const missing = [];
+    for (const w of wallets) {
+      const wallet = String(w || '').toLowerCase();
+      const stored = await readStoredActivity({ address: wallet, start: s, end: e });
+      if (!stored || stored.syncedTo < e) { missing.push(wallet); continue; }
+      out[wallet] = { ...computeCounts(stored.rows, { tz }), botScore: computeBotScore(stored.rows).score, syncedAt: stored.syncedAt, complete: stored.coverage.complete };
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ wallets: out, missing });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
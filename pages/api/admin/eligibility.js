@@ -0,0 +1,25 @@
+// pages/api/admin/eligibility.js
+import { parseEligibility, evaluateEligibility, eligibilityVars } from '../../../lib/eligibility';
+
+// POST { eligibility, participants?: [{ counts, total, activeDays, longestStreak }] }
+// -> parsed rules, or 422 with errors; with participants, each one's rule-by-rule results.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    const { eligibility, participants } = req.body || {};
+    if (typeof eligibility !== 'string') return res.status(400).json({ error: 'Body must include eligibility: "..."' });
+    if (participants != null && !Array.isArray(participants)) return res.status(400).json({ error: 'participants must be an array' });
+
+    const program = parseEligibility(eligibility);
+    res.setHeader('Cache-Control', 'no-store');
+    if (program.errors.length) return res.status(422).json({ ok: false, errors: program.errors });
+    return res.json({
+      ok: true,
+      errors: [],
+      rules: program.rules.map(({ name, src }) => ({ name, src })),
+      results: participants ? participants.map(p => evaluateEligibility(program, eligibilityVars(p || {}))) : undefined
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
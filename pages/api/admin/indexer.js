@@ -0,0 +1,29 @@
+// pages/api/admin/indexer.js
+import { watchAddresses, unwatchAddresses, runIndexer, indexerStatus } from '../../../lib/indexer';
+import { parseCsv } from '../../../lib/participants';
+
+// GET: per-wallet indexer status (lag, errors)
+// POST { action: 'watch', csv | addresses, columns?, from? } | { action: 'unwatch', addresses } | { action: 'run' }
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method === 'GET') return res.json(await indexerStatus());
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const body = req.body || {};
+    const action = String(body.action || '');
+    if (action === 'watch') {
+      const entries = body.csv ? parseCsv(body.csv, body.columns && typeof body.columns === 'object' ? body.columns : undefined) : (Array.isArray(body.addresses) ? body.addresses : []);
+      if (!entries.length) return res.status(400).json({ error: 'No valid wallets to watch' });
+      return res.json(await watchAddresses(entries, { from: body.from }));
+    }
+    if (action === 'unwatch') {
+      await unwatchAddresses(Array.isArray(body.addresses) ? body.addresses : []);
+      return res.json({ ok: true });
+    }
+    if (action === 'run') return res.json(await runIndexer());
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
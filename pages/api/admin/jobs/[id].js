@@ -0,0 +1,28 @@
+// pages/api/admin/jobs/[id].js
+import { getJob, runJobSlice, cancelJob, resumeJob, jobProgress } from '../../../../lib/jobs';
+
+// Polling drives the work: each GET of an active job processes wallets for a few seconds first.
+// GET -> { job: { id, status, config, participants, wallets, ... }, progress }
+//   wallets: address -> { status pending|running|ok|error, attempts, claimedAt, error, result } (partial while running)
+// POST { action: 'cancel' } | { action: 'resume', retryFailed } (retryFailed also re-queues partial wallets)
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const id = String(req.query.id || '');
+    let job;
+    if (req.method === 'GET') {
+      job = await runJobSlice(id);
+    } else if (req.method === 'POST') {
+      const action = req.body?.action;
+      if (action === 'cancel') job = await cancelJob(id);
+      else if (action === 'resume') job = await resumeJob(id, { retryFailed: !!req.body?.retryFailed });
+      else return res.status(400).json({ error: 'action must be "cancel" or "resume"' });
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json({ job, progress: jobProgress(job) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
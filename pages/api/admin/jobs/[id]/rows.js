@@ -0,0 +1,18 @@
+// pages/api/admin/jobs/[id]/rows.js
+import { getJobRows } from '../../../../../lib/jobs';
+
+// GET ?wallet= -> { wallet, window, tz, complete, rows }: the activity rows the job counted for
+// that wallet, so a drill-down explains the run's numbers rather than a fresh fetch
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    const wallet = String(req.query.wallet || '').toLowerCase();
+    const job = await getJobRows(String(req.query.id || ''), [wallet]);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!job.wallets[wallet]) return res.status(404).json({ error: 'No counted rows for this wallet in the job' });
+    return res.json({ wallet, window: job.window, tz: job.tz, ...job.wallets[wallet] });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
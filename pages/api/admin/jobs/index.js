@@ -0,0 +1,20 @@
+// pages/api/admin/jobs/index.js
+import { listJobs, createJob, validateJob } from '../../../../lib/jobs';
+
+// GET: recent jobs with progress, newest first
+// POST { participants: [{ discord, wallet }], config: { window: { start, end }, tz, concurrency } } -> queued job
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method === 'GET') return res.json({ jobs: await listJobs() });
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const input = { participants: req.body?.participants, config: req.body?.config };
+    const errors = validateJob(input);
+    if (errors.length) return res.status(422).json({ error: 'Invalid job', errors });
+    const job = await createJob(input);
+    return res.status(201).json({ id: job.id, status: job.status });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
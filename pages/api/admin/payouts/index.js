@@ -0,0 +1,17 @@
+// pages/api/admin/payouts/index.js
+import { buildPayouts } from '../../../../lib/payouts';
+
+// POST { recipients: [{ address, amount (wei) }], token?: { address, symbol, decimals }, mode: 'direct'|'multisend',
+//        multisend?, gasLimit?, maxPerTx?, from?, name? } -> unsigned txs and Safe Transaction Builder batches
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    let payout;
+    try { payout = buildPayouts(req.body || {}); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json(payout);
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,22 @@
+// pages/api/admin/payouts/verify.js
+import { verifyPayouts } from '../../../../lib/payouts';
+
+// POST { payer, recipients: [{ address, amount (wei) }], token?: { address }, multisend?, since, until? }
+// -> per recipient: expected vs received from the payer (paid | short | over | missing)
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    const body = req.body || {};
+    if (!Number.isFinite(Number(body.since))) return res.status(400).json({ error: 'since (unix seconds) is required' });
+    let result;
+    try { result = await verifyPayouts(body); }
+    catch (e) {
+      if (/must be|invalid|required/.test(e.message)) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json(result);
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
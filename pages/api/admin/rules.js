@@ -0,0 +1,21 @@
+// pages/api/admin/rules.js
+import { activeRules, getRules, mergeRules, validateRules, DEFAULT_RULES } from '../../../lib/rules';
+
+// GET: rules in effect (`inactive`: categories waiting for their contracts). POST { rules: [...] }: dry-run validation of overrides merged onto defaults.
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'POST') {
+      const overrides = req.body?.rules;
+      if (!Array.isArray(overrides)) return res.status(400).json({ error: 'Body must be { rules: [...] }' });
+      const errors = validateRules(mergeRules(DEFAULT_RULES, overrides));
+      return res.status(errors.length ? 422 : 200).json({ ok: !errors.length, errors });
+    }
+    const rules = activeRules();
+    const errors = validateRules(rules);
+    res.setHeader('Cache-Control', 'no-store');
+    const compiled = errors.length ? null : getRules();
+    return res.json({ ok: !errors.length, errors, rules, fingerprint: compiled?.fingerprint ?? null, inactive: compiled?.inactive ?? [] });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,15 @@
+// pages/api/admin/snapshots/[id].js
+import { getSnapshot } from '../../../../lib/snapshots';
+
+// GET -> the full frozen snapshot; `verified` is false if the stored content no longer matches its hash
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    const snapshot = await getSnapshot(String(req.query.id || ''));
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    return res.json({ snapshot });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,59 @@
+// pages/api/admin/snapshots/[id]/diff.js
+import { getActivity } from '../../../../../lib/activityStore';
+import { getRules } from '../../../../../lib/rules';
+import { getSnapshot, diffWallet, summarizeSnapshot } from '../../../../../lib/snapshots';
+
+// GET -> a fresh run of each snapshot wallet over the frozen window vs its frozen evidence.
+// Wallets are synced through getActivity (incremental for indexed wallets, a rebuild after a rules
+// change), a few at a time within a time budget; wallets not reached come back in `pending`.
+// Calling again gets further, since wallets synced by the previous call only fetch what's new. Only changed wallets are listed; `partial` wallets were compared
+// on incomplete data, `failed` ones couldn't be fetched.
+const BUDGET_MS = 45_000;
+const CONCURRENCY = 3;
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    const snap = await getSnapshot(String(req.query.id || ''));
+    if (!snap) return res.status(404).json({ error: 'Snapshot not found' });
+
+    const { start, end } = snap.config.window;
+    const tz = snap.config.tz || 'UTC';
+    const entries = Object.entries(snap.wallets || {});
+    const changed = [];
+    const partial = [];
+    const failed = [];
+    let unchanged = 0;
+    const startedAt = Date.now();
+    let i = 0;
+    async function worker() {
+      while (i < entries.length && Date.now() - startedAt <= BUDGET_MS) {
+        const [wallet, frozen] = entries[i++];
+        try {
+          const coverage = {};
+          const rows = await getActivity({ address: wallet, start, end, coverage, persist: true });
+          if (coverage.complete === false) partial.push(wallet);
+          const d = diffWallet(frozen, rows, { tz });
+          if (d.changed) changed.push({ wallet, ...d, partial: coverage.complete === false });
+          else unchanged += 1;
+        } catch (e) {
+          failed.push({ wallet, error: e.message || String(e) });
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    return res.json({
+      snapshot: { ...summarizeSnapshot(snap), verified: snap.verified },
+      rulesChanged: snap.config.rulesFingerprint !== getRules().fingerprint,
+      unchanged,
+      changed: changed.sort((a, b) => (a.wallet < b.wallet ? -1 : 1)),
+      partial,
+      failed,
+      pending: entries.slice(i).map(([w]) => w)
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
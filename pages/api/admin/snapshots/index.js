@@ -0,0 +1,50 @@
+// pages/api/admin/snapshots/index.js
+import { getJobRows } from '../../../../lib/jobs';
+import { getRules } from '../../../../lib/rules';
+import { buildSnapshot, saveSnapshot, listSnapshots, summarizeSnapshot } from '../../../../lib/snapshots';
+import { parseEligibility, evaluateEligibility, eligibilityVars } from '../../../../lib/eligibility';
+
+// GET: snapshot summaries, newest first
+// POST { name?, campaign?, jobId, config, participants, winners, rewards? } -> freezes the run. Per-wallet
+// evidence is the rows the job counted, and the window and tz are the job's, so the snapshot can't
+// disagree with the results; wallets the job has no rows for fail with 409.
+// Eligibility rule results are recomputed here from each participant's counts.
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method === 'GET') return res.json({ snapshots: await listSnapshots() });
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const { name, campaign, jobId, config, participants, winners, rewards } = req.body || {};
+    if (!jobId) return res.status(400).json({ error: 'jobId is required' });
+    if (!config || typeof config !== 'object') return res.status(400).json({ error: 'config must be an object' });
+    if (!Array.isArray(participants) || !participants.length) return res.status(400).json({ error: 'participants must be a non-empty array' });
+    if (!winners || typeof winners !== 'object') return res.status(400).json({ error: 'winners must be an object' });
+
+    const program = parseEligibility(config.eligibility || '');
+    if (program.errors.length) return res.status(422).json({ error: 'Invalid eligibility rules', errors: program.errors });
+    const evaluated = program.rules.length
+      ? participants.map(p => ({ ...p, rules: evaluateEligibility(program, eligibilityVars(p)) }))
+      : participants;
+
+    const addresses = [...new Set(participants.flatMap(p => p.wallets || []).map(x => String(x || '').toLowerCase()))];
+    const job = await getJobRows(String(jobId), addresses);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const missing = addresses.filter(w => !job.wallets[w]);
+    if (missing.length) return res.status(409).json({ error: 'The job has no counted rows for some wallets; retry them first', missing });
+    const wallets = new Map(addresses.map(w => [w, job.wallets[w].rows]));
+
+    const doc = buildSnapshot({
+      name,
+      campaign: campaign?.id ? { id: String(campaign.id), version: Number(campaign.version) } : null,
+      config: { ...config, window: job.window, tz: job.tz, jobId: job.id, rulesFingerprint: job.rulesFingerprint || getRules().fingerprint },
+      participants: evaluated,
+      winners,
+      rewards: rewards || null
+    }, wallets);
+    const { snapshot, created } = await saveSnapshot(doc);
+    return res.status(created ? 201 : 200).json({ snapshot: summarizeSnapshot(snapshot), created });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
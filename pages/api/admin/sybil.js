@@ -0,0 +1,37 @@
+// pages/api/admin/sybil.js
+import { readStoredActivity } from '../../../lib/activityStore';
+import { clusterWallets, DEFAULT_SYBIL_OPTIONS } from '../../../lib/sybil';
+
+// POST { wallets: [...], start, end, options? } -> multi-wallet clusters among the given wallets.
+// Works on stored activity (a Run or the indexer syncs it); wallets not synced through `end` come back
+// in `missing` and are left out of the clustering.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    const { wallets, start, end, options } = req.body || {};
+    if (!Array.isArray(wallets)) return res.status(400).json({ error: 'Body must include wallets: [...]' });
+    const s = Math.floor(Number(start)), e = Math.floor(Number(end));
+    if (!Number.isFinite(s) || !Number.isFinite(e)) return res.status(400).json({ error: 'Invalid start/end' });
+
+    const opts = {};
+    for (const k of Object.keys(DEFAULT_SYBIL_OPTIONS)) {
+      if (options?.[k] == null) continue;
+      const v = Number(options[k]);
+      if (!Number.isFinite(v) || v <= 0) return res.status(400).json({ error: `Invalid option ${k}` });
+      opts[k] = v;
+    }
+
+    const data = new Map();
+    const missing = [];
+    for (const w of new Set(wallets.map(x => String(x || '').toLowerCase()))) {
+      const stored = await readStoredActivity({ address: w, start: s, end: e });
+      if (!stored || stored.syncedTo < e) { missing.push(w); continue; }
+      data.set(w, stored);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ ...clusterWallets(data, opts), analyzed: data.size, missing });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
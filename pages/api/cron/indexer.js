@@ -0,0 +1,20 @@
+// pages/api/cron/indexer.js
+import { runIndexer } from '../../../lib/indexer';
+import { runActiveJobs } from '../../../lib/jobs';
+
+// Cron entry point (e.g. Vercel Cron every few minutes). Vercel sends `Authorization: Bearer $CRON_SECRET`.
+export default async function handler(req, res) {
+  try {
+    const secret = process.env.CRON_SECRET || '';
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const summary = await runIndexer();
+    // Admin jobs keep moving even when nobody is polling them
+    const jobs = await runActiveJobs({ budgetMs: 10_000 });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ ...summary, jobs });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,66 @@
+// pages/api/flows.js
+import { parseRange, resolveSource } from '../../lib/shared';
+import { computeFlows } from '../../lib/flows';
+import { resolveWalletsParam } from '../../lib/names';
+import { MAX_WALLETS, getPortfolioActivity, excludeSelfParam, walletFields } from '../../lib/portfolio';
+
+// Ephemeral in-memory cache per serverless instance
+const FLOWS_CACHE = globalThis.__ZEN_FLOWS_CACHE__ || new Map();
+globalThis.__ZEN_FLOWS_CACHE__ = FLOWS_CACHE;
+
+function cacheKey(address, start, end, source, excludeSelf) {
+  return `${source}::${address.toLowerCase()}::${start}::${end}${excludeSelf ? '::xself' : ''}`;
+}
+function cacheGet(map, key) {
+  const e = map.get(key);
+  if (!e) return null;
+  if (Date.now() > e.exp) { map.delete(key); return null; }
+  return e.val;
+}
+function cacheSet(map, key, val, ttlMs) {
+  map.set(key, { val, exp: Date.now() + ttlMs });
+}
+
+export default async function handler(req, res) {
+  try {
+    const { wallets, error } = await resolveWalletsParam(req.query, { max: MAX_WALLETS });
+    if (error) return res.status(400).json({ error });
+    const addresses = wallets.map(w => w.address);
+    const excludeSelf = excludeSelfParam(req.query);
+    const { start, end } = parseRange(req.query);
+    let source;
+    try { source = resolveSource(req.query.source); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+
+    const force = String(req.query.force || '').toLowerCase() === '1';
+    const key = cacheKey(addresses.join('+'), start, end, source, excludeSelf);
+
+    if (!force) {
+      const cached = cacheGet(FLOWS_CACHE, key);
+      if (cached) {
+        res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+        return res.json({ ...cached, ...walletFields(wallets, { excludeSelf }) });
+      }
+    }
+
+    const { coverage, transfers: all } = await getPortfolioActivity({ addresses, start, end, force, source, withTransfers: true });
+    // Moves between the portfolio's own wallets net to zero; drop both legs when excluding them
+    const transfers = excludeSelf ? all.filter(t => !t.selfTransfer) : all;
+
+    const payload = {
+      ...walletFields(wallets, { excludeSelf }),
+      window: { start, end },
+      source,
+      ...computeFlows(transfers),
+      coverage
+    };
+
+    // partial results get a shorter life so a retry can fill the gaps
+    cacheSet(FLOWS_CACHE, key, payload, coverage.complete ? 45_000 : 10_000);
+
+    res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+    return res.json(payload);
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
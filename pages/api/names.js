@@ -0,0 +1,22 @@
+// pages/api/names.js
+import { resolveAddressParam, lookupAddresses, namesEnabled } from '../../lib/names';
+
+// GET ?name=alice.ztc            -> { name, address }
+// GET ?addresses=0xabc,0xdef,... -> { names: { address: primaryName|null } } (reverse lookups, max 50)
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (req.query.name != null) {
+      const { address, name, error } = await resolveAddressParam(req.query.name);
+      if (error) return res.status(400).json({ error });
+      res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+      return res.json({ name, address });
+    }
+    const list = String(req.query.addresses || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (!list.length) return res.status(400).json({ error: 'Provide ?name= or ?addresses=' });
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.json({ enabled: namesEnabled(), names: await lookupAddresses(list) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
@@ -0,0 +1,90 @@
+// pages/api/og.js
+import { ImageResponse } from 'next/og';
+import { parseReportQuery, apiQuery } from '../../lib/permalink';
+
+// Share card (Open Graph image, 1200x630) for a wallet report permalink: same query as the index
+// page URL. KPIs come from this deployment's /api/stats in stored-only mode, so a preview never
+// starts a sync: a wallet nobody has loaded or indexed yet gets a "stats pending" card with a short
+// cache life, and one whose stored data ends before the window says how far it reaches.
+export const config = { runtime: 'edge' };
+
+const STATS_TIMEOUT_MS = 5_000;
+const PERIOD_LABELS = { '24h': 'Last 24 hours', '7d': 'Last 7 days', '30d': 'Last 30 days', all: 'All time' };
+
+const short = (a) => (/^0x[0-9a-fA-F]{40}$/.test(a) ? `${a.slice(0, 8)}…${a.slice(-6)}` : a);
+const day = (s) => new Date(s * 1000).toISOString().slice(0, 10);
+const minute = (s) => new Date(s * 1000).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+
+export default async function handler(req) {
+  const url = new URL(req.url);
+  const state = parseReportQuery(Object.fromEntries(url.searchParams));
+  const wallets = state.address.split(',').filter(Boolean);
+
+  let stats = null;
+  let pending = false;
+  let error = wallets.length ? '' : 'No wallet in this link';
+  if (wallets.length) {
+    try {
+      const r = await fetch(`${url.origin}/api/stats?${apiQuery(state)}&stored=1`, { signal: AbortSignal.timeout(STATS_TIMEOUT_MS) });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Stats failed');
+      if (j.pending) pending = true;
+      else stats = j;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? 'Stats are unavailable right now' : (e.message || String(e));
+    }
+  }
+  const asOf = stats?.syncedTo && stats.syncedTo < stats.window.end ? ` • data as of ${minute(stats.syncedTo)}` : '';
+
+  const title = wallets.length > 1
+    ? `${wallets.length} wallets`
+    : (stats?.name || short(stats?.address || wallets[0] || ''));
+  const range = state.period === 'custom' ? `${day(state.start)} → ${day(state.end)}` : PERIOD_LABELS[state.period];
+  const k = stats?.kpis;
+  const cards = k ? [
+    ['Native sends', k.nativeSends],
+    ['Stake actions', k.stakeActions],
+    ['NFT mints', k.nftMints],
+    ['Domain mints', k.domainMints],
+    ['Deploys', k.ccCount],
+    ['On-chain GM', k.gmCount],
+    ['Swaps', k.swapCount ?? 0],
+    ['Bridged', k.bridgeCount ?? 0],
+    ['Active days', k.activeDays ?? 0],
+    ['Longest streak', k.longestStreak ?? 0]
+  ] : [];
+
+  return new ImageResponse(
+    (
+      <div style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column', padding: 56, background: '#020617', color: '#f1f5f9', fontSize: 28 }}>
+        <div style={{ display: 'flex', color: '#6ee7b7', fontSize: 30 }}>Zenchain Testnet — Wallet Stats</div>
+        <div style={{ display: 'flex', marginTop: 16, fontSize: 60, fontWeight: 700 }}>{title}</div>
+        <div style={{ display: 'flex', marginTop: 8, color: '#94a3b8' }}>
+          {range}{state.source === 'rpc' ? ' • RPC' : ''}{stats?.coverage?.complete === false ? ' • partial data' : ''}{asOf}
+        </div>
+        {cards.length ? (
+          <div style={{ display: 'flex', flexWrap: 'wrap', marginTop: 32, marginLeft: -8 }}>
+            {cards.map(([label, value]) => (
+              <div key={label} style={{ display: 'flex', flexDirection: 'column', width: 196, height: 124, margin: 8, padding: 16, borderRadius: 16, border: '2px solid #1e293b', background: '#0f172a' }}>
+                <div style={{ display: 'flex', color: '#cbd5e1', fontSize: 22 }}>{label}</div>
+                <div style={{ display: 'flex', marginTop: 8, fontSize: 46, fontWeight: 700, color: '#a3e635' }}>{String(value ?? 0)}</div>
+              </div>
+            ))}
+          </div>
+        ) : pending ? (
+          <div style={{ display: 'flex', flexDirection: 'column', marginTop: 48 }}>
+            <div style={{ display: 'flex', fontSize: 44, fontWeight: 700, color: '#cbd5e1' }}>Stats pending</div>
+            <div style={{ display: 'flex', marginTop: 12, color: '#94a3b8' }}>Nothing is stored for this wallet yet. Open the link to see its report.</div>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', marginTop: 48, color: '#fbbf24' }}>{error}</div>
+        )}
+      </div>
+    ),
+    {
+      width: 1200,
+      height: 630,
+      headers: { 'Cache-Control': stats ? 'public, s-maxage=300, stale-while-revalidate=900' : 'public, s-maxage=60, stale-while-revalidate=300' }
+    }
+  );
+}
@@ -1,12 +1,16 @@
 // pages/api/stats.js
-import { parseRange, buildStats } from '../../lib/shared';
+import { parseRange, computeStats, resolveSource } from '../../lib/shared';
+import { resolveTimeZone } from '../../lib/streaks';
+import { computeBotScore } from '../../lib/botscore';
+import { resolveWalletsParam } from '../../lib/names';
+import { MAX_WALLETS, getPortfolioActivity, countedRows, excludeSelfParam, walletFields } from '../../lib/portfolio';
 
 // Ephemeral in-memory cache per serverless instance
 const STATS_CACHE = globalThis.__ZEN_STATS_CACHE__ || new Map();
 globalThis.__ZEN_STATS_CACHE__ = STATS_CACHE;
 
-function cacheKey(address, start, end) {
-  return `${address.toLowerCase()}::${start}::${end}`;
+function cacheKey(address, start, end, source, tz, excludeSelf) {
+  return `${source}::${address.toLowerCase()}::${start}::${end}::${tz}${excludeSelf ? '::xself' : ''}`;
 }
 function cacheGet(map, key) {
   const e = map.get(key);
@@ -18,34 +22,63 @@ function cacheSet(map, key, val, ttlMs) {
   map.set(key, { val, exp: Date.now() + ttlMs });
 }
 
+// ?stored=1 (the share card) never syncs: it answers from this instance's cache or the stored
+// records, with `syncedTo` saying how far those reach, or 202 { pending: true } when they don't exist
 export default async function handler(req, res) {
   try {
-    const address = String(req.query.address || '').trim();
-    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({ error: 'Please provide a valid wallet address (0x...)' });
-    }
+    const { wallets, error } = await resolveWalletsParam(req.query, { max: MAX_WALLETS });
+    if (error) return res.status(400).json({ error });
+    const addresses = wallets.map(w => w.address);
+    const excludeSelf = excludeSelfParam(req.query);
     const { start, end } = parseRange(req.query);
+    let source, tz;
+    try {
+      source = resolveSource(req.query.source);
+      tz = resolveTimeZone(req.query.tz);
+    } catch (e) { return res.status(400).json({ error: e.message }); }
 
-    const force = String(req.query.force || '').toLowerCase() === '1';
-    const key = cacheKey(address, start, end);
+    const storedOnly = String(req.query.stored || '') === '1';
+    const force = !storedOnly && String(req.query.force || '').toLowerCase() === '1';
+    const key = cacheKey(addresses.join('+'), start, end, source, tz, excludeSelf);
 
     if (!force) {
       const cached = cacheGet(STATS_CACHE, key);
       if (cached) {
         res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
-        return res.json(cached);
+        return res.json({ ...cached, ...walletFields(wallets, { excludeSelf }) });
       }
     }
 
-    const kpis = await buildStats({ address, start, end });
+    const portfolio = await getPortfolioActivity({ addresses, start, end, force, source, storedOnly });
+    if (!portfolio) {
+      res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+      return res.status(202).json({ ...walletFields(wallets, { excludeSelf }), window: { start, end }, source, pending: true });
+    }
+    const { coverage } = portfolio;
+    const activity = countedRows(portfolio.rows, { excludeSelf });
+    // Combined KPIs: streaks/active days over the union of the wallets' days
+    const kpis = computeStats(activity, { tz, asOfMs: end * 1000 });
 
     const payload = {
-      address: address.toLowerCase(),
+      ...walletFields(wallets, { excludeSelf }),
       window: { start, end },
-      kpis
+      source,
+      tz,
+      kpis,
+      bot: addresses.length > 1 ? null : computeBotScore(activity), // bot signals only mean something per wallet
+      coverage,
+      ...(storedOnly ? { syncedTo: portfolio.syncedTo } : {})
     };
+    if (addresses.length > 1) {
+      payload.wallets = portfolio.wallets.map((w, i) => {
+        const rows = countedRows(w.rows, { excludeSelf });
+        return { address: w.address, name: wallets[i].name, kpis: computeStats(rows, { tz, asOfMs: end * 1000 }), bot: computeBotScore(rows), coverage: w.coverage };
+      });
+    }
 
-    cacheSet(STATS_CACHE, key, payload, 45_000);
+    // partial results get a shorter life so a retry can fill the gaps; stored-only results may end
+    // before the window does, so they aren't cached for regular callers
+    if (!storedOnly) cacheSet(STATS_CACHE, key, payload, coverage.complete ? 45_000 : 10_000);
 
     res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
     return res.json(payload);
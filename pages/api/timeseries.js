@@ -0,0 +1,73 @@
+// pages/api/timeseries.js
+import { parseRange, resolveSource } from '../../lib/shared';
+import { buildTimeseries, resolveBucket } from '../../lib/timeseries';
+import { resolveTimeZone } from '../../lib/streaks';
+import { resolveWalletsParam } from '../../lib/names';
+import { MAX_WALLETS, getPortfolioActivity, countedRows, excludeSelfParam, walletFields } from '../../lib/portfolio';
+
+// Ephemeral in-memory cache per serverless instance
+const SERIES_CACHE = globalThis.__ZEN_SERIES_CACHE__ || new Map();
+globalThis.__ZEN_SERIES_CACHE__ = SERIES_CACHE;
+
+function cacheKey(address, start, end, source, bucket, tz, excludeSelf) {
+  return `${source}::${address.toLowerCase()}::${start}::${end}::${bucket}::${tz}${excludeSelf ? '::xself' : ''}`;
+}
+function cacheGet(map, key) {
+  const e = map.get(key);
+  if (!e) return null;
+  if (Date.now() > e.exp) { map.delete(key); return null; }
+  return e.val;
+}
+function cacheSet(map, key, val, ttlMs) {
+  map.set(key, { val, exp: Date.now() + ttlMs });
+}
+
+export default async function handler(req, res) {
+  try {
+    const { wallets, error } = await resolveWalletsParam(req.query, { max: MAX_WALLETS });
+    if (error) return res.status(400).json({ error });
+    const addresses = wallets.map(w => w.address);
+    const excludeSelf = excludeSelfParam(req.query);
+    const { start, end } = parseRange(req.query);
+    let source, bucket, tz;
+    try {
+      source = resolveSource(req.query.source);
+      bucket = resolveBucket(req.query.bucket);
+      tz = resolveTimeZone(req.query.tz);
+    } catch (e) { return res.status(400).json({ error: e.message }); }
+
+    const force = String(req.query.force || '').toLowerCase() === '1';
+    const key = cacheKey(addresses.join('+'), start, end, source, bucket, tz, excludeSelf);
+
+    if (!force) {
+      const cached = cacheGet(SERIES_CACHE, key);
+      if (cached) {
+        res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+        return res.json({ ...cached, ...walletFields(wallets, { excludeSelf }) });
+      }
+    }
+
+    const portfolio = await getPortfolioActivity({ addresses, start, end, force, source });
+    const { coverage } = portfolio;
+    const activity = countedRows(portfolio.rows, { excludeSelf });
+    let series;
+    try { series = buildTimeseries(activity, { start, end, bucket, tz }); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+
+    const payload = {
+      ...walletFields(wallets, { excludeSelf }),
+      window: { start, end },
+      source,
+      ...series,
+      coverage
+    };
+
+    // partial results get a shorter life so a retry can fill the gaps
+    cacheSet(SERIES_CACHE, key, payload, coverage.complete ? 45_000 : 10_000);
+
+    res.setHeader('Cache-Control', 's-maxage=15, stale-while-revalidate=45');
+    return res.json(payload);
+  } catch (e) {
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+}
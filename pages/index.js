@@ -1,24 +1,208 @@
 import Head from 'next/head';
-import { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { describeCoverage, coverageLimits } from '../lib/coverage';
+import { addressError, looksLikeName } from '../lib/address';
+import { parseReportQuery, reportQuery, toSearch } from '../lib/permalink';
+import { EXPORT_MAX_ROWS } from '../lib/export';
+import { namesEnabled } from '../lib/names';
 
-export default function Home() {
+// Saved wallet sets (name -> "0xa,0xb,...") for the portfolio view
+const SETS_KEY = 'zenstats:walletSets';
+const MAX_WALLETS = 10; // same cap as the API
+
+// Chart colors per category (hex: SVG fills can't use the badge classes)
+const CHART_COLORS = {
+  domain_mint: '#a3e635',
+  nft_mint: '#a78bfa',
+  stake: '#2dd4bf',
+  gm: '#818cf8',
+  native_send: '#fbbf24',
+  cc: '#fb7185',
+  cco: '#e879f9',
+  swap: '#38bdf8',
+  add_liquidity: '#34d399',
+  remove_liquidity: '#fb923c',
+  bridge: '#22d3ee',
+  approve: '#60a5fa',
+  fail: '#f87171',
+  other: '#64748b'
+};
+
+// Inline SVG chart of /api/timeseries buckets: stacked bars or one line per category
+function ActivityChart({ series, direction, mode }) {
+  const buckets = series?.buckets || [];
+  if (!buckets.length) return <p className="mt-3 text-slate-300">No activity in this window.</p>;
+
+  const countOf = (b, cat) => direction === 'all'
+    ? (b.in[cat] || 0) + (b.out[cat] || 0)
+    : (b[direction][cat] || 0);
+  const cats = (series.categories || []).filter(c => buckets.some(b => countOf(b, c) > 0));
+  const totals = buckets.map(b => cats.reduce((s, c) => s + countOf(b, c), 0));
+  const max = mode === 'line'
+    ? Math.max(1, ...buckets.flatMap(b => cats.map(c => countOf(b, c))))
+    : Math.max(1, ...totals);
+
+  const W = 800, H = 220, padL = 32, padB = 22, padT = 8;
+  const plotW = W - padL - 4, plotH = H - padB - padT;
+  const step = plotW / buckets.length;
+  const y = (v) => padT + plotH - (v / max) * plotH;
+  const label = (ts) => {
+    const d = new Date(ts * 1000);
+    const timeZone = series.tz || 'UTC'; // buckets are cut in the report's timezone
+    return series.bucket === 'hour'
+      ? d.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', timeZone })
+      : d.toLocaleDateString([], { month: 'short', day: 'numeric', timeZone });
+  };
+  const tickEvery = Math.max(1, Math.ceil(buckets.length / 8));
+
+  return (
+    <div className="mt-3">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label="Activity over time">
+        {[0, 0.5, 1].map(f => (
+          <g key={f}>
+            <line x1={padL} x2={W - 4} y1={y(max * f)} y2={y(max * f)} stroke="#1e293b" />
+            <text x={padL - 4} y={y(max * f) + 3} textAnchor="end" fontSize="10" fill="#94a3b8">{Math.round(max * f)}</text>
+          </g>
+        ))}
+        {mode === 'line'
+          ? cats.map(c => (
+              <polyline
+                key={c}
+                fill="none"
+                stroke={CHART_COLORS[c] || CHART_COLORS.other}
+                strokeWidth="2"
+                points={buckets.map((b, i) => `${padL + i * step + step / 2},${y(countOf(b, c))}`).join(' ')}
+              />
+            ))
+          : buckets.map((b, i) => {
+              let acc = 0;
+              return (
+                <g key={b.start}>
+                  <title>{`${label(b.start)}: ${totals[i]} tx`}</title>
+                  {cats.map(c => {
+                    const v = countOf(b, c);
+                    if (!v) return null;
+                    const top = y(acc + v), bottom = y(acc);
+                    acc += v;
+                    return (
+                      <rect
+                        key={c}
+                        x={padL + i * step + step * 0.1}
+                        width={Math.max(1, step * 0.8)}
+                        y={top}
+                        height={Math.max(0, bottom - top)}
+                        fill={CHART_COLORS[c] || CHART_COLORS.other}
+                      />
+                    );
+                  })}
+                </g>
+              );
+            })}
+        {buckets.map((b, i) => (i % tickEvery === 0 ? (
+          <text key={b.start} x={padL + i * step + step / 2} y={H - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">{label(b.start)}</text>
+        ) : null))}
+      </svg>
+      <div className="mt-2 flex flex-wrap gap-3 text-xs text-slate-300">
+        {cats.map(c => (
+          <span key={c} className="inline-flex items-center gap-1">
+            <span className="inline-block h-2.5 w-2.5 rounded-sm" style={{ background: CHART_COLORS[c] || CHART_COLORS.other }} />
+            {c.replace(/_/g, ' ')}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Link-preview meta for permalinks (the page itself still loads the report client-side)
+export async function getServerSideProps({ req, query }) {
+  const state = parseReportQuery(query);
+  const nameLookup = namesEnabled();
+  if (!state.address) return { props: { share: null, nameLookup } };
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0];
+  const origin = `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+  const wallets = state.address.split(',');
+  const who = wallets.length > 1 ? `${wallets.length} wallets` : wallets[0];
+  return {
+    props: {
+      share: {
+        title: `${who} — Zenchain Testnet Wallet Stats`,
+        description: `Zenchain testnet activity of ${wallets.length > 1 ? wallets.join(', ') : who}: sends, stakes, mints, deploys, swaps and streaks.`,
+        image: `${origin}/api/og${toSearch(reportQuery({ ...state, cat: 'all', dir: 'out', sort: 'time.desc', page: 1 }))}`,
+        url: `${origin}${req.url}`
+      },
+      nameLookup
+    }
+  };
+}
+
+export default function Home({ share, nameLookup }) {
+  const router = useRouter();
   const [addr, setAddr] = useState('');
+  const [names, setNames] = useState({}); // address -> primary name (null = none) for the activity table
+  const [excludeSelf, setExcludeSelf] = useState(true); // portfolio: moves between own wallets aren't native sends
+  const [walletSets, setWalletSets] = useState({}); // saved named sets, from localStorage
+  const [walletKpis, setWalletKpis] = useState(null); // per-wallet { address, name, kpis, bot } of a portfolio load
   const [period, setPeriod] = useState('24h'); // 24h -> 7d -> 30d -> all -> custom
+  const [source, setSource] = useState('explorer'); // explorer (zentrace API) | rpc (eth_getLogs + nonce bisection)
+  const [tz, setTz] = useState('UTC'); // timezone active days/streaks are cut in
+  const [localTz, setLocalTz] = useState('');
+  useEffect(() => {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (zone) { setLocalTz(zone); setTz(zone); }
+  }, []);
   const [start, setStart] = useState('');
   const [end, setEnd] = useState('');
   const [status, setStatus] = useState('');
   const [kpis, setKpis] = useState(null);
   const [activity, setActivity] = useState([]);
   const [breakdown, setBreakdown] = useState(null); // { externalOut, externalIn, externalAll, allUniqueRows }
+  const [coverage, setCoverage] = useState(null); // completeness report from /api/activity
+  const [flows, setFlows] = useState(null); // { native, tokens, counterparties } from /api/flows
+  const [flowAsset, setFlowAsset] = useState('ZTC'); // counterparties shown for this asset
+  const [query, setQuery] = useState(''); // query string of the last loaded wallet/window
+  const [series, setSeries] = useState(null); // /api/timeseries payload
+  const [seriesError, setSeriesError] = useState('');
+  const [bucket, setBucket] = useState('day'); // hour | day | week
+  const [chartDir, setChartDir] = useState('out'); // out | in | all
+  const [chartMode, setChartMode] = useState('bar'); // bar (stacked) | line
+  const [exportFormat, setExportFormat] = useState('csv'); // csv | json | ndjson
 
   const [cat, setCat] = useState('all');
   const [dir, setDir] = useState('out'); // default OUT (original behavior)
   const [sort, setSort] = useState('time.desc');
-  const [botSec, setBotSec] = useState(5);
 
   const [pageSize, setPageSize] = useState(25);
   const [page, setPage] = useState(1);
-  const [botCount, setBotCount] = useState(0);
+  const [bot, setBot] = useState(null); // server bot score { score, level, signals, flagged }
+  const [report, setReport] = useState(null); // permalink state of the last loaded report (mirrored into the URL)
+  const [autoRun, setAutoRun] = useState(0); // page to open once a permalink's state is applied
+
+  // Permalink: apply the URL's report state once, then run it (next render, so load() sees the new state)
+  const restored = useRef(false);
+  useEffect(() => {
+    if (!router.isReady || restored.current) return;
+    restored.current = true;
+    const s = parseReportQuery(router.query);
+    if (!s.address) return;
+    setAddr(s.address.split(',').join(', '));
+    setPeriod(s.period);
+    if (s.period === 'custom') { setStart(toLocalDT(s.start)); setEnd(toLocalDT(s.end)); }
+    setSource(s.source);
+    if (s.tz) setTz(s.tz);
+    setExcludeSelf(s.excludeSelf);
+    setCat(s.cat);
+    setDir(s.dir);
+    setSort(s.sort);
+    setAutoRun(s.page);
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!autoRun) return;
+    setAutoRun(0);
+    load({ page: autoRun });
+  }, [autoRun]);
 
   // Mobile detection for responsive rendering (card view)
   const [isMobile, setIsMobile] = useState(false);
@@ -46,6 +230,11 @@ export default function Home() {
   function shortHash(h) { return h ? h.slice(0,10) + '…' + h.slice(-8) : ''; }
   function shortAddr(a) { return a ? a.slice(0,8) + '…' + a.slice(-6) : ''; }
   function parseLocalDT(s) { return Math.floor(new Date(s).getTime()/1000); }
+  function toLocalDT(sec) {
+    const d = new Date(sec * 1000);
+    const p = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}`;
+  }
 
   function tag(text, cls) {
     return <span className={`text-[10px] px-2 py-0.5 rounded ${cls}`}>{text}</span>;
@@ -64,6 +253,7 @@ export default function Home() {
       swap:             'bg-sky-800/35 text-sky-300 ring-1 ring-sky-400/30',
       add_liquidity:    'bg-emerald-800/35 text-emerald-300 ring-1 ring-emerald-400/30',
       remove_liquidity: 'bg-orange-800/35 text-orange-300 ring-1 ring-orange-400/30',
+      bridge:           'bg-cyan-800/35 text-cyan-300 ring-1 ring-cyan-400/30',
       approve:          'bg-blue-800/35 text-blue-300 ring-1 ring-blue-400/30',
       fail:             'bg-red-800/35 text-red-300 ring-1 ring-red-400/30',
       other:            'bg-slate-800 text-slate-300 ring-1 ring-slate-600/30',
@@ -89,20 +279,6 @@ export default function Home() {
     return tag('other', map.other);
   }
 
-  function computeBotFlags(rows) {
-    const onlyNative = rows.filter(r => r.kind === 'native');
-    const sorted = [...onlyNative].sort((a,b) => a.timeMs - b.timeMs);
-    const t = Number(botSec || 5) * 1000;
-    const set = new Set();
-    for (let i=1;i<sorted.length;i++) {
-      if (sorted[i].timeMs - sorted[i-1].timeMs <= t) {
-        set.add(sorted[i].hash); set.add(sorted[i-1].hash);
-      }
-    }
-    setBotCount(set.size);
-    return set;
-  }
-
   const filteredSortedRows = useMemo(() => {
     let rows = Array.isArray(activity) ? [...activity] : [];
     if (cat !== 'all') rows = rows.filter(r => (r.category || 'other') === cat);
@@ -120,12 +296,78 @@ export default function Home() {
 
   const totalPages = Math.max(1, Math.ceil(filteredSortedRows.length / pageSize));
   const currentPage = Math.min(page, totalPages);
+
+  // Mirror the loaded report + table state into the URL (shallow: no getServerSideProps round trip)
+  useEffect(() => {
+    if (!report) return;
+    const search = toSearch(reportQuery({ ...report, cat, dir, sort, page: currentPage }));
+    if (search === window.location.search) return;
+    router.replace(`${router.pathname}${search}`, undefined, { shallow: true, scroll: false });
+  }, [report, cat, dir, sort, currentPage]);
+
+  // Download the loaded window's rows with the table's category/direction filters (server streams the file)
+  function exportRows() {
+    if (!query) return;
+    const a = document.createElement('a');
+    a.href = `/api/activity?${query}&format=${exportFormat}&category=${encodeURIComponent(cat)}&direction=${encodeURIComponent(dir)}`;
+    a.download = '';
+    a.click();
+  }
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setStatus(s => s.endsWith(' • Link copied') ? s : `${s} • Link copied`);
+    } catch {
+      prompt('Copy this link', window.location.href);
+    }
+  }
   const pageRows = useMemo(() => {
     const startIdx = (currentPage - 1) * pageSize;
     return filteredSortedRows.slice(startIdx, startIdx + pageSize);
   }, [filteredSortedRows, currentPage, pageSize]);
 
-  const botFlags = useMemo(() => computeBotFlags(filteredSortedRows), [filteredSortedRows, botSec]);
+  const botFlags = useMemo(() => new Set(bot?.flagged || []), [bot]);
+
+  // Reverse-resolve the counterparties on the visible page (cached per address for the session)
+  useEffect(() => {
+    const missing = [...new Set(pageRows.flatMap(r => [r.from, r.to]).filter(Boolean).map(a => a.toLowerCase()))]
+      .filter(a => !(a in names));
+    if (!missing.length) return;
+    let live = true;
+    fetch(`/api/names?addresses=${missing.slice(0, 50).join(',')}`)
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (!live) return;
+        // Mark everything asked as looked-up, so a server without a registry isn't asked again
+        setNames(prev => ({ ...prev, ...Object.fromEntries(missing.slice(0, 50).map(a => [a, j?.names?.[a] ?? null])) }));
+      })
+      .catch(() => {});
+    return () => { live = false; };
+  }, [pageRows, names]);
+
+  useEffect(() => {
+    try { setWalletSets(JSON.parse(localStorage.getItem(SETS_KEY) || '{}')); } catch {}
+  }, []);
+
+  function saveWalletSets(next) {
+    setWalletSets(next);
+    try { localStorage.setItem(SETS_KEY, JSON.stringify(next)); } catch {}
+  }
+
+  function saveCurrentSet() {
+    const list = addr.split(/[\s,]+/).filter(Boolean);
+    if (list.length < 2) { alert('Enter at least two wallets to save a set'); return; }
+    const name = (prompt('Name for this wallet set') || '').trim();
+    if (!name) return;
+    saveWalletSets({ ...walletSets, [name]: list.join(',') });
+  }
+
+  function addrLabel(a) {
+    return names[String(a).toLowerCase()] || shortAddr(a);
+  }
+
+  const portfolio = !!walletKpis; // rows carry `wallet` when several wallets were loaded
 
   function DesktopTable() {
     if (!pageRows.length) return <p className="text-slate-300">No records in this window.</p>;
@@ -133,26 +375,30 @@ export default function Home() {
       const txUrl = 'https://zentrace.io/tx/' + (r.hash || '');
       const fromUrl = r.from ? 'https://zentrace.io/address/' + r.from : '#';
       const toUrl = r.to ? 'https://zentrace.io/address/' + r.to : '#';
-      const amt = r.kind === 'native' || r.kind === 'internal'
+      const amt = r.bridgeAmount != null
+        ? `${r.bridgeAmount} ${r.bridgeSymbol || 'ZTC'}`
+        : r.kind === 'native' || r.kind === 'internal'
         ? ((r.value ?? '0') + ' ZTC')
         : (r.standard === 'erc20' ? `${r.amount ?? '0'} ${r.symbol || 'TOKEN'}`
                                   : (r.standard === 'erc721' ? `tokenId ${r.tokenId || ''} ${r.symbol || 'NFT'}`
                                                              : ''));
       const highlight = botFlags.has(r.hash) ? 'bg-amber-900/20' : '';
       return (
-        <tr key={r.hash} className={`border-b border-slate-800 ${highlight}`}>
+        <tr key={`${r.wallet || ''}${r.hash}`} className={`border-b border-slate-800 ${highlight}`}>
           <td className="px-3 py-2">{fmtTime(r.timeMs)}</td>
+          {portfolio && <td className="px-3 py-2 font-mono" title={r.wallet}>{addrLabel(r.wallet)}</td>}
           <td className="px-3 py-2">
-            {catBadge(r.category, r.kind)} <span className="text-xs text-slate-400">{r.direction || ''}</span>
+            {catBadge(r.category, r.kind)} <span className="text-xs text-slate-400">{r.bridgeDirection ? r.bridgeDirection.replace('_', ' ') : (r.direction || '')}</span>
+            {r.selfTransfer && <span className="ml-1 text-[10px] text-slate-500" title="Between two wallets of this portfolio">self</span>}
           </td>
           <td className="px-3 py-2 font-mono">
             <a className="text-emerald-300 hover:underline" href={txUrl} target="_blank" rel="noreferrer">{shortHash(r.hash)}</a>
           </td>
           <td className="px-3 py-2 font-mono">
-            {r.from ? <a className="text-emerald-300 hover:underline" href={fromUrl} target="_blank" rel="noreferrer">{shortAddr(r.from)}</a> : <span className="text-slate-400">-</span>}
+            {r.from ? <a className="text-emerald-300 hover:underline" href={fromUrl} target="_blank" rel="noreferrer" title={r.from}>{addrLabel(r.from)}</a> : <span className="text-slate-400">-</span>}
           </td>
           <td className="px-3 py-2 font-mono">
-            {r.to ? <a className="text-emerald-300 hover:underline" href={toUrl} target="_blank" rel="noreferrer">{shortAddr(r.to)}</a> : <span className="text-slate-400">-</span>}
+            {r.to ? <a className="text-emerald-300 hover:underline" href={toUrl} target="_blank" rel="noreferrer" title={r.to}>{addrLabel(r.to)}</a> : <span className="text-slate-400">-</span>}
           </td>
           <td className="px-3 py-2 font-mono">{amt || '-'}</td>
         </tr>
@@ -164,6 +410,7 @@ export default function Home() {
           <thead className="text-slate-400">
             <tr className="border-b border-slate-800">
               <th className="px-3 py-2 text-left">Time</th>
+              {portfolio && <th className="px-3 py-2 text-left">Wallet</th>}
               <th className="px-3 py-2 text-left">Category / Direction</th>
               <th className="px-3 py-2 text-left">Tx Hash</th>
               <th className="px-3 py-2 text-left">From</th>
@@ -185,7 +432,9 @@ export default function Home() {
           const txUrl = 'https://zentrace.io/tx/' + (r.hash || '');
           const fromUrl = r.from ? 'https://zentrace.io/address/' + r.from : '#';
           const toUrl = r.to ? 'https://zentrace.io/address/' + r.to : '#';
-          const amt = r.kind === 'native' || r.kind === 'internal'
+          const amt = r.bridgeAmount != null
+            ? `${r.bridgeAmount} ${r.bridgeSymbol || 'ZTC'}`
+            : r.kind === 'native' || r.kind === 'internal'
             ? ((r.value ?? '0') + ' ZTC')
             : (r.standard === 'erc20' ? `${r.amount ?? '0'} ${r.symbol || 'TOKEN'}`
                                       : (r.standard === 'erc721' ? `tokenId ${r.tokenId || ''} ${r.symbol || 'NFT'}`
@@ -193,15 +442,22 @@ export default function Home() {
           const highlight = botFlags.has(r.hash) ? 'ring-1 ring-amber-500/40' : '';
 
           return (
-            <div key={r.hash} className={`mobile-card glass border border-slate-800 ${highlight}`}>
+            <div key={`${r.wallet || ''}${r.hash}`} className={`mobile-card glass border border-slate-800 ${highlight}`}>
               <div className="flex items-center justify-between">
                 <div className="text-xs text-slate-400">{fmtTime(r.timeMs)}</div>
                 <div className="flex items-center gap-2">
                   {catBadge(r.category, r.kind)}
-                  <span className="text-[10px] text-slate-400">{r.direction || ''}</span>
+                  <span className="text-[10px] text-slate-400">{r.bridgeDirection ? r.bridgeDirection.replace('_', ' ') : (r.direction || '')}</span>
+                  {r.selfTransfer && <span className="text-[10px] text-slate-500">self</span>}
                 </div>
               </div>
               <div className="mt-2 text-sm">
+                {portfolio && (
+                  <div className="mb-1 flex items-center gap-2">
+                    <span className="text-slate-400">Wallet:</span>
+                    <span className="font-mono" title={r.wallet}>{addrLabel(r.wallet)}</span>
+                  </div>
+                )}
                 <div className="flex items-center gap-2">
                   <span className="text-slate-400">Tx:</span>
                   <a className="font-mono text-emerald-300 hover:underline" href={txUrl} target="_blank" rel="noreferrer">{shortHash(r.hash)}</a>
@@ -209,13 +465,13 @@ export default function Home() {
                 <div className="mt-1 flex items-center gap-2">
                   <span className="text-slate-400">From:</span>
                   {r.from ? (
-                    <a className="font-mono text-emerald-300 hover:underline" href={fromUrl} target="_blank" rel="noreferrer">{shortAddr(r.from)}</a>
+                    <a className="font-mono text-emerald-300 hover:underline" href={fromUrl} target="_blank" rel="noreferrer" title={r.from}>{addrLabel(r.from)}</a>
                   ) : <span className="font-mono text-slate-400">-</span>}
                 </div>
                 <div className="mt-1 flex items-center gap-2">
                   <span className="text-slate-400">To:</span>
                   {r.to ? (
-                    <a className="font-mono text-emerald-300 hover:underline" href={toUrl} target="_blank" rel="noreferrer">{shortAddr(r.to)}</a>
+                    <a className="font-mono text-emerald-300 hover:underline" href={toUrl} target="_blank" rel="noreferrer" title={r.to}>{addrLabel(r.to)}</a>
                   ) : <span className="font-mono text-slate-400">-</span>}
                 </div>
                 <div className="mt-1 flex items-center gap-2">
@@ -230,22 +486,63 @@ export default function Home() {
     );
   }
 
-  async function load() {
+  async function loadSeries(qs, b) {
     try {
-      const a = addr.trim();
-      if (!/^0x[a-fA-F0-9]{40}$/.test(a)) { alert('Please paste a valid 0x wallet address'); return; }
-      let statsUrl = `/api/stats?address=${encodeURIComponent(a)}`;
-      let actUrl   = `/api/activity?address=${encodeURIComponent(a)}`;
+      const r = await fetch(`/api/timeseries?${qs}&bucket=${b}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Timeseries failed');
+      setSeries(j);
+      setSeriesError('');
+    } catch (e) {
+      setSeries(null);
+      setSeriesError(e.message || String(e));
+    }
+  }
+
+  function changeBucket(b) {
+    setBucket(b);
+    if (query) loadSeries(query, b);
+  }
+
+  async function load({ page = 1 } = {}) {
+    try {
+      // One wallet, or several (comma/space separated) viewed as one portfolio
+      const entries = addr.split(/[\s,]+/).filter(Boolean);
+      if (!entries.length) { alert('Please paste a wallet address (0x...) or a .ztc/.zen name'); return; }
+      if (entries.length > MAX_WALLETS) { alert(`At most ${MAX_WALLETS} wallets at once`); return; }
+      const list = [];
+      let label = '';
+      for (const e of entries) {
+        if (looksLikeName(e)) {
+          if (!nameLookup) { alert(`${e}: .ztc/.zen names are disabled on this deployment; paste the 0x address instead`); return; }
+          // .ztc / .zen domains resolve on the server (registry reads), then everything queries the address
+          const r = await fetch(`/api/names?name=${encodeURIComponent(e)}`);
+          const j = await r.json();
+          if (!r.ok) throw new Error(j.error || 'Name lookup failed');
+          label += `${j.name} → ${j.address} • `;
+          list.push(j.address);
+        } else {
+          const err = addressError(e);
+          if (err) { alert(`Please paste a valid wallet address or .ztc/.zen name${entries.length > 1 ? ` (${e})` : ''}: ${err}`); return; }
+          list.push(e.toLowerCase());
+        }
+      }
+      const wallets = [...new Set(list)];
+      // Same wallet/window/source query for every endpoint
+      let qs = wallets.length > 1 ? `addresses=${wallets.join(',')}${excludeSelf ? '&excludeSelf=1' : ''}` : `address=${encodeURIComponent(wallets[0])}`;
       if (period === 'custom') {
         if (!start || !end) { alert('Pick start and end date/time'); return; }
-        statsUrl += `&start=${parseLocalDT(start)}&end=${parseLocalDT(end)}`;
-        actUrl   += `&start=${parseLocalDT(start)}&end=${parseLocalDT(end)}`;
+        qs += `&start=${parseLocalDT(start)}&end=${parseLocalDT(end)}`;
       } else {
-        statsUrl += `&period=${period}`;
-        actUrl   += `&period=${period}`;
+        qs += `&period=${period}`;
       }
+      if (source !== 'explorer') qs += `&source=${source}`;
+      qs += `&tz=${encodeURIComponent(tz)}`;
+      const statsUrl = `/api/stats?${qs}`;
+      const actUrl   = `/api/activity?${qs}`;
+      const flowsUrl = `/api/flows?${qs}`;
       setStatus('Loading… (large windows can take longer)');
-      setPage(1);
+      setPage(page);
 
       // Fetch stats + activity
       const [sRes, aRes] = await Promise.all([fetch(statsUrl), fetch(actUrl)]);
@@ -254,14 +551,43 @@ export default function Home() {
       if (!aRes.ok) throw new Error(aJson.error || 'Activity failed');
 
       setKpis(sJson.kpis || null);
+      setBot(sJson.bot || null);
+      setWalletKpis(sJson.wallets || null);
       setActivity(Array.isArray(aJson.activity) ? aJson.activity : []);
       setBreakdown(aJson.breakdown || null);
+      setCoverage(aJson.coverage || sJson.coverage || null);
+      setReport({
+        address: entries.join(','),
+        period,
+        start: period === 'custom' ? parseLocalDT(start) : null,
+        end: period === 'custom' ? parseLocalDT(end) : null,
+        source,
+        tz,
+        excludeSelf
+      });
+
+      // Chart bucket follows the window size
+      const nextBucket = period === '24h' ? 'hour' : (period === 'all' ? 'week' : 'day');
+      setBucket(nextBucket);
+      setQuery(qs);
+      loadSeries(qs, nextBucket);
+
+      // Flows read the rows just synced; a failure here shouldn't hide the stats
+      try {
+        const fRes = await fetch(flowsUrl);
+        const fJson = await fRes.json();
+        setFlows(fRes.ok ? fJson : null);
+        setFlowAsset('ZTC');
+      } catch (e) {
+        console.error('flows failed', e);
+        setFlows(null);
+      }
 
       const w = sJson.window || aJson.window || {};
       const st = w.start ? new Date(w.start*1000).toLocaleString() : '';
       const en = w.end   ? new Date(w.end*1000).toLocaleString() : '';
       // Show EXACT count from server (outgoing external only)
-      setStatus(`Window: ${st} → ${en} • External OUT tx: ${aJson.count ?? 0}`);
+      setStatus(`${label}Window: ${st} → ${en} • External OUT tx: ${aJson.count ?? 0}`);
     } catch (e) {
       console.error(e);
       alert(e.message || String(e));
@@ -275,7 +601,21 @@ export default function Home() {
     <div className="min-h-screen text-slate-100">
       <Head>
         <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover" />
-        <title>Zenchain Testnet — Wallet Stats</title>
+        <title>{share ? share.title : 'Zenchain Testnet — Wallet Stats'}</title>
+        {share && (
+          <>
+            <meta name="description" content={share.description} />
+            <meta property="og:type" content="website" />
+            <meta property="og:title" content={share.title} />
+            <meta property="og:description" content={share.description} />
+            <meta property="og:url" content={share.url} />
+            <meta property="og:image" content={share.image} />
+            <meta property="og:image:width" content="1200" />
+            <meta property="og:image:height" content="630" />
+            <meta name="twitter:card" content="summary_large_image" />
+            <meta name="twitter:image" content={share.image} />
+          </>
+        )}
       </Head>
 
       <header className="border-b border-slate-800 sticky top-0 bg-slate-950/70 backdrop-blur z-10">
@@ -290,13 +630,47 @@ export default function Home() {
         <section className="glass rounded-xl p-4 border border-slate-800">
           <div className="flex flex-col md:flex-row gap-3 items-stretch md:items-end">
             <div className="flex-1 w-full">
-              <label className="text-sm text-slate-300">Wallet address</label>
+              <label className="text-sm text-slate-300">{nameLookup ? 'Wallet address or .ztc name' : 'Wallet address'} (comma-separate up to {MAX_WALLETS} for a portfolio)</label>
               <input
                 value={addr}
                 onChange={e=>setAddr(e.target.value)}
-                placeholder="0x..."
+                placeholder={nameLookup ? '0x... or name.ztc, 0x...' : '0x..., 0x...'}
                 className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 outline-none focus:ring-2 focus:ring-emerald-400 min-h-[44px]"
               />
+              {!nameLookup && (
+                <div className="mt-1 text-xs text-amber-300">
+                  .ztc/.zen names are disabled on this deployment (no name-service registry configured, ZEN_NS_REGISTRY); paste 0x addresses.
+                </div>
+              )}
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-300">
+                <select
+                  value=""
+                  onChange={e => { if (e.target.value) setAddr(walletSets[e.target.value]); }}
+                  className="px-2 py-1 rounded bg-slate-900 border border-slate-700"
+                  title="Load a saved wallet set"
+                >
+                  <option value="">Saved sets…</option>
+                  {Object.keys(walletSets).sort().map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+                <button onClick={saveCurrentSet} className="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800">Save set</button>
+                {Object.keys(walletSets).length > 0 && (
+                  <button
+                    onClick={() => {
+                      const n = prompt(`Delete which set? (${Object.keys(walletSets).join(', ')})`);
+                      if (!n || !walletSets[n]) return;
+                      const { [n]: _, ...rest } = walletSets;
+                      saveWalletSets(rest);
+                    }}
+                    className="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800"
+                  >
+                    Delete set
+                  </button>
+                )}
+                <label className="inline-flex items-center gap-1" title="Native sends between wallets of the portfolio don't count as activity">
+                  <input type="checkbox" checked={excludeSelf} onChange={e => setExcludeSelf(e.target.checked)} />
+                  Ignore transfers between my wallets
+                </label>
+              </div>
             </div>
             <div className="min-w-[180px]">
               <label className="text-sm text-slate-300">Range</label>
@@ -312,6 +686,31 @@ export default function Home() {
                 <option value="custom">Custom…</option>
               </select>
             </div>
+            <div className="min-w-[140px]">
+              <label className="text-sm text-slate-300">Source</label>
+              <select
+                value={source}
+                onChange={e=>setSource(e.target.value)}
+                className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                title="RPC rebuilds history from logs and the account nonce when the explorer is down (slower; no internal txs; received plain ZTC transfers only in recently scanned blocks)"
+              >
+                <option value="explorer">Explorer</option>
+                <option value="rpc">RPC</option>
+              </select>
+            </div>
+            <div className="min-w-[140px]">
+              <label className="text-sm text-slate-300">Days in</label>
+              <select
+                value={tz}
+                onChange={e=>setTz(e.target.value)}
+                className="mt-1 w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[44px]"
+                title="Timezone used to count active days and streaks"
+              >
+                {localTz && localTz !== 'UTC' ? <option value={localTz}>Local ({localTz})</option> : null}
+                <option value="UTC">UTC</option>
+                {tz && tz !== localTz && tz !== 'UTC' ? <option value={tz}>{tz}</option> : null}
+              </select>
+            </div>
             {showingCustom && (
               <div className="grid grid-cols-2 gap-2 w-full md:w-auto">
                 <div>
@@ -331,7 +730,27 @@ export default function Home() {
               Check Stats
             </button>
           </div>
-          <p className="mt-3 text-sm text-slate-300" aria-live="polite">{status}</p>
+          <div className="mt-3 flex items-start justify-between gap-2">
+            <p className="text-sm text-slate-300" aria-live="polite">{status}</p>
+            {report && (
+              <button onClick={copyLink} className="shrink-0 px-2 py-1 rounded border border-slate-700 text-xs text-slate-300 hover:bg-slate-800" title="Link to this report with the current filters">
+                Copy link
+              </button>
+            )}
+          </div>
+          {coverage && coverage.complete === false && (
+            <div className="mt-2 rounded-lg border border-amber-600/40 bg-amber-500/10 px-3 py-2 text-xs sm:text-sm text-amber-200">
+              <div className="font-semibold">Partial data — counts below may be lower than actual.</div>
+              <ul className="mt-1 list-disc pl-5">
+                {describeCoverage(coverage).map((line, i) => <li key={i}>{line}</li>)}
+              </ul>
+            </div>
+          )}
+          {coverage && coverageLimits(coverage).length > 0 && (
+            <div className="mt-2 text-xs text-slate-400">
+              Not visible from this source: {coverageLimits(coverage).join(' • ')}
+            </div>
+          )}
           {/* Helpful note on what is currently visible after filters */}
           <p className="mt-1 text-xs sm:text-sm text-slate-400">
             Visible rows with current filters: {visibleCount}
@@ -350,7 +769,7 @@ export default function Home() {
             { label: 'Swaps',            value: kpis.swapCount ?? 0, emoji: '🔄' },
             { label: 'Add Liquidity',    value: kpis.addLiquidityCount ?? 0, emoji: '💧➕' },
             { label: 'Remove Liquidity', value: kpis.removeLiquidityCount ?? 0, emoji: '💧➖' },
-            { label: 'Bridged',          value: 'Coming soon', emoji: '' }
+            { label: 'Bridged',          value: kpis.bridgeCount ?? 0, emoji: '🌉' }
           ].map((c, i) => (
             <div key={i} className="glass border border-slate-800 rounded-xl p-4 text-center">
               <div className="text-xs sm:text-sm text-slate-300">{c.label}</div>
@@ -360,6 +779,263 @@ export default function Home() {
           )))}
         </section>
 
+        {/* Portfolio: the combined cards above, broken down per wallet */}
+        {walletKpis && kpis && (
+          <section className="mt-4 glass rounded-xl p-4 border border-slate-800">
+            <h2 className="text-lg font-semibold">Per wallet</h2>
+            <div className="mt-2 overflow-x-auto touch-scroll">
+              <table className="min-w-full text-sm">
+                <thead className="text-slate-400">
+                  <tr className="border-b border-slate-800">
+                    <th className="px-3 py-2 text-left">Wallet</th>
+                    <th className="px-3 py-2 text-right">Stake</th>
+                    <th className="px-3 py-2 text-right">Sends</th>
+                    <th className="px-3 py-2 text-right">NFT</th>
+                    <th className="px-3 py-2 text-right">Domains</th>
+                    <th className="px-3 py-2 text-right">Deploys</th>
+                    <th className="px-3 py-2 text-right">GM</th>
+                    <th className="px-3 py-2 text-right">Swaps</th>
+                    <th className="px-3 py-2 text-right">Bridged</th>
+                    <th className="px-3 py-2 text-right">Active days</th>
+                    <th className="px-3 py-2 text-right">Bot</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...walletKpis, { address: null, kpis, bot: null }].map(w => (
+                    <tr key={w.address || 'combined'} className={`border-b border-slate-800 ${w.address ? '' : 'font-semibold'}`}>
+                      <td className="px-3 py-2 font-mono" title={w.address || ''}>{w.address ? (w.name || shortAddr(w.address)) : 'Combined'}</td>
+                      {[w.kpis.stakeActions, w.kpis.nativeSends, w.kpis.nftMints, w.kpis.domainMints, w.kpis.ccCount, w.kpis.gmCount,
+                        w.kpis.swapCount ?? 0, w.kpis.bridgeCount ?? 0, w.kpis.activeDays ?? 0].map((v, i) => (
+                        <td key={i} className="px-3 py-2 text-right font-mono">{v}</td>
+                      ))}
+                      <td className="px-3 py-2 text-right font-mono">{w.bot && w.bot.txCount > 0 ? `${w.bot.score} (${w.bot.level})` : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-2 text-xs text-slate-500">
+              {excludeSelf ? 'Native sends between these wallets are left out of the counts.' : 'Native sends between these wallets are counted.'} The bot check runs per wallet.
+            </p>
+          </section>
+        )}
+
+        {/* Active days & streaks (days cut in the selected timezone) */}
+        {kpis?.streaks && (
+          <section className="mt-4 glass rounded-xl p-4 border border-slate-800">
+            <div className="grid grid-cols-3 gap-3 text-center">
+              {[
+                { label: 'Active days', value: kpis.activeDays ?? 0 },
+                { label: 'Longest streak', value: kpis.longestStreak ?? 0 },
+                { label: 'Current streak', value: kpis.currentStreak ?? 0 }
+              ].map((c, i) => (
+                <div key={i}>
+                  <div className="text-xs sm:text-sm text-slate-300">{c.label}</div>
+                  <div className="mt-1 text-xl sm:text-2xl font-bold">{c.value}</div>
+                </div>
+              ))}
+            </div>
+            {Object.keys(kpis.streaks.byCategory || {}).length > 0 && (
+              <div className="mt-3 flex flex-wrap gap-2 text-xs text-slate-300">
+                {Object.entries(kpis.streaks.byCategory).map(([c, st]) => (
+                  <span key={c} className="inline-flex items-center gap-1" title={`${st.activeDays} active days, longest ${st.longestStreak}, current ${st.currentStreak}`}>
+                    {catBadge(c, 'native')} {st.activeDays}d • best {st.longestStreak} • now {st.currentStreak}
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="mt-2 text-xs text-slate-500">Days in {kpis.streaks.tz}; outgoing, non-failed transactions only.</p>
+          </section>
+        )}
+
+        {/* Bot-pattern score with the reasons behind it */}
+        {bot && bot.txCount > 0 && (
+          <section className="mt-4 glass rounded-xl p-4 border border-slate-800">
+            <div className="flex items-baseline gap-2">
+              <h2 className="text-lg font-semibold">Bot check</h2>
+              <span className={`text-sm ${bot.level === 'high' ? 'text-rose-300' : bot.level === 'medium' ? 'text-amber-300' : 'text-emerald-300'}`}>
+                {bot.score}/100 ({bot.level})
+              </span>
+            </div>
+            <ul className="mt-2 grid gap-1 text-xs sm:text-sm text-slate-300">
+              {bot.signals.map(sg => (
+                <li key={sg.key}>
+                  <span className="inline-block w-20 text-slate-400">{sg.key}</span>
+                  <span className="inline-block w-14 font-mono">{Math.round(sg.score * sg.weight)}/{sg.weight}</span>
+                  {sg.detail}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Activity over time (stacked per category) */}
+        {(series || seriesError) && (
+          <section className="mt-8 glass rounded-xl p-4 border border-slate-800">
+            <div className="flex items-center justify-between flex-wrap gap-2">
+              <h2 className="text-lg font-semibold">Activity over time</h2>
+              <div className="flex flex-wrap gap-2">
+                <select value={bucket} onChange={e=>changeBucket(e.target.value)} className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]">
+                  <option value="hour">Bucket: Hour</option>
+                  <option value="day">Bucket: Day</option>
+                  <option value="week">Bucket: Week</option>
+                </select>
+                <select value={chartDir} onChange={e=>setChartDir(e.target.value)} className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]">
+                  <option value="out">Direction: Out</option>
+                  <option value="in">Direction: In</option>
+                  <option value="all">Direction: All</option>
+                </select>
+                <select value={chartMode} onChange={e=>setChartMode(e.target.value)} className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]">
+                  <option value="bar">Chart: Stacked bars</option>
+                  <option value="line">Chart: Lines</option>
+                </select>
+              </div>
+            </div>
+            {seriesError ? (
+              <p className="mt-3 text-sm text-amber-300">{seriesError}</p>
+            ) : (
+              <ActivityChart series={series} direction={chartDir} mode={chartMode} />
+            )}
+          </section>
+        )}
+
+        {/* Gas spent by the wallet (outgoing txs; failed txs shown as wasted) */}
+        {kpis?.gas?.txCount > 0 && (
+          <section className="mt-8 glass rounded-xl p-4 border border-slate-800">
+            <h2 className="text-lg font-semibold">Gas</h2>
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+              {[
+                { label: 'Total fees (ZTC)', value: kpis.gas.totalFee },
+                { label: 'Avg fee / tx', value: kpis.gas.avgFee },
+                { label: 'Paid txs', value: kpis.gas.txCount },
+                { label: `Wasted on ${kpis.gas.wasted.count} failed`, value: kpis.gas.wasted.fee }
+              ].map((c, i) => (
+                <div key={i} className="border border-slate-800 rounded-lg p-3">
+                  <div className="text-xs text-slate-400">{c.label}</div>
+                  <div className="mt-1 font-mono text-sm sm:text-base">{c.value}</div>
+                </div>
+              ))}
+            </div>
+            <div className="mt-4 grid gap-4 md:grid-cols-2">
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="text-slate-400">
+                    <tr className="border-b border-slate-800">
+                      <th className="px-3 py-2 text-left">Category</th>
+                      <th className="px-3 py-2 text-right">Txs</th>
+                      <th className="px-3 py-2 text-right">Total</th>
+                      <th className="px-3 py-2 text-right">Avg</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(kpis.gas.byCategory || {}).map(([c, g]) => (
+                      <tr key={c} className="border-b border-slate-800">
+                        <td className="px-3 py-2">{catBadge(c, 'native')}</td>
+                        <td className="px-3 py-2 text-right">{g.count}</td>
+                        <td className="px-3 py-2 text-right font-mono">{g.total}</td>
+                        <td className="px-3 py-2 text-right font-mono">{g.avg}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="text-slate-400">
+                    <tr className="border-b border-slate-800">
+                      <th className="px-3 py-2 text-left">Most expensive</th>
+                      <th className="px-3 py-2 text-left">Category</th>
+                      <th className="px-3 py-2 text-right">Fee (ZTC)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(kpis.gas.mostExpensive || []).map(t => (
+                      <tr key={t.hash} className="border-b border-slate-800">
+                        <td className="px-3 py-2">
+                          <a className="text-emerald-300 hover:underline" href={'https://zentrace.io/tx/' + t.hash} target="_blank" rel="noreferrer">{shortHash(t.hash)}</a>
+                        </td>
+                        <td className="px-3 py-2">{catBadge(t.category, 'native')}</td>
+                        <td className="px-3 py-2 text-right font-mono">{t.fee}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </section>
+        )}
+
+        {/* Token & ZTC flows over the window (in/out/net incl. internals) */}
+        {flows && (
+          <section className="mt-8 glass rounded-xl p-4 border border-slate-800">
+            <h2 className="text-lg font-semibold">Flows</h2>
+            <div className="mt-3 overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="text-slate-400">
+                  <tr className="border-b border-slate-800">
+                    <th className="px-3 py-2 text-left">Asset</th>
+                    <th className="px-3 py-2 text-right">In</th>
+                    <th className="px-3 py-2 text-right">Out</th>
+                    <th className="px-3 py-2 text-right">Net</th>
+                    <th className="px-3 py-2 text-right">Transfers (in / out)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[{ key: 'ZTC', label: 'ZTC (incl. internal)', ...flows.native },
+                    ...(flows.tokens || []).map(t => ({ key: t.contract, label: t.symbol, ...t }))
+                  ].map(f => (
+                    <tr
+                      key={f.key}
+                      onClick={() => setFlowAsset(f.key)}
+                      className={`border-b border-slate-800 cursor-pointer ${flowAsset === f.key ? 'bg-slate-800/40' : ''}`}
+                    >
+                      <td className="px-3 py-2">
+                        {f.label}
+                        {f.contract ? <span className="ml-2 text-xs text-slate-500">{shortAddr(f.contract)}</span> : null}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono text-emerald-300">{f.in}</td>
+                      <td className="px-3 py-2 text-right font-mono text-rose-300">{f.out}</td>
+                      <td className="px-3 py-2 text-right font-mono">{f.net}</td>
+                      <td className="px-3 py-2 text-right text-slate-400">{f.inCount} / {f.outCount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <h3 className="mt-4 text-sm font-semibold text-slate-300">
+              Top counterparties — {flowAsset === 'ZTC' ? 'ZTC' : ((flows.tokens || []).find(t => t.contract === flowAsset)?.symbol || shortAddr(flowAsset))}
+            </h3>
+            {!(flows.counterparties?.[flowAsset] || []).length ? (
+              <p className="mt-2 text-sm text-slate-400">No transfers.</p>
+            ) : (
+              <div className="mt-2 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="text-slate-400">
+                    <tr className="border-b border-slate-800">
+                      <th className="px-3 py-2 text-left">Address</th>
+                      <th className="px-3 py-2 text-right">Received from</th>
+                      <th className="px-3 py-2 text-right">Sent to</th>
+                      <th className="px-3 py-2 text-right">Volume</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {flows.counterparties[flowAsset].map(c => (
+                      <tr key={c.address} className="border-b border-slate-800">
+                        <td className="px-3 py-2">
+                          <a className="text-emerald-300 hover:underline" href={'https://zentrace.io/address/' + c.address} target="_blank" rel="noreferrer">{shortAddr(c.address)}</a>
+                        </td>
+                        <td className="px-3 py-2 text-right font-mono">{c.in}</td>
+                        <td className="px-3 py-2 text-right font-mono">{c.out}</td>
+                        <td className="px-3 py-2 text-right font-mono">{c.volume}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
         {/* Table controls */}
         <section className="mt-8 glass rounded-xl p-4 border border-slate-800">
           <div className="flex flex-col gap-3">
@@ -375,6 +1051,7 @@ export default function Home() {
                   <option value="swap">Category: Swap</option>
                   <option value="add_liquidity">Category: Add Liquidity</option>
                   <option value="remove_liquidity">Category: Remove Liquidity</option>
+                  <option value="bridge">Category: Bridge</option>
                   <option value="approve">Category: Approve</option>
                   <option value="native_send">Category: Native send</option>
                   <option value="cc">Category: CC (deploy)</option>
@@ -393,6 +1070,23 @@ export default function Home() {
                   <option value="value.desc">Sort: Amount (high → low)</option>
                   <option value="value.asc">Sort: Amount (low → high)</option>
                 </select>
+                <div className="inline-flex">
+                  <select value={exportFormat} onChange={e=>setExportFormat(e.target.value)} className="px-2 py-2 rounded-l-lg bg-slate-900 border border-slate-700 min-h-[40px]" title="Export format">
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                    <option value="ndjson">NDJSON</option>
+                  </select>
+                  <button
+                    onClick={exportRows}
+                    disabled={!query || visibleCount > EXPORT_MAX_ROWS}
+                    className="px-3 py-2 rounded-r-lg border border-l-0 border-slate-700 hover:bg-slate-800 disabled:opacity-50 min-h-[40px]"
+                    title={visibleCount > EXPORT_MAX_ROWS
+                      ? `Exports are limited to ${EXPORT_MAX_ROWS.toLocaleString()} rows; shorten the window or narrow the filters`
+                      : 'Download every row of this window matching the category/direction filters'}
+                  >
+                    Export
+                  </button>
+                </div>
                 <select value={pageSize} onChange={e=>{setPageSize(Number(e.target.value)); setPage(1);}} className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]">
                   <option value={10}>Rows: 10</option>
                   <option value={25}>Rows: 25</option>
@@ -410,14 +1104,17 @@ export default function Home() {
               <MobileCards />
             </div>
 
-            {/* Bot + pagination */}
+            {/* Bot score + pagination */}
             <div className="mt-3 flex items-center gap-3">
-              <span className="text-sm text-slate-300">Bot window (seconds)</span>
-              <input
-                className="w-24 px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 min-h-[40px]"
-                type="number" min="1" value={botSec} onChange={e=>setBotSec(e.target.value)}
-              />
-              <span className="text-sm text-slate-300">Matches: <span id="botCount">{botCount}</span></span>
+              {bot && (
+                <span
+                  className="text-sm text-slate-300"
+                  title={bot.signals.map(sg => `${sg.key} ${Math.round(sg.score * sg.weight)}/${sg.weight}: ${sg.detail}`).join('\n')}
+                >
+                  Bot score: <span className={bot.level === 'high' ? 'text-rose-300' : bot.level === 'medium' ? 'text-amber-300' : 'text-emerald-300'}>{bot.score} ({bot.level})</span>
+                  {' '}• Burst txs highlighted: <span id="botCount">{bot.flagged.length}</span>
+                </span>
+              )}
 
               <div className="ml-auto flex items-center gap-2">
                 <button className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 min-h-[40px]"
@@ -0,0 +1,77 @@
+// test/activityStore.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStandIn } from './rpcStandIn';
+
+// lib/activityStore on the RPC source (stand-in chain): which lookups create a stored record,
+// the build-per-request path without a persistent store, and the size cap.
+
+const T0 = 1_700_000_000;
+const a = (n) => `0x${String(n).padStart(40, '0')}`;
+const h = (n) => `0x${String(n).padStart(64, '0')}`;
+const U = a(1), V = a(6);
+
+const chain = {
+  blocks: Array.from({ length: 50 }, (_, n) => ({ number: n, timestamp: T0 + 10 * n })),
+  txs: [
+    { hash: h(1), block: 10, from: U, to: a(2), value: 1n },
+    { hash: h(2), block: 20, from: U, to: a(3), value: 2n },
+    { hash: h(3), block: 30, from: V, to: a(3), value: 3n }
+  ],
+  logs: []
+};
+const win = { start: T0, end: T0 + 490 };
+
+let rpc, getActivity, getStore;
+before(async () => {
+  rpc = await startStandIn(chain);
+  process.env.ZEN_RPC_URL = rpc.url;
+  ({ getActivity } = await import('../lib/activityStore'));
+  ({ getStore } = await import('../lib/store'));
+});
+after(() => rpc.close());
+beforeEach(() => {
+  delete globalThis.__ZEN_STORE__;
+  delete process.env.ZEN_ACTIVITY_MAX_BYTES;
+  process.env.ZEN_STORE = 'memory';
+});
+
+test('a public lookup of an unstored wallet is built for its window and not stored', async () => {
+  const coverage = {};
+  const rows = await getActivity({ address: U, ...win, source: 'rpc', coverage });
+  assert.deepEqual(rows.map(r => r.hash), [h(2), h(1)]);
+  assert.equal(coverage.complete, true);
+  assert.deepEqual(await getStore().list('activity'), []);
+});
+
+test('persist creates the record; later public lookups sync it', async () => {
+  await getActivity({ address: U, ...win, source: 'rpc', persist: true });
+  assert.deepEqual(await getStore().list('activity'), [`rpc:${U}`]);
+  const rows = await getActivity({ address: U, start: T0 + 150, end: win.end, source: 'rpc' });
+  assert.deepEqual(rows.map(r => r.hash), [h(2)]);
+});
+
+test('records over ZEN_ACTIVITY_MAX_BYTES are replaced by a marker', async () => {
+  process.env.ZEN_ACTIVITY_MAX_BYTES = '500';
+  const big = await getActivity({ address: U, ...win, persist: true, source: 'rpc' });
+  assert.equal(big.length, 2); // still answered
+  const marker = await getStore().get('activity', `rpc:${U}`);
+  assert.equal(marker.tooLarge, true);
+  assert.ok(marker.bytes > 500);
+  assert.equal(marker.rows, undefined);
+});
+
+test('without a persistent store in production, lookups still work and persistence throws', async () => {
+  const env = { ...process.env };
+  delete process.env.ZEN_STORE;
+  process.env.NODE_ENV = 'production';
+  try {
+    const rows = await getActivity({ address: V, ...win, source: 'rpc' });
+    assert.deepEqual(rows.map(r => r.hash), [h(3)]);
+    assert.equal(globalThis.__ZEN_STORE__, undefined);
+    await assert.rejects(getActivity({ address: V, ...win, source: 'rpc', persist: true }), /No persistent store configured/);
+  } finally {
+    process.env.NODE_ENV = env.NODE_ENV;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+  }
+});
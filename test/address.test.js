@@ -0,0 +1,46 @@
+// test/address.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addressError, isValidAddress, checksummed, looksLikeName } from '../lib/address';
+
+// Test vectors from the EIP-55 specification
+const EIP55 = [
+  '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+  '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+  '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+  '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+];
+
+test('checksummed() gives the EIP-55 form of any casing', () => {
+  for (const a of EIP55) {
+    assert.equal(checksummed(a.toLowerCase()), a);
+    assert.equal(checksummed(` ${a.toUpperCase().replace('0X', '0x')} `), a);
+  }
+});
+
+test('mixed case must match the checksum; one-case input carries none', () => {
+  for (const a of EIP55) {
+    assert.equal(addressError(a), null);
+    assert.equal(addressError(a.toLowerCase()), null);
+    assert.equal(addressError(`0x${a.slice(2).toUpperCase()}`), null);
+    // Flip the case of one letter: still a well-formed address, but the checksum no longer holds
+    const i = [...a].findIndex((ch, k) => k > 1 && /[a-f]/i.test(ch));
+    const typo = a.slice(0, i) + (a[i] === a[i].toLowerCase() ? a[i].toUpperCase() : a[i].toLowerCase()) + a.slice(i + 1);
+    assert.match(addressError(typo), /checksum/);
+    assert.equal(isValidAddress(typo), false);
+  }
+});
+
+test('malformed input is rejected before any checksum check', () => {
+  for (const s of ['', null, '0x123', `${EIP55[0]}0`, EIP55[0].slice(2), `0x${'g'.repeat(40)}`]) {
+    assert.match(addressError(s), /not a 0x address/);
+  }
+  assert.equal(addressError(`  ${EIP55[1]}\n`), null);
+});
+
+test('name-service domains', () => {
+  assert.ok(looksLikeName('alice.ztc'));
+  assert.ok(looksLikeName('Sub.alice.ZEN'));
+  assert.ok(!looksLikeName('alice.eth'));
+  assert.ok(!looksLikeName(EIP55[0]));
+});
@@ -0,0 +1,97 @@
+// test/eligibility.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseEligibility, parseCondition, parseValue, evaluateExpression, evaluateEligibility, eligibilityVars
+} from '../lib/eligibility';
+
+const vars = (counts = {}, extra = {}) => eligibilityVars({ counts, total: 0, activeDays: 0, longestStreak: 0, ...extra });
+const cond = (src, v) => evaluateExpression(parseCondition(src), v);
+const value = (src, v) => evaluateExpression(parseValue(src), v);
+const errorOf = (src) => parseEligibility(src).errors[0];
+
+test('tokenizer: keywords and C-style aliases, case-insensitive, with column of a bad character', () => {
+  const v = vars({ gm: 3, swap: 0 });
+  assert.equal(cond('GM >= 3 AND NOT swap >= 1', v), true);
+  assert.equal(cond('gm >= 3 && !(swap >= 1)', v), true);
+  assert.equal(cond('swap >= 1 || gm == 3', v), true);
+  assert.equal(cond('gm >= 2.5', v), true);
+  assert.equal(errorOf('gm >= 3 $ 1'), 'line 1: unexpected "$" at column 8');
+});
+
+test('precedence: * before +, comparison before not, and before or', () => {
+  assert.equal(value('2 + 3 * 4', vars()), 14);
+  assert.equal(value('(2 + 3) * 4', vars()), 20);
+  assert.equal(value('10 - 4 - 3', vars()), 3); // left-associative
+  assert.equal(value('-gm + 5', vars({ gm: 2 })), 3);
+  // "not gm >= 3" is not (gm >= 3)
+  assert.equal(cond('not gm >= 3', vars({ gm: 5 })), false);
+  assert.equal(cond('not gm >= 3', vars({ gm: 1 })), true);
+  // a or b and c == a or (b and c)
+  assert.equal(cond('gm >= 1 or swap >= 1 and stake >= 1', vars({ gm: 1 })), true);
+  assert.equal(cond('(gm >= 1 or swap >= 1) and stake >= 1', vars({ gm: 1 })), false);
+});
+
+test('types are checked at parse time', () => {
+  assert.equal(errorOf('gm'), 'line 1: a rule must be a condition (e.g. "swap >= 5")');
+  assert.equal(errorOf('not gm'), 'line 1: "not" operand must be a condition');
+  assert.equal(errorOf('gm >= 1 and 3'), 'line 1: "and" operand must be a condition');
+  assert.equal(errorOf('(gm >= 1) + 1 >= 2'), 'line 1: "+" operand must be a number');
+  assert.equal(errorOf('any(gm >= 1, swap >= 1)'), 'line 1: any() argument 1 must be a number');
+  assert.equal(errorOf('cap(gm) >= 1'), 'line 1: cap() takes 2 argument(s)');
+  assert.equal(errorOf('all() '), 'line 1: all() takes at least 1 argument(s)');
+  assert.throws(() => parseValue('gm >= 1'), /must be a number/);
+  assert.throws(() => parseCondition('gm + 1'), /must be a condition/);
+});
+
+test('parse errors: unknown names, unbalanced parentheses, trailing tokens', () => {
+  assert.equal(errorOf('foo >= 1'), 'line 1: unknown variable "foo"');
+  assert.equal(errorOf('median(gm) >= 1'), 'line 1: unknown function "median"');
+  assert.equal(errorOf('(gm >= 1'), 'line 1: expected ")" at end');
+  assert.equal(errorOf('gm >= 1)'), 'line 1: unexpected ")"');
+  assert.equal(errorOf('gm >='), 'line 1: unexpected end of rule');
+  assert.equal(errorOf('gm >= 1 swap'), 'line 1: unexpected "swap"');
+});
+
+test('any(n, ...), all, count, min, max and cap', () => {
+  const v = vars({ gm: 1, swap: 12, stake: 0, nft_mint: 2 });
+  assert.equal(cond('any(2, gm >= 1, swap >= 1, stake >= 1)', v), true);
+  assert.equal(cond('any(3, gm >= 1, swap >= 1, stake >= 1)', v), false);
+  assert.equal(cond('any(0, stake >= 1)', v), true);
+  assert.equal(cond('all(gm >= 1, swap >= 1)', v), true);
+  assert.equal(cond('all(gm >= 1, stake >= 1)', v), false);
+  assert.equal(value('count(gm >= 1, swap >= 1, stake >= 1, nft_mint >= 1)', v), 3);
+  assert.equal(value('cap(swap, 10)', v), 10);
+  assert.equal(value('cap(gm, 10)', v), 1);
+  assert.equal(value('min(swap, nft_mint, 5)', v), 2);
+  assert.equal(value('max(gm, nft_mint)', v), 2);
+  assert.equal(value('gm + 2 * cap(swap, 10) + 3 * min(stake, 5)', v), 21);
+  assert.equal(value('swap / 0', v), 0); // division by zero is 0, not Infinity
+});
+
+test('cco is an alias of cc', () => {
+  assert.equal(cond('cco >= 2', vars({ cc: 2 })), true);
+  assert.equal(cond('cco == cc', vars({ cc: 7 })), true);
+});
+
+test('programs: names, comments, blank lines, duplicates and per-line errors', () => {
+  const src = [
+    '# campaign rules',
+    'gm >= 3',
+    '',
+    'defi: swap >= 5 or add_liquidity >= 5  # either one',
+    'days: active_days >= 2 and streak >= 2',
+    'defi: total >= 1',
+    'oops >= 1'
+  ].join('\n');
+  const program = parseEligibility(src);
+  assert.deepEqual(program.rules.map(r => [r.name, r.src]), [
+    ['rule 1', 'gm >= 3'],
+    ['defi', 'swap >= 5 or add_liquidity >= 5'],
+    ['days', 'active_days >= 2 and streak >= 2']
+  ]);
+  assert.deepEqual(program.errors, ['line 6: duplicate rule name "defi"', 'line 7: unknown variable "oops"']);
+
+  const result = evaluateEligibility(program, vars({ gm: 3, add_liquidity: 5 }, { activeDays: 4, longestStreak: 1 }));
+  assert.deepEqual(result.map(r => [r.name, r.pass]), [['rule 1', true], ['defi', true], ['days', false]]);
+});
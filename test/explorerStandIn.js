@@ -0,0 +1,33 @@
+// test/explorerStandIn.js
+import http from 'http';
+
+// Local stand-in for the explorer's Etherscan-style API (module=account), for code that pages
+// explorer feeds. Rows are returned as given (explorer-shaped strings), newest first, paged by
+// page/offset. Every request's query is recorded in `calls`.
+//   feeds: { txlist: { address: [rows] }, tokentx: { ... }, ..., internalsByTx: { hash: [rows] } }
+
+export function startExplorerStandIn(feeds) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const q = Object.fromEntries(new URL(req.url, 'http://x').searchParams);
+    calls.push(q);
+    let rows;
+    if (q.action === 'txlistinternal' && q.txhash) {
+      rows = feeds.internalsByTx?.[q.txhash.toLowerCase()] || [];
+    } else {
+      const all = [...(feeds[q.action]?.[String(q.address || '').toLowerCase()] || [])]
+        .sort((a, b) => Number(b.timeStamp) - Number(a.timeStamp));
+      const size = Number(q.offset || 100), page = Number(q.page || 1);
+      rows = all.slice((page - 1) * size, page * size);
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(rows.length ? { status: '1', message: 'OK', result: rows } : { status: '0', message: 'No transactions found', result: [] }));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/api`,
+      calls,
+      close: () => new Promise(r => server.close(r))
+    }));
+  });
+}
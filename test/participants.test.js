@@ -0,0 +1,70 @@
+// test/participants.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvRows, detectDelimiter, guessColumns, columnNames, importParticipants, parseCsv, rowsToCsv } from '../lib/participants';
+
+const A = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'; // EIP-55 example address
+const B = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+
+test('CSV: quoted delimiters, line breaks and "" escapes; blank lines dropped', () => {
+  const text = '\uFEFFdiscord,wallet,note\n\n"smith, j",0xabc,"line one\nline two"\r\n"say ""hi""",0xdef,\n';
+  assert.deepEqual(parseCsvRows(text), [
+    ['discord', 'wallet', 'note'],
+    ['smith, j', '0xabc', 'line one\nline two'],
+    ['say "hi"', '0xdef', ''],
+  ]);
+  assert.deepEqual(parseCsvRows(rowsToCsv(parseCsvRows(text))), parseCsvRows(text));
+});
+
+test('CSV: semicolon and tab exports are detected from the first line', () => {
+  assert.equal(detectDelimiter('a;b;c\n1,2;3'), ';');
+  assert.equal(detectDelimiter('a\tb\n'), '\t');
+  assert.equal(detectDelimiter('"x;y";b,c'), ',');
+  assert.deepEqual(parseCsvRows('discord;wallet\nalice;0x1'), [['discord', 'wallet'], ['alice', '0x1']]);
+});
+
+test('column mapping: header names, column order, and headerless sheets', () => {
+  assert.deepEqual(guessColumns([['Wallet Address', 'Email', 'Discord Username']]), { header: true, discord: 2, wallet: 0, extras: [1] });
+  assert.deepEqual(guessColumns([[A, 'alice']]), { header: false, discord: 1, wallet: 0, extras: [] });
+  assert.deepEqual(guessColumns([['alice', A]]), { header: false, discord: 0, wallet: 1, extras: [] });
+  assert.deepEqual(columnNames([['x', 'y', 'z']], { header: false }), ['column 1', 'column 2', 'column 3']);
+});
+
+test('import report: skips, checksum typos, duplicates, conflicts and extras', () => {
+  const rows = parseCsvRows([
+    'Discord,Wallet,Country',
+    `alice,${A},DE`,
+    `,${B},`,
+    'bob,,',
+    'carol,not-a-wallet,',
+    `dave,${A.slice(0, -1)}D,`, // one character's case changed
+    `alice,${A.toLowerCase()},`,
+    `erin,${A.toUpperCase().replace('0X', '0x')},FR`,
+    `frank,${B.toLowerCase()},`,
+  ].join('\n'));
+  const { participants, report } = importParticipants(rows);
+  assert.deepEqual(participants, [
+    { discord: 'alice', wallet: A.toLowerCase(), extra: { Country: 'DE' } },
+    { discord: 'erin', wallet: A.toLowerCase(), extra: { Country: 'FR' } },
+    { discord: 'frank', wallet: B.toLowerCase(), extra: {} },
+  ]);
+  assert.equal(report.rows, 8);
+  assert.equal(report.imported, 3);
+  assert.deepEqual(report.skipped.map(s => [s.row, s.reason.split(':')[0]]), [
+    [3, 'missing Discord name'],
+    [4, 'missing wallet'],
+    [5, 'not a wallet address'],
+    [6, 'checksum mismatch'],
+    [7, 'duplicate of an earlier row (alice, 0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed)'],
+  ]);
+  assert.deepEqual(report.checksum, [{ row: 6, wallet: `${A.slice(0, -1)}D` }]);
+  assert.deepEqual(report.conflicts, [{ wallet: A.toLowerCase(), discords: ['alice', 'erin'], rows: [2, 8] }]);
+});
+
+test('a CSV export of a number-formatted Discord ID column is rejected, not imported', () => {
+  const { participants, report } = importParticipants(parseCsvRows(`discord,wallet\n1.23457E+17,${A}\n123456789012345678,${B}`));
+  assert.deepEqual(participants, [{ discord: '123456789012345678', wallet: B.toLowerCase() }]);
+  assert.equal(report.skipped[0].row, 2);
+  assert.match(report.skipped[0].reason, /lost its digits \("1\.23457E\+17"\)/);
+  assert.deepEqual(parseCsv(`alice,${A}`), [{ discord: 'alice', wallet: A.toLowerCase() }]);
+});
@@ -0,0 +1,152 @@
+// test/payouts.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeFunctionData, parseAbi, getAddress } from 'viem';
+import { startExplorerStandIn } from './explorerStandIn';
+
+// lib/payouts: recipient normalization, tx building and batching, and verification against a
+// stand-in explorer holding the payer's history.
+
+const a = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const h = (n) => `0x${String(n).padStart(64, '0')}`;
+const ABI = parseAbi([
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+]);
+const decode = (tx) => decodeFunctionData({ abi: ABI, data: tx.data });
+
+const PAYER = a(0xaa), MULTISEND = a(0xdd), TOKEN = a(0xee);
+const R1 = a(1), R2 = a(2), R3 = a(3), R4 = a(4);
+const T0 = 1_700_000_000;
+const row = (n, fields) => ({ hash: h(n), timeStamp: String(T0 + n), isError: '0', txreceipt_status: '1', from: PAYER, ...fields });
+
+let explorer, payouts;
+before(async () => {
+  explorer = await startExplorerStandIn({
+    txlist: {
+      [PAYER]: [
+        row(1, { to: R1, value: '100' }),                        // paid exactly
+        row(2, { to: R2, value: '30' }),                         // short (expects 50)
+        row(3, { to: R2, value: '5', isError: '1' }),            // failed: not counted
+        row(4, { to: R3, value: '80' }),                         // over (expects 70) ...
+        row(5, { to: R3, value: '1' }),                          // ... across two txs
+        row(6, { to: MULTISEND, value: '40' }),                  // multisend: legs come from internals
+        row(7, { to: R1, value: '999', from: a(0xbb) })          // someone else's tx in the feed
+      ]
+    },
+    tokentx: {
+      [PAYER]: [
+        row(10, { to: R1, value: '10', contractAddress: TOKEN }),
+        row(11, { to: R2, value: '10', contractAddress: a(0xef) }),  // other token
+        row(12, { to: PAYER, value: '10', contractAddress: TOKEN, from: R2 }) // incoming
+      ]
+    },
+    internalsByTx: {
+      [h(6)]: [
+        { from: MULTISEND, to: R4, value: '25', isError: '0' },
+        { from: MULTISEND, to: R1, value: '15', isError: '0' }
+      ]
+    }
+  });
+  process.env.ZEN_EXPLORER_API_URL = explorer.url; // lib/chain reads it on import
+  payouts = await import('../lib/payouts');
+});
+after(() => explorer.close());
+
+test('normalizeRecipients checksums, sums duplicates, drops zero amounts and rejects bad input', () => {
+  const out = payouts.normalizeRecipients([
+    { address: R1, amount: '5' },
+    { address: R1.toUpperCase().replace('0X', '0x'), amount: 7 },
+    { address: R2, amount: '0' },
+    { address: R3, amount: '1' }
+  ]);
+  assert.deepEqual(out, [{ address: getAddress(R1), amount: 12n }, { address: getAddress(R3), amount: 1n }]);
+  assert.throws(() => payouts.normalizeRecipients([]), /non-empty array/);
+  assert.throws(() => payouts.normalizeRecipients([{ address: '0x123', amount: '1' }]), /recipients\[0\]: invalid address/);
+  assert.throws(() => payouts.normalizeRecipients([{ address: R1, amount: '1.5' }]), /recipients\[0\]: amount must be an integer in wei/);
+  assert.throws(() => payouts.normalizeRecipients([{ address: R1, amount: '-1' }]), /integer in wei/);
+});
+
+test('direct payouts: one tx per recipient, Safe batches cut at the gas limit', () => {
+  const recipients = [1, 2, 3, 4, 5, 6].map(n => ({ address: a(n), amount: String(n) }));
+  const native = payouts.buildPayouts({ recipients, gasLimit: 100_000 });
+  assert.equal(native.transactions.length, 6);
+  assert.deepEqual(native.transactions.map(t => [t.to, t.value, t.data, t.gas]), recipients.map(r => [getAddress(r.address), r.amount, '0x', '21000']));
+  assert.equal(native.total, '21');
+  assert.deepEqual(native.safe.map(b => b.transactions.length), [4, 2]); // 4 × 21000 fits in 100000, 5 doesn't
+  assert.deepEqual(native.safe.map(b => b.meta.name), ['ZenStats payout (1/2)', 'ZenStats payout (2/2)']);
+
+  const erc20 = payouts.buildPayouts({ recipients: recipients.slice(0, 2), token: { address: TOKEN, decimals: 6, symbol: 'USD' } });
+  assert.ok(erc20.transactions.every(t => t.to === getAddress(TOKEN) && t.value === '0'));
+  assert.deepEqual(decode(erc20.transactions[1]), { functionName: 'transfer', args: [getAddress(a(2)), 2n] });
+  assert.equal(erc20.totalFormatted, '0.000003 USD');
+});
+
+test('multisend: batches sized by gas and maxPerTx, each carrying its own value', () => {
+  const recipients = [1, 2, 3, 4, 5, 6, 7].map(n => ({ address: a(n), amount: String(n * 10) }));
+  // (200000 - 60000) / 36000 -> 3 recipients per disperseEther
+  const byGas = payouts.buildPayouts({ recipients, mode: 'multisend', multisend: MULTISEND, gasLimit: 200_000 });
+  assert.deepEqual(byGas.transactions.map(t => t.recipients), [3, 3, 1]);
+  assert.deepEqual(byGas.transactions.map(t => t.value), ['60', '150', '70']);
+  assert.deepEqual(byGas.transactions.map(t => t.gas), ['168000', '168000', '96000']);
+  assert.deepEqual(decode(byGas.transactions[2]), { functionName: 'disperseEther', args: [[getAddress(a(7))], [70n]] });
+  assert.deepEqual(byGas.safe.map(b => b.transactions.length), [1, 1, 1]);
+
+  const capped = payouts.buildPayouts({ recipients, mode: 'multisend', multisend: MULTISEND, maxPerTx: 2 });
+  assert.deepEqual(capped.transactions.map(t => t.recipients), [2, 2, 2, 1]);
+
+  assert.throws(() => payouts.buildPayouts({ recipients, mode: 'multisend' }), /multisend contract address is required/);
+  assert.throws(() => payouts.buildPayouts({ recipients, gasLimit: 50_000 }), /gasLimit must be at least 100000/);
+  assert.throws(() => payouts.buildPayouts({ recipients, mode: 'airdrop' }), /mode must be one of direct, multisend/);
+});
+
+test('token multisend approves the whole total once, first, in the same Safe batch as the first disperse', () => {
+  const recipients = [1, 2, 3, 4, 5].map(n => ({ address: a(n), amount: String(n) }));
+  const out = payouts.buildPayouts({ recipients, mode: 'multisend', multisend: MULTISEND, token: { address: TOKEN, decimals: 0 }, maxPerTx: 2 });
+  const calls = out.transactions.map(decode);
+  assert.deepEqual(calls.map(c => c.functionName), ['approve', 'disperseToken', 'disperseToken', 'disperseToken']);
+  assert.deepEqual(calls[0].args, [getAddress(MULTISEND), 15n]);
+  assert.equal(out.transactions[0].to, getAddress(TOKEN));
+  assert.deepEqual(calls[3].args, [getAddress(TOKEN), [getAddress(a(5))], [5n]]);
+  assert.ok(out.transactions.slice(1).every(t => t.value === '0' && t.to === getAddress(MULTISEND)));
+  assert.deepEqual(out.safe.map(b => b.transactions.length), [2, 1, 1]);
+  assert.equal(out.safe[0].transactions[0].data, out.transactions[0].data);
+});
+
+test('verifyPayouts: native sends and multisend legs -> paid, short, over and missing', async () => {
+  const out = await payouts.verifyPayouts({
+    payer: PAYER,
+    multisend: MULTISEND,
+    since: T0,
+    recipients: [
+      { address: R1, amount: '115' }, // 100 direct + 15 via multisend
+      { address: R2, amount: '50' },
+      { address: R3, amount: '70' },
+      { address: R4, amount: '25' },
+      { address: a(9), amount: '1' }
+    ]
+  });
+  assert.deepEqual(out.rows.map(r => [r.address, r.received, r.status]), [
+    [getAddress(R1), '115', 'paid'],
+    [getAddress(R2), '30', 'short'],
+    [getAddress(R3), '81', 'over'],
+    [getAddress(R4), '25', 'paid'],
+    [getAddress(a(9)), '0', 'missing']
+  ]);
+  assert.deepEqual(out.rows[0].txs.sort(), [h(1), h(6)]);
+  assert.deepEqual(out.summary, { paid: 2, short: 1, over: 1, missing: 1 });
+  assert.equal(out.complete, true);
+});
+
+test('verifyPayouts: token transfers of that token sent by the payer only', async () => {
+  const out = await payouts.verifyPayouts({
+    payer: PAYER,
+    token: { address: TOKEN },
+    since: T0,
+    recipients: [{ address: R1, amount: '10' }, { address: R2, amount: '10' }]
+  });
+  assert.deepEqual(out.rows.map(r => r.status), ['paid', 'missing']);
+  await assert.rejects(payouts.verifyPayouts({ payer: 'nobody', recipients: [{ address: R1, amount: '1' }] }), /payer must be a valid address/);
+});
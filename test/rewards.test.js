@@ -0,0 +1,101 @@
+// test/rewards.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTiers, allocateRewards, tierOf, validateTiers } from '../lib/rewards';
+
+// Amounts in a 0-decimal token, so pools and payouts are the raw integers the split works on
+const TOKEN = { symbol: 'PT', decimals: 0, address: null };
+const wallet = (n) => `0x${String(n).padStart(40, '0')}`;
+const winner = (n, counts = {}, extra = {}) => ({ discord: `user${n}`, wallets: [wallet(n)], counts, total: 0, missedParts: 0, ...extra });
+const allocate = (tier, winners) => allocateRewards([winners], compileTiers([{ name: 'T', maxMissed: 0, ...tier }]), TOKEN);
+const amounts = (alloc, i = 0) => alloc.tiers[i].payouts.map(p => BigInt(p.amount));
+const sum = (xs) => xs.reduce((s, x) => s + x, 0n);
+
+test('equal split adds up to the pool exactly; leftover units go by position', () => {
+  const alloc = allocate({ allocation: 'equal', pool: '10' }, [winner(1), winner(2), winner(3)]);
+  assert.deepEqual(amounts(alloc), [4n, 3n, 3n]);
+  assert.equal(alloc.tiers[0].total, '10');
+  assert.deepEqual(alloc.errors, []);
+
+  for (const [pool, n] of [[1, 3], [7, 7], [1000003, 9], [99, 100]]) {
+    const out = amounts(allocate({ allocation: 'equal', pool: String(pool) }, Array.from({ length: n }, (_, i) => winner(i))));
+    assert.equal(sum(out), BigInt(pool), `pool ${pool} over ${n}`);
+    assert.ok(out.every((x, i) => i === 0 || out[i - 1] >= x)); // earlier positions never get less
+  }
+});
+
+test('pro-rata split follows the weights, largest remainders first', () => {
+  // weights 1:2:3 of 100 -> 16.67, 33.33, 50 -> 17, 33, 50
+  const alloc = allocate({ allocation: 'pro_rata', pool: '100', weightBy: 'gm' }, [winner(1, { gm: 1 }), winner(2, { gm: 2 }), winner(3, { gm: 3 })]);
+  assert.deepEqual(amounts(alloc), [17n, 33n, 50n]);
+
+  // equal weights with one unit left: the tie goes to the first position
+  assert.deepEqual(amounts(allocate({ allocation: 'pro_rata', pool: '5', weightBy: 'gm' }, [winner(1, { gm: 2 }), winner(2, { gm: 2 })])), [3n, 2n]);
+
+  // fractional weights are scaled, not truncated to integers
+  const frac = allocate({ allocation: 'pro_rata', pool: '1000', weightBy: 'gm / 3' }, [winner(1, { gm: 1 }), winner(2, { gm: 2 })]);
+  assert.deepEqual(amounts(frac), [333n, 667n]);
+
+  // negative weights count as 0
+  assert.deepEqual(amounts(allocate({ allocation: 'pro_rata', pool: '9', weightBy: 'gm - 5' }, [winner(1, { gm: 1 }), winner(2, { gm: 8 })])), [0n, 9n]);
+});
+
+test('a large pool in 18-decimal wei is split without losing a unit', () => {
+  const tiers = compileTiers([{ name: 'T', maxMissed: 0, allocation: 'pro_rata', pool: '1000000.000000000000000001', weightBy: 'total' }]);
+  const winners = [1, 2, 3, 4, 5, 6, 7].map(n => winner(n, {}, { total: n * 3 + 1 }));
+  const alloc = allocateRewards([winners], tiers);
+  assert.equal(sum(amounts(alloc)), 1000000000000000000000001n);
+  assert.equal(alloc.tiers[0].total, alloc.tiers[0].pool);
+});
+
+test('fixed tiers pay the amount each and report a pool they exceed', () => {
+  const ok = allocate({ allocation: 'fixed', amount: '5', pool: '15' }, [winner(1), winner(2), winner(3)]);
+  assert.deepEqual(amounts(ok), [5n, 5n, 5n]);
+  assert.deepEqual(ok.errors, []);
+
+  const over = allocate({ allocation: 'fixed', amount: '5', pool: '12' }, [winner(1), winner(2), winner(3)]);
+  assert.deepEqual(amounts(over), [5n, 5n, 5n]);
+  assert.deepEqual(over.errors, ['T: 3 × 5 = 15 exceeds the pool of 12']);
+
+  assert.deepEqual(allocate({ allocation: 'fixed', amount: '5' }, [winner(1)]).errors, []); // no pool: no limit
+});
+
+test('a pro-rata tier whose weights are all 0 is an error, not a silent zero payout', () => {
+  const alloc = allocate({ allocation: 'pro_rata', pool: '100', weightBy: 'swap' }, [winner(1), winner(2)]);
+  assert.deepEqual(amounts(alloc), [0n, 0n]);
+  assert.deepEqual(alloc.errors, ["T: every winner's weight (swap) is 0, so the pool of 100 can't be split"]);
+
+  assert.deepEqual(allocate({ allocation: 'pro_rata', pool: '100', weightBy: 'swap' }, []).errors, []); // nobody to pay
+  assert.deepEqual(allocate({ allocation: 'pro_rata', pool: '0', weightBy: 'swap' }, [winner(1)]).errors, []);
+});
+
+test('totals add up across tiers', () => {
+  const tiers = compileTiers([
+    { name: 'A', maxMissed: 0, allocation: 'equal', pool: '10' },
+    { name: 'B', maxMissed: 1, allocation: 'fixed', amount: '2' }
+  ]);
+  const alloc = allocateRewards([[winner(1), winner(2), winner(3)], [winner(4)]], tiers, TOKEN);
+  assert.deepEqual(alloc.tiers.map(t => t.total), ['10', '2']);
+  assert.equal(alloc.total, '12');
+  assert.deepEqual(alloc.tiers[1].payouts, [{ discord: 'user4', wallet: wallet(4), amount: '2' }]);
+});
+
+test('tierOf picks the first tier whose missed parts and rule both match', () => {
+  const tiers = compileTiers([
+    { name: 'Gold', maxMissed: 0, rule: 'gm >= 5' },
+    { name: 'Silver', maxMissed: 0 },
+    { name: 'Bronze', maxMissed: 2 }
+  ]);
+  assert.equal(tierOf(winner(1, { gm: 6 }), tiers), 0);
+  assert.equal(tierOf(winner(1, { gm: 4 }), tiers), 1);
+  assert.equal(tierOf(winner(1, { gm: 9 }, { missedParts: 2 }), tiers), 2);
+  assert.equal(tierOf(winner(1, {}, { missedParts: 3 }), tiers), -1);
+  assert.equal(tierOf(winner(1, { gm: 9 }, { disqualified: 'bot' }), tiers), -1);
+});
+
+test('validateTiers reports bad definitions', () => {
+  assert.deepEqual(validateTiers([{ name: 'A', maxMissed: 0, allocation: 'fixed' }]), ['tiers[0].amount is required for fixed allocation']);
+  assert.deepEqual(validateTiers([{ name: 'A', maxMissed: 0, pool: '1.5' }], TOKEN), ['tiers[0].pool "1.5" has more than 0 decimals']);
+  assert.deepEqual(validateTiers([{ name: 'A', maxMissed: 0 }, { name: 'A', maxMissed: 1 }]), ['tiers[1]: duplicate tier name "A"']);
+  assert.match(validateTiers([{ name: 'A', maxMissed: 0, allocation: 'pro_rata', weightBy: 'gm >= 1' }])[0], /weightBy must be a number/);
+});
@@ -0,0 +1,159 @@
+// test/rpcSource.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeAbiParameters, keccak256, toBytes, pad } from 'viem';
+import { startStandIn } from './rpcStandIn';
+
+// lib/rpcSource against a 100-block stand-in chain (block n has timestamp T0 + 10n).
+// The wallet U sends txs in blocks 10 (ERC-20 transfer), 30 (ERC-1155 mint), 50 (plain ZTC),
+// 60 (log-less GM call) and 80 (approval); others mint it an NFT (20) and 1155 batch (40) and send
+// it plain ZTC (70), which no log records.
+
+const T0 = 1_700_000_000;
+const ts = (n) => T0 + 10 * n;
+const a = (n) => `0x${String(n).padStart(40, '0')}`;
+const h = (n) => `0x${String(n).padStart(64, '0')}`;
+const topic = (sig) => keccak256(toBytes(sig)).toLowerCase();
+const t = (addr) => pad(addr, { size: 32 }).toLowerCase();
+const uint = (v) => encodeAbiParameters([{ type: 'uint256' }], [BigInt(v)]);
+
+const U = a(1), X = a(2), Y = a(3), Z = a(4), OTHER = a(5);
+const T20 = a(20), N721 = a(21), E1155 = a(22), GM = a(23);
+const TRANSFER = topic('Transfer(address,address,uint256)');
+const APPROVAL = topic('Approval(address,address,uint256)');
+const SINGLE = topic('TransferSingle(address,address,address,uint256,uint256)');
+const BATCH = topic('TransferBatch(address,address,address,uint256[],uint256[])');
+const ZERO = a(0);
+
+const chain = {
+  blocks: Array.from({ length: 100 }, (_, n) => ({ number: n, timestamp: ts(n) })),
+  txs: [
+    { hash: h(1), block: 10, from: U, to: T20 },
+    { hash: h(2), block: 20, from: OTHER, to: N721 },
+    { hash: h(3), block: 30, from: U, to: E1155 },
+    { hash: h(4), block: 40, from: OTHER, to: E1155 },
+    { hash: h(5), block: 50, from: U, to: Y, value: 10n ** 18n },
+    { hash: h(6), block: 60, from: U, to: GM, input: '0x5b3b4f2d' },
+    { hash: h(7), block: 70, from: Z, to: U, value: 2n * 10n ** 18n },
+    { hash: h(8), block: 80, from: U, to: T20, input: '0x095ea7b3' }
+  ],
+  logs: [
+    { block: 10, tx: h(1), address: T20, topics: [TRANSFER, t(U), t(X)], data: uint(5n * 10n ** 18n) },
+    { block: 20, tx: h(2), address: N721, topics: [TRANSFER, t(ZERO), t(U), uint(7)], data: '0x' },
+    { block: 30, tx: h(3), address: E1155, topics: [SINGLE, t(U), t(ZERO), t(U)], data: encodeAbiParameters([{ type: 'uint256' }, { type: 'uint256' }], [3n, 2n]) },
+    { block: 40, tx: h(4), address: E1155, topics: [BATCH, t(OTHER), t(ZERO), t(U)], data: encodeAbiParameters([{ type: 'uint256[]' }, { type: 'uint256[]' }], [[1n, 2n], [10n, 20n]]) },
+    { block: 80, tx: h(8), address: T20, topics: [APPROVAL, t(U), t(X)], data: uint(1) }
+  ],
+  contracts: {
+    [T20]: {
+      '0x95d89b41': encodeAbiParameters([{ type: 'string' }], ['TKN']),
+      '0x06fdde03': encodeAbiParameters([{ type: 'string' }], ['Token']),
+      '0x313ce567': uint(18)
+    },
+    [N721]: {
+      '0x95d89b41': encodeAbiParameters([{ type: 'string' }], ['NFT']),
+      '0x06fdde03': encodeAbiParameters([{ type: 'string' }], ['Nifty'])
+    }
+  }
+};
+
+let rpc;
+let fetchPagedAccountRpc;
+before(async () => {
+  rpc = await startStandIn(chain);
+  process.env.ZEN_RPC_URL = rpc.url; // lib/chain builds its client from this on import
+  ({ fetchPagedAccountRpc } = await import('../lib/rpcSource'));
+});
+after(() => rpc.close());
+beforeEach(() => {
+  rpc.calls.length = 0;
+  for (const k of Object.keys(rpc.fail)) delete rpc.fail[k];
+});
+
+const all = { startTs: ts(0), endTs: ts(99) };
+const logRanges = () => rpc.calls.filter(c => c.method === 'eth_getLogs').map(c => [Number(c.params[0].fromBlock), Number(c.params[0].toBlock)]);
+
+test('txlist finds every tx the wallet sent, with or without logs, without scanning blocks', async () => {
+  const coverage = {};
+  const rows = await fetchPagedAccountRpc('txlist', U, all, { coverage });
+  assert.deepEqual(rows.map(r => r.hash), [h(8), h(6), h(5), h(3), h(1)]); // newest first
+  const gm = rows.find(r => r.hash === h(6));
+  assert.equal(gm.input, '0x5b3b4f2d');
+  assert.equal(gm.timeStamp, String(ts(60)));
+  assert.equal(rows.find(r => r.hash === h(5)).value, String(10n ** 18n));
+  // Full blocks are only fetched where the nonce moved
+  const fullBlocks = rpc.calls.filter(c => c.method === 'eth_getBlockByNumber' && c.params[1] === true).map(c => Number(c.params[0]));
+  assert.deepEqual(fullBlocks.sort((x, y) => x - y), [10, 30, 50, 60, 80]);
+  // The blind spot is reported, but it doesn't make the feed partial
+  assert.equal(coverage.reachedStart, true);
+  assert.equal(coverage.capped, false);
+  assert.deepEqual(coverage.errors, []);
+  assert.equal(coverage.limits.length, 1);
+  assert.match(coverage.limits[0], /incoming plain ZTC/);
+});
+
+test('txlist picks up received plain transfers inside the scanned blocks', async () => {
+  const coverage = {};
+  const rows = await fetchPagedAccountRpc('txlist', U, all, { coverage, scanBlocks: 40 });
+  assert.ok(rows.some(r => r.hash === h(7) && r.from === Z && r.to === U));
+  assert.match(coverage.limits[0], /newest 40 blocks/);
+
+  const whole = {};
+  await fetchPagedAccountRpc('txlist', U, all, { coverage: whole, scanBlocks: 1000 });
+  assert.deepEqual(whole.limits, []);
+});
+
+test('blockRange maps the time window onto blocks', async () => {
+  const rows = await fetchPagedAccountRpc('txlist', U, { startTs: ts(20) + 5, endTs: ts(60) }, { coverage: {} });
+  assert.deepEqual(rows.map(r => r.hash), [h(6), h(5), h(3)]);
+  const ranges = logRanges();
+  assert.ok(ranges.length > 0);
+  for (const [lo, hi] of ranges) assert.deepEqual([lo, hi], [21, 60]); // between blocks -> the next one
+
+  // A window after the head is empty and asks for no logs
+  rpc.calls.length = 0;
+  assert.deepEqual(await fetchPagedAccountRpc('tokentx', U, { startTs: ts(200), endTs: ts(300) }, { coverage: {} }), []);
+  assert.deepEqual(logRanges(), []);
+});
+
+test('eth_getLogs is split into logChunk-sized block ranges, one page each', async () => {
+  const coverage = {};
+  await fetchPagedAccountRpc('tokentx', U, all, { coverage, logChunk: 25 });
+  const ranges = logRanges();
+  const perPosition = [[0, 24], [25, 49], [50, 74], [75, 99]];
+  assert.deepEqual(ranges, [...perPosition, ...perPosition]); // user as sender, then as recipient
+  assert.equal(coverage.pages, ranges.length);
+});
+
+test('token feeds rebuild ERC-20, ERC-721 and ERC-1155 rows', async () => {
+  const erc20 = await fetchPagedAccountRpc('tokentx', U, all, { coverage: {} });
+  assert.equal(erc20.length, 1);
+  assert.deepEqual(
+    { from: erc20[0].from, to: erc20[0].to, value: erc20[0].value, tokenDecimal: erc20[0].tokenDecimal, tokenSymbol: erc20[0].tokenSymbol, contractAddress: erc20[0].contractAddress },
+    { from: U, to: X, value: String(5n * 10n ** 18n), tokenDecimal: '18', tokenSymbol: 'TKN', contractAddress: T20 }
+  );
+
+  const erc721 = await fetchPagedAccountRpc('tokennfttx', U, all, { coverage: {} });
+  assert.equal(erc721.length, 1);
+  assert.deepEqual([erc721[0].from, erc721[0].to, erc721[0].tokenID, erc721[0].tokenSymbol], [ZERO, U, '7', 'NFT']);
+
+  const erc1155 = await fetchPagedAccountRpc('token1155tx', U, all, { coverage: {} });
+  assert.deepEqual(
+    erc1155.map(r => [r.hash, r.tokenID, r.tokenValue, r.to]).sort(),
+    [[h(3), '3', '2', U], [h(4), '1', '10', U], [h(4), '2', '20', U]].sort()
+  );
+  assert.equal(erc1155[0].tokenSymbol, ''); // no metadata functions: empty, not an error
+});
+
+test('RPC failures are recorded in coverage instead of thrown', async () => {
+  rpc.fail.eth_getLogs = 'query returned more than 10000 results';
+  const coverage = {};
+  const rows = await fetchPagedAccountRpc('tokentx', U, all, { coverage });
+  assert.deepEqual(rows, []);
+  assert.equal(coverage.reachedStart, false);
+  assert.equal(coverage.errors.length, 1);
+
+  const internal = {};
+  assert.deepEqual(await fetchPagedAccountRpc('txlistinternal', U, all, { coverage: internal }), []);
+  assert.equal(internal.unsupported, true);
+});
@@ -0,0 +1,101 @@
+// test/rpcStandIn.js
+import http from 'http';
+
+// Local JSON-RPC stand-in for lib/rpcSource tests: a tiny in-memory chain answering the methods the
+// RPC source uses. Every request is recorded in `calls`; `fail` maps a method to an error message.
+//   chain: { blocks: [{ number, timestamp }], txs: [{ hash, block, from, to, value, input }],
+//            logs: [{ block, tx, address, topics, data }], contracts: { address: { selector: hexResult } } }
+
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => `0x${BigInt(n).toString(16).padStart(64, '0')}`;
+const ZERO_HASH = word(0);
+
+export function startStandIn(chain) {
+  const calls = [];
+  const fail = {};
+  const txs = chain.txs.map((t, i) => ({ ...t, index: i }));
+  const byHash = new Map(txs.map(t => [t.hash, t]));
+
+  const txJson = (t) => ({
+    hash: t.hash, from: t.from, to: t.to, value: hex(t.value || 0), input: t.input || '0x',
+    gas: hex(21000), gasPrice: hex(1), nonce: hex(txs.filter(x => x.from === t.from && x.index < t.index).length),
+    blockNumber: hex(t.block), blockHash: word(t.block + 1), transactionIndex: hex(0),
+    type: '0x0', chainId: hex(8408), v: '0x1b', r: word(1), s: word(1)
+  });
+  const blockJson = (b, full) => ({
+    number: hex(b.number), hash: word(b.number + 1), parentHash: word(b.number), timestamp: hex(b.timestamp),
+    nonce: '0x0000000000000000', difficulty: '0x0', totalDifficulty: '0x0', gasLimit: hex(30_000_000), gasUsed: '0x0',
+    miner: `0x${'0'.repeat(40)}`, extraData: '0x', logsBloom: `0x${'0'.repeat(512)}`, sha3Uncles: ZERO_HASH,
+    stateRoot: ZERO_HASH, receiptsRoot: ZERO_HASH, transactionsRoot: ZERO_HASH, mixHash: ZERO_HASH, size: '0x1', uncles: [],
+    transactions: txs.filter(t => t.block === b.number).map(t => (full ? txJson(t) : t.hash))
+  });
+  const logJson = (l, i) => ({
+    address: l.address, topics: l.topics, data: l.data || '0x', blockNumber: hex(l.block), blockHash: word(l.block + 1),
+    transactionHash: l.tx, transactionIndex: '0x0', logIndex: hex(i), removed: false
+  });
+  const topicMatches = (want, got) => want == null || (Array.isArray(want) ? want.includes(got) : want === got);
+
+  const methods = {
+    eth_chainId: () => hex(8408),
+    eth_blockNumber: () => hex(chain.blocks.length - 1),
+    eth_getBlockByNumber: ([n, full]) => {
+      const b = chain.blocks[Number(n)];
+      return b ? blockJson(b, full) : null;
+    },
+    eth_getTransactionCount: ([address, tag]) => {
+      const upTo = tag === 'latest' ? Infinity : Number(tag);
+      return hex(txs.filter(t => t.from === address.toLowerCase() && t.block <= upTo).length);
+    },
+    eth_getTransactionByHash: ([h]) => (byHash.has(h) ? txJson(byHash.get(h)) : null),
+    eth_getTransactionReceipt: ([h]) => {
+      const t = byHash.get(h);
+      if (!t) return null;
+      return {
+        transactionHash: t.hash, blockNumber: hex(t.block), blockHash: word(t.block + 1), transactionIndex: '0x0',
+        from: t.from, to: t.to, status: '0x1', gasUsed: hex(21000), cumulativeGasUsed: hex(21000), effectiveGasPrice: hex(1),
+        contractAddress: null, logsBloom: `0x${'0'.repeat(512)}`, type: '0x0',
+        logs: chain.logs.map(logJson).filter(l => l.transactionHash === t.hash)
+      };
+    },
+    eth_getLogs: ([f]) => {
+      const lo = Number(f.fromBlock), hi = Number(f.toBlock);
+      return chain.logs.map(logJson).filter((l, i) =>
+        chain.logs[i].block >= lo && chain.logs[i].block <= hi &&
+        (f.topics || []).every((want, k) => topicMatches(want, l.topics[k])));
+    },
+    eth_call: ([c]) => {
+      const result = chain.contracts?.[String(c.to).toLowerCase()]?.[String(c.data).slice(0, 10)];
+      if (result == null) throw Object.assign(new Error('execution reverted'), { code: 3 });
+      return result;
+    }
+  };
+
+  function answer({ id, method, params }) {
+    calls.push({ method, params });
+    try {
+      if (fail[method]) throw Object.assign(new Error(fail[method]), { code: -32000 });
+      if (!methods[method]) throw Object.assign(new Error(`method ${method} not supported`), { code: -32601 });
+      return { jsonrpc: '2.0', id, result: methods[method](params || []) };
+    } catch (e) {
+      return { jsonrpc: '2.0', id, error: { code: e.code ?? -32000, message: e.message } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const msg = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(msg) ? msg.map(answer) : answer(msg)));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      calls,
+      fail,
+      close: () => new Promise(r => server.close(r))
+    }));
+  });
+}
@@ -0,0 +1,127 @@
+// test/spreadsheet.test.js
+// The reader is browser code; Node has DecompressionStream, Blob and Response, and DOMParser comes
+// from @xmldom/xmldom. Fixtures are built here as minimal ZIPs (stored and deflated entries).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { DOMParser } from '@xmldom/xmldom';
+import { readSpreadsheet } from '../lib/spreadsheet';
+import { importParticipants, guessColumns } from '../lib/participants';
+
+globalThis.DOMParser = DOMParser;
+
+// { name: text } -> ZIP bytes; the reader only uses the central directory and local header sizes
+function zip(files, { deflate = true } = {}) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflate ? deflateRawSync(raw) : raw;
+    const method = deflate ? 8 : 0;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+// What an <input type="file"> gives readSpreadsheet
+const upload = (buf) => ({ arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength) });
+
+const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+function xlsx(sheetRows, shared = [], opts) {
+  return zip({
+    'xl/workbook.xml': `<workbook xmlns="${MAIN}"><sheets><sheet name="Sheet1" sheetId="1"/></sheets></workbook>`,
+    'xl/sharedStrings.xml': `<sst xmlns="${MAIN}">${shared.map(s => `<si><t>${s}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet xmlns="${MAIN}"><sheetData>${sheetRows}</sheetData></worksheet>`,
+  }, opts);
+}
+
+const ODS_NS = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"';
+const ods = (tableRows) => zip({
+  'mimetype': 'application/vnd.oasis.opendocument.spreadsheet',
+  'content.xml': `<office:document-content ${ODS_NS}><office:body><office:spreadsheet><table:table table:name="Sheet1">${tableRows}</table:table></office:spreadsheet></office:body></office:document-content>`,
+});
+
+const WALLET = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+test('xlsx: shared strings, inline strings, booleans and column gaps', async () => {
+  const sheet = [
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>',
+    `<row r="2"><c r="A2" t="inlineStr"><is><t>alice</t></is></c><c r="B2" t="str"><v>${WALLET}</v></c><c r="D2" t="b"><v>1</v></c></row>`,
+    '<row r="3"/>',
+    '<row r="4"><c r="A4" t="s"><v>3</v></c><c r="C4"><v>42.5</v></c></row>',
+  ].join('');
+  for (const deflate of [true, false]) {
+    const rows = await readSpreadsheet(upload(xlsx(sheet, ['Discord', 'Wallet', 'Score', 'bob'], { deflate })));
+    assert.deepEqual(rows, [
+      ['Discord', 'Wallet', 'Score'],
+      ['alice', WALLET, '', 'TRUE'],
+      ['bob', '', '42.5'],
+    ]);
+  }
+});
+
+test('xlsx: a Discord ID in a number cell is never returned with wrong digits', async () => {
+  const sheet = [
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>',
+    // Excel writes 17 significant digits in E notation; other writers give the integer's digits
+    `<row r="2"><c r="A2"><v>1.2345678901234568E+17</v></c><c r="B2" t="str"><v>${WALLET}</v></c></row>`,
+    `<row r="3"><c r="A3"><v>123456789012345678</v></c><c r="B3" t="str"><v>${WALLET}</v></c></row>`,
+    `<row r="4"><c r="A4"><v>9007199254740991</v></c><c r="B4" t="str"><v>${WALLET}</v></c></row>`,
+  ].join('');
+  const rows = await readSpreadsheet(upload(xlsx(sheet, ['Discord', 'Wallet'])));
+  assert.equal(rows[1][0], '1.2345678901234568E+17');
+  assert.match(rows[2][0], /^1\.\d+E\+17$/); // past 2^53: the file's digits aren't trustworthy
+  assert.equal(rows[3][0], '9007199254740991'); // still exact, kept as written
+
+  const { participants, report } = importParticipants(rows, guessColumns(rows));
+  assert.deepEqual(participants.map(p => p.discord), ['9007199254740991']);
+  assert.deepEqual(report.skipped.map(s => s.row), [2, 3]);
+  assert.match(report.skipped[0].reason, /stored as a number lost its digits.*format the column as text/);
+});
+
+test('ods: paragraphs, repeated cells and rows, and the repeat cap', async () => {
+  const rows = await readSpreadsheet(upload(ods([
+    '<table:table-row><table:table-cell><text:p>Discord</text:p></table:table-cell><table:table-cell><text:p>Wallet</text:p></table:table-cell></table:table-row>',
+    `<table:table-row table:number-rows-repeated="2"><table:table-cell><text:p>same</text:p></table:table-cell><table:table-cell><text:p>${WALLET}</text:p></table:table-cell></table:table-row>`,
+    '<table:table-row><table:table-cell table:number-columns-repeated="3"><text:p>x</text:p></table:table-cell><table:table-cell table:number-columns-repeated="16384"/></table:table-row>',
+    // LibreOffice pads the sheet with a million blank rows; they must not be expanded
+    '<table:table-row table:number-rows-repeated="1048000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>',
+    '<table:table-row table:number-rows-repeated="5000"><table:table-cell><text:p>many</text:p></table:table-cell></table:table-row>',
+  ].join(''))));
+  assert.deepEqual(rows.slice(0, 4), [
+    ['Discord', 'Wallet'],
+    ['same', WALLET],
+    ['same', WALLET],
+    ['x', 'x', 'x'],
+  ]);
+  assert.equal(rows.length, 4 + 1000); // "many" repeated up to MAX_REPEAT only
+  assert.deepEqual(rows[4], ['many']);
+});
+
+test('files that are not ZIP archives get a clear error', async () => {
+  await assert.rejects(readSpreadsheet(upload(Buffer.from('discord,wallet\nalice,0x0\n'))), /no ZIP directory/);
+  await assert.rejects(readSpreadsheet(upload(zip({ 'content.xml': '<x/>', 'mimetype': 'x' }))), /no sheet/);
+});
@@ -0,0 +1,52 @@
+// test/timeseries.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimeseries } from '../lib/timeseries';
+
+const at = (iso, category, direction = 'out', kind = 'native') => ({ timeMs: Date.parse(iso), category, direction, kind });
+const ts = (iso) => Date.parse(iso) / 1000;
+
+test("day buckets follow the timezone, and their starts are that zone's midnights", () => {
+  const rows = [at('2024-03-01T23:30:00Z', 'gm'), at('2024-03-02T00:30:00Z', 'gm')];
+  const window = { start: ts('2024-03-01T00:00:00Z'), end: ts('2024-03-03T00:00:00Z') };
+
+  const utc = buildTimeseries(rows, { ...window, bucket: 'day' });
+  assert.deepEqual(utc.buckets.map(b => b.total), [1, 1, 0]);
+
+  // Both are on March 2 in Tokyo (UTC+9)
+  const tokyo = buildTimeseries(rows, { ...window, bucket: 'day', tz: 'Asia/Tokyo' });
+  assert.equal(tokyo.tz, 'Asia/Tokyo');
+  assert.deepEqual(tokyo.buckets.map(b => [new Date(b.start * 1000).toISOString(), b.total]), [
+    ['2024-03-01T15:00:00.000Z', 2],
+    ['2024-03-02T15:00:00.000Z', 0]
+  ]);
+
+  // Both are on March 1 in New York (UTC-5)
+  const ny = buildTimeseries(rows, { ...window, bucket: 'day', tz: 'America/New_York' });
+  assert.equal(ny.buckets[0].start, ts('2024-03-01T05:00:00Z'));
+  assert.equal(ny.buckets[0].total, 2);
+});
+
+test('buckets stay contiguous across a DST change', () => {
+  // US clocks went forward on 2024-03-10: that day is 23 hours long
+  const rows = [at('2024-03-09T17:00:00Z', 'gm'), at('2024-03-11T17:00:00Z', 'gm')];
+  const s = buildTimeseries(rows, { start: ts('2024-03-09T00:00:00Z'), end: ts('2024-03-11T23:00:00Z'), bucket: 'day', tz: 'America/New_York' });
+  assert.deepEqual(s.buckets.map(b => new Date(b.start * 1000).toISOString()), [
+    '2024-03-09T05:00:00.000Z',
+    '2024-03-10T05:00:00.000Z',
+    '2024-03-11T04:00:00.000Z'
+  ]);
+  assert.deepEqual(s.buckets.map(b => b.total), [1, 0, 1]);
+});
+
+test('rows without a category of their own are not counted as "other"', () => {
+  const rows = [
+    at('2024-03-01T10:00:00Z', 'swap'),
+    at('2024-03-01T10:00:00Z', null, 'in', 'token'),
+    at('2024-03-01T10:00:00Z', null, 'in', 'internal'),
+    at('2024-03-01T11:00:00Z', 'other', 'in')
+  ];
+  const s = buildTimeseries(rows, { start: ts('2024-03-01T00:00:00Z'), end: ts('2024-03-01T23:59:59Z'), bucket: 'day' });
+  assert.deepEqual(s.categories, ['other', 'swap']);
+  assert.deepEqual(s.buckets[0], { start: ts('2024-03-01T00:00:00Z'), in: { other: 1 }, out: { swap: 1 }, total: 2 });
+});